@@ -0,0 +1,96 @@
+// background.js - Workflow Daddy Companion
+// Reports the active tab of the focused window to the desktop app over a localhost WebSocket.
+// Incognito/private tabs are never reported.
+
+const DEFAULT_PORT = 47615; // The app's default browserBridgePort; change it on the options page
+const RECONNECT_DELAY_MS = 5000;
+const KEEPALIVE_INTERVAL_MS = 20000; // Keeps the MV3 service worker alive while connected
+
+const api = typeof browser !== 'undefined' ? browser : chrome;
+
+let socket = null;
+let bridgePort = DEFAULT_PORT;
+let reconnectTimer = null;
+let keepaliveTimer = null;
+let windowFocused = true;
+
+function detectBrowser() {
+    const ua = navigator.userAgent;
+    if (ua.includes('Edg/')) return 'edge';
+    if (ua.includes('OPR/')) return 'opera';
+    if (ua.includes('Vivaldi')) return 'vivaldi';
+    if (ua.includes('Firefox/')) return 'firefox';
+    if (navigator.brave) return 'brave';
+    if (ua.includes('Chrome/')) return 'chrome';
+    return 'unknown';
+}
+
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+async function reportActiveTab() {
+    try {
+        const [tab] = await api.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!tab || tab.incognito) {
+            send({ type: 'tab', url: '', title: '', windowFocused: false });
+            return;
+        }
+        send({ type: 'tab', url: tab.url || '', title: tab.title || '', windowFocused });
+    } catch (error) {
+        console.warn('Workflow Daddy: could not read active tab', error);
+    }
+}
+
+function connect() {
+    reconnectTimer = null;
+    socket = new WebSocket(`ws://127.0.0.1:${bridgePort}`);
+
+    socket.addEventListener('open', () => {
+        send({ type: 'hello', browser: detectBrowser(), version: api.runtime.getManifest().version });
+        reportActiveTab();
+        keepaliveTimer = setInterval(reportActiveTab, KEEPALIVE_INTERVAL_MS);
+    });
+
+    socket.addEventListener('close', event => {
+        if (socket !== event.target) return; // Replaced after a port change
+        clearInterval(keepaliveTimer);
+        keepaliveTimer = null;
+        socket = null;
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+
+    // Errors are followed by close, which handles reconnecting
+    socket.addEventListener('error', () => {});
+}
+
+api.tabs.onActivated.addListener(reportActiveTab);
+api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tab.active && (changeInfo.url || changeInfo.title)) {
+        reportActiveTab();
+    }
+});
+api.windows.onFocusChanged.addListener(windowId => {
+    windowFocused = windowId !== api.windows.WINDOW_ID_NONE;
+    reportActiveTab();
+});
+
+// Reconnect right away when the port is changed on the options page
+api.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync' || !changes.port) return;
+    bridgePort = Number(changes.port.newValue) || DEFAULT_PORT;
+    clearTimeout(reconnectTimer);
+    clearInterval(keepaliveTimer);
+    keepaliveTimer = null;
+    const previous = socket;
+    socket = null;
+    if (previous) previous.close();
+    connect();
+});
+
+api.storage.sync.get({ port: DEFAULT_PORT }).then(({ port }) => {
+    bridgePort = Number(port) || DEFAULT_PORT;
+    connect();
+});
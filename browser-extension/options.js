@@ -0,0 +1,22 @@
+// options.js - Workflow Daddy Companion settings
+// The port is read by background.js, which reconnects when it changes.
+
+const DEFAULT_PORT = 47615;
+
+const api = typeof browser !== 'undefined' ? browser : chrome;
+const portInput = document.getElementById('port');
+const status = document.getElementById('status');
+
+api.storage.sync.get({ port: DEFAULT_PORT }).then(({ port }) => {
+    portInput.value = port;
+});
+
+document.getElementById('save').addEventListener('click', async () => {
+    const port = Number(portInput.value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        status.textContent = 'Enter a port between 1 and 65535';
+        return;
+    }
+    await api.storage.sync.set({ port });
+    status.textContent = 'Saved';
+});
@@ -3,7 +3,10 @@ const { FuseV1Options, FuseVersion } = require('@electron/fuses');
 
 module.exports = {
     packagerConfig: {
-        asar: true,
+        asar: {
+            // OCR language data stays a plain file on disk for tesseract's worker thread
+            unpack: '**/node_modules/@tesseract.js-data/**',
+        },
         extraResource: ['./src/assets/SystemAudioDump'],
         name: 'Workflow Daddy',
         icon: 'src/assets/logo',
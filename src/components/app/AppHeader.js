@@ -129,6 +129,7 @@ export class AppHeader extends LitElement {
         onCustomizeClick: { type: Function },
         onHelpClick: { type: Function },
         onHistoryClick: { type: Function },
+        onSearchClick: { type: Function },
         onCloseClick: { type: Function },
         onBackClick: { type: Function },
         onHideToggleClick: { type: Function },
@@ -144,6 +145,7 @@ export class AppHeader extends LitElement {
         this.onCustomizeClick = () => {};
         this.onHelpClick = () => {};
         this.onHistoryClick = () => {};
+        this.onSearchClick = () => {};
         this.onCloseClick = () => {};
         this.onBackClick = () => {};
         this.onHideToggleClick = () => {};
@@ -198,13 +200,15 @@ export class AppHeader extends LitElement {
             customize: 'Customize',
             help: 'Help & Shortcuts',
             history: 'Conversation History',
+            search: 'Search',
+            'question-digest': 'Questions to Review',
             advanced: 'Advanced Tools',
         };
         return titles[this.currentView] || 'Workflow Daddy';
     }
 
     isNavigationView() {
-        const navigationViews = ['customize', 'help', 'history', 'advanced'];
+        const navigationViews = ['customize', 'help', 'history', 'search', 'question-digest', 'advanced'];
         return navigationViews.includes(this.currentView);
     }
 
@@ -223,6 +227,11 @@ export class AppHeader extends LitElement {
                                       Update available
                                   </button>
                               ` : ''}
+                              <button class="icon-button" @click=${this.onSearchClick}>
+                                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                                      <path fill-rule="evenodd" d="M9 3.5a5.5 5.5 0 1 0 0 11 5.5 5.5 0 0 0 0-11ZM2 9a7 7 0 1 1 12.452 4.391l3.328 3.329a.75.75 0 1 1-1.06 1.06l-3.329-3.328A7 7 0 0 1 2 9Z" clip-rule="evenodd" />
+                                  </svg>
+                              </button>
                               <button class="icon-button" @click=${this.onHistoryClick}>
                                   <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
                                       <path fill-rule="evenodd" d="M10 18a8 8 0 1 0 0-16 8 8 0 0 0 0 16Zm.75-13a.75.75 0 0 0-1.5 0v5c0 .414.336.75.75.75h4a.75.75 0 0 0 0-1.5h-3.25V5Z" clip-rule="evenodd" />
@@ -4,11 +4,14 @@ import { MainView } from '../views/MainView.js';
 import { CustomizeView } from '../views/CustomizeView.js';
 import { HelpView } from '../views/HelpView.js';
 import { HistoryView } from '../views/HistoryView.js';
+import { SearchView } from '../views/SearchView.js';
 import { OnboardingView } from '../views/OnboardingView.js';
 import { ObservationView } from '../views/ObservationView.js';
 import { InterviewView } from '../views/InterviewView.js';
 import { TransitionView } from '../views/TransitionView.js';
+import { UnlockView } from '../views/UnlockView.js';
 import { DocumentationPreviewView } from '../views/DocumentationPreviewView.js';
+import { QuestionDigestView } from '../views/QuestionDigestView.js';
 import { QuestionOverlay } from '../overlays/QuestionOverlay.js';
 
 export class WorkflowDaddyApp extends LitElement {
@@ -119,6 +122,8 @@ export class WorkflowDaddyApp extends LitElement {
         shouldAnimateResponse: { type: Boolean },
         _storageLoaded: { state: true },
         _previousView: { state: true },
+        _previewProfileId: { state: true },
+        _digestExportOnDone: { state: true },
     };
 
     constructor() {
@@ -145,6 +150,7 @@ export class WorkflowDaddyApp extends LitElement {
         this._currentResponseIsComplete = true;
         this.shouldAnimateResponse = false;
         this._storageLoaded = false;
+        this._digestExportOnDone = false;
 
         // Load from storage
         this._loadFromStorage();
@@ -152,6 +158,15 @@ export class WorkflowDaddyApp extends LitElement {
 
     async _loadFromStorage() {
         try {
+            // Encrypted data needs the passphrase before anything else can be read
+            const encryptionStatus = await workflowDaddy.storage.getEncryptionStatus();
+            if (encryptionStatus.locked) {
+                this.currentView = 'unlock';
+                this._storageLoaded = true;
+                this.requestUpdate();
+                return;
+            }
+
             const [config, prefs] = await Promise.all([
                 workflowDaddy.storage.getConfig(),
                 workflowDaddy.storage.getPreferences()
@@ -297,6 +312,11 @@ export class WorkflowDaddyApp extends LitElement {
                 }
             });
 
+            // Scheduled question digest (from the notification)
+            ipcRenderer.on('confusion:open-digest', () => {
+                this.handleReviewQuestions(false);
+            });
+
             // Task detection events for observation view
             ipcRenderer.on('taskdetection:task-started', (_, task) => {
                 this.currentTask = task.name || 'New task';
@@ -321,6 +341,7 @@ export class WorkflowDaddyApp extends LitElement {
             ipcRenderer.removeAllListeners('tray:pause-recording');
             ipcRenderer.removeAllListeners('tray:resume-recording');
             ipcRenderer.removeAllListeners('tray:export-docs');
+            ipcRenderer.removeAllListeners('confusion:open-digest');
             ipcRenderer.removeAllListeners('taskdetection:task-started');
             ipcRenderer.removeAllListeners('taskdetection:task-named');
         }
@@ -373,8 +394,13 @@ export class WorkflowDaddyApp extends LitElement {
         this.requestUpdate();
     }
 
+    handleSearchClick() {
+        this.currentView = 'search';
+        this.requestUpdate();
+    }
+
     async handleClose() {
-        if (this.currentView === 'customize' || this.currentView === 'help' || this.currentView === 'history') {
+        if (['customize', 'help', 'history', 'search', 'question-digest'].includes(this.currentView)) {
             this.currentView = 'main';
         } else {
             // Quit the entire application
@@ -549,7 +575,9 @@ export class WorkflowDaddyApp extends LitElement {
     }
 
     // Documentation preview handlers
-    handleDocumentationPreview() {
+    handleDocumentationPreview(profileId = null) {
+        // Search results preview the profile they came from rather than the selected one
+        this._previewProfileId = profileId;
         this._previousView = this.currentView;
         this.currentView = 'documentation-preview';
         this.requestUpdate();
@@ -558,9 +586,28 @@ export class WorkflowDaddyApp extends LitElement {
     handleBackFromPreview() {
         this.currentView = this._previousView || 'main';
         this._previousView = null;
+        this._previewProfileId = null;
+        this.requestUpdate();
+    }
+
+    // Question digest handlers
+    handleReviewQuestions(exportOnDone) {
+        this._digestExportOnDone = exportOnDone;
+        this.currentView = 'question-digest';
         this.requestUpdate();
     }
 
+    async handleDigestDone() {
+        this._digestExportOnDone = false;
+        // A scheduled review can happen mid-session; go back to the observation bar
+        const currentSession = await workflowDaddy.session.getCurrent();
+        if (currentSession) {
+            await this.handleSwitchToObservation();
+        } else {
+            this.currentView = 'main';
+        }
+    }
+
     // Onboarding event handlers
     handleOnboardingComplete() {
         this.currentView = 'main';
@@ -607,6 +654,11 @@ export class WorkflowDaddyApp extends LitElement {
                     ></interview-view>
                 `;
 
+            case 'unlock':
+                return html`
+                    <unlock-view .onUnlock=${() => this._loadFromStorage()}></unlock-view>
+                `;
+
             case 'transition':
                 return html`
                     <transition-view
@@ -649,6 +701,13 @@ export class WorkflowDaddyApp extends LitElement {
                     ></history-view>
                 `;
 
+            case 'search':
+                return html`
+                    <search-view
+                        .onPreview=${profileId => this.handleDocumentationPreview(profileId)}
+                    ></search-view>
+                `;
+
             case 'observation':
                 return html`
                     <observation-view
@@ -656,22 +715,33 @@ export class WorkflowDaddyApp extends LitElement {
                         .isPaused=${this.isPaused}
                         .startTime=${this.startTime}
                         .currentTask=${this.currentTask}
+                        .profileId=${this.selectedProfile}
                         .onHide=${() => this.handleObservationHide()}
                         .onSettings=${() => this.handleObservationSettings()}
                         .onPause=${() => this.handleObservationPause()}
                         .onResume=${() => this.handleObservationResume()}
                         .onPreview=${() => this.handleDocumentationPreview()}
+                        .onReviewQuestions=${() => this.handleReviewQuestions(true)}
                     ></observation-view>
                 `;
 
             case 'documentation-preview':
                 return html`
                     <documentation-preview-view
-                        .profileId=${this.selectedProfile}
+                        .profileId=${this._previewProfileId || this.selectedProfile}
                         .onBack=${() => this.handleBackFromPreview()}
                     ></documentation-preview-view>
                 `;
 
+            case 'question-digest':
+                return html`
+                    <question-digest-view
+                        .profileId=${this.selectedProfile}
+                        .exportOnDone=${this._digestExportOnDone}
+                        .onDone=${() => this.handleDigestDone()}
+                    ></question-digest-view>
+                `;
+
             default:
                 return html`<div>Unknown view: ${this.currentView}</div>`;
         }
@@ -683,12 +753,14 @@ export class WorkflowDaddyApp extends LitElement {
             'customize': 'settings-view',
             'help': 'help-view',
             'history': 'history-view',
+            'search': 'history-view',
             'observation': 'observation-view',
             'documentation-preview': 'history-view',
+            'question-digest': 'history-view',
         };
         const mainContentClass = `main-content ${viewClassMap[this.currentView] || 'with-border'}`;
 
-        const showHeader = this.currentView !== 'observation';
+        const showHeader = this.currentView !== 'observation' && this.currentView !== 'unlock';
 
         return html`
             <div class="window-container">
@@ -701,6 +773,7 @@ export class WorkflowDaddyApp extends LitElement {
                             .onCustomizeClick=${() => this.handleCustomizeClick()}
                             .onHelpClick=${() => this.handleHelpClick()}
                             .onHistoryClick=${() => this.handleHistoryClick()}
+                            .onSearchClick=${() => this.handleSearchClick()}
                             .onCloseClick=${() => this.handleClose()}
                             .onBackClick=${() => this.handleBackClick()}
                             .onHideToggleClick=${() => this.handleHideToggle()}
@@ -13,6 +13,7 @@ export { ObservationView } from './views/ObservationView.js';
 export { TransitionView } from './views/TransitionView.js';
 export { InterviewView } from './views/InterviewView.js';
 export { DocumentationPreviewView } from './views/DocumentationPreviewView.js';
+export { QuestionDigestView } from './views/QuestionDigestView.js';
 
 // Overlay components
 export { QuestionOverlay } from './overlays/QuestionOverlay.js';
@@ -8,8 +8,16 @@ import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
  * - notification: Small indicator showing "Quick question..."
  * - expanded: Full question UI with input and buttons
  *
+ * A strip of the frames leading up to the question reminds the user what they
+ * were doing, with the part the AI was looking at outlined. Click a frame to enlarge it.
+ *
+ * If an answer doesn't explain what was observed, the question comes back with a
+ * follow-up and stays open; earlier answers in the thread are shown above it.
+ *
  * Keyboard shortcuts:
  * - Cmd/Ctrl + Q: Toggle visibility
+ * - 1-4: Pick a suggested answer (outside the text box)
+ * - Left/Right: Move between suggested answers
  * - Enter: Submit answer
  * - Escape: Dismiss question
  */
@@ -151,7 +159,7 @@ export class QuestionOverlay extends LitElement {
             background: var(--accent-hover, #3a8eef);
         }
 
-        .btn-primary:disabled {
+        .btn:disabled {
             opacity: 0.5;
             cursor: not-allowed;
         }
@@ -176,6 +184,50 @@ export class QuestionOverlay extends LitElement {
             color: var(--text-color, #fff);
         }
 
+        /* Suggested answers */
+        .option-row {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 12px;
+        }
+
+        .option-chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 10px;
+            border-radius: 14px;
+            font-size: 12px;
+            font-family: inherit;
+            background: var(--bg-tertiary, rgba(255, 255, 255, 0.1));
+            color: var(--text-color, #fff);
+            border: 1px solid var(--border-color, rgba(255, 255, 255, 0.1));
+            cursor: pointer;
+            outline: none;
+            transition: all 0.15s ease;
+        }
+
+        .option-chip:hover,
+        .option-chip:focus {
+            border-color: var(--accent-color, #4a9eff);
+            background: var(--bg-hover, rgba(255, 255, 255, 0.15));
+        }
+
+        .option-chip.other {
+            color: var(--text-secondary, rgba(255, 255, 255, 0.7));
+        }
+
+        .option-chip.other.active {
+            border-color: var(--accent-color, #4a9eff);
+        }
+
+        .chip-key {
+            font-size: 10px;
+            font-family: monospace;
+            color: var(--text-secondary, rgba(255, 255, 255, 0.5));
+        }
+
         /* Keyboard hint */
         .keyboard-hint {
             display: flex;
@@ -201,6 +253,77 @@ export class QuestionOverlay extends LitElement {
             color: var(--text-secondary, rgba(255, 255, 255, 0.4));
         }
 
+        /* Frames leading up to the question */
+        .frame-strip {
+            display: flex;
+            gap: 4px;
+            margin-bottom: 10px;
+        }
+
+        .frame {
+            position: relative;
+            flex: 1;
+            min-width: 0;
+            border: 1px solid var(--border-color, rgba(255, 255, 255, 0.1));
+            border-radius: 4px;
+            overflow: hidden;
+            cursor: pointer;
+        }
+
+        .frame.trigger {
+            border-color: var(--accent-color, #4a9eff);
+        }
+
+        .frame img,
+        .frame-preview img {
+            display: block;
+            width: 100%;
+            height: auto;
+        }
+
+        .frame-time {
+            position: absolute;
+            left: 3px;
+            bottom: 2px;
+            font-size: 9px;
+            color: #fff;
+            text-shadow: 0 0 3px rgba(0, 0, 0, 0.8);
+        }
+
+        .frame-preview {
+            position: relative;
+            margin-bottom: 10px;
+            border-radius: 6px;
+            overflow: hidden;
+            cursor: pointer;
+        }
+
+        .region-box {
+            position: absolute;
+            border: 2px solid var(--accent-color, #4a9eff);
+            border-radius: 2px;
+            box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.35);
+            pointer-events: none;
+        }
+
+        /* Earlier answers in a follow-up thread */
+        .thread {
+            margin-bottom: 10px;
+            padding-left: 8px;
+            border-left: 2px solid var(--border-color, rgba(255, 255, 255, 0.1));
+        }
+
+        .thread-entry {
+            font-size: 12px;
+            line-height: 1.4;
+            color: var(--text-secondary, rgba(255, 255, 255, 0.5));
+            margin-bottom: 4px;
+        }
+
+        .thread-answer {
+            color: var(--text-color, #fff);
+        }
+
         /* Confusion type badge */
         .type-badge {
             display: inline-block;
@@ -219,6 +342,10 @@ export class QuestionOverlay extends LitElement {
         question: { type: Object },
         state: { type: String }, // 'hidden' | 'notification' | 'expanded'
         answer: { type: String },
+        _otherSelected: { state: true },
+        _submitting: { state: true },
+        _frames: { state: true },
+        _previewFrame: { state: true },
     };
 
     constructor() {
@@ -226,6 +353,10 @@ export class QuestionOverlay extends LitElement {
         this.question = null;
         this.state = 'hidden';
         this.answer = '';
+        this._otherSelected = false;
+        this._submitting = false;
+        this._frames = [];
+        this._previewFrame = null;
 
         // Bind keyboard handler
         this._handleKeyboard = this._handleKeyboard.bind(this);
@@ -281,6 +412,20 @@ export class QuestionOverlay extends LitElement {
         // Only handle these when expanded
         if (this.state !== 'expanded') return;
 
+        // The element that has focus inside the shadow root (e.target is the host)
+        const origin = e.composedPath()[0];
+        const inTextBox = origin.tagName === 'TEXTAREA';
+
+        // 1-4: Pick a suggested answer
+        if (!inTextBox && /^[1-9]$/.test(e.key) && !e.metaKey && !e.ctrlKey) {
+            const option = this._getOptions()[Number(e.key) - 1];
+            if (option) {
+                e.preventDefault();
+                this.selectOption(option);
+            }
+            return;
+        }
+
         // Escape: Dismiss
         if (e.key === 'Escape') {
             e.preventDefault();
@@ -288,8 +433,8 @@ export class QuestionOverlay extends LitElement {
             return;
         }
 
-        // Enter (not in textarea): Submit
-        if (e.key === 'Enter' && !e.shiftKey && e.target.tagName !== 'TEXTAREA') {
+        // Enter (not in textarea, and not activating a chip or button): Submit
+        if (e.key === 'Enter' && !e.shiftKey && !inTextBox && origin.tagName !== 'BUTTON') {
             e.preventDefault();
             this.submitAnswer();
             return;
@@ -299,17 +444,51 @@ export class QuestionOverlay extends LitElement {
     showQuestion(question) {
         this.question = question;
         this.answer = '';
+        this._otherSelected = false;
+        this._frames = [];
+        this._previewFrame = null;
         this.state = 'notification';
         this.requestUpdate();
+        this._loadFrames(question);
     }
 
     hide() {
         this.state = 'hidden';
         this.question = null;
         this.answer = '';
+        this._otherSelected = false;
+        this._frames = [];
+        this._previewFrame = null;
         this.requestUpdate();
     }
 
+    async _loadFrames(question) {
+        if (!window.require || !question.trigger) return;
+
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('confusion:get-trigger-frames', question.sessionId, question.id);
+        // Another question may have replaced this one meanwhile
+        if (result.success && this.question?.id === question.id) {
+            this._frames = result.data.filter(frame => frame.thumbnail);
+        }
+    }
+
+    togglePreview(frame) {
+        this._previewFrame = this._previewFrame === frame ? null : frame;
+    }
+
+    /**
+     * The follow-up waiting for an answer, if the question has one
+     */
+    _getOpenFollowUp() {
+        const last = this.question?.followUps?.[this.question.followUps.length - 1];
+        return last && last.answer === undefined && !last.skipped ? last : null;
+    }
+
+    _getOptions() {
+        return (this._getOpenFollowUp() || this.question)?.options || [];
+    }
+
     toggleVisibility() {
         if (this.state === 'hidden' && this.question) {
             this.state = 'notification';
@@ -326,20 +505,39 @@ export class QuestionOverlay extends LitElement {
             this.state = 'expanded';
             this.requestUpdate();
 
-            // Focus the input after render
+            // Focus the first suggested answer, or the input, after render
             this.updateComplete.then(() => {
-                const input = this.shadowRoot.querySelector('.answer-input');
-                if (input) input.focus();
+                const target = this.shadowRoot.querySelector('.option-chip') || this.shadowRoot.querySelector('.answer-input');
+                if (target) target.focus();
             });
         }
     }
 
     async submitAnswer() {
-        if (!this.question || !this.answer.trim()) return;
+        if (!this.question || !this.answer.trim() || this._submitting) return;
 
+        let updated = null;
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
-            await ipcRenderer.invoke('confusion:answer-question', this.question.id, this.answer.trim());
+            this._submitting = true;
+            try {
+                const result = await ipcRenderer.invoke('confusion:answer-question', this.question.id, this.answer.trim());
+                updated = result?.data;
+            } finally {
+                this._submitting = false;
+            }
+        }
+
+        // Still pending means the answer needs a follow-up
+        if (updated?.status === 'pending') {
+            this.question = updated;
+            this.answer = '';
+            this._otherSelected = false;
+            this.updateComplete.then(() => {
+                const target = this.shadowRoot.querySelector('.option-chip') || this.shadowRoot.querySelector('.answer-input');
+                if (target) target.focus();
+            });
+            return;
         }
 
         this.dispatchEvent(new CustomEvent('question-answered', {
@@ -349,8 +547,35 @@ export class QuestionOverlay extends LitElement {
         this.hide();
     }
 
+    selectOption(option) {
+        this.answer = option;
+        this.submitAnswer();
+    }
+
+    showOtherInput() {
+        this._otherSelected = true;
+        this.answer = '';
+        this.updateComplete.then(() => {
+            const input = this.shadowRoot.querySelector('.answer-input');
+            if (input) input.focus();
+        });
+    }
+
+    _handleOptionKeydown(e) {
+        if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+
+        const chips = [...this.shadowRoot.querySelectorAll('.option-chip')];
+        const index = chips.indexOf(e.composedPath()[0]);
+        if (index === -1) return;
+
+        e.preventDefault();
+        const next = (index + (e.key === 'ArrowRight' ? 1 : -1) + chips.length) % chips.length;
+        chips[next].focus();
+    }
+
     async dismissQuestion() {
-        if (!this.question) return;
+        // An answer in flight decides the question's fate
+        if (!this.question || this._submitting) return;
 
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
@@ -365,7 +590,7 @@ export class QuestionOverlay extends LitElement {
     }
 
     async deferQuestion() {
-        if (!this.question) return;
+        if (!this.question || this._submitting) return;
 
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
@@ -414,6 +639,64 @@ export class QuestionOverlay extends LitElement {
         `;
     }
 
+    _renderRegion(region) {
+        if (!region) return '';
+        const style = `left: ${region.x * 100}%; top: ${region.y * 100}%; width: ${region.width * 100}%; height: ${region.height * 100}%;`;
+        return html`<div class="region-box" style=${style}></div>`;
+    }
+
+    _formatFrameTime(frame) {
+        const seconds = Math.round((new Date(this.question.timestamp) - new Date(frame.timestamp)) / 1000);
+        return seconds > 0 ? `-${seconds}s` : 'now';
+    }
+
+    _renderFrames() {
+        if (this._frames.length === 0) return '';
+
+        return html`
+            <div class="frame-strip">
+                ${this._frames.map(frame => html`
+                    <div
+                        class="frame ${frame.screenshotId === this.question.trigger?.screenshotId ? 'trigger' : ''}"
+                        title=${[frame.app, frame.windowTitle].filter(Boolean).join(' - ')}
+                        @click=${() => this.togglePreview(frame)}
+                    >
+                        <img src=${frame.thumbnail} />
+                        ${this._renderRegion(frame.region)}
+                        <span class="frame-time">${this._formatFrameTime(frame)}</span>
+                    </div>
+                `)}
+            </div>
+            ${this._previewFrame ? html`
+                <div class="frame-preview" @click=${() => this.togglePreview(this._previewFrame)}>
+                    <img src=${this._previewFrame.thumbnail} />
+                    ${this._renderRegion(this._previewFrame.region)}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    _renderThread() {
+        const followUps = this.question.followUps || [];
+        if (followUps.length === 0) return '';
+
+        const exchanges = [
+            { question: this.question.question, answer: this.question.answer },
+            ...followUps.filter(followUp => followUp.answer !== undefined)
+        ];
+
+        return html`
+            <div class="thread">
+                ${exchanges.map(exchange => html`
+                    <div class="thread-entry">
+                        ${exchange.question}<br>
+                        <span class="thread-answer">${exchange.answer}</span>
+                    </div>
+                `)}
+            </div>
+        `;
+    }
+
     _renderNotificationIcon() {
         return html`
             <svg class="notification-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -443,6 +726,10 @@ export class QuestionOverlay extends LitElement {
         }
 
         // Expanded state
+        const followUp = this._getOpenFollowUp();
+        const options = this._getOptions();
+        const showInput = options.length === 0 || this._otherSelected;
+
         return html`
             <div class="${overlayClass}">
                 <div class="expanded-content">
@@ -452,39 +739,63 @@ export class QuestionOverlay extends LitElement {
                             ${this.question.confusionType ? html`
                                 <span class="type-badge">${this._formatConfusionType(this.question.confusionType)}</span>
                             ` : ''}
-                            ${this.question.triggerContext ? html`
+                            ${this.question.triggerContext && !followUp ? html`
                                 <div class="context-text">I noticed you just ${this.question.triggerContext.toLowerCase()}</div>
                             ` : ''}
-                            <div class="question-text">${this.question.question}</div>
+                            ${this._renderThread()}
+                            <div class="question-text">${followUp ? followUp.question : this.question.question}</div>
                         </div>
                     </div>
 
-                    <textarea
-                        class="answer-input"
-                        rows="2"
-                        placeholder="Your answer..."
-                        .value=${this.answer}
-                        @input=${this._handleInputChange}
-                        @keydown=${this._handleInputKeydown}
-                    ></textarea>
+                    ${this._renderFrames()}
+
+                    ${options.length > 0 ? html`
+                        <div class="option-row" @keydown=${this._handleOptionKeydown}>
+                            ${options.map((option, i) => html`
+                                <button class="option-chip" ?disabled=${this._submitting} @click=${() => this.selectOption(option)}>
+                                    <span class="chip-key">${i + 1}</span>${option}
+                                </button>
+                            `)}
+                            <button class="option-chip other ${this._otherSelected ? 'active' : ''}" @click=${() => this.showOtherInput()}>
+                                Other...
+                            </button>
+                        </div>
+                    ` : ''}
+
+                    ${showInput ? html`
+                        <textarea
+                            class="answer-input"
+                            rows="2"
+                            placeholder="Your answer..."
+                            .value=${this.answer}
+                            @input=${this._handleInputChange}
+                            @keydown=${this._handleInputKeydown}
+                        ></textarea>
+                    ` : ''}
 
                     <div class="button-row">
-                        <button class="btn btn-text" @click=${() => this.deferQuestion()}>
-                            Ask Later
-                        </button>
-                        <button class="btn btn-secondary" @click=${() => this.dismissQuestion()}>
+                        ${followUp ? '' : html`
+                            <button class="btn btn-text" ?disabled=${this._submitting} @click=${() => this.deferQuestion()}>
+                                Ask Later
+                            </button>
+                        `}
+                        <button class="btn btn-secondary" ?disabled=${this._submitting} @click=${() => this.dismissQuestion()}>
                             Skip
                         </button>
                         <button
                             class="btn btn-primary"
                             @click=${() => this.submitAnswer()}
-                            ?disabled=${!this.answer.trim()}
+                            ?disabled=${!this.answer.trim() || this._submitting}
                         >
-                            Submit
+                            ${this._submitting ? 'Thinking...' : 'Submit'}
                         </button>
                     </div>
 
                     <div class="keyboard-hint">
+                        ${options.length > 0 ? html`
+                            <span class="kbd">1-${options.length}</span>
+                            <span class="hint-text">pick</span>
+                        ` : ''}
                         <span class="kbd">Enter</span>
                         <span class="hint-text">submit</span>
                         <span class="kbd">Esc</span>
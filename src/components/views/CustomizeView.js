@@ -533,6 +533,57 @@ export class CustomizeView extends LitElement {
             color: var(--error-color);
             border-left: 2px solid var(--error-color);
         }
+
+        /* Storage usage */
+        .usage-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 11px;
+            margin-bottom: 12px;
+        }
+
+        .usage-table td {
+            padding: 4px 0;
+            border-bottom: 1px solid var(--border-color);
+            color: var(--text-secondary);
+        }
+
+        .usage-table td.usage-size {
+            text-align: right;
+            font-family: 'SF Mono', Monaco, monospace;
+            color: var(--text-color);
+        }
+
+        .usage-table tr.usage-total td {
+            font-weight: 600;
+            color: var(--text-color);
+        }
+
+        .retention-row {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            font-size: 12px;
+            color: var(--text-color);
+            margin-bottom: 8px;
+        }
+
+        .retention-row .form-control {
+            width: 90px;
+        }
+
+        /* Application aliases */
+        .alias-add-row {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+        }
+
+        .alias-add-row .form-control {
+            flex: 1;
+            min-width: 0;
+        }
     `;
 
     static properties = {
@@ -551,6 +602,23 @@ export class CustomizeView extends LitElement {
         clearStatusMessage: { type: String },
         clearStatusType: { type: String },
         dataLocation: { type: String },
+        browserBridgeStatus: { type: Object },
+        encryptionStatus: { type: Object },
+        encryptionPassphrase: { type: String },
+        isUpdatingEncryption: { type: Boolean },
+        encryptionStatusMessage: { type: String },
+        encryptionStatusType: { type: String },
+        retentionConfig: { type: Object },
+        storageReport: { type: Object },
+        isPruning: { type: Boolean },
+        pruneStatusMessage: { type: String },
+        appRegistryConfig: { type: Object },
+        appCategories: { type: Array },
+        newAliasFrom: { type: String },
+        newAliasTo: { type: String },
+        newAliasCategory: { type: String },
+        questioningConfig: { type: Object },
+        questionLimits: { type: Object },
     };
 
     constructor() {
@@ -586,6 +654,33 @@ export class CustomizeView extends LitElement {
         // Storage location
         this.dataLocation = '~/.workflow-shadow';
 
+        // Browser companion connection status
+        this.browserBridgeStatus = { running: false, port: null, connections: [] };
+
+        // Encryption at rest
+        this.encryptionStatus = { enabled: false, locked: false, keySource: null, keychainAvailable: false };
+        this.encryptionPassphrase = '';
+        this.isUpdatingEncryption = false;
+        this.encryptionStatusMessage = '';
+        this.encryptionStatusType = '';
+
+        // Screenshot retention and disk usage
+        this.retentionConfig = null;
+        this.storageReport = null;
+        this.isPruning = false;
+        this.pruneStatusMessage = '';
+
+        // Application registry aliases
+        this.appRegistryConfig = { aliases: {}, categories: {} };
+        this.appCategories = [];
+        this.newAliasFrom = '';
+        this.newAliasTo = '';
+        this.newAliasCategory = '';
+
+        // Clarifying questions: asked live, or parked for a digest
+        this.questioningConfig = { mode: 'live', digestTime: '17:00', adaptiveRate: true };
+        this.questionLimits = null; // rate limits in effect, after adapting to responsiveness
+
         this._loadFromStorage();
     }
 
@@ -595,6 +690,10 @@ export class CustomizeView extends LitElement {
 
     setActiveSection(section) {
         this.activeSection = section;
+        if (section === 'advanced') {
+            // Walks the whole data dir, so only when it's about to be shown
+            this.loadStorageReport();
+        }
         this.requestUpdate();
     }
 
@@ -649,11 +748,26 @@ export class CustomizeView extends LitElement {
 
     async _loadFromStorage() {
         try {
-            const [prefs, keybinds] = await Promise.all([
+            const [prefs, keybinds, browserBridgeStatus, encryptionStatus, retentionConfig, appRegistryConfig, knownApps, questioningConfig, questionLimits] = await Promise.all([
                 workflowDaddy.storage.getPreferences(),
-                workflowDaddy.storage.getKeybinds()
+                workflowDaddy.storage.getKeybinds(),
+                workflowDaddy.capture.getBrowserBridgeStatus(),
+                workflowDaddy.storage.getEncryptionStatus(),
+                workflowDaddy.retention.getConfig(),
+                workflowDaddy.apps.getConfig(),
+                workflowDaddy.apps.getKnownApps(),
+                workflowDaddy.confusion.getQuestioningConfig(),
+                workflowDaddy.confusion.getEffectiveLimits()
             ]);
 
+            this.browserBridgeStatus = browserBridgeStatus;
+            this.encryptionStatus = encryptionStatus;
+            this.retentionConfig = retentionConfig;
+            this.appRegistryConfig = appRegistryConfig;
+            this.appCategories = knownApps.categories;
+            this.questioningConfig = questioningConfig || this.questioningConfig;
+            this.questionLimits = questionLimits;
+
             this.backgroundTransparency = prefs.backgroundTransparency ?? 0.8;
             this.fontSize = prefs.fontSize ?? 20;
             this.customPrompt = prefs.customPrompt ?? '';
@@ -934,6 +1048,125 @@ export class CustomizeView extends LitElement {
         }
     }
 
+    async toggleEncryption(keySource) {
+        if (this.isUpdatingEncryption) return;
+
+        this.isUpdatingEncryption = true;
+        this.encryptionStatusMessage = this.encryptionStatus.enabled ? 'Decrypting local data...' : 'Encrypting local data...';
+        this.encryptionStatusType = 'success';
+        this.requestUpdate();
+
+        try {
+            const result = this.encryptionStatus.enabled
+                ? await workflowDaddy.storage.disableEncryption(this.encryptionPassphrase || undefined)
+                : await workflowDaddy.storage.enableEncryption({ keySource, passphrase: this.encryptionPassphrase || undefined });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.encryptionStatus = result.data;
+            this.encryptionPassphrase = '';
+            this.encryptionStatusMessage = result.data.enabled
+                ? `Encryption enabled (${result.data.filesConverted} files encrypted)`
+                : `Encryption disabled (${result.data.filesConverted} files decrypted)`;
+            this.encryptionStatusType = 'success';
+        } catch (error) {
+            console.error('Error updating encryption:', error);
+            this.encryptionStatusMessage = error.message;
+            this.encryptionStatusType = 'error';
+            // A partly finished migration still changes the status
+            this.encryptionStatus = await workflowDaddy.storage.getEncryptionStatus();
+        } finally {
+            this.isUpdatingEncryption = false;
+            this.requestUpdate();
+        }
+    }
+
+    async saveAppRegistryConfig(updates) {
+        const result = await workflowDaddy.apps.setConfig(updates);
+        if (result.success) {
+            this.appRegistryConfig = result.data;
+        }
+    }
+
+    async addAppAlias() {
+        const from = this.newAliasFrom.trim();
+        const to = this.newAliasTo.trim();
+        if (!from || !to) return;
+
+        const updates = { aliases: { ...this.appRegistryConfig.aliases, [from]: to } };
+        if (this.newAliasCategory) {
+            updates.categories = { ...this.appRegistryConfig.categories, [to]: this.newAliasCategory };
+        }
+        await this.saveAppRegistryConfig(updates);
+
+        this.newAliasFrom = '';
+        this.newAliasTo = '';
+        this.newAliasCategory = '';
+    }
+
+    async removeAppAlias(alias) {
+        const { [alias]: removed, ...aliases } = this.appRegistryConfig.aliases;
+        await this.saveAppRegistryConfig({ aliases });
+    }
+
+    async loadStorageReport() {
+        try {
+            this.storageReport = await workflowDaddy.retention.getStorageReport();
+        } catch (error) {
+            console.error('Error loading storage usage:', error);
+        }
+    }
+
+    async handleRetentionChange(key, value) {
+        if (typeof value === 'number' && (isNaN(value) || value < 0)) return;
+
+        const result = await workflowDaddy.retention.setConfig({ [key]: value });
+        if (result.success) {
+            this.retentionConfig = result.data;
+        }
+    }
+
+    async handleQuestioningChange(key, value) {
+        const saved = await workflowDaddy.confusion.setQuestioningConfig({ [key]: value });
+        if (saved) {
+            this.questioningConfig = saved;
+            this.questionLimits = await workflowDaddy.confusion.getEffectiveLimits();
+        }
+    }
+
+    async pruneScreenshotsNow() {
+        if (this.isPruning) return;
+
+        this.isPruning = true;
+        this.pruneStatusMessage = '';
+
+        try {
+            const result = await workflowDaddy.retention.pruneNow();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const { downsampled, deleted, freedBytes, skipped } = result.data;
+            this.pruneStatusMessage = skipped
+                ? 'Storage is locked, nothing was pruned'
+                : `Downsampled ${downsampled}, deleted ${deleted}, freed ${this.formatBytes(freedBytes)}`;
+            await this.loadStorageReport();
+        } catch (error) {
+            console.error('Error pruning screenshots:', error);
+            this.pruneStatusMessage = `Error pruning screenshots: ${error.message}`;
+        } finally {
+            this.isPruning = false;
+        }
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
     async handleBackgroundTransparencyChange(e) {
         this.backgroundTransparency = parseFloat(e.target.value);
         await workflowDaddy.storage.updatePreference('backgroundTransparency', this.backgroundTransparency);
@@ -1121,6 +1354,136 @@ export class CustomizeView extends LitElement {
                         }
                     </div>
                 </div>
+
+                <div class="form-group">
+                    <label class="form-label">
+                        Clarifying Questions
+                        <span class="current-selection">${this.questioningConfig.mode === 'digest' ? 'Digest' : 'Ask right away'}</span>
+                    </label>
+                    <select
+                        class="form-control"
+                        .value=${this.questioningConfig.mode}
+                        @change=${e => this.handleQuestioningChange('mode', e.target.value)}
+                    >
+                        <option value="live" ?selected=${this.questioningConfig.mode === 'live'}>Ask right away</option>
+                        <option value="digest" ?selected=${this.questioningConfig.mode === 'digest'}>Collect for a digest</option>
+                    </select>
+                    ${this.questioningConfig.mode === 'digest'
+                        ? html`
+                              <input
+                                  type="time"
+                                  class="form-control"
+                                  style="margin-top: 8px;"
+                                  .value=${this.questioningConfig.digestTime}
+                                  @change=${e => this.handleQuestioningChange('digestTime', e.target.value)}
+                              />
+                          `
+                        : ''}
+                    <div class="form-description">
+                        ${this.questioningConfig.mode === 'digest'
+                            ? 'Questions never interrupt you. Review them at this time (leave empty for session end only) and when you end a session.'
+                            : 'Questions pop up while you work'
+                        }
+                    </div>
+                    ${this.questioningConfig.mode === 'live'
+                        ? html`
+                              <div class="checkbox-group" style="margin-top: 8px;">
+                                  <input
+                                      type="checkbox"
+                                      class="checkbox-input"
+                                      id="adaptive-rate"
+                                      .checked=${this.questioningConfig.adaptiveRate}
+                                      @change=${e => this.handleQuestioningChange('adaptiveRate', e.target.checked)}
+                                  />
+                                  <label class="checkbox-label" for="adaptive-rate">Adapt to how I respond</label>
+                              </div>
+                              ${this.questionLimits
+                                  ? html`
+                                        <div class="form-description">
+                                            Right now: up to ${this.questionLimits.maxQuestionsPerHour} an hour, at least
+                                            ${Math.round(this.questionLimits.minTimeBetweenQuestions / 60)} min apart${this.questionLimits.reasons.length > 0
+                                                ? ` (${this.questionLimits.reasons.join('; ')})`
+                                                : ''}
+                                        </div>
+                                    `
+                                  : ''}
+                          `
+                        : ''}
+                </div>
+
+                ${this.renderAppAliases()}
+
+                <div class="form-group">
+                    <label class="form-label">
+                        Browser Companion
+                        <span class="current-selection">
+                            ${this.browserBridgeStatus.connections.length > 0
+                                ? this.browserBridgeStatus.connections.map(c => c.browser).join(', ')
+                                : this.browserBridgeStatus.running ? 'Not connected' : 'Off'}
+                        </span>
+                    </label>
+                    <div class="form-description">
+                        Install the companion extension from the browser-extension folder to capture page URLs on Windows and Linux.
+                        ${this.browserBridgeStatus.running ? html`Listening on port ${this.browserBridgeStatus.port}.` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderAppAliases() {
+        const aliases = Object.entries(this.appRegistryConfig.aliases || {});
+        const categories = this.appRegistryConfig.categories || {};
+
+        return html`
+            <div class="form-group">
+                <label class="form-label">
+                    Application Aliases
+                    <span class="current-selection">${aliases.length}</span>
+                </label>
+                <div class="form-description" style="margin-bottom: 8px;">
+                    Map a process name, executable or bundle id to the application it belongs to, so it's counted as one system in
+                    documentation. Common apps are recognized already.
+                </div>
+                ${aliases.length > 0
+                    ? html`
+                          <table class="usage-table">
+                              <tbody>
+                                  ${aliases.map(
+                                      ([from, to]) => html`
+                                          <tr>
+                                              <td>${from} → ${to}${categories[to] ? ` (${categories[to]})` : ''}</td>
+                                              <td class="usage-size">
+                                                  <button class="reset-keybinds-button" @click=${() => this.removeAppAlias(from)}>Remove</button>
+                                              </td>
+                                          </tr>
+                                      `
+                                  )}
+                              </tbody>
+                          </table>
+                      `
+                    : ''}
+                <div class="alias-add-row">
+                    <input
+                        type="text"
+                        class="form-control"
+                        placeholder="Reported as (e.g. saplogon.exe)"
+                        .value=${this.newAliasFrom}
+                        @input=${e => (this.newAliasFrom = e.target.value)}
+                    />
+                    <input
+                        type="text"
+                        class="form-control"
+                        placeholder="Application (e.g. SAP GUI)"
+                        .value=${this.newAliasTo}
+                        @input=${e => (this.newAliasTo = e.target.value)}
+                    />
+                    <select class="form-control" .value=${this.newAliasCategory} @change=${e => (this.newAliasCategory = e.target.value)}>
+                        <option value="">Category</option>
+                        ${this.appCategories.map(category => html`<option value=${category}>${category}</option>`)}
+                    </select>
+                    <button class="reset-keybinds-button" @click=${this.addAppAlias}>Add</button>
+                </div>
             </div>
         `;
     }
@@ -1170,12 +1533,133 @@ export class CustomizeView extends LitElement {
         `;
     }
 
+    renderStorageUsage() {
+        const report = this.storageReport;
+        if (!report) {
+            return html`<div class="form-description" style="margin-bottom: 12px;">Calculating disk usage...</div>`;
+        }
+
+        const categoryLabels = {
+            screenshots: 'Screenshots',
+            thumbnails: 'Thumbnails',
+            textLayers: 'Screen text (OCR)',
+            sessionData: 'Session data',
+            profiles: 'Profiles and interviews',
+            recordings: 'Recordings',
+            searchIndex: 'Search index',
+            backups: 'Upgrade backups',
+            other: 'Settings and other',
+        };
+
+        return html`
+            <table class="usage-table">
+                <tbody>
+                    ${Object.entries(categoryLabels)
+                        .filter(([key]) => report.categories[key] > 0)
+                        .map(
+                            ([key, label]) => html`
+                                <tr>
+                                    <td>${label}</td>
+                                    <td class="usage-size">${this.formatBytes(report.categories[key])}</td>
+                                </tr>
+                            `
+                        )}
+                    <tr class="usage-total">
+                        <td>Total</td>
+                        <td class="usage-size">${this.formatBytes(report.totalBytes)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            ${report.profiles.length > 0 ? html`
+                <table class="usage-table">
+                    <tbody>
+                        ${report.profiles.map(
+                            profile => html`
+                                <tr>
+                                    <td>${profile.name}</td>
+                                    <td class="usage-size">${this.formatBytes(profile.bytes)}</td>
+                                </tr>
+                            `
+                        )}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    renderRetentionSettings() {
+        const config = this.retentionConfig;
+        if (!config) return '';
+
+        return html`
+            <div class="form-group">
+                <label class="form-label">
+                    Screenshot Retention
+                    <span class="current-selection">${config.enabled ? 'On' : 'Off'}</span>
+                </label>
+                <div class="form-description" style="margin-bottom: 12px;">
+                    Old screenshots are shrunk, then removed unless a task or question refers to them. Screen text and thumbnails are kept. Use 0 to turn a rule off.
+                </div>
+                <div class="checkbox-group">
+                    <input
+                        type="checkbox"
+                        class="checkbox-input"
+                        id="retention-enabled"
+                        .checked=${config.enabled}
+                        @change=${e => this.handleRetentionChange('enabled', e.target.checked)}
+                    />
+                    <label class="checkbox-label" for="retention-enabled">Prune in the background</label>
+                </div>
+                <div class="retention-row">
+                    <span>Keep full resolution for (days)</span>
+                    <input
+                        type="number"
+                        class="form-control"
+                        min="0"
+                        .value=${String(config.fullResolutionDays)}
+                        @change=${e => this.handleRetentionChange('fullResolutionDays', parseInt(e.target.value, 10))}
+                    />
+                </div>
+                <div class="retention-row">
+                    <span>Delete unreferenced screenshots after (days)</span>
+                    <input
+                        type="number"
+                        class="form-control"
+                        min="0"
+                        .value=${String(config.keepUnreferencedDays)}
+                        @change=${e => this.handleRetentionChange('keepUnreferencedDays', parseInt(e.target.value, 10))}
+                    />
+                </div>
+                <div class="retention-row">
+                    <span>Maximum storage per profile (GB)</span>
+                    <input
+                        type="number"
+                        class="form-control"
+                        min="0"
+                        step="0.5"
+                        .value=${String(config.maxProfileStorageMB / 1024)}
+                        @change=${e => this.handleRetentionChange('maxProfileStorageMB', Math.round(parseFloat(e.target.value) * 1024))}
+                    />
+                </div>
+            </div>
+        `;
+    }
+
     renderAdvancedSection() {
         return html`
             <div class="content-header" style="color: var(--error-color);">Advanced</div>
             <div class="form-grid">
+                ${this.renderRetentionSettings()}
+
                 <div class="form-group">
                     <label class="form-label" style="color: var(--error-color);">Data Management</label>
+                    ${this.renderStorageUsage()}
+                    <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+                        <button class="reset-keybinds-button" @click=${this.pruneScreenshotsNow} ?disabled=${this.isPruning}>
+                            ${this.isPruning ? 'Pruning...' : 'Prune Screenshots Now'}
+                        </button>
+                    </div>
+                    ${this.pruneStatusMessage ? html`<div class="form-description" style="margin-bottom: 12px;">${this.pruneStatusMessage}</div>` : ''}
                     <div class="form-description" style="margin-bottom: 12px;">
                         <strong>Warning:</strong> This action will permanently delete all local data including API keys, preferences, and session history. This cannot be undone.
                     </div>
@@ -1225,6 +1709,60 @@ export class CustomizeView extends LitElement {
                         Location where screenshots, session data, and documentation are stored.
                     </div>
                 </div>
+
+                <div class="form-group">
+                    <label class="form-label">
+                        Encryption at Rest
+                        <span class="current-selection">
+                            ${this.encryptionStatus.enabled
+                                ? this.encryptionStatus.keySource === 'keychain' ? 'On (OS keychain)' : 'On (passphrase)'
+                                : 'Off'}
+                        </span>
+                    </label>
+                    <div class="form-description" style="margin-bottom: 12px;">
+                        Encrypts credentials, sessions, transcripts and screenshots on disk.
+                        ${this.encryptionStatus.enabled
+                            ? 'Disabling decrypts everything back to plain files.'
+                            : this.encryptionStatus.keychainAvailable
+                              ? 'The key can be kept in the OS keychain, or derived from a passphrase you enter at every launch.'
+                              : 'No OS keychain is available, so a passphrase you enter at every launch is required.'}
+                    </div>
+                    ${!this.encryptionStatus.enabled || this.encryptionStatus.keySource === 'passphrase' ? html`
+                        <input
+                            type="password"
+                            class="form-control"
+                            placeholder=${this.encryptionStatus.enabled ? 'Current passphrase (if locked)' : 'Passphrase (8+ characters)'}
+                            .value=${this.encryptionPassphrase}
+                            @input=${e => { this.encryptionPassphrase = e.target.value; }}
+                            style="margin-bottom: 8px;"
+                        />
+                    ` : ''}
+                    <div style="display: flex; gap: 8px;">
+                        ${this.encryptionStatus.enabled ? html`
+                            <button class="reset-keybinds-button" @click=${() => this.toggleEncryption()} ?disabled=${this.isUpdatingEncryption}>
+                                Disable Encryption
+                            </button>
+                        ` : html`
+                            ${this.encryptionStatus.keychainAvailable ? html`
+                                <button class="reset-keybinds-button" @click=${() => this.toggleEncryption('keychain')} ?disabled=${this.isUpdatingEncryption}>
+                                    Encrypt with OS Keychain
+                                </button>
+                            ` : ''}
+                            <button
+                                class="reset-keybinds-button"
+                                @click=${() => this.toggleEncryption('passphrase')}
+                                ?disabled=${this.isUpdatingEncryption || this.encryptionPassphrase.length < 8}
+                            >
+                                Encrypt with Passphrase
+                            </button>
+                        `}
+                    </div>
+                    ${this.encryptionStatusMessage ? html`
+                        <div class="status-message ${this.encryptionStatusType === 'success' ? 'status-success' : 'status-error'}">
+                            ${this.encryptionStatusMessage}
+                        </div>
+                    ` : ''}
+                </div>
             </div>
         `;
     }
@@ -375,6 +375,7 @@ export class ObservationView extends LitElement {
         onResume: { type: Function },
         onExportComplete: { type: Function },
         onPreview: { type: Function },
+        onReviewQuestions: { type: Function },
         _elapsedDisplay: { state: true },
         _showConfirmDialog: { state: true },
         _showSuccessDialog: { state: true },
@@ -511,6 +512,13 @@ export class ObservationView extends LitElement {
                 const { ipcRenderer } = window.require('electron');
                 await ipcRenderer.invoke('session:end');
 
+                // Questions parked in digest mode are reviewed first, so their answers make it into the export
+                const digest = await ipcRenderer.invoke('confusion:get-digest', this.profileId);
+                if (digest.success && digest.data.length > 0) {
+                    this.onReviewQuestions();
+                    return;
+                }
+
                 // Export documentation
                 const result = await ipcRenderer.invoke('documentation:export', this.profileId);
 
@@ -0,0 +1,400 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+/**
+ * QuestionDigestView - Batched review of questions parked during observation
+ *
+ * Used in digest questioning mode, where confusion is still detected but nothing
+ * interrupts the user. Each question shows the frame and window that triggered it.
+ * Answers go into the same Q&A records as questions answered live.
+ */
+export class QuestionDigestView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            width: 100%;
+        }
+
+        .digest-container {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+        }
+
+        .digest-intro {
+            padding: 12px;
+            font-size: 11px;
+            color: var(--text-muted);
+            line-height: 1.4;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .question-list {
+            flex: 1;
+            overflow-y: auto;
+        }
+
+        .question-item {
+            padding: 12px;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .question-item.resolved {
+            opacity: 0.5;
+        }
+
+        .question-top {
+            display: flex;
+            gap: 10px;
+            margin-bottom: 8px;
+        }
+
+        .trigger-thumbnail {
+            width: 120px;
+            height: 75px;
+            object-fit: cover;
+            flex-shrink: 0;
+            border: 1px solid var(--border-color);
+            border-radius: 3px;
+            cursor: pointer;
+        }
+
+        .trigger-thumbnail.enlarged {
+            width: 100%;
+            height: auto;
+        }
+
+        .question-top.enlarged {
+            flex-direction: column;
+        }
+
+        .question-body {
+            flex: 1;
+            min-width: 0;
+        }
+
+        .trigger-meta {
+            font-size: 10px;
+            color: var(--text-muted);
+            font-family: 'SF Mono', Monaco, monospace;
+            margin-bottom: 4px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .context-text {
+            font-size: 11px;
+            color: var(--text-secondary);
+            line-height: 1.4;
+            margin-bottom: 4px;
+        }
+
+        .question-text {
+            font-size: 12px;
+            font-weight: 500;
+            color: var(--text-color);
+            line-height: 1.4;
+            user-select: text;
+            cursor: text;
+        }
+
+        .answer-input {
+            width: 100%;
+            box-sizing: border-box;
+            background: var(--input-background);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            padding: 8px 10px;
+            border-radius: 3px;
+            font-size: 12px;
+            resize: vertical;
+            font-family: inherit;
+            user-select: text;
+            cursor: text;
+            margin-bottom: 8px;
+        }
+
+        .answer-input:focus {
+            outline: none;
+            border-color: var(--text-muted);
+        }
+
+        .button-row {
+            display: flex;
+            gap: 8px;
+            justify-content: flex-end;
+        }
+
+        .action-button {
+            background: transparent;
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            padding: 6px 12px;
+            border-radius: 3px;
+            font-size: 11px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: background 0.1s ease;
+        }
+
+        .action-button:hover {
+            background: var(--hover-background);
+        }
+
+        .action-button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+        }
+
+        .action-button.primary {
+            background: var(--text-color);
+            color: var(--bg-primary);
+            border-color: var(--text-color);
+        }
+
+        .option-row {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 8px;
+        }
+
+        .resolved-answer {
+            font-size: 11px;
+            color: var(--text-secondary);
+            line-height: 1.4;
+        }
+
+        .status-bar {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 12px;
+            border-top: 1px solid var(--border-color);
+            font-size: 10px;
+            color: var(--text-muted);
+        }
+
+        .empty-state {
+            text-align: center;
+            color: var(--text-muted);
+            font-size: 12px;
+            margin-top: 32px;
+            padding: 0 12px;
+        }
+
+        .question-list::-webkit-scrollbar {
+            width: 8px;
+        }
+
+        .question-list::-webkit-scrollbar-track {
+            background: transparent;
+        }
+
+        .question-list::-webkit-scrollbar-thumb {
+            background: var(--scrollbar-thumb);
+            border-radius: 4px;
+        }
+    `;
+
+    static properties = {
+        profileId: { type: String },
+        exportOnDone: { type: Boolean },
+        onDone: { type: Function },
+        questions: { type: Array },
+        loading: { type: Boolean },
+        _answers: { state: true },
+        _resolved: { state: true },
+        _enlarged: { state: true },
+        _status: { state: true },
+        _busy: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.profileId = null;
+        this.exportOnDone = false;
+        this.onDone = () => {};
+        this.questions = [];
+        this.loading = true;
+        this._answers = {};
+        this._resolved = {}; // question ID -> 'answered' | 'dismissed'
+        this._enlarged = null;
+        this._status = '';
+        this._busy = false;
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        resizeLayout();
+        this.loadDigest();
+    }
+
+    async loadDigest() {
+        this.loading = true;
+        try {
+            this.questions = await workflowDaddy.confusion.getDigest(this.profileId);
+        } catch (error) {
+            console.error('Error loading question digest:', error);
+            this.questions = [];
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    handleAnswerInput(questionId, e) {
+        this._answers = { ...this._answers, [questionId]: e.target.value };
+    }
+
+    async submitAnswer(question, answer = (this._answers[question.id] || '').trim()) {
+        if (!answer) return;
+
+        const saved = await workflowDaddy.confusion.answerDigestQuestion(question.sessionId, question.id, answer);
+        if (saved) {
+            this._answers = { ...this._answers, [question.id]: answer };
+            this._resolved = { ...this._resolved, [question.id]: 'answered' };
+        }
+    }
+
+    async skipQuestion(question) {
+        const saved = await workflowDaddy.confusion.dismissDigestQuestion(question.sessionId, question.id);
+        if (saved) {
+            this._resolved = { ...this._resolved, [question.id]: 'dismissed' };
+        }
+    }
+
+    toggleThumbnail(questionId) {
+        this._enlarged = this._enlarged === questionId ? null : questionId;
+    }
+
+    async handleDone() {
+        if (!this.exportOnDone) {
+            this.onDone();
+            return;
+        }
+
+        // Export now that the answers are in the Q&A records
+        this._busy = true;
+        this._status = 'Exporting documentation...';
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('documentation:export', this.profileId);
+            if (result.success) {
+                this._status = `Documentation saved to ${result.path}`;
+                this.exportOnDone = false;
+            } else {
+                this._status = result.error || 'Export failed';
+            }
+        } catch (error) {
+            console.error('Error exporting after digest review:', error);
+            this._status = error.message;
+        } finally {
+            this._busy = false;
+        }
+    }
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+        return new Date(timestamp).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    }
+
+    renderQuestion(question) {
+        const resolved = this._resolved[question.id];
+        const trigger = question.trigger || {};
+        const where = [trigger.app, trigger.windowTitle].filter(Boolean).join(' - ');
+        const enlarged = this._enlarged === question.id;
+
+        return html`
+            <div class="question-item ${resolved ? 'resolved' : ''}">
+                <div class="question-top ${enlarged ? 'enlarged' : ''}">
+                    ${question.thumbnail
+                        ? html`<img
+                              class="trigger-thumbnail ${enlarged ? 'enlarged' : ''}"
+                              src=${question.thumbnail}
+                              title="What was on screen"
+                              @click=${() => this.toggleThumbnail(question.id)}
+                          />`
+                        : ''}
+                    <div class="question-body">
+                        <div class="trigger-meta">${this.formatTimestamp(question.timestamp)}${where ? ` • ${where}` : ''}</div>
+                        ${question.triggerContext ? html`<div class="context-text">I noticed: ${question.triggerContext}</div>` : ''}
+                        <div class="question-text">${question.question}</div>
+                    </div>
+                </div>
+                ${resolved
+                    ? html`<div class="resolved-answer">${resolved === 'answered' ? `Answered: ${this._answers[question.id]}` : 'Skipped'}</div>`
+                    : html`
+                          ${question.options?.length
+                              ? html`
+                                    <div class="option-row">
+                                        ${question.options.map(
+                                            option => html`
+                                                <button class="action-button" @click=${() => this.submitAnswer(question, option)}>${option}</button>
+                                            `
+                                        )}
+                                    </div>
+                                `
+                              : ''}
+                          <textarea
+                              class="answer-input"
+                              rows="2"
+                              placeholder=${question.options?.length ? 'Or write your own answer...' : 'Your answer...'}
+                              .value=${this._answers[question.id] || ''}
+                              @input=${e => this.handleAnswerInput(question.id, e)}
+                          ></textarea>
+                          <div class="button-row">
+                              <button class="action-button" @click=${() => this.skipQuestion(question)}>Skip</button>
+                              <button
+                                  class="action-button primary"
+                                  @click=${() => this.submitAnswer(question)}
+                                  ?disabled=${!(this._answers[question.id] || '').trim()}
+                              >
+                                  Submit
+                              </button>
+                          </div>
+                      `}
+            </div>
+        `;
+    }
+
+    render() {
+        const remaining = this.questions.filter(q => !this._resolved[q.id]).length;
+
+        return html`
+            <div class="digest-container">
+                <div class="digest-intro">
+                    Questions that came up while you worked. Answers are added to your documentation like any other answer;
+                    skipped questions won't be asked again.
+                </div>
+                ${this.loading
+                    ? html`<div class="empty-state">Loading questions...</div>`
+                    : this.questions.length === 0
+                      ? html`<div class="empty-state">No questions waiting for review</div>`
+                      : html`<div class="question-list">${this.questions.map(q => this.renderQuestion(q))}</div>`}
+                <div class="status-bar">
+                    <span>${this._status || (remaining > 0 ? `${remaining} left - unanswered ones stay for the next review` : 'All reviewed')}</span>
+                    <button class="action-button primary" @click=${this.handleDone} ?disabled=${this._busy}>
+                        ${this.exportOnDone ? 'Done & Export' : 'Done'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+customElements.define('question-digest-view', QuestionDigestView);
@@ -0,0 +1,725 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+const TYPE_FILTERS = [
+    { id: 'all', label: 'All', types: [] },
+    { id: 'screens', label: 'Screens', types: ['screenshot', 'window'] },
+    { id: 'tasks', label: 'Tasks', types: ['task'] },
+    { id: 'qa', label: 'Q&A', types: ['question'] },
+    { id: 'summaries', label: 'Summaries', types: ['summary'] },
+    { id: 'interviews', label: 'Interviews', types: ['interview'] },
+];
+
+const TYPE_LABELS = {
+    screenshot: 'Screen',
+    window: 'Window',
+    task: 'Task',
+    question: 'Q&A',
+    summary: 'Summary',
+    interview: 'Interview',
+};
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+export class SearchView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            width: 100%;
+        }
+
+        .search-container {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+        }
+
+        .search-bar {
+            padding: 12px 12px 0 12px;
+        }
+
+        .search-input {
+            width: 100%;
+            box-sizing: border-box;
+            background: var(--bg-secondary);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            padding: 8px 10px;
+            border-radius: 3px;
+            font-size: 12px;
+            user-select: text;
+            cursor: text;
+        }
+
+        .search-input:focus {
+            outline: none;
+            border-color: var(--text-muted);
+        }
+
+        .view-tabs {
+            display: flex;
+            gap: 0;
+            border-bottom: 1px solid var(--border-color);
+            padding: 0 4px;
+        }
+
+        .view-tab {
+            background: transparent;
+            color: var(--text-muted);
+            border: none;
+            padding: 8px 8px;
+            font-size: 11px;
+            font-weight: 500;
+            cursor: pointer;
+            border-bottom: 2px solid transparent;
+            margin-bottom: -1px;
+            transition: color 0.1s ease;
+        }
+
+        .view-tab:hover {
+            color: var(--text-color);
+        }
+
+        .view-tab.active {
+            color: var(--text-color);
+            border-bottom-color: var(--text-color);
+        }
+
+        .results-list,
+        .detail-view {
+            flex: 1;
+            overflow-y: auto;
+        }
+
+        .result-item {
+            display: flex;
+            gap: 10px;
+            padding: 10px 12px;
+            border-bottom: 1px solid var(--border-color);
+            cursor: pointer;
+            transition: background 0.1s ease;
+        }
+
+        .result-item:hover {
+            background: var(--hover-background);
+        }
+
+        .result-body {
+            flex: 1;
+            min-width: 0;
+        }
+
+        .result-thumbnail {
+            width: 96px;
+            height: 60px;
+            object-fit: cover;
+            flex-shrink: 0;
+            border: 1px solid var(--border-color);
+            border-radius: 3px;
+        }
+
+        .result-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 4px;
+        }
+
+        .result-title {
+            font-size: 12px;
+            font-weight: 500;
+            color: var(--text-color);
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .result-type {
+            font-size: 10px;
+            color: var(--text-muted);
+            border: 1px solid var(--border-color);
+            border-radius: 3px;
+            padding: 1px 4px;
+            margin-right: 6px;
+        }
+
+        .result-time {
+            font-size: 11px;
+            color: var(--text-muted);
+            font-family: 'SF Mono', Monaco, monospace;
+            flex-shrink: 0;
+        }
+
+        .result-snippet {
+            font-size: 11px;
+            color: var(--text-secondary);
+            line-height: 1.4;
+            word-break: break-word;
+        }
+
+        .result-profile {
+            font-size: 10px;
+            color: var(--text-muted);
+            margin-top: 4px;
+        }
+
+        mark {
+            background: rgba(234, 179, 8, 0.3);
+            color: inherit;
+            border-radius: 2px;
+        }
+
+        .back-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 12px;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .back-button,
+        .action-button {
+            background: transparent;
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            padding: 6px 12px;
+            border-radius: 3px;
+            font-size: 11px;
+            font-weight: 500;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            transition: background 0.1s ease;
+        }
+
+        .back-button:hover,
+        .action-button:hover {
+            background: var(--hover-background);
+        }
+
+        .detail-section {
+            padding: 12px;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .section-title {
+            font-size: 11px;
+            font-weight: 600;
+            color: var(--text-secondary);
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            margin-bottom: 8px;
+        }
+
+        .detail-row {
+            display: flex;
+            gap: 8px;
+            font-size: 11px;
+            margin-bottom: 4px;
+        }
+
+        .detail-label {
+            color: var(--text-muted);
+            min-width: 80px;
+        }
+
+        .detail-value {
+            color: var(--text-color);
+            word-break: break-word;
+            user-select: text;
+            cursor: text;
+        }
+
+        .detail-text {
+            font-size: 12px;
+            line-height: 1.4;
+            color: var(--text-color);
+            white-space: pre-wrap;
+            word-wrap: break-word;
+            user-select: text;
+            cursor: text;
+        }
+
+        .screenshot-image {
+            width: 100%;
+            border: 1px solid var(--border-color);
+            border-radius: 3px;
+        }
+
+        .form-note {
+            font-size: 10px;
+            color: var(--text-muted);
+            margin: 4px 0 8px 0;
+        }
+
+        .task-item {
+            padding: 8px 10px;
+            margin-bottom: 6px;
+            border-left: 2px solid var(--border-color);
+            background: var(--bg-secondary);
+            font-size: 12px;
+        }
+
+        .task-item.highlighted {
+            border-left-color: #eab308;
+        }
+
+        .task-meta {
+            font-size: 10px;
+            color: var(--text-muted);
+            margin-top: 2px;
+            font-family: 'SF Mono', Monaco, monospace;
+        }
+
+        .qa-item {
+            margin-bottom: 8px;
+            font-size: 12px;
+            line-height: 1.4;
+            user-select: text;
+            cursor: text;
+        }
+
+        .qa-question {
+            color: var(--text-secondary);
+        }
+
+        .status-bar {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 6px 12px;
+            border-top: 1px solid var(--border-color);
+            font-size: 10px;
+            color: var(--text-muted);
+        }
+
+        .link-button {
+            background: transparent;
+            border: none;
+            color: var(--text-muted);
+            font-size: 10px;
+            cursor: pointer;
+            text-decoration: underline;
+            padding: 0;
+        }
+
+        .link-button:hover {
+            color: var(--text-color);
+        }
+
+        .empty-state {
+            text-align: center;
+            color: var(--text-muted);
+            font-size: 12px;
+            margin-top: 32px;
+            padding: 0 12px;
+        }
+
+        .results-list::-webkit-scrollbar,
+        .detail-view::-webkit-scrollbar {
+            width: 8px;
+        }
+
+        .results-list::-webkit-scrollbar-track,
+        .detail-view::-webkit-scrollbar-track {
+            background: transparent;
+        }
+
+        .results-list::-webkit-scrollbar-thumb,
+        .detail-view::-webkit-scrollbar-thumb {
+            background: var(--scrollbar-thumb);
+            border-radius: 4px;
+        }
+    `;
+
+    static properties = {
+        query: { type: String },
+        activeFilter: { type: String },
+        results: { type: Array },
+        searching: { type: Boolean },
+        detail: { type: Object },
+        indexStatus: { type: Object },
+        onPreview: { type: Function },
+    };
+
+    constructor() {
+        super();
+        this.query = '';
+        this.activeFilter = 'all';
+        this.results = [];
+        this.searching = false;
+        this.detail = null;
+        this.indexStatus = null;
+        this.onPreview = () => {};
+        this._searchTimeout = null;
+        this._searchSeq = 0;
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        resizeLayout();
+        this.loadStatus();
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        clearTimeout(this._searchTimeout);
+    }
+
+    async loadStatus() {
+        this.indexStatus = await workflowDaddy.search.getStatus();
+    }
+
+    handleQueryInput(e) {
+        this.query = e.target.value;
+        clearTimeout(this._searchTimeout);
+        this._searchTimeout = setTimeout(() => this.runSearch(), SEARCH_DEBOUNCE_MS);
+    }
+
+    handleFilterClick(filterId) {
+        this.activeFilter = filterId;
+        this.runSearch();
+    }
+
+    async runSearch() {
+        const query = this.query.trim();
+        if (!query) {
+            this.results = [];
+            return;
+        }
+
+        // Drop responses to queries the user has already typed past
+        const seq = ++this._searchSeq;
+        this.searching = true;
+        try {
+            const filter = TYPE_FILTERS.find(f => f.id === this.activeFilter);
+            const results = await workflowDaddy.search.query(query, { types: filter.types });
+            if (seq === this._searchSeq) {
+                this.results = results;
+            }
+        } catch (error) {
+            console.error('Error searching:', error);
+        } finally {
+            if (seq === this._searchSeq) {
+                this.searching = false;
+            }
+        }
+    }
+
+    async handleRebuild() {
+        this.indexStatus = { ...this.indexStatus, rebuilding: true };
+        await workflowDaddy.search.rebuild();
+        await this.loadStatus();
+        this.runSearch();
+    }
+
+    async openTarget(target) {
+        try {
+            const detail = await workflowDaddy.search.open(target);
+            if (detail) {
+                this.detail = detail;
+            }
+        } catch (error) {
+            console.error('Error opening search result:', error);
+        }
+    }
+
+    handleBackClick() {
+        this.detail = null;
+    }
+
+    updated(changedProperties) {
+        super.updated(changedProperties);
+
+        // Bring the matched task into view once the session is rendered
+        if (changedProperties.has('detail') && this.detail?.target.taskId) {
+            this.shadowRoot.querySelector('.task-item.highlighted')?.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.round((seconds || 0) / 60);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    highlight(text, terms) {
+        if (!text || !terms || terms.length === 0) return text;
+
+        const escaped = [...new Set(terms)].sort((a, b) => b.length - a.length).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+        return text.split(pattern).map((part, i) => (i % 2 === 1 ? html`<mark>${part}</mark>` : part));
+    }
+
+    renderResults() {
+        if (!this.query.trim()) {
+            return html`
+                <div class="empty-state">
+                    Search window titles, URLs, screen text, tasks, answers, interviews and session summaries across all profiles
+                </div>
+            `;
+        }
+
+        if (this.results.length === 0) {
+            return html`<div class="empty-state">${this.searching ? 'Searching...' : 'No matches'}</div>`;
+        }
+
+        return html`
+            <div class="results-list">
+                ${this.results.map(
+                    result => html`
+                        <div class="result-item" @click=${() => this.openTarget(result.target)}>
+                            ${result.thumbnail ? html`<img class="result-thumbnail" src=${result.thumbnail} />` : ''}
+                            <div class="result-body">
+                                <div class="result-header">
+                                    <div class="result-title">
+                                        <span class="result-type">${TYPE_LABELS[result.type] || result.type}</span>${this.highlight(
+                                            result.title,
+                                            result.matchedTerms
+                                        )}
+                                    </div>
+                                    <div class="result-time">${this.formatTimestamp(result.timestamp)}</div>
+                                </div>
+                                ${result.snippet ? html`<div class="result-snippet">${this.highlight(result.snippet, result.matchedTerms)}</div>` : ''}
+                                ${result.profileName ? html`<div class="result-profile">${result.profileName}</div>` : ''}
+                            </div>
+                        </div>
+                    `
+                )}
+            </div>
+        `;
+    }
+
+    renderScreenshotDetail() {
+        const { screenshot, imageDataUrl } = this.detail;
+        if (!screenshot) {
+            return html`<div class="empty-state">This screenshot is no longer stored</div>`;
+        }
+
+        return html`
+            <div class="detail-section">
+                <div class="section-title">Screenshot</div>
+                ${imageDataUrl ? html`<img class="screenshot-image" src=${imageDataUrl} />` : ''}
+                ${screenshot.imageState === 'deleted' ? html`<div class="form-note">Full image removed by the retention policy</div>` : ''}
+                <div class="detail-row">
+                    <span class="detail-label">Captured</span>
+                    <span class="detail-value">${this.formatTimestamp(screenshot.timestamp)}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Application</span>
+                    <span class="detail-value">${screenshot.activeApplication}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Window</span>
+                    <span class="detail-value">${screenshot.windowTitle}</span>
+                </div>
+                ${screenshot.url ? html`
+                    <div class="detail-row">
+                        <span class="detail-label">URL</span>
+                        <span class="detail-value">${screenshot.url}</span>
+                    </div>
+                ` : ''}
+            </div>
+            ${screenshot.ocrText ? html`
+                <div class="detail-section">
+                    <div class="section-title">Screen text</div>
+                    <div class="detail-text">${screenshot.ocrText}</div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderSessionDetail() {
+        const { session, summary, tasks, questions, target } = this.detail;
+
+        return html`
+            <div class="detail-section">
+                <div class="section-title">Session</div>
+                ${session ? html`
+                    <div class="detail-row">
+                        <span class="detail-label">Started</span>
+                        <span class="detail-value">${this.formatTimestamp(session.startTime)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Active time</span>
+                        <span class="detail-value">${this.formatDuration(session.totalActiveTime)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Status</span>
+                        <span class="detail-value">${session.status}</span>
+                    </div>
+                ` : html`<div class="detail-text">Session details are no longer stored</div>`}
+            </div>
+            ${summary ? html`
+                <div class="detail-section">
+                    <div class="section-title">Summary</div>
+                    <div class="detail-text">${summary.brief}</div>
+                </div>
+            ` : ''}
+            <div class="detail-section">
+                <div class="section-title">Tasks (${tasks.length})</div>
+                ${tasks.length === 0 ? html`<div class="detail-text">No tasks detected</div>` : ''}
+                ${tasks.map(
+                    task => html`
+                        <div class="task-item ${task.id === target.taskId ? 'highlighted' : ''}">
+                            <div>${task.name}</div>
+                            <div class="task-meta">
+                                ${this.formatTimestamp(task.startTime)} • ${this.formatDuration(task.duration)} • ${task.status}
+                            </div>
+                            ${task.userExplanation ? html`<div class="detail-text">${task.userExplanation}</div>` : ''}
+                        </div>
+                    `
+                )}
+            </div>
+            ${questions.length > 0 ? html`
+                <div class="detail-section">
+                    <div class="section-title">Answered questions</div>
+                    ${questions.map(
+                        q => html`
+                            <div class="qa-item">
+                                <div class="qa-question">${q.question}</div>
+                                <div>${q.answer}</div>
+                            </div>
+                        `
+                    )}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderProfileDetail() {
+        const { profile, interviewSummary } = this.detail;
+
+        return html`
+            <div class="detail-section">
+                <div class="section-title">Interview</div>
+                <div class="detail-row">
+                    <span class="detail-label">Profile</span>
+                    <span class="detail-value">${profile?.name || this.detail.target.profileId}</span>
+                </div>
+                ${interviewSummary?.role ? html`
+                    <div class="detail-row">
+                        <span class="detail-label">Role</span>
+                        <span class="detail-value">${interviewSummary.role}</span>
+                    </div>
+                ` : ''}
+                ${interviewSummary?.systemsUsed?.length ? html`
+                    <div class="detail-row">
+                        <span class="detail-label">Systems</span>
+                        <span class="detail-value">${interviewSummary.systemsUsed.join(', ')}</span>
+                    </div>
+                ` : ''}
+                ${interviewSummary?.typicalDay ? html`<div class="detail-text">${interviewSummary.typicalDay}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderDetail() {
+        const { target } = this.detail;
+
+        return html`
+            <div class="back-header">
+                <button class="back-button" @click=${this.handleBackClick}>
+                    <svg
+                        width="16px"
+                        height="16px"
+                        stroke-width="1.7"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        xmlns="http://www.w3.org/2000/svg"
+                        color="currentColor"
+                    >
+                        <path d="M15 6L9 12L15 18" stroke="currentColor" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round"></path>
+                    </svg>
+                    Back to Results
+                </button>
+                ${target.type === 'screenshot'
+                    ? html`
+                          <button class="action-button" @click=${() => this.openTarget({ ...target, type: 'session', screenshotId: undefined })}>
+                              Open Session
+                          </button>
+                      `
+                    : ''}
+                ${target.type === 'profile' && target.profileId
+                    ? html` <button class="action-button" @click=${() => this.onPreview(target.profileId)}>Preview Docs</button> `
+                    : ''}
+            </div>
+            <div class="detail-view">
+                ${target.type === 'screenshot'
+                    ? this.renderScreenshotDetail()
+                    : target.type === 'profile'
+                      ? this.renderProfileDetail()
+                      : this.renderSessionDetail()}
+            </div>
+        `;
+    }
+
+    renderStatusBar() {
+        const status = this.indexStatus;
+        if (!status) return '';
+
+        return html`
+            <div class="status-bar">
+                <span>${status.rebuilding ? 'Indexing...' : status.ready ? `${status.docCount} records indexed` : 'Index unavailable'}</span>
+                <button class="link-button" @click=${this.handleRebuild} ?disabled=${status.rebuilding || !status.ready}>Rebuild index</button>
+            </div>
+        `;
+    }
+
+    render() {
+        if (this.detail) {
+            return html`<div class="search-container">${this.renderDetail()}</div>`;
+        }
+
+        return html`
+            <div class="search-container">
+                <div class="search-bar">
+                    <input
+                        class="search-input"
+                        type="text"
+                        placeholder="Search everything observed..."
+                        .value=${this.query}
+                        @input=${this.handleQueryInput}
+                        autofocus
+                    />
+                </div>
+                <div class="view-tabs">
+                    ${TYPE_FILTERS.map(
+                        filter => html`
+                            <button
+                                class="view-tab ${this.activeFilter === filter.id ? 'active' : ''}"
+                                @click=${() => this.handleFilterClick(filter.id)}
+                            >
+                                ${filter.label}
+                            </button>
+                        `
+                    )}
+                </div>
+                ${this.renderResults()}
+                ${this.renderStatusBar()}
+            </div>
+        `;
+    }
+}
+
+customElements.define('search-view', SearchView);
@@ -0,0 +1,172 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+
+export class UnlockView extends LitElement {
+    static properties = {
+        onUnlock: { type: Function },
+        passphrase: { type: String },
+        errorMessage: { type: String },
+        isUnlocking: { type: Boolean },
+    };
+
+    constructor() {
+        super();
+        this.onUnlock = () => {};
+        this.passphrase = '';
+        this.errorMessage = '';
+        this.isUnlocking = false;
+    }
+
+    async handleUnlock() {
+        if (this.isUnlocking || !this.passphrase) return;
+
+        this.isUnlocking = true;
+        this.errorMessage = '';
+
+        try {
+            const result = await workflowDaddy.storage.unlock(this.passphrase);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.passphrase = '';
+            this.onUnlock();
+        } catch (error) {
+            this.errorMessage = error.message;
+        } finally {
+            this.isUnlocking = false;
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.handleUnlock();
+        }
+    }
+
+    render() {
+        return html`
+            <div class="container">
+                <div class="icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                        <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                    </svg>
+                </div>
+
+                <h1>Data is locked</h1>
+
+                <p class="note">Your sessions and settings are encrypted. Enter your passphrase to continue.</p>
+
+                <input
+                    type="password"
+                    class="passphrase-input"
+                    placeholder="Passphrase"
+                    .value=${this.passphrase}
+                    @input=${e => { this.passphrase = e.target.value; }}
+                    @keydown=${this.handleKeydown}
+                    ?disabled=${this.isUnlocking}
+                    autofocus
+                />
+
+                ${this.errorMessage ? html`<div class="error-message">${this.errorMessage}</div>` : ''}
+
+                <button class="unlock-button" @click=${this.handleUnlock} ?disabled=${this.isUnlocking || !this.passphrase}>
+                    ${this.isUnlocking ? 'Unlocking...' : 'Unlock'}
+                </button>
+            </div>
+        `;
+    }
+
+    static styles = css`
+        :host {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            height: 100%;
+            width: 100%;
+            background: var(--bg-primary);
+        }
+
+        .container {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            text-align: center;
+            padding: 40px;
+            max-width: 400px;
+            width: 100%;
+        }
+
+        .icon {
+            width: 64px;
+            height: 64px;
+            margin-bottom: 24px;
+            color: var(--btn-primary-bg);
+        }
+
+        .icon svg {
+            width: 100%;
+            height: 100%;
+        }
+
+        h1 {
+            font-size: 24px;
+            font-weight: 600;
+            color: var(--text-color);
+            margin: 0 0 16px 0;
+        }
+
+        .note {
+            font-size: 12px;
+            color: var(--text-muted);
+            margin: 0 0 24px 0;
+            line-height: 1.5;
+        }
+
+        .passphrase-input {
+            width: 100%;
+            box-sizing: border-box;
+            background: var(--bg-secondary);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            padding: 10px 12px;
+            border-radius: 8px;
+            font-size: 14px;
+            margin-bottom: 16px;
+        }
+
+        .passphrase-input:focus {
+            outline: none;
+            border-color: var(--btn-primary-bg);
+        }
+
+        .error-message {
+            font-size: 12px;
+            color: #ef4444;
+            margin: -8px 0 16px 0;
+        }
+
+        .unlock-button {
+            background: var(--btn-primary-bg);
+            color: var(--btn-primary-text);
+            border: none;
+            padding: 14px 32px;
+            border-radius: 8px;
+            font-size: 15px;
+            font-weight: 600;
+            cursor: pointer;
+            transition: background 0.2s ease;
+        }
+
+        .unlock-button:hover:not(:disabled) {
+            background: var(--btn-primary-hover);
+        }
+
+        .unlock-button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+        }
+    `;
+}
+
+customElements.define('unlock-view', UnlockView);
@@ -8,12 +8,21 @@ const { setupGeminiIpcHandlers, sendToRenderer } = require('./utils/gemini');
 const { createTray, updateTrayMenu, destroyTray } = require('./utils/tray');
 const storage = require('./storage');
 const capture = require('./utils/capture');
+const browserBridge = require('./utils/browserBridge');
 const interview = require('./utils/interview');
 const context = require('./utils/context');
 const confusion = require('./utils/confusion');
 const taskDetection = require('./utils/taskDetection');
 const session = require('./utils/session');
 const documentation = require('./utils/documentation');
+const llm = require('./utils/llm');
+const replay = require('./utils/replay');
+const redaction = require('./utils/redaction');
+const ocr = require('./utils/ocr');
+const presence = require('./utils/presence');
+const search = require('./utils/search');
+const retention = require('./utils/retention');
+const appRegistry = require('./utils/apps');
 
 const geminiSessionRef = { current: null };
 let mainWindow = null;
@@ -24,9 +33,28 @@ function createMainWindow() {
 }
 
 app.whenReady().then(async () => {
-    // Initialize storage (checks version, resets if needed)
+    // Initialize storage (migrates older config dirs, snapshotting first)
     storage.initializeStorage();
 
+    // Load the search index (locked storage loads it on unlock)
+    if (!storage.getEncryptionStatus().locked) {
+        search.initSearchIndex();
+    }
+
+    // Prune old screenshots in the background (skips passes while storage is locked)
+    retention.startRetention();
+
+    // Watch OS idle, lock and sleep state (needs app ready)
+    presence.startPresenceMonitor({ idleThreshold: session.getConfig().idleThreshold });
+
+    const schemaStatus = storage.getSchemaStatus();
+    if (schemaStatus.error && Notification.isSupported()) {
+        new Notification({
+            title: 'Workflow Daddy',
+            body: `Data upgrade failed and was rolled back. A backup is at ${schemaStatus.backupPath}`
+        }).show();
+    }
+
     createMainWindow();
     createTray(mainWindow);
     setupGeminiIpcHandlers(geminiSessionRef);
@@ -38,6 +66,12 @@ app.whenReady().then(async () => {
     setupTaskDetectionIpcHandlers();
     setupSessionIpcHandlers();
     setupDocumentationIpcHandlers();
+    setupLlmIpcHandlers();
+    setupRedactionIpcHandlers();
+    setupReplayIpcHandlers();
+    setupSearchIpcHandlers();
+    setupRetentionIpcHandlers();
+    setupAppRegistryIpcHandlers();
     setupGeneralIpcHandlers();
     setupTraySessionEvents();
 });
@@ -52,6 +86,24 @@ app.on('before-quit', () => {
     // Stop capture service if running
     capture.stopCapture();
 
+    // Finalize any in-progress recording
+    replay.stopRecording();
+
+    // Close browser companion connections
+    browserBridge.stopBridge();
+
+    // Stop the OCR worker
+    ocr.terminateOcr();
+
+    // Stop presence monitoring
+    presence.stopPresenceMonitor();
+
+    // Stop the screenshot pruner
+    retention.stopRetention();
+
+    // Write pending search index changes
+    search.flushSearchIndex();
+
     // Destroy tray
     destroyTray();
 
@@ -251,9 +303,90 @@ function setupStorageIpcHandlers() {
             return { success: false, error: error.message };
         }
     });
+
+    // ============ ENCRYPTION AT REST ============
+    ipcMain.handle('storage:get-encryption-status', async () => {
+        try {
+            return { success: true, data: storage.getEncryptionStatus() };
+        } catch (error) {
+            console.error('Error getting encryption status:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('storage:get-schema-status', async () => {
+        try {
+            return { success: true, data: storage.getSchemaStatus() };
+        } catch (error) {
+            console.error('Error getting schema status:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('storage:enable-encryption', async (event, options) => {
+        try {
+            return { success: true, data: storage.enableEncryption(options) };
+        } catch (error) {
+            console.error('Error enabling encryption:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('storage:disable-encryption', async (event, passphrase) => {
+        try {
+            return { success: true, data: storage.disableEncryption(passphrase) };
+        } catch (error) {
+            console.error('Error disabling encryption:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('storage:unlock', async (event, passphrase) => {
+        try {
+            const status = storage.unlockStorage(passphrase);
+            search.initSearchIndex();
+            return { success: true, data: status };
+        } catch (error) {
+            console.error('Error unlocking storage:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('storage:lock', async () => {
+        try {
+            search.unloadSearchIndex();
+            return { success: true, data: storage.lockStorage() };
+        } catch (error) {
+            console.error('Error locking storage:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+/**
+ * Start or stop the browser companion bridge to match the capture config
+ * @param {Object} config - Capture config
+ */
+async function syncBrowserBridge(config) {
+    const status = browserBridge.getBridgeStatus();
+    const shouldRun = config.trackUrls && config.browserBridgeEnabled;
+
+    if (status.running && (!shouldRun || status.port !== config.browserBridgePort)) {
+        browserBridge.stopBridge();
+    }
+
+    if (shouldRun && !browserBridge.getBridgeStatus().running) {
+        try {
+            await browserBridge.startBridge(config.browserBridgePort);
+        } catch (error) {
+            // Port in use - URL capture falls back to platform lookups
+        }
+    }
 }
 
 function setupCaptureIpcHandlers() {
+    syncBrowserBridge(storage.getCaptureConfig());
+
     // ============ CAPTURE CONFIG ============
     ipcMain.handle('capture:get-config', async () => {
         try {
@@ -268,6 +401,7 @@ function setupCaptureIpcHandlers() {
         try {
             storage.setCaptureConfig(config);
             capture.updateCaptureConfig(config);
+            await syncBrowserBridge(storage.getCaptureConfig());
             return { success: true };
         } catch (error) {
             console.error('Error setting capture config:', error);
@@ -279,6 +413,7 @@ function setupCaptureIpcHandlers() {
         try {
             storage.updateCaptureConfig(key, value);
             capture.updateCaptureConfig({ [key]: value });
+            await syncBrowserBridge(storage.getCaptureConfig());
             return { success: true };
         } catch (error) {
             console.error('Error updating capture config:', error);
@@ -328,6 +463,15 @@ function setupCaptureIpcHandlers() {
         }
     });
 
+    ipcMain.handle('capture:get-browser-bridge-status', async () => {
+        try {
+            return { success: true, data: browserBridge.getBridgeStatus() };
+        } catch (error) {
+            console.error('Error getting browser bridge status:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
     // ============ SCREENSHOT METADATA ============
     ipcMain.handle('capture:save-screenshot-metadata', async (event, sessionId, metadata) => {
         try {
@@ -376,6 +520,33 @@ function setupCaptureIpcHandlers() {
         }
     });
 
+    // Persist metadata (with the OCR text layer reference) for every frame written to disk
+    capture.captureEvents.on('screenshot:captured', (metadata) => {
+        if (!metadata.imagePath) return;
+        try {
+            storage.saveScreenshotMetadata(metadata.sessionId, metadata);
+        } catch (error) {
+            console.error('Error saving screenshot metadata:', error);
+        }
+    });
+
+    // Keep a record of every redaction so documentation can note the gaps
+    capture.captureEvents.on('screenshot:captured', (metadata) => {
+        if (!metadata.redactions || metadata.redactions.length === 0) return;
+        try {
+            storage.saveRedactionRecord(metadata.sessionId, {
+                screenshotId: metadata.id,
+                timestamp: metadata.timestamp,
+                app: metadata.activeApplication,
+                // Only time the blocked window itself was on screen; after a switch the elapsed time was the previous app's
+                duration: metadata.elapsedApp === metadata.activeApplication ? metadata.elapsedSinceLast || 0 : 0,
+                redactions: metadata.redactions
+            });
+        } catch (error) {
+            console.error('Error saving redaction record:', error);
+        }
+    });
+
     capture.captureEvents.on('app:switched', (data) => {
         if (mainWindow && !mainWindow.isDestroyed()) {
             mainWindow.webContents.send('capture:app-switched', data);
@@ -400,6 +571,38 @@ function setupCaptureIpcHandlers() {
             mainWindow.webContents.send('capture:stopped', data);
         }
     });
+
+    capture.captureEvents.on('capture:budget-exhausted', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('capture:budget-exhausted', data);
+        }
+    });
+
+    // ============ PRESENCE ============
+    // No captures while the user is idle, locked or asleep
+    presence.presenceEvents.on('presence:away', (away) => {
+        capture.suspendForAway(away);
+    });
+
+    presence.presenceEvents.on('presence:back', () => {
+        capture.resumeFromAway();
+    });
+
+    capture.captureEvents.on('capture:away', (data) => {
+        // Save the app record closed at the moment the user left
+        if (data.appRecord && data.sessionId) {
+            storage.saveAppUsageRecord(data.sessionId, data.appRecord);
+        }
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('capture:away', { sessionId: data.sessionId, reason: data.reason, since: data.since });
+        }
+    });
+
+    capture.captureEvents.on('capture:back', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('capture:back', data);
+        }
+    });
 }
 
 function setupInterviewIpcHandlers() {
@@ -737,6 +940,15 @@ function setupContextIpcHandlers() {
         }
     });
 
+    ipcMain.handle('context:get-budget-report', async () => {
+        try {
+            return { success: true, data: context.getLastBudgetReport() };
+        } catch (error) {
+            console.error('Error getting context budget report:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
     // ============ SESSION SUMMARIES STORAGE ============
     ipcMain.handle('context:get-session-summaries', async (event, profileId, limit) => {
         try {
@@ -779,8 +991,8 @@ function setupContextIpcHandlers() {
                 const captureState = capture.getCaptureState();
                 context.updateSessionContext({
                     type: 'screenshot',
-                    app: metadata.activeApplication,
-                    interval: captureState.config.screenshotInterval / 1000
+                    app: metadata.elapsedApp || metadata.activeApplication,
+                    interval: metadata.elapsedSinceLast ?? captureState.config.screenshotInterval / 1000
                 });
             }
         } catch (error) {
@@ -820,6 +1032,7 @@ function setupConfusionIpcHandlers() {
 
     ipcMain.handle('confusion:clear', async () => {
         try {
+            confusion.closeOpenFollowUps();
             confusion.clearConfusionState();
             return { success: true };
         } catch (error) {
@@ -871,7 +1084,7 @@ function setupConfusionIpcHandlers() {
     // ============ QUESTION MANAGEMENT ============
     ipcMain.handle('confusion:answer-question', async (event, questionId, answer) => {
         try {
-            const question = confusion.answerQuestion(questionId, answer);
+            const question = await confusion.answerQuestion(questionId, answer);
             return { success: true, data: question };
         } catch (error) {
             console.error('Error answering question:', error);
@@ -944,6 +1157,73 @@ function setupConfusionIpcHandlers() {
         }
     });
 
+    // ============ QUESTION DIGEST ============
+    ipcMain.handle('confusion:get-digest', async (event, profileId) => {
+        try {
+            return { success: true, data: confusion.getQuestionDigest(profileId) };
+        } catch (error) {
+            console.error('Error getting question digest:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('confusion:answer-digest-question', async (event, sessionId, questionId, answer) => {
+        try {
+            const question = confusion.answerDigestQuestion(sessionId, questionId, answer);
+            return { success: true, data: question };
+        } catch (error) {
+            console.error('Error answering digest question:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('confusion:dismiss-digest-question', async (event, sessionId, questionId) => {
+        try {
+            const question = confusion.dismissDigestQuestion(sessionId, questionId);
+            return { success: true, data: question };
+        } catch (error) {
+            console.error('Error dismissing digest question:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('confusion:get-questioning-config', async () => {
+        try {
+            return { success: true, data: storage.getQuestioningConfig() };
+        } catch (error) {
+            console.error('Error getting questioning config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('confusion:set-questioning-config', async (event, config) => {
+        try {
+            return { success: true, data: confusion.setQuestioningConfig(config) };
+        } catch (error) {
+            console.error('Error setting questioning config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('confusion:get-trigger-frames', async (event, sessionId, questionId) => {
+        try {
+            const question = confusion.loadSessionQuestions(sessionId).find(q => q.id === questionId);
+            return { success: true, data: question ? confusion.getTriggerFrames(question, sessionId) : [] };
+        } catch (error) {
+            console.error('Error getting trigger frames:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('confusion:get-effective-limits', async () => {
+        try {
+            return { success: true, data: confusion.getEffectiveLimits() };
+        } catch (error) {
+            console.error('Error getting effective question limits:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
     // ============ CONFUSION EVENTS ============
     // Forward confusion events to renderer
     confusion.confusionEvents.on('question:created', (question) => {
@@ -986,14 +1266,38 @@ function setupConfusionIpcHandlers() {
         }
     });
 
+    confusion.confusionEvents.on('digest:ready', (digest) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('confusion:digest-ready', digest);
+
+            // The end-of-session review is opened by the export flow; scheduled ones wait for a click
+            if (digest.reason === 'scheduled') {
+                const notification = new Notification({
+                    title: 'Questions to review',
+                    body: `${digest.count} question${digest.count === 1 ? '' : 's'} from today's observation`,
+                    silent: true,
+                });
+
+                notification.on('click', () => {
+                    switchWindowMode(mainWindow, 'hub');
+                    mainWindow.show();
+                    mainWindow.focus();
+                    mainWindow.webContents.send('confusion:open-digest');
+                });
+
+                notification.show();
+            }
+        }
+    });
+
     // ============ WIRE UP CAPTURE EVENTS TO CONFUSION DETECTION ============
     // When a screenshot is captured, optionally run confusion check
     // This is controlled by the observation mode state
     capture.captureEvents.on('screenshot:captured', async (metadata) => {
         try {
-            // Only run confusion check if we have an active session
+            // Only run confusion check if we have an active session and the frame is new and not blocklisted
             const sessionCtx = context.getSessionContextState();
-            if (sessionCtx) {
+            if (sessionCtx && !metadata.duplicate && !redaction.isSkipped(metadata)) {
                 // Run confusion check (it will handle rate limiting internally)
                 // Note: Image data would need to be passed separately if needed
                 const question = await confusion.runConfusionCheck([]);
@@ -1594,10 +1898,9 @@ function setupSessionIpcHandlers() {
     });
 
     // ============ WIRE UP CAPTURE EVENTS TO SESSION ============
-    // When a screenshot is captured, record activity and update count
+    // When a screenshot is captured, update count (screenshots aren't user activity - presence is tracked by the OS)
     capture.captureEvents.on('screenshot:captured', () => {
         try {
-            session.recordActivity();
             session.incrementScreenshotCount();
         } catch (error) {
             console.error('Error updating session from screenshot:', error);
@@ -1678,6 +1981,293 @@ function setupDocumentationIpcHandlers() {
     });
 }
 
+function setupLlmIpcHandlers() {
+    // ============ LLM PROVIDER ============
+    ipcMain.handle('llm:get-config', async () => {
+        try {
+            return { success: true, data: llm.getConfig() };
+        } catch (error) {
+            console.error('Error getting LLM config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('llm:set-config', async (event, config) => {
+        try {
+            const updated = llm.setConfig(config);
+            return { success: true, data: updated };
+        } catch (error) {
+            console.error('Error setting LLM config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('llm:get-status', async () => {
+        try {
+            return { success: true, data: llm.getStatus() };
+        } catch (error) {
+            console.error('Error getting LLM status:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+function setupRedactionIpcHandlers() {
+    // ============ REDACTION ============
+    ipcMain.handle('redaction:get-config', async () => {
+        try {
+            return { success: true, data: redaction.getConfig() };
+        } catch (error) {
+            console.error('Error getting redaction config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('redaction:set-config', async (event, config) => {
+        try {
+            const updated = redaction.setConfig(config);
+            return { success: true, data: updated };
+        } catch (error) {
+            console.error('Error setting redaction config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('redaction:get-status', async () => {
+        try {
+            return { success: true, data: { ...ocr.getOcrStatus(), enabled: redaction.getConfig().enabled } };
+        } catch (error) {
+            console.error('Error getting redaction status:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Without OCR, frames are saved without the sensitive text check, so say so
+    ocr.ocrEvents.on('ocr:unavailable', ({ reason }) => {
+        sendToRenderer('update-status', `Text recognition unavailable (${reason}): screenshots are not checked for sensitive text`);
+    });
+}
+
+function setupSearchIpcHandlers() {
+    // ============ SEARCH ============
+    ipcMain.handle('search:query', async (event, query, options) => {
+        try {
+            return { success: true, data: search.search(query, options) };
+        } catch (error) {
+            console.error('Error searching:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('search:open', async (event, target) => {
+        try {
+            return { success: true, data: search.openTarget(target) };
+        } catch (error) {
+            console.error('Error opening search result:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('search:get-status', async () => {
+        try {
+            return { success: true, data: search.getSearchStatus() };
+        } catch (error) {
+            console.error('Error getting search status:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('search:rebuild', async () => {
+        try {
+            return { success: true, data: await search.rebuildSearchIndex() };
+        } catch (error) {
+            console.error('Error rebuilding search index:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+function setupAppRegistryIpcHandlers() {
+    // ============ APP REGISTRY ============
+    ipcMain.handle('apps:get-config', async () => {
+        try {
+            return { success: true, data: appRegistry.getConfig() };
+        } catch (error) {
+            console.error('Error getting app registry config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('apps:set-config', async (event, config) => {
+        try {
+            return { success: true, data: appRegistry.setConfig(config) };
+        } catch (error) {
+            console.error('Error setting app registry config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('apps:get-known-apps', async () => {
+        try {
+            return { success: true, data: { apps: appRegistry.getKnownApps(), categories: Object.values(appRegistry.APP_CATEGORIES) } };
+        } catch (error) {
+            console.error('Error getting known apps:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('apps:resolve', async (event, appName) => {
+        try {
+            return { success: true, data: appRegistry.resolveApp(appName) };
+        } catch (error) {
+            console.error('Error resolving app:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+function setupRetentionIpcHandlers() {
+    // ============ RETENTION ============
+    ipcMain.handle('retention:get-config', async () => {
+        try {
+            return { success: true, data: retention.getConfig() };
+        } catch (error) {
+            console.error('Error getting retention config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('retention:set-config', async (event, config) => {
+        try {
+            return { success: true, data: retention.setConfig(config) };
+        } catch (error) {
+            console.error('Error setting retention config:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('retention:get-storage-report', async () => {
+        try {
+            return { success: true, data: retention.getStorageReport() };
+        } catch (error) {
+            console.error('Error getting storage report:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('retention:prune-now', async () => {
+        try {
+            return { success: true, data: await retention.pruneNow() };
+        } catch (error) {
+            console.error('Error pruning screenshots:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+function setupReplayIpcHandlers() {
+    // ============ RECORDING ============
+    ipcMain.handle('replay:start-recording', async (event, options) => {
+        try {
+            const manifest = replay.startRecording(options);
+            return { success: true, data: manifest };
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('replay:stop-recording', async () => {
+        try {
+            const manifest = replay.stopRecording();
+            return { success: true, data: manifest };
+        } catch (error) {
+            console.error('Error stopping recording:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('replay:get-recording-state', async () => {
+        try {
+            return { success: true, data: replay.getRecordingState() };
+        } catch (error) {
+            console.error('Error getting recording state:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('replay:list-recordings', async () => {
+        try {
+            return { success: true, data: replay.listRecordings() };
+        } catch (error) {
+            console.error('Error listing recordings:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('replay:delete-recording', async (event, recordingId) => {
+        try {
+            const deleted = replay.deleteRecording(recordingId);
+            return { success: true, data: deleted };
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // ============ REPLAY ============
+    ipcMain.handle('replay:run', async (event, recordingId, options) => {
+        try {
+            const result = await replay.replayRecording(recordingId, options);
+            return { success: true, data: result };
+        } catch (error) {
+            console.error('Error replaying recording:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('replay:stop', async () => {
+        try {
+            return { success: true, data: replay.stopReplay() };
+        } catch (error) {
+            console.error('Error stopping replay:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // ============ REPLAY EVENTS ============
+    // Forward replay events to renderer
+    replay.replayEvents.on('recording:started', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('replay:recording-started', data);
+        }
+    });
+
+    replay.replayEvents.on('recording:stopped', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('replay:recording-stopped', data);
+        }
+    });
+
+    replay.replayEvents.on('replay:started', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('replay:started', data);
+        }
+    });
+
+    replay.replayEvents.on('replay:progress', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('replay:progress', data);
+        }
+    });
+
+    replay.replayEvents.on('replay:completed', (data) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('replay:completed', data);
+        }
+    });
+}
+
 function setupTraySessionEvents() {
     // Update tray menu when session state changes
     session.sessionEvents.on('session:started', (data) => {
@@ -1,6 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const EventEmitter = require('events');
+const encryption = require('./utils/encryption');
+
+// Event emitter for record writes, so derived data (the search index) stays current
+const storageEvents = new EventEmitter();
 
 const CONFIG_VERSION = 1;
 
@@ -33,7 +38,67 @@ const DEFAULT_CAPTURE_CONFIG = {
     imageQuality: 0.7, // 0-1, default 0.7
     captureAllMonitors: false, // default false (primary only)
     trackUrls: true, // default true
-    urlPrivacyMode: 'full' // 'full' | 'domain-only'
+    urlPrivacyMode: 'full', // 'full' | 'domain-only'
+    browserBridgeEnabled: true, // accept tab reports from the browser companion extension
+    browserBridgePort: 47615,
+    duplicateFrameThreshold: 0.02, // frames changing less than 2% of the screen are dropped
+    adaptiveScheduling: true, // capture on window switches, speed up on change, back off when static
+    minScreenshotInterval: 3000, // fastest interval during rapid change
+    maxScreenshotInterval: 60000, // ceiling while the screen is static
+    rapidChangeThreshold: 0.15, // diff score that counts as rapid change
+    backoffFactor: 1.5,
+    windowPollInterval: 5000, // how often to check for app/title switches
+    sessionScreenshotBudget: 0, // max stored screenshots per session, 0 = unlimited
+    multiMonitorMode: 'per-display', // with captureAllMonitors: 'per-display' | 'stitched'
+    ocrEnabled: true // keep an on-device OCR text layer for each stored screenshot
+};
+
+// Default LLM provider configuration
+const DEFAULT_LLM_CONFIG = {
+    provider: 'gemini', // 'gemini' | 'openai-compatible' | 'mock'
+    model: '', // empty means the provider's default model
+    baseUrl: 'http://localhost:11434/v1', // OpenAI-compatible endpoint (Ollama, llama.cpp server)
+    apiKey: '', // OpenAI-compatible only; Gemini uses the stored credentials
+    requestTimeoutMs: 60000,
+    mockScriptPath: '' // JSON script of canned responses for the mock provider
+};
+
+// Default redaction configuration
+const DEFAULT_REDACTION_CONFIG = {
+    enabled: true,
+    // Apps that are never captured (case-insensitive substring, or '/regex/flags')
+    blockedApps: ['1Password', 'Bitwarden', 'KeePassXC', 'KeePass', 'LastPass', 'Dashlane', 'Enpass', 'Keychain Access', 'Proton Pass'],
+    // Window titles, page titles or URLs that are never captured (banking, HR, payroll)
+    blockedTitlePatterns: ['Online Banking', 'Bank of America', 'Wells Fargo', 'PayPal', 'Workday', 'BambooHR', 'Gusto', 'Payroll', '/\\bADP\\b/'],
+    maskSensitiveText: true, // mask OCR-matched text before frames are saved or sent
+    maskTypes: ['email', 'card', 'ssn'],
+    maskPadding: 4 // pixels added around each masked region
+};
+
+const DEFAULT_RETENTION_CONFIG = {
+    enabled: true,
+    fullResolutionDays: 7, // frames older than this are downsampled (0 = never)
+    downsampleMaxWidth: 1280, // pixels
+    downsampleQuality: 60, // JPEG quality 0-100
+    keepUnreferencedDays: 30, // frames no task or question refers to are deleted after this (0 = keep)
+    maxProfileStorageMB: 5120, // per-profile cap, oldest frames deleted first (0 = no cap)
+    thumbnailWidth: 320, // pixels
+    pruneIntervalHours: 6
+};
+
+const DEFAULT_APP_REGISTRY_CONFIG = {
+    aliases: {}, // reported process name / bundle id / executable -> canonical app name
+    categories: {} // canonical app name -> category, overriding the built-in one
+};
+
+const DEFAULT_ROUTE_CONFIG = {
+    domainRules: [] // per-domain URL templating rules, checked before the built-in ones (see utils/routes.js)
+};
+
+const DEFAULT_QUESTIONING_CONFIG = {
+    mode: 'live', // 'live' asks as confusion is detected, 'digest' parks questions for a batched review
+    digestTime: '17:00', // local HH:MM to release the digest each day ('' = at session end only)
+    adaptiveRate: true // ask more often when questions get answered, less when they're skipped
 };
 
 const DEFAULT_KEYBINDS = null; // null means use system defaults
@@ -79,19 +144,119 @@ function getCaptureConfigPath() {
     return path.join(getConfigDir(), 'capture-config.json');
 }
 
+function getLlmConfigPath() {
+    return path.join(getConfigDir(), 'llm-config.json');
+}
+
+function getRedactionConfigPath() {
+    return path.join(getConfigDir(), 'redaction-config.json');
+}
+
+function getRetentionConfigPath() {
+    return path.join(getConfigDir(), 'retention-config.json');
+}
+
+function getAppRegistryConfigPath() {
+    return path.join(getConfigDir(), 'app-registry.json');
+}
+
+function getRouteConfigPath() {
+    return path.join(getConfigDir(), 'route-config.json');
+}
+
+function getQuestioningConfigPath() {
+    return path.join(getConfigDir(), 'questioning-config.json');
+}
+
 function getSessionsDir() {
     return path.join(getConfigDir(), 'sessions');
 }
 
+// Never encrypted - it holds the wrapped data key and must be readable before unlock
+function getEncryptionSettingsPath() {
+    return path.join(getConfigDir(), 'encryption.json');
+}
+
+// Pre-migration snapshots - never copied into later snapshots
+function getBackupsDir() {
+    return path.join(getConfigDir(), 'backups');
+}
+
 function getSessionScreenshotsDir(sessionId) {
     return path.join(getSessionsDir(), sessionId, 'screenshots');
 }
 
+// Derived from the other data files - rebuilt when missing, so never snapshotted
+function getSearchIndexPath() {
+    return path.join(getConfigDir(), 'search-index.json');
+}
+
+// ============ ENCRYPTION AT REST ============
+
+let encryptionSettings; // undefined until loaded, null when encryption was never enabled
+let dataKey = null; // Unwrapped data key, only ever held in memory
+
+function getEncryptionSettings() {
+    if (encryptionSettings === undefined) {
+        try {
+            const settingsPath = getEncryptionSettingsPath();
+            encryptionSettings = fs.existsSync(settingsPath) ? JSON.parse(fs.readFileSync(settingsPath, 'utf8')) : null;
+        } catch (error) {
+            console.error('Error reading encryption settings:', error.message);
+            encryptionSettings = null;
+        }
+    }
+    return encryptionSettings;
+}
+
+function saveEncryptionSettings(settings) {
+    const settingsPath = getEncryptionSettingsPath();
+    if (settings) {
+        fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+        fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
+    } else if (fs.existsSync(settingsPath)) {
+        fs.unlinkSync(settingsPath);
+    }
+    encryptionSettings = settings;
+}
+
+function isEncryptionEnabled() {
+    return !!getEncryptionSettings()?.enabled;
+}
+
+// A key is needed while encryption is on, or while a disable is still decrypting files
+function isStorageLocked() {
+    const settings = getEncryptionSettings();
+    return !!settings && (settings.enabled || !!settings.migration) && !dataKey;
+}
+
+function requireDataKey() {
+    if (!dataKey) {
+        throw new Error('Storage is locked');
+    }
+    return dataKey;
+}
+
+// Read a file under the config dir, decrypting it if needed
+function readDataFile(filePath) {
+    const raw = fs.readFileSync(filePath);
+    return encryption.isEncrypted(raw) ? encryption.decryptBuffer(raw, requireDataKey()) : raw;
+}
+
+// Write a file under the config dir, encrypting it if encryption is on
+function writeDataFile(filePath, buffer) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(filePath, isEncryptionEnabled() ? encryption.encryptBuffer(buffer, requireDataKey()) : buffer);
+}
+
 // Helper to read JSON file safely
 function readJsonFile(filePath, defaultValue) {
     try {
         if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
+            const data = readDataFile(filePath).toString('utf8');
             return JSON.parse(data);
         }
     } catch (error) {
@@ -103,11 +268,7 @@ function readJsonFile(filePath, defaultValue) {
 // Helper to write JSON file safely
 function writeJsonFile(filePath, data) {
     try {
-        const dir = path.dirname(filePath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        writeDataFile(filePath, Buffer.from(JSON.stringify(data, null, 2), 'utf8'));
         return true;
     } catch (error) {
         console.error(`Error writing ${filePath}:`, error.message);
@@ -115,27 +276,398 @@ function writeJsonFile(filePath, data) {
     }
 }
 
-// Check if we need to reset (no configVersion or wrong version)
-function needsReset() {
+/**
+ * Announce a successful record write
+ * @param {boolean} saved - Result of writeJsonFile
+ * @param {'screenshot'|'app_usage'|'tasks'|'questions'|'summary'|'observation_session'|'interview'} kind
+ * @param {Object} details - profileId/sessionId plus the record (or full record list)
+ * @returns {boolean} saved
+ */
+function emitRecordSaved(saved, kind, details) {
+    if (saved) {
+        storageEvents.emit('storage:record-saved', { kind, ...details });
+    }
+    return saved;
+}
+
+/**
+ * List every data file under the config dir (everything except the key file)
+ */
+function listDataFiles(dir = getConfigDir(), files = []) {
+    if (!fs.existsSync(dir)) return files;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            listDataFiles(fullPath, files);
+        } else if (fullPath !== getEncryptionSettingsPath()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Encrypt or decrypt one file in place. Writes beside the file and renames,
+ * so a crash never leaves a half-written file.
+ * @returns {boolean} Whether the file changed
+ */
+function convertDataFile(filePath, toEncrypted) {
+    const raw = fs.readFileSync(filePath);
+    let converted = null;
+
+    if (filePath.endsWith('.jsonl')) {
+        // Append-only logs are encrypted line by line so appends stay cheap
+        const lines = raw.toString('utf8').split('\n');
+        const convertedLines = lines.map(line => {
+            if (!line) return line;
+            if (toEncrypted) {
+                return encryption.isEncryptedLine(line) ? line : encryption.encryptLine(line, dataKey);
+            }
+            return encryption.decryptLine(line, dataKey);
+        });
+        if (convertedLines.some((line, i) => line !== lines[i])) {
+            converted = Buffer.from(convertedLines.join('\n'), 'utf8');
+        }
+    } else if (toEncrypted && !encryption.isEncrypted(raw)) {
+        converted = encryption.encryptBuffer(raw, dataKey);
+    } else if (!toEncrypted && encryption.isEncrypted(raw)) {
+        converted = encryption.decryptBuffer(raw, dataKey);
+    }
+
+    if (!converted) return false;
+
+    const tempPath = `${filePath}.migrating`;
+    fs.writeFileSync(tempPath, converted);
+    fs.renameSync(tempPath, filePath);
+    return true;
+}
+
+/**
+ * Bring every file in line with the current encryption setting.
+ * Safe to re-run - already converted files are skipped - so an interrupted run resumes on next unlock.
+ * If any file fails, the migration stays pending and the key is kept, so nothing is left unreadable.
+ * @returns {{converted: number, failed: number}} Files converted, and files that couldn't be
+ */
+function runEncryptionMigration() {
+    const settings = getEncryptionSettings();
+    if (!settings?.migration) return { converted: 0, failed: 0 };
+
+    const toEncrypted = settings.migration === 'encrypt';
+    let converted = 0;
+    let failed = 0;
+    for (const filePath of listDataFiles()) {
+        if (filePath.endsWith('.migrating')) {
+            // Leftover from an interrupted run; the original is still intact
+            fs.unlinkSync(filePath);
+            continue;
+        }
+        try {
+            if (convertDataFile(filePath, toEncrypted)) converted++;
+        } catch (error) {
+            failed++;
+            console.error(`Error ${toEncrypted ? 'encrypting' : 'decrypting'} ${filePath}:`, error.message);
+        }
+    }
+
+    if (failed > 0) {
+        console.error(
+            `Encryption migration incomplete: ${failed} file(s) could not be ${toEncrypted ? 'encrypted' : 'decrypted'}, retrying on next unlock`
+        );
+        return { converted, failed };
+    }
+
+    if (toEncrypted) {
+        saveEncryptionSettings({ ...settings, migration: null });
+    } else {
+        // Fully decrypted - the key is no longer needed
+        saveEncryptionSettings(null);
+        dataKey = null;
+    }
+
+    console.log(`Encryption migration finished: ${converted} file(s) ${toEncrypted ? 'encrypted' : 'decrypted'}`);
+    return { converted, failed };
+}
+
+/**
+ * Turn on encryption and encrypt all existing plaintext data
+ * @param {{keySource: 'keychain'|'passphrase', passphrase?: string}} options
+ */
+function enableEncryption({ keySource, passphrase } = {}) {
+    if (isEncryptionEnabled()) {
+        throw new Error('Encryption is already enabled');
+    }
+    if (getEncryptionSettings()?.migration === 'decrypt') {
+        // Files still encrypted with the old key would become unreadable under a new one
+        throw new Error('Some files are still encrypted from turning encryption off. Restart or unlock storage to finish decrypting them first.');
+    }
+
+    const key = encryption.generateDataKey();
+    const wrapped = encryption.wrapKey(key, keySource, passphrase);
+
+    dataKey = key;
+    saveEncryptionSettings({
+        enabled: true,
+        ...wrapped,
+        enabledAt: new Date().toISOString(),
+        migration: 'encrypt'
+    });
+
+    const { converted, failed } = runEncryptionMigration();
+    if (failed > 0) {
+        throw new Error(
+            `Encryption is on, but ${failed} file(s) could not be encrypted and are still in plaintext. They will be retried on the next unlock or restart.`
+        );
+    }
+    return { ...getEncryptionStatus(), filesConverted: converted };
+}
+
+/**
+ * Turn off encryption and decrypt everything back to plaintext
+ * @param {string} [passphrase] - Required for passphrase mode if storage is locked
+ */
+function disableEncryption(passphrase) {
+    const settings = getEncryptionSettings();
+    if (!settings) {
+        throw new Error('Encryption is not enabled');
+    }
+    if (!dataKey) {
+        unlockStorage(passphrase);
+    }
+
+    // New writes go out in plaintext from here on; reads still decrypt with the in-memory key
+    saveEncryptionSettings({ ...settings, enabled: false, migration: 'decrypt' });
+    const { converted, failed } = runEncryptionMigration();
+    if (failed > 0) {
+        throw new Error(
+            `${failed} file(s) could not be decrypted, so the key is kept until they are. They will be retried on the next unlock or restart.`
+        );
+    }
+    return { ...getEncryptionStatus(), filesConverted: converted };
+}
+
+/**
+ * Unwrap the data key (keychain needs no passphrase) and finish any interrupted migration
+ * @param {string} [passphrase]
+ */
+function unlockStorage(passphrase) {
+    const settings = getEncryptionSettings();
+    if (!settings) {
+        return getEncryptionStatus();
+    }
+
+    dataKey = encryption.unwrapKey(settings, passphrase);
+    runEncryptionMigration();
+    prepareConfigDir();
+    return getEncryptionStatus();
+}
+
+function lockStorage() {
+    dataKey = null;
+    return getEncryptionStatus();
+}
+
+function getEncryptionStatus() {
+    const settings = getEncryptionSettings();
+    return {
+        enabled: !!settings?.enabled,
+        keySource: settings?.keySource || null,
+        locked: isStorageLocked(),
+        migrationPending: settings?.migration || null,
+        keychainAvailable: encryption.isKeychainAvailable()
+    };
+}
+
+// Keychain-wrapped keys can be unlocked without the user, so do it at startup
+function initializeEncryption() {
+    const settings = getEncryptionSettings();
+    if (settings?.keySource !== encryption.KEY_SOURCES.KEYCHAIN) return;
+
+    try {
+        unlockStorage();
+    } catch (error) {
+        console.error('Could not unlock storage with the OS keychain:', error.message);
+    }
+}
+
+// ============ SCHEMA MIGRATIONS ============
+
+// Ordered upgrades; each entry moves the config dir from `version - 1` to `version`.
+// Never edit a shipped migration - add a new one and bump CONFIG_VERSION to match.
+// Migrations must only rewrite data files, not screenshot images (images aren't snapshotted).
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Adopt config directories written before configVersion existed',
+        migrate() {
+            // Same layout as version 1, only the history dir may be missing
+            fs.mkdirSync(getHistoryDir(), { recursive: true });
+        }
+    }
+];
+
+const MAX_SCHEMA_BACKUPS = 3;
+const SNAPSHOT_SKIP_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+let schemaStatus = { version: null, migratedFrom: null, backupPath: null, error: null };
+
+/**
+ * Read the stored schema version
+ * @returns {number|null} 0 for pre-versioned dirs, null if there's no readable config yet
+ */
+function getStoredConfigVersion() {
     const configPath = getConfigPath();
     if (!fs.existsSync(configPath)) {
-        return true;
+        return null;
+    }
+    const config = JSON.parse(readDataFile(configPath).toString('utf8'));
+    return Number(config.configVersion) || 0;
+}
+
+function shouldSnapshot(sourcePath) {
+    if (sourcePath === getBackupsDir() || sourcePath === getSearchIndexPath()) return false;
+    return !SNAPSHOT_SKIP_EXTENSIONS.includes(path.extname(sourcePath).toLowerCase());
+}
+
+// Entry by entry - fs.cpSync refuses to copy a directory into its own backups/ subdir
+function copyDataTree(fromDir, toDir) {
+    fs.mkdirSync(toDir, { recursive: true });
+    for (const entry of fs.readdirSync(fromDir)) {
+        const sourcePath = path.join(fromDir, entry);
+        if (shouldSnapshot(sourcePath)) {
+            fs.cpSync(sourcePath, path.join(toDir, entry), { recursive: true, filter: shouldSnapshot });
+        }
     }
+}
+
+/**
+ * Copy every data file (not images, not earlier backups) into backups/<label>
+ * @param {string} label
+ * @returns {string} Backup directory
+ */
+function createSchemaBackup(label) {
+    const backupPath = path.join(getBackupsDir(), `${label}-${Date.now()}`);
+    copyDataTree(getConfigDir(), backupPath);
 
+    // Keep only the most recent snapshots
+    const backups = fs.readdirSync(getBackupsDir()).sort((a, b) => Number(b.split('-').pop()) - Number(a.split('-').pop()));
+    for (const old of backups.slice(MAX_SCHEMA_BACKUPS)) {
+        fs.rmSync(path.join(getBackupsDir(), old), { recursive: true, force: true });
+    }
+
+    return backupPath;
+}
+
+/**
+ * Put the config dir back the way the snapshot found it. Data files written since
+ * are removed first so a half-applied migration can't leave new files behind.
+ * @param {string} backupPath
+ */
+function restoreSchemaBackup(backupPath) {
+    const removeDataFiles = dir => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (!shouldSnapshot(fullPath)) continue;
+            if (entry.isDirectory()) {
+                removeDataFiles(fullPath);
+            } else {
+                fs.unlinkSync(fullPath);
+            }
+        }
+    };
+
+    removeDataFiles(getConfigDir());
+    copyDataTree(backupPath, getConfigDir());
+    encryptionSettings = undefined;
+}
+
+/**
+ * Upgrade the config dir to CONFIG_VERSION. Everything is snapshotted first and the
+ * whole run is rolled back if any step throws, leaving the data on the old version.
+ * @param {number} fromVersion
+ */
+function runSchemaMigrations(fromVersion) {
+    const pending = MIGRATIONS.filter(m => m.version > fromVersion && m.version <= CONFIG_VERSION).sort((a, b) => a.version - b.version);
+    const backupPath = createSchemaBackup(`v${fromVersion}`);
+    console.log(`Migrating config directory from v${fromVersion} to v${CONFIG_VERSION} (backup: ${backupPath})`);
+
+    let current = fromVersion;
     try {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        return !config.configVersion || config.configVersion !== CONFIG_VERSION;
-    } catch {
-        return true;
+        for (const migration of pending) {
+            console.log(`Running migration v${migration.version}: ${migration.description}`);
+            migration.migrate();
+            current = migration.version;
+            const config = readJsonFile(getConfigPath(), DEFAULT_CONFIG);
+            writeJsonFile(getConfigPath(), { ...config, configVersion: current });
+        }
+        if (current !== CONFIG_VERSION) {
+            throw new Error(`No migration reaches v${CONFIG_VERSION}`);
+        }
+    } catch (error) {
+        console.error(`Migration to v${current + 1} failed, restoring v${fromVersion} from backup:`, error);
+        restoreSchemaBackup(backupPath);
+        schemaStatus = { version: fromVersion, migratedFrom: null, backupPath, error: error.message };
+        return false;
     }
+
+    schemaStatus = { version: CONFIG_VERSION, migratedFrom: fromVersion, backupPath, error: null };
+    console.log(`Config directory migrated to v${CONFIG_VERSION}`);
+    return true;
 }
 
-// Wipe and reinitialize the config directory
+/**
+ * Bring the config dir to the current schema without ever wiping it:
+ * create it if missing, migrate if older, leave it alone if newer.
+ */
+function prepareConfigDir() {
+    fs.mkdirSync(getHistoryDir(), { recursive: true });
+
+    let storedVersion;
+    try {
+        storedVersion = getStoredConfigVersion();
+    } catch (error) {
+        // Locked isn't corrupt - wait for the passphrase
+        if (isStorageLocked()) return;
+
+        // Keep the unreadable config for inspection, then start it over; sessions are untouched
+        const backupPath = createSchemaBackup('corrupt');
+        console.error(`Config file unreadable, restoring defaults (backup: ${backupPath}):`, error.message);
+        writeJsonFile(getConfigPath(), DEFAULT_CONFIG);
+        schemaStatus = { version: CONFIG_VERSION, migratedFrom: null, backupPath, error: null };
+        return;
+    }
+
+    if (storedVersion === null) {
+        writeJsonFile(getConfigPath(), DEFAULT_CONFIG);
+        if (!fs.existsSync(getCredentialsPath())) writeJsonFile(getCredentialsPath(), DEFAULT_CREDENTIALS);
+        if (!fs.existsSync(getPreferencesPath())) writeJsonFile(getPreferencesPath(), DEFAULT_PREFERENCES);
+        schemaStatus = { ...schemaStatus, version: CONFIG_VERSION };
+    } else if (storedVersion > CONFIG_VERSION) {
+        // Written by a newer build - don't touch it, a downgrade can't be migrated
+        console.warn(`Config directory is v${storedVersion}, newer than this build (v${CONFIG_VERSION}); leaving it as is`);
+        schemaStatus = { ...schemaStatus, version: storedVersion };
+    } else if (storedVersion < CONFIG_VERSION) {
+        runSchemaMigrations(storedVersion);
+    } else {
+        schemaStatus = { ...schemaStatus, version: storedVersion };
+    }
+}
+
+/**
+ * @returns {{version: number|null, currentVersion: number, migratedFrom: number|null, backupPath: string|null, error: string|null}} error is set when a migration was rolled back
+ */
+function getSchemaStatus() {
+    return { ...schemaStatus, currentVersion: CONFIG_VERSION };
+}
+
+// Wipe and reinitialize the config directory (only on an explicit "clear all data")
 function resetConfigDir() {
     const configDir = getConfigDir();
 
     console.log('Resetting config directory...');
 
+    // Keep encryption on across a reset - fresh data should still be encrypted
+    const settings = getEncryptionSettings();
+
     // Remove existing directory if it exists
     if (fs.existsSync(configDir)) {
         fs.rmSync(configDir, { recursive: true, force: true });
@@ -144,6 +676,12 @@ function resetConfigDir() {
     // Create fresh directory structure
     fs.mkdirSync(configDir, { recursive: true });
     fs.mkdirSync(getHistoryDir(), { recursive: true });
+    if (settings && dataKey) {
+        saveEncryptionSettings({ ...settings, migration: null });
+    } else {
+        encryptionSettings = null;
+        dataKey = null;
+    }
 
     // Initialize with defaults
     writeJsonFile(getConfigPath(), DEFAULT_CONFIG);
@@ -155,14 +693,11 @@ function resetConfigDir() {
 
 // Initialize storage - call this on app startup
 function initializeStorage() {
-    if (needsReset()) {
-        resetConfigDir();
-    } else {
-        // Ensure history directory exists
-        const historyDir = getHistoryDir();
-        if (!fs.existsSync(historyDir)) {
-            fs.mkdirSync(historyDir, { recursive: true });
-        }
+    initializeEncryption();
+
+    // Locked storage is prepared by unlockStorage once the passphrase is entered
+    if (!isStorageLocked()) {
+        prepareConfigDir();
     }
 }
 
@@ -252,6 +787,84 @@ function updateCaptureConfig(key, value) {
     return writeJsonFile(getCaptureConfigPath(), config);
 }
 
+// ============ LLM CONFIG ============
+
+function getLlmConfig() {
+    const saved = readJsonFile(getLlmConfigPath(), {});
+    return { ...DEFAULT_LLM_CONFIG, ...saved };
+}
+
+function setLlmConfig(config) {
+    const current = getLlmConfig();
+    const updated = { ...current, ...config };
+    return writeJsonFile(getLlmConfigPath(), updated);
+}
+
+// ============ REDACTION CONFIG ============
+
+function getRedactionConfig() {
+    const saved = readJsonFile(getRedactionConfigPath(), {});
+    return { ...DEFAULT_REDACTION_CONFIG, ...saved };
+}
+
+function setRedactionConfig(config) {
+    const current = getRedactionConfig();
+    const updated = { ...current, ...config };
+    return writeJsonFile(getRedactionConfigPath(), updated);
+}
+
+// ============ APP REGISTRY CONFIG ============
+
+function getAppRegistryConfig() {
+    const saved = readJsonFile(getAppRegistryConfigPath(), {});
+    return { ...DEFAULT_APP_REGISTRY_CONFIG, ...saved };
+}
+
+function setAppRegistryConfig(config) {
+    const current = getAppRegistryConfig();
+    const updated = { ...current, ...config };
+    return writeJsonFile(getAppRegistryConfigPath(), updated);
+}
+
+// ============ ROUTE CONFIG ============
+
+function getRouteConfig() {
+    const saved = readJsonFile(getRouteConfigPath(), {});
+    return { ...DEFAULT_ROUTE_CONFIG, ...saved };
+}
+
+function setRouteConfig(config) {
+    const current = getRouteConfig();
+    const updated = { ...current, ...config };
+    return writeJsonFile(getRouteConfigPath(), updated);
+}
+
+// ============ QUESTIONING CONFIG ============
+
+function getQuestioningConfig() {
+    const saved = readJsonFile(getQuestioningConfigPath(), {});
+    return { ...DEFAULT_QUESTIONING_CONFIG, ...saved };
+}
+
+function setQuestioningConfig(config) {
+    const current = getQuestioningConfig();
+    const updated = { ...current, ...config };
+    return writeJsonFile(getQuestioningConfigPath(), updated);
+}
+
+// ============ RETENTION CONFIG ============
+
+function getRetentionConfig() {
+    const saved = readJsonFile(getRetentionConfigPath(), {});
+    return { ...DEFAULT_RETENTION_CONFIG, ...saved };
+}
+
+function setRetentionConfig(config) {
+    const current = getRetentionConfig();
+    const updated = { ...current, ...config };
+    return writeJsonFile(getRetentionConfigPath(), updated);
+}
+
 // ============ SESSION SCREENSHOTS ============
 
 function ensureSessionScreenshotsDir(sessionId) {
@@ -270,7 +883,7 @@ function saveScreenshotMetadata(sessionId, metadata) {
     const metadataPath = getScreenshotMetadataPath(sessionId);
     const existing = readJsonFile(metadataPath, { screenshots: [] });
     existing.screenshots.push(metadata);
-    return writeJsonFile(metadataPath, existing);
+    return emitRecordSaved(writeJsonFile(metadataPath, existing), 'screenshot', { sessionId, record: metadata });
 }
 
 function getSessionScreenshots(sessionId) {
@@ -279,6 +892,43 @@ function getSessionScreenshots(sessionId) {
     return data.screenshots;
 }
 
+// Rewrite the whole list (retention updates image state in place)
+function saveSessionScreenshots(sessionId, screenshots) {
+    return writeJsonFile(getScreenshotMetadataPath(sessionId), { screenshots });
+}
+
+function getScreenshotThumbnailPath(imagePath) {
+    return imagePath.replace(/\.jpg$/, '.thumb.jpg');
+}
+
+/**
+ * Load a screenshot's OCR text layer (text plus line and word boxes)
+ * @param {{ocrPath?: string}} screenshot - Screenshot metadata
+ * @returns {Object|null}
+ */
+function getScreenshotTextLayer(screenshot) {
+    if (!screenshot?.ocrPath || !fs.existsSync(screenshot.ocrPath)) {
+        return null;
+    }
+    return readJsonFile(screenshot.ocrPath, null);
+}
+
+function getRedactionsPath(sessionId) {
+    return path.join(getSessionsDir(), sessionId, 'redactions.json');
+}
+
+function saveRedactionRecord(sessionId, record) {
+    const redactionsPath = getRedactionsPath(sessionId);
+    const existing = readJsonFile(redactionsPath, { records: [] });
+    existing.records.push(record);
+    return writeJsonFile(redactionsPath, existing);
+}
+
+function getSessionRedactions(sessionId) {
+    const data = readJsonFile(getRedactionsPath(sessionId), { records: [] });
+    return data.records;
+}
+
 function getAppUsageMetadataPath(sessionId) {
     return path.join(getSessionsDir(), sessionId, 'app-usage.json');
 }
@@ -287,7 +937,7 @@ function saveAppUsageRecord(sessionId, record) {
     const metadataPath = getAppUsageMetadataPath(sessionId);
     const existing = readJsonFile(metadataPath, { records: [] });
     existing.records.push(record);
-    return writeJsonFile(metadataPath, existing);
+    return emitRecordSaved(writeJsonFile(metadataPath, existing), 'app_usage', { sessionId, record });
 }
 
 function getAppUsageRecords(sessionId) {
@@ -314,7 +964,7 @@ function saveSessionQuestions(sessionId, questions) {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
-    return writeJsonFile(questionsPath, { questions });
+    return emitRecordSaved(writeJsonFile(questionsPath, { questions }), 'questions', { sessionId, records: questions });
 }
 
 function getSessionQuestions(sessionId) {
@@ -361,7 +1011,7 @@ function saveSessionTasks(sessionId, tasks) {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
-    return writeJsonFile(tasksPath, { tasks });
+    return emitRecordSaved(writeJsonFile(tasksPath, { tasks }), 'tasks', { sessionId, records: tasks });
 }
 
 function getSessionTasks(sessionId) {
@@ -410,7 +1060,7 @@ function saveSessionSummary(profileId, summary) {
     if (existing.summaries.length > 30) {
         existing.summaries = existing.summaries.slice(-30);
     }
-    return writeJsonFile(summariesPath, existing);
+    return emitRecordSaved(writeJsonFile(summariesPath, existing), 'summary', { profileId, sessionId: summary.sessionId, record: summary });
 }
 
 function getSessionSummaries(profileId, limit = 10) {
@@ -426,6 +1076,100 @@ function getAllSessionSummariesForProfile(profileId) {
     return data.summaries;
 }
 
+// ============ RECORDINGS (Session Replay) ============
+
+function getRecordingsDir() {
+    return path.join(getConfigDir(), 'recordings');
+}
+
+function getRecordingDir(recordingId) {
+    return path.join(getRecordingsDir(), recordingId);
+}
+
+function getRecordingImagesDir(recordingId) {
+    return path.join(getRecordingDir(recordingId), 'images');
+}
+
+function getRecordingManifestPath(recordingId) {
+    return path.join(getRecordingDir(recordingId), 'recording.json');
+}
+
+function getRecordingEventsPath(recordingId) {
+    return path.join(getRecordingDir(recordingId), 'events.jsonl');
+}
+
+function ensureRecordingDir(recordingId) {
+    const dir = getRecordingImagesDir(recordingId);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return getRecordingDir(recordingId);
+}
+
+function saveRecordingManifest(recordingId, manifest) {
+    ensureRecordingDir(recordingId);
+    return writeJsonFile(getRecordingManifestPath(recordingId), manifest);
+}
+
+function getRecordingManifest(recordingId) {
+    return readJsonFile(getRecordingManifestPath(recordingId), null);
+}
+
+// Events are appended one JSON object per line so a crash mid-recording keeps everything written so far
+function appendRecordingEvent(recordingId, event) {
+    try {
+        ensureRecordingDir(recordingId);
+        const line = JSON.stringify(event);
+        fs.appendFileSync(getRecordingEventsPath(recordingId), (isEncryptionEnabled() ? encryption.encryptLine(line, requireDataKey()) : line) + '\n', 'utf8');
+        return true;
+    } catch (error) {
+        console.error(`Error appending recording event for ${recordingId}:`, error.message);
+        return false;
+    }
+}
+
+function getRecordingEvents(recordingId) {
+    const eventsPath = getRecordingEventsPath(recordingId);
+    if (!fs.existsSync(eventsPath)) {
+        return [];
+    }
+
+    const events = [];
+    const lines = fs.readFileSync(eventsPath, 'utf8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            events.push(JSON.parse(encryption.decryptLine(line, dataKey)));
+        } catch (error) {
+            console.warn(`Skipping malformed recording event in ${recordingId}:`, error.message);
+        }
+    }
+    return events;
+}
+
+function getAllRecordings() {
+    const recordingsDir = getRecordingsDir();
+    if (!fs.existsSync(recordingsDir)) {
+        return [];
+    }
+
+    return fs
+        .readdirSync(recordingsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => getRecordingManifest(entry.name))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+function deleteRecording(recordingId) {
+    const dir = getRecordingDir(recordingId);
+    if (fs.existsSync(dir)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return true;
+    }
+    return false;
+}
+
 // ============ APP STATE (Crash Recovery) ============
 
 function getAppStatePath() {
@@ -533,7 +1277,7 @@ function ensureObservationSessionDir(profileId, sessionId) {
 function saveObservationSession(profileId, sessionId, session) {
     ensureObservationSessionDir(profileId, sessionId);
     const sessionPath = getObservationSessionPath(profileId, sessionId);
-    return writeJsonFile(sessionPath, session);
+    return emitRecordSaved(writeJsonFile(sessionPath, session), 'observation_session', { profileId, sessionId, record: session });
 }
 
 function getObservationSession(profileId, sessionId) {
@@ -574,7 +1318,7 @@ function getInterviewSummaryPath(profileId) {
 function saveInterviewSession(profileId, session) {
     ensureProfileDir(profileId);
     const interviewPath = getInterviewPath(profileId);
-    return writeJsonFile(interviewPath, session);
+    return emitRecordSaved(writeJsonFile(interviewPath, session), 'interview', { profileId, record: session });
 }
 
 function getInterviewSession(profileId) {
@@ -632,6 +1376,7 @@ function deleteProfile(profileId) {
     try {
         if (fs.existsSync(profileDir)) {
             fs.rmSync(profileDir, { recursive: true, force: true });
+            storageEvents.emit('storage:profile-deleted', { profileId });
             return true;
         }
     } catch (error) {
@@ -640,6 +1385,16 @@ function deleteProfile(profileId) {
     return false;
 }
 
+// ============ SEARCH INDEX ============
+
+function getSearchIndex() {
+    return readJsonFile(getSearchIndexPath(), null);
+}
+
+function saveSearchIndex(index) {
+    return writeJsonFile(getSearchIndexPath(), index);
+}
+
 // ============ HISTORY ============
 
 function getSessionPath(sessionId) {
@@ -738,17 +1493,107 @@ function deleteAllSessions() {
     }
 }
 
+// ============ STORAGE USAGE ============
+
+function getDirectorySize(dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    let total = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        total += entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size;
+    }
+    return total;
+}
+
+/**
+ * Which kind of data a file under the config dir holds, for the usage breakdown
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getUsageCategory(filePath) {
+    if (filePath === getSearchIndexPath()) return 'searchIndex';
+    if (filePath.startsWith(getBackupsDir() + path.sep)) return 'backups';
+    if (filePath.startsWith(getRecordingsDir() + path.sep)) return 'recordings';
+    if (filePath.startsWith(getProfilesDir() + path.sep)) return 'profiles';
+    if (filePath.startsWith(getSessionsDir() + path.sep)) {
+        if (filePath.endsWith('.thumb.jpg')) return 'thumbnails';
+        if (filePath.endsWith('.ocr.json')) return 'textLayers';
+        if (filePath.endsWith('.jpg')) return 'screenshots';
+        return 'sessionData';
+    }
+    return 'other';
+}
+
+/**
+ * Bytes used under the config dir, by category
+ * @returns {{totalBytes: number, categories: Object<string, number>}}
+ */
+function getStorageUsage() {
+    const categories = {
+        screenshots: 0,
+        thumbnails: 0,
+        textLayers: 0,
+        sessionData: 0,
+        profiles: 0,
+        recordings: 0,
+        searchIndex: 0,
+        backups: 0,
+        other: 0
+    };
+
+    const walk = dir => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else {
+                categories[getUsageCategory(entryPath)] += fs.statSync(entryPath).size;
+            }
+        }
+    };
+    if (fs.existsSync(getConfigDir())) {
+        walk(getConfigDir());
+    }
+
+    return { totalBytes: Object.values(categories).reduce((sum, bytes) => sum + bytes, 0), categories };
+}
+
+/**
+ * Bytes used by one profile: its own dir plus the data dirs of its sessions
+ * @param {string} profileId
+ * @returns {number}
+ */
+function getProfileStorageSize(profileId) {
+    const sessionBytes = getProfileSessions(profileId).reduce((sum, session) => sum + getDirectorySize(path.join(getSessionsDir(), session.id)), 0);
+    return getDirectorySize(getProfileDir(profileId)) + sessionBytes;
+}
+
 // ============ CLEAR ALL DATA ============
 
 function clearAllData() {
     resetConfigDir();
+    storageEvents.emit('storage:cleared');
     return true;
 }
 
 module.exports = {
+    // Events
+    storageEvents,
+
     // Initialization
     initializeStorage,
     getConfigDir,
+    getSchemaStatus,
+
+    // Encryption at rest
+    getEncryptionStatus,
+    enableEncryption,
+    disableEncryption,
+    unlockStorage,
+    lockStorage,
+    readDataFile,
+    writeDataFile,
 
     // Config
     getConfig,
@@ -775,14 +1620,43 @@ module.exports = {
     setCaptureConfig,
     updateCaptureConfig,
 
+    // LLM Config
+    getLlmConfig,
+    setLlmConfig,
+
+    // Redaction Config
+    getRedactionConfig,
+    setRedactionConfig,
+
+    // App Registry Config
+    getAppRegistryConfig,
+    setAppRegistryConfig,
+
+    // Route Config
+    getRouteConfig,
+    setRouteConfig,
+
+    // Questioning Config
+    getQuestioningConfig,
+    setQuestioningConfig,
+
+    // Retention Config
+    getRetentionConfig,
+    setRetentionConfig,
+
     // Session Screenshots
     getSessionsDir,
     getSessionScreenshotsDir,
     ensureSessionScreenshotsDir,
     saveScreenshotMetadata,
     getSessionScreenshots,
+    saveSessionScreenshots,
+    getScreenshotThumbnailPath,
+    getScreenshotTextLayer,
     saveAppUsageRecord,
     getAppUsageRecords,
+    saveRedactionRecord,
+    getSessionRedactions,
 
     // Session Context
     saveSessionContext,
@@ -806,6 +1680,18 @@ module.exports = {
     getSessionSummaries,
     getAllSessionSummariesForProfile,
 
+    // Recordings (Session Replay)
+    getRecordingsDir,
+    getRecordingDir,
+    getRecordingImagesDir,
+    ensureRecordingDir,
+    saveRecordingManifest,
+    getRecordingManifest,
+    appendRecordingEvent,
+    getRecordingEvents,
+    getAllRecordings,
+    deleteRecording,
+
     // App State (Session Management)
     getAppState,
     saveAppState,
@@ -834,6 +1720,14 @@ module.exports = {
     getInterviewSummary,
     hasCompletedInterview,
 
+    // Search Index
+    getSearchIndex,
+    saveSearchIndex,
+
+    // Storage Usage
+    getStorageUsage,
+    getProfileStorageSize,
+
     // History
     saveSession,
     getSession,
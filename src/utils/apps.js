@@ -0,0 +1,306 @@
+// apps.js - Application Registry Service
+// Maps the process names, bundle ids and executables each platform reports
+// ('chrome', 'chrome.exe', 'com.google.Chrome', 'Google Chrome') to one canonical
+// application with a category, so usage isn't split across several names
+
+const path = require('path');
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+const APP_CATEGORIES = {
+    BROWSER: 'browser',
+    COMMUNICATION: 'communication',
+    EMAIL: 'email',
+    MEETINGS: 'meetings',
+    CALENDAR: 'calendar',
+    SPREADSHEET: 'spreadsheet',
+    DOCUMENTS: 'documents',
+    NOTES: 'notes',
+    TICKETING: 'ticketing',
+    CRM: 'crm',
+    ERP: 'erp',
+    ACCOUNTING: 'accounting',
+    DEVELOPMENT: 'development',
+    DESIGN: 'design',
+    FILES: 'files',
+    UTILITY: 'utility',
+    OTHER: 'other'
+};
+
+// Aliases are matched after normalizeKey(), so case, paths and .exe/.app don't matter
+const BUILTIN_APPS = [
+    // Browsers
+    { name: 'Google Chrome', category: 'browser', aliases: ['chrome', 'google-chrome', 'google-chrome-stable', 'com.google.Chrome'] },
+    { name: 'Chromium', category: 'browser', aliases: ['chromium-browser', 'org.chromium.Chromium'] },
+    { name: 'Safari', category: 'browser', aliases: ['com.apple.Safari'] },
+    { name: 'Firefox', category: 'browser', aliases: ['firefox-esr', 'Mozilla Firefox', 'org.mozilla.firefox'] },
+    { name: 'Microsoft Edge', category: 'browser', aliases: ['msedge', 'microsoft-edge', 'microsoft-edge-stable', 'com.microsoft.edgemac'] },
+    { name: 'Brave Browser', category: 'browser', aliases: ['brave', 'brave-browser', 'com.brave.Browser'] },
+    { name: 'Arc', category: 'browser', aliases: ['company.thebrowser.Browser'] },
+    { name: 'Opera', category: 'browser', aliases: ['com.operasoftware.Opera'] },
+    { name: 'Vivaldi', category: 'browser', aliases: ['vivaldi-stable', 'com.vivaldi.Vivaldi'] },
+    { name: 'LibreWolf', category: 'browser', aliases: ['librewolf'] },
+
+    // Communication
+    { name: 'Slack', category: 'communication', aliases: ['com.tinyspeck.slackmacgap', 'com.slack.Slack'] },
+    { name: 'Microsoft Teams', category: 'communication', aliases: ['teams', 'ms-teams', 'msteams', 'teams-for-linux', 'com.microsoft.teams', 'com.microsoft.teams2'] },
+    { name: 'Discord', category: 'communication', aliases: ['com.hnc.Discord'] },
+    { name: 'Messages', category: 'communication', aliases: ['com.apple.MobileSMS'] },
+    { name: 'WhatsApp', category: 'communication', aliases: ['net.whatsapp.WhatsApp'] },
+    { name: 'Telegram', category: 'communication', aliases: ['telegram-desktop', 'ru.keepcoder.Telegram'] },
+    { name: 'Signal', category: 'communication', aliases: ['signal-desktop', 'org.whispersystems.signal-desktop'] },
+
+    // Email and calendars
+    { name: 'Mail', category: 'email', aliases: ['Apple Mail', 'com.apple.mail'] },
+    { name: 'Microsoft Outlook', category: 'email', aliases: ['outlook', 'olk', 'com.microsoft.Outlook'] },
+    { name: 'Thunderbird', category: 'email', aliases: ['org.mozilla.thunderbird'] },
+    { name: 'Calendar', category: 'calendar', aliases: ['iCal', 'com.apple.iCal'] },
+
+    // Meetings
+    { name: 'Zoom', category: 'meetings', aliases: ['zoom.us', 'zoom', 'us.zoom.xos'] },
+    { name: 'Google Meet', category: 'meetings', aliases: [] },
+    { name: 'Webex', category: 'meetings', aliases: ['ciscowebexstart', 'webexmta', 'Cisco Webex Meetings', 'Cisco.Webex.Meetings'] },
+    { name: 'FaceTime', category: 'meetings', aliases: ['com.apple.FaceTime'] },
+
+    // Office
+    { name: 'Microsoft Excel', category: 'spreadsheet', aliases: ['excel', 'com.microsoft.Excel'] },
+    { name: 'Numbers', category: 'spreadsheet', aliases: ['com.apple.iWork.Numbers'] },
+    { name: 'LibreOffice Calc', category: 'spreadsheet', aliases: ['libreoffice-calc', 'scalc'] },
+    { name: 'Microsoft Word', category: 'documents', aliases: ['winword', 'word', 'com.microsoft.Word'] },
+    { name: 'Microsoft PowerPoint', category: 'documents', aliases: ['powerpnt', 'powerpoint', 'com.microsoft.Powerpoint'] },
+    { name: 'Pages', category: 'documents', aliases: ['com.apple.iWork.Pages'] },
+    { name: 'LibreOffice Writer', category: 'documents', aliases: ['libreoffice-writer', 'swriter'] },
+    { name: 'Adobe Acrobat', category: 'documents', aliases: ['acrobat', 'acrord32', 'Adobe Acrobat Reader', 'com.adobe.Reader', 'com.adobe.Acrobat.Pro'] },
+    { name: 'Preview', category: 'documents', aliases: ['com.apple.Preview'] },
+    { name: 'Notes', category: 'notes', aliases: ['com.apple.Notes'] },
+    { name: 'Microsoft OneNote', category: 'notes', aliases: ['onenote', 'com.microsoft.onenote.mac'] },
+    { name: 'Notion', category: 'notes', aliases: ['notion.id'] },
+    { name: 'Obsidian', category: 'notes', aliases: ['md.obsidian'] },
+
+    // Business systems
+    { name: 'SAP GUI', category: 'erp', aliases: ['saplogon', 'sapgui', 'SAP Logon', 'SAPGUI for Java'] },
+    { name: 'Microsoft Dynamics', category: 'erp', aliases: ['Microsoft Dynamics NAV', 'Dynamics NAV', 'finsql'] },
+    { name: 'QuickBooks', category: 'accounting', aliases: ['qbw32', 'qbw', 'QuickBooks Desktop', 'com.intuit.QuickBooks2024'] },
+    { name: 'Salesforce', category: 'crm', aliases: [] },
+    { name: 'Jira', category: 'ticketing', aliases: [] },
+    { name: 'Linear', category: 'ticketing', aliases: ['com.linear'] },
+    { name: 'Zendesk', category: 'ticketing', aliases: [] },
+
+    // Development and design
+    { name: 'Visual Studio Code', category: 'development', aliases: ['code', 'code-oss', 'VSCodium', 'com.microsoft.VSCode'] },
+    { name: 'Visual Studio', category: 'development', aliases: ['devenv'] },
+    { name: 'Terminal', category: 'development', aliases: ['com.apple.Terminal', 'gnome-terminal', 'gnome-terminal-server', 'konsole', 'WindowsTerminal', 'Windows Terminal'] },
+    { name: 'iTerm2', category: 'development', aliases: ['iterm', 'com.googlecode.iterm2'] },
+    { name: 'Figma', category: 'design', aliases: ['com.figma.Desktop'] },
+    { name: 'Adobe Photoshop', category: 'design', aliases: ['photoshop', 'com.adobe.Photoshop'] },
+
+    // System
+    { name: 'Finder', category: 'files', aliases: ['com.apple.finder'] },
+    { name: 'File Explorer', category: 'files', aliases: ['explorer', 'Windows Explorer'] },
+    { name: 'Files', category: 'files', aliases: ['nautilus', 'org.gnome.Nautilus', 'dolphin', 'thunar', 'nemo'] },
+    { name: 'Calculator', category: 'utility', aliases: ['calc', 'CalculatorApp', 'gnome-calculator', 'com.apple.calculator'] }
+];
+
+// Runtimes that host many different apps - the window title says which one
+const GENERIC_HOSTS = ['electron', 'java', 'javaw', 'python', 'python3', 'node'];
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} AppIdentity
+ * @property {string} name - Canonical application name
+ * @property {string} category - One of APP_CATEGORIES
+ * @property {string} [raw] - Name as the platform reported it
+ * @property {boolean} known - Matched a built-in entry or a user alias
+ */
+
+/**
+ * @typedef {Object} AppRegistryConfig
+ * @property {Object<string, string>} aliases - Reported name/bundle id/executable -> canonical name
+ * @property {Object<string, string>} categories - Canonical name -> category, overriding the built-in one
+ */
+
+// ============ STATE ============
+
+let lookup = null; // normalized key -> { name, category }
+let categoryOverrides = {};
+const resolved = new Map(); // raw -> AppIdentity, cleared when the config changes
+
+// ============ LOOKUP ============
+
+/**
+ * Normalize a process name, executable path or bundle id for matching
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeKey(value) {
+    return path
+        .basename(String(value || '').replace(/\\/g, '/'))
+        .replace(/\.(exe|app)$/i, '')
+        .toLowerCase()
+        .replace(/[\s_]+/g, ' ')
+        .trim();
+}
+
+// Unknown apps keep their reported name, minus any path and .exe
+function stripExecutable(value) {
+    return path.basename(value.replace(/\\/g, '/')).replace(/\.exe$/i, '') || value;
+}
+
+function buildLookup() {
+    const config = storage.getAppRegistryConfig();
+    const map = new Map();
+
+    for (const app of BUILTIN_APPS) {
+        for (const alias of [app.name, ...app.aliases]) {
+            map.set(normalizeKey(alias), { name: app.name, category: app.category });
+        }
+    }
+
+    // User aliases win over built-ins, and may point at apps the registry doesn't know
+    for (const [alias, name] of Object.entries(config.aliases || {})) {
+        if (!alias || !name) continue;
+        const target = map.get(normalizeKey(name));
+        map.set(normalizeKey(alias), { name: target?.name || name, category: target?.category || APP_CATEGORIES.OTHER });
+    }
+
+    lookup = map;
+    categoryOverrides = config.categories || {};
+    resolved.clear();
+}
+
+function findEntry(value) {
+    if (!value) return null;
+    if (!lookup) buildLookup();
+    return lookup.get(normalizeKey(value)) || null;
+}
+
+/**
+ * Pick the app a generic runtime is hosting from its window title,
+ * e.g. "general - Acme - Slack" under Electron
+ * @param {string} title
+ * @returns {{name: string, category: string}|null}
+ */
+function findEntryByTitle(title) {
+    if (!title) return null;
+    const lastPart = title.split(/\s+[-|–—]\s+/).pop();
+    return findEntry(lastPart);
+}
+
+function withCategoryOverride(identity) {
+    const category = categoryOverrides[identity.name];
+    return category ? { ...identity, category } : identity;
+}
+
+/**
+ * Resolve what a platform reported to its canonical application
+ * @param {string} appName - Process name, window class or app name
+ * @param {{bundleId?: string, title?: string}} [hints]
+ * @returns {AppIdentity}
+ */
+function resolveApp(appName, hints = {}) {
+    const raw = appName || 'Unknown';
+    const isGenericHost = GENERIC_HOSTS.includes(normalizeKey(raw));
+    const cacheKey = isGenericHost ? `${raw}|${hints.title || ''}` : `${raw}|${hints.bundleId || ''}`;
+    if (resolved.has(cacheKey)) return resolved.get(cacheKey);
+
+    const entry = findEntry(hints.bundleId) || findEntry(raw) || (isGenericHost ? findEntryByTitle(hints.title) : null);
+    const identity = withCategoryOverride(
+        entry
+            ? { name: entry.name, category: entry.category, raw, known: true }
+            : { name: stripExecutable(raw), category: APP_CATEGORIES.OTHER, raw, known: false }
+    );
+
+    // Titles change constantly - don't let the cache grow with them
+    if (!isGenericHost) {
+        resolved.set(cacheKey, identity);
+    }
+    return identity;
+}
+
+/**
+ * Canonical name for a stored app name (records saved before the registry, or before an alias was added)
+ * @param {string} appName
+ * @returns {string}
+ */
+function canonicalName(appName) {
+    return appName ? resolveApp(appName).name : appName;
+}
+
+/**
+ * @param {string} appName
+ * @returns {string} One of APP_CATEGORIES
+ */
+function getCategory(appName) {
+    return resolveApp(appName).category;
+}
+
+/**
+ * Replace a window's reported app with its canonical identity, keeping the original as rawApp
+ * @param {{app: string, title: string, bundleId?: string}} windowInfo
+ * @returns {{app: string, rawApp: string, appCategory: string, title: string}}
+ */
+function identifyWindow(windowInfo) {
+    const { bundleId, ...rest } = windowInfo;
+    const identity = resolveApp(windowInfo.app, { bundleId, title: windowInfo.title });
+    return { ...rest, app: identity.name, rawApp: windowInfo.app, appCategory: identity.category };
+}
+
+/**
+ * Whether two reported names are the same application
+ * @param {string} a
+ * @param {string} b
+ */
+function isSameApp(a, b) {
+    if (!a || !b) return false;
+    return canonicalName(a).toLowerCase() === canonicalName(b).toLowerCase();
+}
+
+// ============ CONFIG ============
+
+/**
+ * @returns {AppRegistryConfig}
+ */
+function getConfig() {
+    return storage.getAppRegistryConfig();
+}
+
+/**
+ * @param {Partial<AppRegistryConfig>} updates
+ * @returns {AppRegistryConfig}
+ */
+function setConfig(updates) {
+    storage.setAppRegistryConfig(updates);
+    buildLookup();
+    return getConfig();
+}
+
+/**
+ * Built-in applications, for the settings UI
+ * @returns {Array<{name: string, category: string}>}
+ */
+function getKnownApps() {
+    if (!lookup) buildLookup();
+    return BUILTIN_APPS.map(app => ({ name: app.name, category: categoryOverrides[app.name] || app.category }));
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    APP_CATEGORIES,
+
+    // Lookup
+    resolveApp,
+    canonicalName,
+    getCategory,
+    identifyWindow,
+    isSameApp,
+    normalizeKey,
+
+    // Config
+    getConfig,
+    setConfig,
+    getKnownApps
+};
@@ -0,0 +1,339 @@
+// browserBridge.js - Browser Companion Bridge Service
+// Localhost WebSocket server the companion browser extension reports the active tab to,
+// so URLs are captured on every OS (not just via AppleScript on macOS)
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Event emitter for bridge events
+const browserBridgeEvents = new EventEmitter();
+
+// ============ CONSTANTS ============
+
+const DEFAULT_PORT = 47615;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Only extension pages may connect - regular web pages can also open localhost sockets
+const ALLOWED_ORIGIN_PATTERN = /^(chrome-extension|moz-extension|extension|safari-web-extension):\/\//;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} TabReport
+ * @property {string} browser - Browser reported by the extension ('chrome', 'firefox', 'edge', ...)
+ * @property {string} url - Active tab URL
+ * @property {string} title - Active tab title
+ * @property {boolean} windowFocused - Whether the browser window has OS focus
+ * @property {number} receivedAt - When the app received the report (ms)
+ */
+
+// ============ STATE ============
+
+let server = null;
+let serverPort = null;
+const clients = new Map(); // socket -> { browser, version, tab: TabReport|null, buffer, fragments }
+
+// ============ WEBSOCKET FRAMING ============
+
+/**
+ * Encode a server-to-client frame (servers never mask)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off the client's buffer
+ * @param {Object} client
+ * @returns {Array<{fin: boolean, opcode: number, payload: Buffer}>}
+ */
+function decodeFrames(client) {
+    const frames = [];
+
+    while (client.buffer.length >= 2) {
+        const buf = client.buffer;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) break;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) break;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            throw new Error(`Frame too large (${length} bytes)`);
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + length) break;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buf[maskOffset + (i % 4)];
+            }
+        }
+
+        frames.push({ fin, opcode, payload });
+        client.buffer = buf.subarray(offset + length);
+    }
+
+    return frames;
+}
+
+// ============ MESSAGE HANDLING ============
+
+/**
+ * Handle a JSON message from the extension
+ * @param {Object} client
+ * @param {string} text
+ */
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        console.warn('[BrowserBridge] Ignoring malformed message');
+        return;
+    }
+
+    if (message.type === 'hello') {
+        client.browser = String(message.browser || 'unknown').toLowerCase();
+        client.version = message.version || null;
+        console.log(`[BrowserBridge] Companion connected: ${client.browser} ${client.version || ''}`.trim());
+        browserBridgeEvents.emit('bridge:connected', { browser: client.browser, version: client.version });
+        return;
+    }
+
+    if (message.type === 'tab') {
+        const previousFocus = client.tab?.windowFocused;
+        client.tab = {
+            browser: client.browser || String(message.browser || 'unknown').toLowerCase(),
+            url: typeof message.url === 'string' ? message.url : '',
+            title: typeof message.title === 'string' ? message.title : '',
+            windowFocused: message.windowFocused !== false,
+            receivedAt: Date.now()
+        };
+        // Keep the time the window gained focus so the most recently focused browser wins
+        if (client.tab.windowFocused && !previousFocus) {
+            client.focusedAt = client.tab.receivedAt;
+        }
+        browserBridgeEvents.emit('bridge:tab', client.tab);
+    }
+}
+
+function handleSocketData(socket, chunk) {
+    const client = clients.get(socket);
+    if (!client) return;
+
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+
+    let frames;
+    try {
+        frames = decodeFrames(client);
+    } catch (error) {
+        console.warn('[BrowserBridge] Closing connection:', error.message);
+        socket.destroy();
+        return;
+    }
+
+    for (const frame of frames) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                client.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(client.fragments).toString('utf8');
+                    client.fragments = [];
+                    handleMessage(client, text);
+                }
+                break;
+            case OPCODES.PING:
+                socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                break;
+            case OPCODES.CLOSE:
+                socket.end(encodeFrame(OPCODES.CLOSE));
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+function handleUpgrade(req, socket) {
+    const origin = req.headers.origin || '';
+    const key = req.headers['sec-websocket-key'];
+
+    if (!ALLOWED_ORIGIN_PATTERN.test(origin) || !key) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    clients.set(socket, { browser: null, version: null, tab: null, focusedAt: 0, buffer: Buffer.alloc(0), fragments: [] });
+
+    socket.on('data', chunk => handleSocketData(socket, chunk));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+        const client = clients.get(socket);
+        clients.delete(socket);
+        if (client?.browser) {
+            browserBridgeEvents.emit('bridge:disconnected', { browser: client.browser });
+        }
+    });
+}
+
+// ============ SERVER LIFECYCLE ============
+
+/**
+ * Start the bridge server on localhost
+ * @param {number} [port]
+ * @returns {Promise<number>} The port listened on
+ */
+function startBridge(port = DEFAULT_PORT) {
+    if (server) {
+        return Promise.resolve(serverPort);
+    }
+
+    return new Promise((resolve, reject) => {
+        const httpServer = http.createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('Workflow Daddy browser bridge - WebSocket only');
+        });
+
+        httpServer.on('upgrade', handleUpgrade);
+        httpServer.once('error', error => {
+            console.error(`[BrowserBridge] Could not listen on port ${port}:`, error.message);
+            reject(error);
+        });
+
+        httpServer.listen(port, '127.0.0.1', () => {
+            server = httpServer;
+            serverPort = port;
+            console.log(`[BrowserBridge] Listening on ws://127.0.0.1:${port}`);
+            resolve(port);
+        });
+    });
+}
+
+/**
+ * Stop the bridge server and drop all connections
+ */
+function stopBridge() {
+    for (const socket of clients.keys()) {
+        socket.destroy();
+    }
+    clients.clear();
+
+    if (server) {
+        server.close();
+        server = null;
+        serverPort = null;
+    }
+}
+
+// ============ QUERIES ============
+
+/**
+ * Whether a reported browser plausibly owns the given application name
+ * @param {string} browser - e.g. 'chrome'
+ * @param {string} appName - e.g. 'Google Chrome', 'chrome.exe', 'msedge'
+ */
+function browserMatchesApp(browser, appName) {
+    const app = (appName || '').toLowerCase();
+    if (!browser || !app) return false;
+    if (app.includes(browser)) return true;
+    if (browser === 'edge') return app.includes('msedge');
+    if (browser === 'chrome') return app.includes('chromium');
+    return false;
+}
+
+/**
+ * Get the active tab of the browser that currently has focus
+ * @param {string} [appName] - Frontmost application, used to pick between several browsers
+ * @returns {TabReport|null}
+ */
+function getActiveTab(appName) {
+    const focused = [...clients.values()]
+        .filter(c => c.tab && c.tab.windowFocused && c.tab.url)
+        .sort((a, b) => b.focusedAt - a.focusedAt);
+
+    if (focused.length === 0) return null;
+
+    const matching = appName ? focused.find(c => browserMatchesApp(c.tab.browser, appName)) : null;
+    return { ...(matching || focused[0]).tab };
+}
+
+/**
+ * Get bridge status for the UI
+ * @returns {{running: boolean, port: number|null, connections: Array<{browser: string, version: string|null}>}}
+ */
+function getBridgeStatus() {
+    return {
+        running: server !== null,
+        port: serverPort,
+        connections: [...clients.values()].filter(c => c.browser).map(c => ({ browser: c.browser, version: c.version }))
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Events
+    browserBridgeEvents,
+
+    // Constants
+    DEFAULT_PORT,
+
+    // Lifecycle
+    startBridge,
+    stopBridge,
+
+    // Queries
+    getActiveTab,
+    getBridgeStatus,
+    browserMatchesApp
+};
@@ -1,10 +1,20 @@
 // capture.js - Screen Capture & Application Tracking Service
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const EventEmitter = require('events');
+const { desktopCapturer, screen, nativeImage } = require('electron');
+const frameDiff = require('./frameDiff');
+const linuxWindow = require('./linuxWindow');
+const browserBridge = require('./browserBridge');
+const redaction = require('./redaction');
+const ocr = require('./ocr');
+const retention = require('./retention');
+const appRegistry = require('./apps');
+const titleParsers = require('./titleParsers');
+const storage = require('../storage');
 
 const execAsync = promisify(exec);
 
@@ -24,14 +34,53 @@ const captureEvents = new EventEmitter();
  * @property {string} sessionId - Associated session ID
  * @property {Date} timestamp - When the screenshot was taken
  * @property {string} imagePath - Path to the saved image file
- * @property {string} activeApplication - Name of the frontmost application
+ * @property {string} activeApplication - Canonical name of the frontmost application (see apps.js)
+ * @property {string} [rawApplication] - Name as the platform reported it ('chrome.exe', 'Electron', ...)
+ * @property {string} [appCategory] - Registry category ('browser', 'spreadsheet', ...)
  * @property {string} windowTitle - Title of the active window
  * @property {string} [url] - URL if the active app is a browser
+ * @property {string} [pageTitle] - Active tab title reported by the browser companion
+ * @property {import('./titleParsers').WindowArtifact} [artifact] - Document, record or channel parsed from the title and URL
+ * @property {number} [diffScore] - Fraction of the screen that changed since the last stored frame (0-1)
+ * @property {boolean} [duplicate] - Near-identical to the last stored frame; image not saved, skipped by analysis
+ * @property {string} [duplicateOf] - ID of the stored frame this one duplicates
+ * @property {'interval'|'window_switch'} [trigger] - What caused the capture
+ * @property {number} [elapsedSinceLast] - Seconds since the previous capture (for app time accounting)
+ * @property {string} [elapsedApp] - App that was on screen for those seconds: the previous frame's, which differs from this one after a switch
+ * @property {string} [elapsedUrl] - URL that was on screen for those seconds, likewise
+ * @property {DisplayCapture[]} [displays] - Displays in this capture (more than one with captureAllMonitors)
+ * @property {string} [focusedDisplayId] - Display holding the active window
+ * @property {import('./redaction').Redaction[]} [redactions] - What was skipped or masked in this capture
+ * @property {string} [ocrText] - Text recognized on the active display, with masked text replaced
+ * @property {number} [ocrConfidence] - Mean OCR confidence (0-100)
+ * @property {string} [ocrPath] - Full text layer with word boxes (import('./ocr').OcrResult as JSON)
+ * @property {string} [thumbnailPath] - Small copy of the image for UI lists
+ * @property {'full'|'downsampled'|'deleted'} [imageState] - Set by the retention pruner (missing means full)
+ */
+
+/**
+ * @typedef {Object} WindowBounds
+ * @property {number} x - Left edge in desktop coordinates (DIPs)
+ * @property {number} y - Top edge in desktop coordinates (DIPs)
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} DisplayCapture
+ * @property {string} id - Electron display ID
+ * @property {WindowBounds} bounds - Display position and size on the desktop (DIPs)
+ * @property {number} scaleFactor - Device pixel ratio
+ * @property {boolean} primary - Is the OS primary display
+ * @property {boolean} focused - Holds the active window
+ * @property {string|null} [imagePath] - This display's own image ('per-display' mode)
+ * @property {WindowBounds} [region] - Where this display sits in the stitched image ('stitched' mode)
  */
 
 /**
  * @typedef {Object} AppUsageRecord
- * @property {string} app - Application name
+ * @property {string} app - Canonical application name
+ * @property {string} [category] - Registry category
  * @property {string} windowTitle - Window title
  * @property {Date} startTime - When the app became active
  * @property {Date|null} endTime - When the app became inactive (null if still active)
@@ -45,6 +94,18 @@ const captureEvents = new EventEmitter();
  * @property {boolean} captureAllMonitors - Whether to capture all monitors (default false)
  * @property {boolean} trackUrls - Whether to track browser URLs (default true)
  * @property {'full'|'domain-only'} urlPrivacyMode - URL privacy level (default 'full')
+ * @property {boolean} browserBridgeEnabled - Accept tab reports from the browser companion (default true)
+ * @property {number} browserBridgePort - Localhost port for the browser companion (default 47615)
+ * @property {number} duplicateFrameThreshold - Frames with a diff score below this are dropped as duplicates (default 0.02)
+ * @property {boolean} adaptiveScheduling - Adapt the interval to activity instead of a fixed timer (default true)
+ * @property {number} minScreenshotInterval - Fastest interval during rapid change, ms (default 3000)
+ * @property {number} maxScreenshotInterval - Ceiling the interval backs off to while static, ms (default 60000)
+ * @property {number} rapidChangeThreshold - Diff score that counts as rapid change (default 0.15)
+ * @property {number} backoffFactor - Interval multiplier per static frame (default 1.5)
+ * @property {number} windowPollInterval - How often to check for app/title switches between captures, ms (default 5000)
+ * @property {number} sessionScreenshotBudget - Max stored screenshots per session, 0 = unlimited (default 0)
+ * @property {'per-display'|'stitched'} multiMonitorMode - With captureAllMonitors, save one image per display or one composite (default 'per-display')
+ * @property {boolean} ocrEnabled - Keep an on-device OCR text layer for each stored screenshot (default true)
  */
 
 // Default capture configuration
@@ -53,31 +114,107 @@ const DEFAULT_CAPTURE_CONFIG = {
     imageQuality: 0.7,
     captureAllMonitors: false,
     trackUrls: true,
-    urlPrivacyMode: 'full'
+    urlPrivacyMode: 'full',
+    browserBridgeEnabled: true,
+    browserBridgePort: browserBridge.DEFAULT_PORT,
+    duplicateFrameThreshold: 0.02,
+    adaptiveScheduling: true,
+    minScreenshotInterval: 3000,
+    maxScreenshotInterval: 60000,
+    rapidChangeThreshold: 0.15,
+    backoffFactor: 1.5,
+    windowPollInterval: 5000,
+    sessionScreenshotBudget: 0,
+    multiMonitorMode: 'per-display',
+    ocrEnabled: true
 };
 
+// Stitched composites wider than this are scaled down
+const MAX_STITCHED_WIDTH = 7680;
+
+// Win32 calls for the Windows active window lookups, compiled by Add-Type
+const WIN32_TYPE_DEFINITION = `
+            Add-Type @"
+                using System;
+                using System.Runtime.InteropServices;
+                using System.Text;
+                public class Win32 {
+                    [DllImport("user32.dll")]
+                    public static extern IntPtr GetForegroundWindow();
+                    [DllImport("user32.dll")]
+                    public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+                    [DllImport("user32.dll")]
+                    public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+                    [DllImport("user32.dll")]
+                    public static extern bool GetWindowRect(IntPtr hWnd, out RECT rect);
+                }
+                public struct RECT { public int Left; public int Top; public int Right; public int Bottom; }
+"@`;
+
+// How long a window probe may take before it's given up on
+const PROBE_TIMEOUT = 2000;
+
 // ============ STATE ============
 
-let captureIntervalId = null;
+let isCapturing = false;
 let currentSession = null;
 let currentAppRecord = null;
 let captureConfig = { ...DEFAULT_CAPTURE_CONFIG };
+let lastStoredFrame = null; // { id, fingerprint, app, title } of the last frame written to disk
+
+// Scheduler state
+let captureTimeoutId = null;
+let windowPollId = null;
+let captureInFlight = false;
+let currentInterval = DEFAULT_CAPTURE_CONFIG.screenshotInterval;
+let lastCaptureTime = null;
+let lastCapturedWindow = null; // { app, title, url } at the last capture
+let lastProbedWindow = null; // { app, title } the last window poll saw, as the platform reports it
+let windowsProbe = null; // { process, pending, buffer } long-lived PowerShell helper for polling on Windows
+let budgetState = { sessionId: null, stored: 0, exhausted: false }; // survives config restarts within a session
+let awayState = null; // { reason, since } while the user is away - capture is suspended
 
 // ============ ACTIVE WINDOW DETECTION ============
 
 /**
- * Get the currently active window information
- * @returns {Promise<{app: string, title: string, url?: string}>}
+ * Get the currently active window information.
+ * `app` is the canonical name from the app registry, with the platform's own name in `rawApp`.
+ * Blocklisted windows come back with the title and URL stripped and a `blocked` reason.
+ * @returns {Promise<{app: string, rawApp: string, appCategory: string, title: string, url?: string, bounds?: WindowBounds, blocked?: {reason: string, rule: string}}>}
  */
 async function getActiveWindow() {
+    let windowInfo = { app: 'Unknown', title: 'Unknown' };
     if (isMacOS) {
-        return getActiveWindowMacOS();
+        windowInfo = await getActiveWindowMacOS();
     } else if (isWindows) {
-        return getActiveWindowWindows();
+        windowInfo = await getActiveWindowWindows();
     } else if (isLinux) {
-        return getActiveWindowLinux();
+        windowInfo = await getActiveWindowLinux();
+    }
+    return redaction.applyBlocklist(mergeBrowserTab(appRegistry.identifyWindow(windowInfo)));
+}
+
+/**
+ * Merge the browser companion's active tab into window info.
+ * The companion is the most reliable source, so it wins over platform lookups.
+ * @param {{app: string, title: string, url?: string}} windowInfo
+ * @returns {{app: string, title: string, url?: string, pageTitle?: string}}
+ */
+function mergeBrowserTab(windowInfo) {
+    if (!captureConfig.trackUrls || !captureConfig.browserBridgeEnabled || !isBrowser(windowInfo.app)) {
+        return windowInfo;
+    }
+
+    const tab = browserBridge.getActiveTab(windowInfo.app);
+    if (!tab) {
+        return windowInfo;
     }
-    return { app: 'Unknown', title: 'Unknown' };
+
+    return {
+        ...windowInfo,
+        url: applyUrlPrivacy(tab.url),
+        pageTitle: tab.title || undefined
+    };
 }
 
 /**
@@ -85,15 +222,15 @@ async function getActiveWindow() {
  */
 async function getActiveWindowMacOS() {
     try {
-        // Get the frontmost application name
+        // Get the frontmost application name and bundle id (the registry prefers the id)
         const appScript = `
             tell application "System Events"
-                set frontApp to name of first application process whose frontmost is true
+                set frontApp to first application process whose frontmost is true
+                return (name of frontApp) & "|" & (bundle identifier of frontApp)
             end tell
-            return frontApp
         `;
-        const { stdout: appName } = await execAsync(`osascript -e '${appScript}'`);
-        const app = appName.trim();
+        const { stdout: appInfo } = await execAsync(`osascript -e '${appScript}'`);
+        const [app, bundleId] = appInfo.trim().split('|');
 
         // Get the window title
         const titleScript = `
@@ -110,13 +247,35 @@ async function getActiveWindowMacOS() {
         const { stdout: windowTitle } = await execAsync(`osascript -e '${titleScript}'`);
         const title = windowTitle.trim();
 
+        // Get the window frame so the focused display can be worked out
+        const boundsScript = `
+            tell application "System Events"
+                tell (first application process whose frontmost is true)
+                    if (count of windows) > 0 then
+                        set {x, y} to position of front window
+                        set {w, h} to size of front window
+                        return (x as text) & "," & (y as text) & "," & (w as text) & "," & (h as text)
+                    else
+                        return ""
+                    end if
+                end tell
+            end tell
+        `;
+        let bounds = undefined;
+        try {
+            const { stdout: frame } = await execAsync(`osascript -e '${boundsScript}'`);
+            bounds = parseBounds(frame);
+        } catch {
+            // Some apps don't expose window geometry to accessibility
+        }
+
         // Try to get URL if it's a browser
         let url = undefined;
         if (captureConfig.trackUrls && isBrowser(app)) {
             url = await getBrowserURLMacOS(app);
         }
 
-        return { app, title, url };
+        return { app, bundleId: bundleId && bundleId !== 'missing value' ? bundleId : undefined, title, url, bounds };
     } catch (error) {
         console.error('Error getting active window (macOS):', error.message);
         return { app: 'Unknown', title: 'Unknown' };
@@ -125,17 +284,42 @@ async function getActiveWindowMacOS() {
 
 /**
  * Check if the application is a known browser
+ * Falls back to name matching for builds the registry doesn't list (e.g. 'chrome-beta')
  */
 function isBrowser(appName) {
+    if (appRegistry.getCategory(appName) === appRegistry.APP_CATEGORIES.BROWSER) {
+        return true;
+    }
+
     const browsers = [
         'Safari', 'Google Chrome', 'Firefox', 'Microsoft Edge',
-        'Brave Browser', 'Arc', 'Opera', 'Vivaldi', 'Chromium'
+        'Brave Browser', 'Arc', 'Opera', 'Vivaldi', 'Chromium',
+        // Linux process names / window classes
+        'chrome', 'brave', 'msedge', 'librewolf'
     ];
     return browsers.some(browser =>
         appName.toLowerCase().includes(browser.toLowerCase())
     );
 }
 
+/**
+ * Apply the configured URL privacy mode
+ * @param {string|undefined} url
+ * @returns {string|undefined}
+ */
+function applyUrlPrivacy(url) {
+    if (url && captureConfig.urlPrivacyMode === 'domain-only') {
+        try {
+            const urlObj = new URL(url);
+            url = urlObj.origin;
+        } catch {
+            // Keep full URL if parsing fails
+        }
+    }
+
+    return url || undefined;
+}
+
 /**
  * Get browser URL on macOS
  */
@@ -191,19 +375,7 @@ async function getBrowserURLMacOS(appName) {
         if (!script) return undefined;
 
         const { stdout } = await execAsync(`osascript -e '${script}'`);
-        let url = stdout.trim();
-
-        // Apply privacy mode
-        if (url && captureConfig.urlPrivacyMode === 'domain-only') {
-            try {
-                const urlObj = new URL(url);
-                url = urlObj.origin;
-            } catch {
-                // Keep full URL if parsing fails
-            }
-        }
-
-        return url || undefined;
+        return applyUrlPrivacy(stdout.trim());
     } catch (error) {
         // Browser might not be responding or doesn't support the script
         return undefined;
@@ -215,20 +387,7 @@ async function getBrowserURLMacOS(appName) {
  */
 async function getActiveWindowWindows() {
     try {
-        const script = `
-            Add-Type @"
-                using System;
-                using System.Runtime.InteropServices;
-                using System.Text;
-                public class Win32 {
-                    [DllImport("user32.dll")]
-                    public static extern IntPtr GetForegroundWindow();
-                    [DllImport("user32.dll")]
-                    public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
-                    [DllImport("user32.dll")]
-                    public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
-                }
-"@
+        const script = `${WIN32_TYPE_DEFINITION}
             $hwnd = [Win32]::GetForegroundWindow()
             $title = New-Object System.Text.StringBuilder 256
             [Win32]::GetWindowText($hwnd, $title, 256) | Out-Null
@@ -236,13 +395,24 @@ async function getActiveWindowWindows() {
             [Win32]::GetWindowThreadProcessId($hwnd, [ref]$processId) | Out-Null
             $process = Get-Process -Id $processId -ErrorAction SilentlyContinue
             $appName = if ($process) { $process.ProcessName } else { "Unknown" }
-            Write-Output "$appName|$($title.ToString())"
+            $rect = New-Object RECT
+            [Win32]::GetWindowRect($hwnd, [ref]$rect) | Out-Null
+            $frame = "$($rect.Left),$($rect.Top),$($rect.Right - $rect.Left),$($rect.Bottom - $rect.Top)"
+            Write-Output "$appName|$frame|$($title.ToString())"
         `;
 
         const { stdout } = await execAsync(`powershell -Command "${script.replace(/"/g, '\\"')}"`);
-        const [app, title] = stdout.trim().split('|');
+        // Title goes last since it may itself contain '|'
+        const [app, frame, ...titleParts] = stdout.trim().split('|');
+        const title = titleParts.join('|');
+
+        // GetWindowRect is in physical pixels; Electron's display bounds are in DIPs
+        let bounds = parseBounds(frame);
+        if (bounds && screen.screenToDipRect) {
+            bounds = screen.screenToDipRect(null, bounds);
+        }
 
-        return { app: app || 'Unknown', title: title || 'Unknown' };
+        return { app: app || 'Unknown', title: title || 'Unknown', bounds };
     } catch (error) {
         console.error('Error getting active window (Windows):', error.message);
         return { app: 'Unknown', title: 'Unknown' };
@@ -250,31 +420,178 @@ async function getActiveWindowWindows() {
 }
 
 /**
- * Get active window on Linux using xdotool
+ * Get active window on Linux
+ * Walks the detector chain in linuxWindow.js (Hyprland, sway, GNOME Shell,
+ * KWin, xprop, xdotool) so Wayland sessions don't all record as 'Unknown'
  */
 async function getActiveWindowLinux() {
     try {
-        // Get active window ID
-        const { stdout: windowId } = await execAsync('xdotool getactivewindow');
-        const wid = windowId.trim();
+        const windowInfo = await linuxWindow.getActiveWindowLinux();
+        if (!windowInfo) {
+            console.error('Error getting active window (Linux): no detector succeeded');
+            return { app: 'Unknown', title: 'Unknown' };
+        }
 
-        // Get window title
-        const { stdout: title } = await execAsync(`xdotool getwindowname ${wid}`);
+        const { app, title, bounds } = windowInfo;
 
-        // Get window PID and then process name
-        const { stdout: pid } = await execAsync(`xdotool getwindowpid ${wid}`);
-        const { stdout: appName } = await execAsync(`ps -p ${pid.trim()} -o comm=`);
+        // Try to get URL if it's a browser
+        let url = undefined;
+        if (captureConfig.trackUrls && isBrowser(app)) {
+            url = applyUrlPrivacy(await linuxWindow.getBrowserURLLinux(app, title));
+        }
 
-        return {
-            app: appName.trim() || 'Unknown',
-            title: title.trim() || 'Unknown'
-        };
+        return { app, title, url, bounds };
     } catch (error) {
         console.error('Error getting active window (Linux):', error.message);
         return { app: 'Unknown', title: 'Unknown' };
     }
 }
 
+/**
+ * Parse an "x,y,width,height" string into window bounds
+ * @param {string} text
+ * @returns {{x: number, y: number, width: number, height: number}|undefined}
+ */
+function parseBounds(text) {
+    const values = (text || '').trim().split(',').map(Number);
+    if (values.length !== 4 || values.some(v => !Number.isFinite(v)) || values[2] <= 0 || values[3] <= 0) {
+        return undefined;
+    }
+    const [x, y, width, height] = values;
+    return { x, y, width, height };
+}
+
+// ============ WINDOW PROBE ============
+
+// Answers one "app|title" line per line read from stdin, so Add-Type only compiles once
+const WINDOWS_PROBE_SCRIPT = `${WIN32_TYPE_DEFINITION}
+            [Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+            while ($null -ne [Console]::In.ReadLine()) {
+                $hwnd = [Win32]::GetForegroundWindow()
+                $title = New-Object System.Text.StringBuilder 256
+                [Win32]::GetWindowText($hwnd, $title, 256) | Out-Null
+                $processId = 0
+                [Win32]::GetWindowThreadProcessId($hwnd, [ref]$processId) | Out-Null
+                $process = Get-Process -Id $processId -ErrorAction SilentlyContinue
+                $appName = if ($process) { $process.ProcessName } else { "Unknown" }
+                [Console]::Out.WriteLine("$appName|$($title.ToString())")
+                [Console]::Out.Flush()
+            }
+        `;
+
+/**
+ * Cheap app/title check for polling between captures. Skips the bounds, URL and
+ * registry lookups of getActiveWindow, so it's only good for noticing a switch.
+ * @returns {Promise<{app: string, title: string}|null>} Platform app name and title,
+ *   or null when the platform has no cheap way to tell
+ */
+async function probeActiveWindow() {
+    try {
+        if (isMacOS) return await probeActiveWindowMacOS();
+        if (isWindows) return await probeActiveWindowWindows();
+        if (isLinux) return await linuxWindow.probeActiveWindowLinux();
+    } catch (error) {
+        console.error('Error probing active window:', error.message);
+    }
+    return null;
+}
+
+/**
+ * One osascript call for the frontmost app and its window title
+ */
+async function probeActiveWindowMacOS() {
+    const script = `
+        tell application "System Events"
+            set frontApp to first application process whose frontmost is true
+            set windowTitle to ""
+            try
+                if (count of windows of frontApp) > 0 then set windowTitle to name of front window of frontApp
+            end try
+            return (name of frontApp) & "|" & windowTitle
+        end tell
+    `;
+    const { stdout } = await execAsync(`osascript -e '${script}'`, { timeout: PROBE_TIMEOUT });
+    const [app, ...titleParts] = stdout.trim().split('|');
+    return { app, title: titleParts.join('|') };
+}
+
+/**
+ * Start the PowerShell probe helper, or return the running one
+ */
+function getWindowsProbe() {
+    if (windowsProbe) return windowsProbe;
+
+    const child = spawn('powershell', ['-NoProfile', '-NonInteractive', '-EncodedCommand', Buffer.from(WINDOWS_PROBE_SCRIPT, 'utf16le').toString('base64')], {
+        windowsHide: true
+    });
+    const probe = { process: child, pending: [], buffer: '' };
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+        probe.buffer += chunk;
+        let newline;
+        while ((newline = probe.buffer.indexOf('\n')) !== -1) {
+            const line = probe.buffer.slice(0, newline).trim();
+            probe.buffer = probe.buffer.slice(newline + 1);
+            const resolve = probe.pending.shift();
+            if (resolve) resolve(line);
+        }
+    });
+
+    // Started again on the next probe
+    const onEnd = () => {
+        if (windowsProbe === probe) windowsProbe = null;
+        probe.pending.splice(0).forEach(resolve => resolve(null));
+    };
+    child.on('exit', onEnd);
+    child.on('error', error => {
+        console.error('Window probe helper failed:', error.message);
+        onEnd();
+    });
+    child.stdin.on('error', () => {}); // Writes racing the helper's exit
+
+    windowsProbe = probe;
+    return probe;
+}
+
+/**
+ * Stop the PowerShell probe helper
+ */
+function stopWindowsProbe() {
+    if (!windowsProbe) return;
+    const { process: child } = windowsProbe;
+    windowsProbe = null;
+    child.stdin.end();
+    child.kill();
+}
+
+/**
+ * Ask the long-lived PowerShell helper for the foreground app and title
+ */
+async function probeActiveWindowWindows() {
+    const probe = getWindowsProbe();
+    // Still answering the last poll (e.g. compiling on first use)
+    if (probe.pending.length > 0) return null;
+
+    const line = await new Promise(resolve => {
+        let settled = false;
+        const settle = value => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(value);
+        };
+        // A late answer still takes its place in the queue, so it's dropped rather than misread
+        const timer = setTimeout(() => settle(null), PROBE_TIMEOUT);
+        probe.pending.push(settle);
+        probe.process.stdin.write('\n');
+    });
+    if (!line) return null;
+
+    const [app, ...titleParts] = line.split('|');
+    return { app, title: titleParts.join('|') };
+}
+
 // ============ APP TRACKING ============
 
 /**
@@ -305,6 +622,7 @@ function trackAppSwitch(previous, current) {
     // Create new record for current app
     const newRecord = {
         app: current.app,
+        category: current.appCategory,
         windowTitle: current.title,
         startTime: now,
         endTime: null,
@@ -364,14 +682,15 @@ function ensureScreenshotsDir(sessionId) {
 
 /**
  * Capture screenshot with metadata
- * This creates the metadata object - actual image capture happens in renderer
+ * This creates the metadata object - the image is captured by captureScreenshotImage
  * @param {string} sessionId
+ * @param {{app: string, title: string, url?: string}} [windowInfo] - Already-fetched active window
  * @returns {Promise<Screenshot>}
  */
-async function captureScreenshotMetadata(sessionId) {
+async function captureScreenshotMetadata(sessionId, windowInfo = null) {
     const id = generateScreenshotId();
     const timestamp = new Date();
-    const windowInfo = await getActiveWindow();
+    windowInfo = windowInfo || (await getActiveWindow());
 
     const screenshotsDir = ensureScreenshotsDir(sessionId);
     const filename = `${timestamp.getTime()}-${id}.jpg`;
@@ -383,8 +702,13 @@ async function captureScreenshotMetadata(sessionId) {
         timestamp,
         imagePath,
         activeApplication: windowInfo.app,
+        rawApplication: windowInfo.rawApp,
+        appCategory: windowInfo.appCategory,
         windowTitle: windowInfo.title,
-        url: windowInfo.url
+        url: windowInfo.url,
+        pageTitle: windowInfo.pageTitle,
+        // Blocked windows have had their title removed - nothing to parse
+        artifact: windowInfo.blocked ? undefined : titleParsers.parseWindow(windowInfo) || undefined
     };
 
     return screenshot;
@@ -396,13 +720,490 @@ async function captureScreenshotMetadata(sessionId) {
  * @param {Buffer} imageBuffer
  */
 function saveScreenshotImage(imagePath, imageBuffer) {
-    const dir = path.dirname(imagePath);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+    // Goes through storage so the image is encrypted at rest when that's enabled
+    storage.writeDataFile(imagePath, imageBuffer);
+}
+
+/**
+ * Save the OCR text layer next to the screenshot. The text also goes in the
+ * metadata for context and search; word boxes only in the sidecar file.
+ * @param {Screenshot} metadata
+ * @param {import('./ocr').OcrResult} textLayer - Already scrubbed of masked text
+ */
+function saveTextLayer(metadata, textLayer) {
+    metadata.ocrText = textLayer.text;
+    metadata.ocrConfidence = Math.round(textLayer.confidence);
+    metadata.ocrPath = metadata.imagePath.replace(/\.jpg$/, '.ocr.json');
+    storage.writeDataFile(metadata.ocrPath, Buffer.from(JSON.stringify(textLayer), 'utf8'));
+}
+
+/**
+ * Mask and save one image. OCR for the text layer runs first and is reused by
+ * redaction, so a frame is never recognized twice.
+ * @param {Electron.NativeImage} image
+ * @param {string} imagePath
+ * @param {boolean} withTextLayer
+ * @returns {Promise<{image: Electron.NativeImage, redactions: import('./redaction').Redaction[], ocr: import('./ocr').OcrResult|null}>}
+ *   image is the masked image as saved
+ */
+async function redactAndSaveImage(image, imagePath, withTextLayer) {
+    const keepText = withTextLayer && captureConfig.ocrEnabled;
+    const ocrResult = keepText ? await ocr.recognize(image.toPNG()) : undefined;
+    const redacted = await redaction.redactImage(image, ocrResult);
+    saveScreenshotImage(imagePath, redacted.image.toJPEG(Math.round(captureConfig.imageQuality * 100)));
+    return { image: redacted.image, redactions: redacted.redactions, ocr: keepText ? redacted.ocr : null };
+}
+
+// ============ DISPLAYS ============
+
+/**
+ * Find the display holding the active window, falling back to the one under the cursor
+ * @param {WindowBounds} [windowBounds]
+ * @returns {Electron.Display}
+ */
+function getFocusedDisplay(windowBounds) {
+    try {
+        if (windowBounds) {
+            return screen.getDisplayMatching(windowBounds);
+        }
+        return screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    } catch {
+        return screen.getPrimaryDisplay();
+    }
+}
+
+/**
+ * Grab the given displays as NativeImages
+ * @param {Electron.Display[]} displays
+ * @returns {Promise<Array<{display: Electron.Display, image: Electron.NativeImage}>>}
+ */
+async function captureDisplayImages(displays) {
+    // Thumbnails are fit inside thumbnailSize, so size it for the largest display
+    const thumbnailSize = displays.reduce(
+        (size, d) => ({
+            width: Math.max(size.width, Math.round(d.size.width * d.scaleFactor)),
+            height: Math.max(size.height, Math.round(d.size.height * d.scaleFactor))
+        }),
+        { width: 0, height: 0 }
+    );
+    const sources = await desktopCapturer.getSources({ types: ['screen'], thumbnailSize });
+    const allDisplays = screen.getAllDisplays();
+
+    const captures = [];
+    for (const display of displays) {
+        // display_id can be empty on some Linux setups; sources then follow display order
+        const source =
+            sources.find(s => s.display_id && s.display_id === String(display.id)) ||
+            (sources.every(s => !s.display_id) ? sources[allDisplays.findIndex(d => d.id === display.id)] : null);
+        if (source && !source.thumbnail.isEmpty()) {
+            captures.push({ display, image: source.thumbnail });
+        }
+    }
+    return captures;
+}
+
+/**
+ * Lay displays out as they sit on the desktop and draw them into one image
+ * @param {Array<{display: Electron.Display, image: Electron.NativeImage}>} captures
+ * @returns {{image: Electron.NativeImage, regions: Map<number, WindowBounds>}}
+ */
+function stitchDisplayImages(captures) {
+    const left = Math.min(...captures.map(c => c.display.bounds.x));
+    const top = Math.min(...captures.map(c => c.display.bounds.y));
+    const right = Math.max(...captures.map(c => c.display.bounds.x + c.display.bounds.width));
+    const bottom = Math.max(...captures.map(c => c.display.bounds.y + c.display.bounds.height));
+
+    const scale = Math.min(1, MAX_STITCHED_WIDTH / (right - left));
+    const width = Math.round((right - left) * scale);
+    const height = Math.round((bottom - top) * scale);
+    const canvas = Buffer.alloc(width * height * 4);
+    const regions = new Map();
+
+    for (const { display, image } of captures) {
+        const x = Math.round((display.bounds.x - left) * scale);
+        const y = Math.round((display.bounds.y - top) * scale);
+        // Clamp so rounding can't push a display past the canvas edge
+        const region = {
+            x,
+            y,
+            width: Math.min(Math.round(display.bounds.width * scale), width - x),
+            height: Math.min(Math.round(display.bounds.height * scale), height - y)
+        };
+
+        const bitmap = image.resize({ width: region.width, height: region.height }).toBitmap();
+        const rowBytes = region.width * 4;
+        for (let row = 0; row < region.height; row++) {
+            bitmap.copy(canvas, ((region.y + row) * width + region.x) * 4, row * rowBytes, (row + 1) * rowBytes);
+        }
+        regions.set(display.id, region);
+    }
+
+    return { image: nativeImage.createFromBitmap(canvas, { width, height }), regions };
+}
+
+/**
+ * Capture the screen(s) for one screenshot.
+ * Primary display only by default; every display with captureAllMonitors,
+ * either kept separate or stitched depending on multiMonitorMode.
+ * @param {WindowBounds} [windowBounds] - Active window frame, used to mark the focused display
+ * @returns {Promise<{image: Electron.NativeImage, displays: DisplayCapture[], focusedDisplayId: string, perDisplay: Array<{display: DisplayCapture, image: Electron.NativeImage}>|null}|null>}
+ */
+async function captureScreenFrame(windowBounds) {
+    const primary = screen.getPrimaryDisplay();
+    const focused = getFocusedDisplay(windowBounds);
+    const targets = captureConfig.captureAllMonitors ? screen.getAllDisplays() : [primary];
+
+    const captures = await captureDisplayImages(targets);
+    if (captures.length === 0) {
+        return null;
+    }
+
+    const displays = captures.map(({ display }) => ({
+        id: String(display.id),
+        bounds: { ...display.bounds },
+        scaleFactor: display.scaleFactor,
+        primary: display.id === primary.id,
+        focused: display.id === focused.id
+    }));
+    const focusedIndex = Math.max(0, displays.findIndex(d => d.focused));
+    const focusedDisplayId = displays.some(d => d.focused) ? displays[focusedIndex].id : null;
+
+    if (captures.length === 1) {
+        return { image: captures[0].image, displays, focusedDisplayId, perDisplay: null };
+    }
+
+    if (captureConfig.multiMonitorMode === 'stitched') {
+        const { image, regions } = stitchDisplayImages(captures);
+        captures.forEach(({ display }, i) => {
+            displays[i].region = regions.get(display.id);
+        });
+        return { image, displays, focusedDisplayId, perDisplay: null };
+    }
+
+    // Per-display: the focused display is the frame that gets diffed and analyzed
+    return {
+        image: captures[focusedIndex].image,
+        displays,
+        focusedDisplayId,
+        perDisplay: captures.map(({ image }, i) => ({ display: displays[i], image }))
+    };
+}
+
+/**
+ * Capture the screen image for a screenshot and decide whether it's worth keeping.
+ * Near-identical frames (same window, diff score under duplicateFrameThreshold)
+ * are flagged as duplicates and not written to disk.
+ * @param {Screenshot} metadata - Metadata from captureScreenshotMetadata (mutated)
+ * @param {WindowBounds} [windowBounds] - Active window frame
+ * @returns {Promise<Screenshot>}
+ */
+async function captureScreenshotImage(metadata, windowBounds = null) {
+    let frame;
+    try {
+        frame = await captureScreenFrame(windowBounds);
+    } catch (error) {
+        console.error('Error capturing screen image:', error.message);
+    }
+
+    if (!frame) {
+        metadata.imagePath = null;
+        return metadata;
+    }
+
+    metadata.displays = frame.displays;
+    metadata.focusedDisplayId = frame.focusedDisplayId;
+
+    const fingerprint = frameDiff.fingerprintFromNativeImage(frame.image);
+    const sameWindow =
+        lastStoredFrame && lastStoredFrame.app === metadata.activeApplication && lastStoredFrame.title === metadata.windowTitle;
+    const diffScore = lastStoredFrame ? frameDiff.compareFingerprints(lastStoredFrame.fingerprint, fingerprint) : 1;
+
+    metadata.diffScore = Math.round(diffScore * 1000) / 1000;
+
+    if (sameWindow && diffScore < captureConfig.duplicateFrameThreshold) {
+        // Compared against the last *stored* frame, so slow drift still adds up to a new frame
+        metadata.duplicate = true;
+        metadata.duplicateOf = lastStoredFrame.id;
+        metadata.imagePath = null;
+        return metadata;
+    }
+
+    // Sensitive text is masked before anything is written, so the file is all analysis ever sees
+    const redactions = [];
+    let textLayer = null;
+    let primaryImage = null;
+    if (frame.perDisplay) {
+        // The focused display keeps the screenshot's own path so everything downstream analyzes it
+        const basePath = metadata.imagePath.replace(/\.jpg$/, '');
+        const primaryId = frame.focusedDisplayId || frame.perDisplay[0].display.id;
+        for (const { display, image } of frame.perDisplay) {
+            display.imagePath = display.id === frame.focusedDisplayId ? metadata.imagePath : `${basePath}-display-${display.id}.jpg`;
+            const saved = await redactAndSaveImage(image, display.imagePath, display.id === primaryId);
+            redactions.push(...saved.redactions.map(r => ({ ...r, displayId: display.id })));
+            textLayer = saved.ocr || textLayer;
+            if (display.id === primaryId) {
+                primaryImage = saved.image;
+            }
+        }
+        if (!frame.focusedDisplayId) {
+            metadata.imagePath = frame.perDisplay[0].display.imagePath;
+        }
+    } else {
+        const saved = await redactAndSaveImage(frame.image, metadata.imagePath, true);
+        redactions.push(...saved.redactions);
+        textLayer = saved.ocr;
+        primaryImage = saved.image;
+    }
+
+    if (redactions.length > 0) {
+        metadata.redactions = [...(metadata.redactions || []), ...redactions];
+    }
+    if (textLayer) {
+        saveTextLayer(metadata, textLayer);
+    }
+    try {
+        retention.saveThumbnail(metadata, primaryImage);
+    } catch (error) {
+        console.error('Error saving thumbnail:', error.message);
     }
-    fs.writeFileSync(imagePath, imageBuffer);
+
+    lastStoredFrame = {
+        id: metadata.id,
+        fingerprint,
+        app: metadata.activeApplication,
+        title: metadata.windowTitle
+    };
+
+    return metadata;
 }
 
+// ============ ADAPTIVE SCHEDULING ============
+
+/**
+ * Work out the next interval from what the last capture saw.
+ * Switches and big diffs halve the interval (down to the floor), static
+ * frames back off toward the ceiling, ordinary change returns to the base.
+ * @param {Screenshot} metadata
+ * @param {boolean} windowSwitched
+ * @returns {number}
+ */
+function computeNextInterval(metadata, windowSwitched) {
+    const base = captureConfig.screenshotInterval;
+    if (!captureConfig.adaptiveScheduling) {
+        return base;
+    }
+
+    const floor = Math.min(captureConfig.minScreenshotInterval, base);
+    const ceiling = Math.max(captureConfig.maxScreenshotInterval, base);
+
+    if (windowSwitched || (metadata.diffScore ?? 0) >= captureConfig.rapidChangeThreshold) {
+        return Math.max(floor, Math.round(Math.min(currentInterval, base) / 2));
+    }
+    if (metadata.duplicate) {
+        return Math.min(ceiling, Math.round(Math.max(currentInterval, base) * captureConfig.backoffFactor));
+    }
+    return base;
+}
+
+/**
+ * Schedule the next capture
+ * @param {number} delay - ms
+ */
+function scheduleNextCapture(delay) {
+    if (captureTimeoutId) {
+        clearTimeout(captureTimeoutId);
+    }
+    captureTimeoutId = setTimeout(() => {
+        captureTimeoutId = null;
+        runCapture('interval');
+    }, delay);
+}
+
+/**
+ * Take one capture, emit it and schedule the next one
+ * @param {'interval'|'window_switch'} trigger
+ * @param {{app: string, title: string, url?: string}} [windowInfo]
+ */
+async function runCapture(trigger, windowInfo = null) {
+    if (!isCapturing || captureInFlight || awayState) return;
+    captureInFlight = true;
+
+    try {
+        windowInfo = windowInfo || (await getActiveWindow());
+        if (awayState) return; // Went away while the window was being read
+
+        // Track app switches
+        const newRecord = trackAppSwitch(currentAppRecord, windowInfo);
+        if (newRecord) {
+            currentAppRecord = newRecord;
+        }
+
+        const windowSwitched =
+            lastCapturedWindow !== null && (lastCapturedWindow.app !== windowInfo.app || lastCapturedWindow.title !== windowInfo.title);
+
+        const now = Date.now();
+        const metadata = await captureScreenshotMetadata(currentSession, windowInfo);
+        metadata.trigger = trigger;
+        metadata.elapsedSinceLast = lastCaptureTime ? Math.round((now - lastCaptureTime) / 1000) : Math.round(currentInterval / 1000);
+        // Until this capture the previous window was on screen, so that's what the time belongs to
+        metadata.elapsedApp = lastCapturedWindow ? lastCapturedWindow.app : windowInfo.app;
+        metadata.elapsedUrl = lastCapturedWindow ? lastCapturedWindow.url : windowInfo.url;
+
+        if (windowInfo.blocked) {
+            // Blocklisted app or page: nothing on screen is captured
+            metadata.imagePath = null;
+            metadata.redactions = [{ type: redaction.REDACTION_TYPES.SKIPPED, ...windowInfo.blocked }];
+        } else if (budgetState.exhausted) {
+            // Out of budget: keep time tracking going but don't capture images
+            metadata.imagePath = null;
+        } else {
+            // Capture the frame, dropping it if nothing visibly changed
+            await captureScreenshotImage(metadata, windowInfo.bounds);
+            if (metadata.imagePath) {
+                recordStoredScreenshot();
+            }
+        }
+
+        lastCaptureTime = now;
+        lastCapturedWindow = { app: windowInfo.app, title: windowInfo.title, url: windowInfo.url };
+        currentInterval = computeNextInterval(metadata, windowSwitched);
+
+        captureEvents.emit('screenshot:captured', metadata);
+    } catch (error) {
+        console.error('Error during capture interval:', error);
+    } finally {
+        captureInFlight = false;
+        if (isCapturing && !awayState) {
+            scheduleNextCapture(currentInterval);
+        }
+    }
+}
+
+/**
+ * Count a stored screenshot against the session budget
+ */
+function recordStoredScreenshot() {
+    budgetState.stored++;
+
+    const budget = captureConfig.sessionScreenshotBudget;
+    if (budget > 0 && budgetState.stored >= budget && !budgetState.exhausted) {
+        budgetState.exhausted = true;
+        console.log(`Screenshot budget of ${budget} reached for session ${currentSession}`);
+        captureEvents.emit('capture:budget-exhausted', { sessionId: currentSession, budget });
+    }
+}
+
+/**
+ * Poll the active window between captures and capture right away on a switch.
+ * Uses the cheap probe, so a switch is a change since the last poll; the capture
+ * then does the full lookup.
+ */
+async function pollActiveWindow() {
+    if (!isCapturing || captureInFlight || awayState || !lastCapturedWindow) return;
+
+    try {
+        const probed = await probeActiveWindow();
+        if (!probed || !isCapturing || awayState) return; // No cheap lookup here: interval captures catch switches
+
+        const previous = lastProbedWindow;
+        lastProbedWindow = probed;
+        if (!previous || (probed.app === previous.app && probed.title === previous.title) || captureInFlight) {
+            return;
+        }
+
+        // Respect the floor so flipping between windows doesn't flood captures
+        const sinceLast = Date.now() - (lastCaptureTime || 0);
+        if (sinceLast >= captureConfig.minScreenshotInterval) {
+            if (captureTimeoutId) {
+                clearTimeout(captureTimeoutId);
+                captureTimeoutId = null;
+            }
+            runCapture('window_switch');
+        } else {
+            scheduleNextCapture(captureConfig.minScreenshotInterval - sinceLast);
+        }
+    } catch (error) {
+        console.error('Error polling active window:', error.message);
+    }
+}
+
+// ============ PRESENCE ============
+
+function clearCaptureTimers() {
+    if (captureTimeoutId) {
+        clearTimeout(captureTimeoutId);
+        captureTimeoutId = null;
+    }
+    if (windowPollId) {
+        clearInterval(windowPollId);
+        windowPollId = null;
+    }
+}
+
+/**
+ * Suspend capture while the user is away. The open app record is closed at the
+ * moment they left, so the away time never counts as app usage.
+ * @param {{reason: 'idle'|'locked'|'sleep', since: number}} away
+ */
+function suspendForAway({ reason, since }) {
+    if (!isCapturing || awayState) return;
+
+    awayState = { reason, since };
+    clearCaptureTimers();
+
+    let appRecord = null;
+    if (currentAppRecord) {
+        const endTime = new Date(Math.max(since, currentAppRecord.startTime.getTime()));
+        currentAppRecord.endTime = endTime;
+        currentAppRecord.duration = Math.floor((endTime - currentAppRecord.startTime) / 1000);
+        appRecord = currentAppRecord;
+        currentAppRecord = null;
+    }
+
+    console.log(`Capture suspended (${reason})`);
+    captureEvents.emit('capture:away', { sessionId: currentSession, reason, since, appRecord });
+}
+
+/**
+ * Resume capture when the user is back, starting a fresh app record
+ */
+async function resumeFromAway() {
+    if (!isCapturing || !awayState) return;
+
+    const { reason } = awayState;
+    awayState = null;
+    lastCaptureTime = Date.now();
+    lastProbedWindow = null;
+    currentInterval = captureConfig.screenshotInterval;
+
+    try {
+        const windowInfo = await getActiveWindow();
+        currentAppRecord = {
+            app: windowInfo.app,
+            category: windowInfo.appCategory,
+            windowTitle: windowInfo.title,
+            startTime: new Date(),
+            endTime: null,
+            duration: 0
+        };
+    } catch (error) {
+        console.error('Error reading active window on resume:', error.message);
+    }
+
+    if (!isCapturing || awayState) return;
+
+    console.log(`Capture resumed after ${reason}`);
+    captureEvents.emit('capture:back', { sessionId: currentSession, reason });
+
+    // Take a look soon after they're back rather than waiting a full interval
+    scheduleNextCapture(captureConfig.minScreenshotInterval);
+    if (captureConfig.adaptiveScheduling) {
+        windowPollId = setInterval(pollActiveWindow, captureConfig.windowPollInterval);
+    }
+}
+
+// ============ CAPTURE LIFECYCLE ============
+
 /**
  * Start the capture service
  * @param {string} sessionId
@@ -410,15 +1211,31 @@ function saveScreenshotImage(imagePath, imageBuffer) {
  * @returns {Function} - Cleanup function to stop capture
  */
 function startCapture(sessionId, config = {}) {
-    if (captureIntervalId) {
+    if (isCapturing) {
         console.warn('Capture already running, stopping previous capture');
         stopCapture();
     }
 
     currentSession = sessionId;
     captureConfig = { ...DEFAULT_CAPTURE_CONFIG, ...config };
+    currentInterval = captureConfig.screenshotInterval;
+    lastCaptureTime = null;
+    lastCapturedWindow = null;
+    lastProbedWindow = null;
+    isCapturing = true;
+
+    // Budget carries over when capture restarts for a config change in the same session
+    if (budgetState.sessionId !== sessionId) {
+        budgetState = { sessionId, stored: 0, exhausted: false };
+    } else {
+        const budget = captureConfig.sessionScreenshotBudget;
+        budgetState.exhausted = budget > 0 && budgetState.stored >= budget;
+    }
 
-    console.log(`Starting capture for session ${sessionId} with interval ${captureConfig.screenshotInterval}ms`);
+    console.log(
+        `Starting capture for session ${sessionId} with interval ${captureConfig.screenshotInterval}ms` +
+            (captureConfig.adaptiveScheduling ? ` (adaptive ${captureConfig.minScreenshotInterval}-${captureConfig.maxScreenshotInterval}ms)` : '')
+    );
 
     captureEvents.emit('capture:started', { sessionId, config: captureConfig });
 
@@ -426,6 +1243,7 @@ function startCapture(sessionId, config = {}) {
     getActiveWindow().then(windowInfo => {
         currentAppRecord = {
             app: windowInfo.app,
+            category: windowInfo.appCategory,
             windowTitle: windowInfo.title,
             startTime: new Date(),
             endTime: null,
@@ -434,25 +1252,10 @@ function startCapture(sessionId, config = {}) {
     });
 
     // Start capture loop
-    captureIntervalId = setInterval(async () => {
-        try {
-            // Get active window info
-            const windowInfo = await getActiveWindow();
-
-            // Track app switches
-            const newRecord = trackAppSwitch(currentAppRecord, windowInfo);
-            if (newRecord) {
-                currentAppRecord = newRecord;
-            }
-
-            // Emit screenshot event (actual capture happens in renderer)
-            const metadata = await captureScreenshotMetadata(currentSession);
-            captureEvents.emit('screenshot:captured', metadata);
-
-        } catch (error) {
-            console.error('Error during capture interval:', error);
-        }
-    }, captureConfig.screenshotInterval);
+    scheduleNextCapture(currentInterval);
+    if (captureConfig.adaptiveScheduling) {
+        windowPollId = setInterval(pollActiveWindow, captureConfig.windowPollInterval);
+    }
 
     // Return cleanup function
     return () => stopCapture();
@@ -462,10 +1265,9 @@ function startCapture(sessionId, config = {}) {
  * Stop the capture service
  */
 function stopCapture() {
-    if (captureIntervalId) {
-        clearInterval(captureIntervalId);
-        captureIntervalId = null;
-    }
+    isCapturing = false;
+    awayState = null;
+    clearCaptureTimers();
 
     // Close out current app record
     if (currentAppRecord) {
@@ -478,6 +1280,10 @@ function stopCapture() {
     const sessionId = currentSession;
     currentSession = null;
     currentAppRecord = null;
+    lastStoredFrame = null;
+    lastCapturedWindow = null;
+    lastProbedWindow = null;
+    stopWindowsProbe();
 
     captureEvents.emit('capture:stopped', { sessionId });
     console.log('Capture stopped');
@@ -488,10 +1294,14 @@ function stopCapture() {
  */
 function getCaptureState() {
     return {
-        isCapturing: captureIntervalId !== null,
+        isCapturing,
         sessionId: currentSession,
         currentApp: currentAppRecord,
-        config: captureConfig
+        config: captureConfig,
+        currentInterval,
+        screenshotsStored: budgetState.sessionId === currentSession ? budgetState.stored : 0,
+        budgetExhausted: budgetState.sessionId === currentSession && budgetState.exhausted,
+        away: awayState ? { ...awayState } : null
     };
 }
 
@@ -503,10 +1313,14 @@ function updateCaptureConfig(newConfig) {
     captureConfig = { ...captureConfig, ...newConfig };
 
     // If capture is running, restart with new config
-    if (captureIntervalId && currentSession) {
+    if (isCapturing && currentSession) {
         const sessionId = currentSession;
+        const away = awayState;
         stopCapture();
         startCapture(sessionId, captureConfig);
+        if (away) {
+            suspendForAway(away);
+        }
     }
 }
 
@@ -519,11 +1333,17 @@ module.exports = {
     getCaptureState,
     updateCaptureConfig,
 
+    // Presence
+    suspendForAway,
+    resumeFromAway,
+
     // Active window detection
     getActiveWindow,
+    mergeBrowserTab,
 
     // Screenshot helpers
     captureScreenshotMetadata,
+    captureScreenshotImage,
     saveScreenshotImage,
     getScreenshotsDir,
     ensureScreenshotsDir,
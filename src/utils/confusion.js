@@ -3,9 +3,11 @@
 
 const EventEmitter = require('events');
 const crypto = require('crypto');
-const { GoogleGenAI } = require('@google/genai');
+const llm = require('./llm');
 const storage = require('../storage');
 const context = require('./context');
+const search = require('./search');
+const retrieval = require('./retrieval');
 
 // Simple UUID-like ID generator
 function generateId() {
@@ -31,16 +33,54 @@ const QUESTION_STATUS = {
     PENDING: 'pending',
     ANSWERED: 'answered',
     DISMISSED: 'dismissed',
-    DEFERRED: 'deferred'
+    DEFERRED: 'deferred',
+    PARKED: 'parked' // Held for the digest review instead of being asked
+};
+
+const ANSWER_TYPES = {
+    OPTION: 'option', // Picked one of the suggested answers
+    FREE_TEXT: 'free_text' // Wrote their own
+};
+
+const QUESTIONING_MODES = {
+    LIVE: 'live',
+    DIGEST: 'digest'
 };
 
 // Default configuration
 const DEFAULT_CONFIG = {
     maxQuestionsPerHour: 5,
     minTimeBetweenQuestions: 300, // seconds (5 minutes)
-    confidenceThreshold: 0.7
+    confidenceThreshold: 0.7,
+    maxFollowUps: 2, // follow-up questions when an answer is too vague (0 = off)
+    adaptiveRate: true, // scale the limits above by how the user responds, and back off while they're busy
+    focusAppCategories: ['development', 'design', 'meetings'], // app registry categories that count as focused work
+    mode: QUESTIONING_MODES.LIVE,
+    digestTime: '17:00' // local HH:MM, '' = at session end only
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PRIOR_ANSWERS_IN_PROMPT = 5;
+const MAX_TRIGGER_FRAMES = 4; // recent frames kept with a question, ending with the one analyzed
+
+// Adaptive rate: recent reactions to live questions scale the configured limits
+const RESPONSIVENESS_HISTORY = 20; // most recent responses considered, across the profile's sessions
+const MIN_RESPONSES_TO_ADAPT = 3;
+const MIN_RATE_MULTIPLIER = 0.25; // keeps dismissing: a quarter of the configured rate
+const MAX_RATE_MULTIPLIER = 2; // answers everything quickly: twice the configured rate
+const QUICK_ANSWER_SECONDS = 30;
+const SLOW_ANSWER_SECONDS = 300;
+const SLOW_ANSWER_SCORE = 0.6; // an answer given after SLOW_ANSWER_SECONDS or later
+const DEFERRED_SCORE = 0.4;
+const FOCUS_APP_BACKOFF = 0.5;
+const RAPID_SWITCH_COUNT = 6; // app switches within context's appSwitchWindowMs
+const RAPID_SWITCH_BACKOFF = 0.5;
+
+// Suggested answers offered as one-click replies
+const MIN_ANSWER_OPTIONS = 2;
+const MAX_ANSWER_OPTIONS = 4;
+const MAX_OPTION_CHARS = 80;
+
 // ============ DATA STRUCTURES ============
 
 /**
@@ -49,6 +89,18 @@ const DEFAULT_CONFIG = {
  * @property {number} confidence - 0-1
  * @property {string} context - what triggered this
  * @property {string} suggestedQuestion - question to ask the user
+ * @property {string[]} options - likely answers the user can confirm with one click (2-4, or none)
+ * @property {string|null} screenshotId - Frame the model looked at (null for a text-only analysis)
+ * @property {TriggerRegion|null} region - Part of that frame that prompted the question
+ */
+
+/**
+ * @typedef {Object} TriggerRegion
+ * Fractions (0-1) of the frame's width and height
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
  */
 
 /**
@@ -58,9 +110,64 @@ const DEFAULT_CONFIG = {
  * @property {Date} timestamp - When the question was created
  * @property {string} triggerContext - what the AI observed
  * @property {string} question - The question text
- * @property {'pending'|'answered'|'dismissed'|'deferred'} status
+ * @property {'pending'|'answered'|'dismissed'|'deferred'|'parked'} status
+ * @property {QuestionTrigger} [trigger] - What was on screen when confusion was detected
+ * @property {string[]} [options] - Suggested answers shown as quick replies
  * @property {string} [answer] - User's answer (if answered)
+ * @property {'option'|'free_text'} [answerType] - Confirmed a suggested answer, or explained in their own words
  * @property {Date} [answeredAt] - When the question was answered
+ * @property {'live'|'digest'} [answeredVia] - Where the answer or dismissal was given
+ * @property {FollowUp[]} [followUps] - Follow-ups asked because the answer didn't explain the trigger
+ */
+
+/**
+ * @typedef {Object} FollowUp
+ * @property {string} question
+ * @property {string[]} options - Suggested answers, as for the original question
+ * @property {Date} askedAt
+ * @property {string} [answer]
+ * @property {'option'|'free_text'} [answerType]
+ * @property {Date} [answeredAt]
+ * @property {boolean} [skipped] - The user skipped or deferred it; the thread ended there
+ */
+
+/**
+ * @typedef {Object} QuestionTrigger
+ * @property {string|null} screenshotId - Frame the question was raised on (the latest one for text-only analyses)
+ * @property {TriggerFrame[]} frames - Frames leading up to the question, oldest first, ending with screenshotId's
+ * @property {TriggerRegion|null} region - Where on screenshotId's frame the model was looking
+ * @property {string|null} app
+ * @property {string|null} windowTitle
+ * @property {string|null} url
+ * @property {string|null} taskTheory - What we thought the user was doing
+ * @property {string|null} recentChange - Last significant change seen before the question
+ */
+
+/**
+ * @typedef {Object} TriggerFrame
+ * @property {string} screenshotId
+ * @property {string|null} app
+ * @property {string|null} windowTitle
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {TriggerFrame & {thumbnail: string|null, region: TriggerRegion|null}} TriggerFrameImage
+ * Thumbnail is a data URL; region is set on the frame the question was raised on
+ */
+
+/**
+ * @typedef {ClarificationQuestion & {thumbnail: string|null}} DigestQuestion
+ * Thumbnail is a data URL of the trigger frame
+ */
+
+/**
+ * @typedef {Object} EffectiveLimits
+ * @property {number} maxQuestionsPerHour
+ * @property {number} minTimeBetweenQuestions - seconds
+ * @property {number} multiplier - Applied to the configured rate (1 = as configured)
+ * @property {number|null} responsiveness - 0-1 from recent responses, null until there are enough
+ * @property {string[]} reasons - Why the limits differ from the configured ones
  */
 
 /**
@@ -68,15 +175,23 @@ const DEFAULT_CONFIG = {
  * @property {number} maxQuestionsPerHour - default 5
  * @property {number} minTimeBetweenQuestions - seconds, default 300 (5 min)
  * @property {number} confidenceThreshold - 0-1, default 0.7
+ * @property {number} maxFollowUps - Follow-ups per question when answers are vague, default 2
+ * @property {boolean} adaptiveRate - Adjust the rate limits to the user's responsiveness and activity, default true
+ * @property {string[]} focusAppCategories - App categories where questions back off
+ * @property {'live'|'digest'} mode - Ask right away, or park questions for a batched review
+ * @property {string} digestTime - Local HH:MM the digest is released each day ('' = session end only)
  */
 
 // ============ STATE ============
 
-let aiClient = null;
 let currentConfig = { ...DEFAULT_CONFIG };
 let sessionQuestions = []; // In-memory cache of current session questions
 let currentSessionId = null;
 let lastQuestionTime = null;
+let digestTimer = null;
+let priorAnswers = []; // Earlier answers that stood in for questions this session, newest last
+let priorResponseScores = []; // Responses to questions in the profile's earlier sessions, oldest first
+let lastLimitsSummary = null;
 
 // ============ INITIALIZATION ============
 
@@ -87,17 +202,13 @@ let lastQuestionTime = null;
  */
 function initConfusionDetection(sessionId, config = {}) {
     currentSessionId = sessionId;
-    currentConfig = { ...DEFAULT_CONFIG, ...config };
+    currentConfig = { ...DEFAULT_CONFIG, ...storage.getQuestioningConfig(), ...config };
     sessionQuestions = loadSessionQuestions(sessionId);
     lastQuestionTime = getLastQuestionTime();
-
-    // Initialize AI client if needed
-    if (!aiClient) {
-        const apiKey = storage.getApiKey();
-        if (apiKey) {
-            aiClient = new GoogleGenAI({ apiKey });
-        }
-    }
+    priorAnswers = [];
+    priorResponseScores = loadPriorResponseScores(context.getSessionContextState()?.profileId, sessionId);
+    lastLimitsSummary = null;
+    scheduleDigest();
 
     return {
         sessionId: currentSessionId,
@@ -125,14 +236,19 @@ function getLastQuestionTime() {
 /**
  * Build the analysis prompt for confusion detection
  * @param {string} assembledContext - Context string from context service
+ * @param {import('./retrieval').AnsweredQuestion[]} [answers] - Earlier answers to questions the model has proposed again
  * @returns {string}
  */
-function buildAnalysisPrompt(assembledContext) {
+function buildAnalysisPrompt(assembledContext, answers = priorAnswers) {
+    const answered = answers.length > 0
+        ? `\nALREADY ANSWERED BY THE USER (use these answers, do not ask again):\n${answers.map(a => `- Q: ${a.question}\n  A: ${a.answer}`).join('\n')}\n`
+        : '';
+
     return `You are observing the user's screen to document their workflow.
 
 CONTEXT:
 ${assembledContext}
-
+${answered}
 Analyze what the user is doing. Are you confused about anything?
 
 If you ARE confused, respond with JSON:
@@ -141,7 +257,9 @@ If you ARE confused, respond with JSON:
   "type": "unfamiliar_app|unclear_purpose|repeated_action|multi_system|pattern_deviation|manual_entry|error_state",
   "confidence": 0.0-1.0,
   "context": "what you observed that confused you",
-  "question": "a brief, specific question to ask the user"
+  "question": "a brief, specific question to ask the user",
+  "options": ["2-4 short answers you think most likely, so the user can confirm one with a click"],
+  "region": { "x": 0.0-1.0, "y": 0.0-1.0, "width": 0.0-1.0, "height": 0.0-1.0 }
 }
 
 If you are NOT confused, respond with:
@@ -151,6 +269,8 @@ If you are NOT confused, respond with:
 }
 
 Only be confused if you genuinely cannot understand. Infer when possible.
+Leave "options" empty if you can't make reasonable guesses; the user can always write their own answer.
+"region" is the part of the attached screenshot that prompted the question, as fractions of its width and height. Use null if no screenshot is attached or it's the whole screen.
 Do not ask about things already explained in interview or previous Q&A.`;
 }
 
@@ -160,13 +280,10 @@ Do not ask about things already explained in interview or previous Q&A.`;
  * @returns {Promise<ConfusionSignal|null>}
  */
 async function analyzeForConfusion(screenshotImages = []) {
-    if (!aiClient) {
-        const apiKey = storage.getApiKey();
-        if (!apiKey) {
-            console.warn('No API key configured for confusion detection');
-            return null;
-        }
-        aiClient = new GoogleGenAI({ apiKey });
+    const configError = llm.getConfigurationError();
+    if (configError) {
+        console.warn(`Confusion detection unavailable: ${configError}`);
+        return null;
     }
 
     // Get assembled context from context service
@@ -191,30 +308,14 @@ async function analyzeForConfusion(screenshotImages = []) {
             }
         }
 
-        const response = await aiClient.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts }],
-            generationConfig: {
-                temperature: 0.3,
-                maxOutputTokens: 500
-            }
+        const response = await llm.generateText(parts, {
+            purpose: 'confusion',
+            temperature: 0.3,
+            maxOutputTokens: 500
         });
 
-        const responseText = response.text?.trim() || '';
-
-        // Parse JSON response
-        let parsed;
-        try {
-            // Extract JSON from response (handle markdown code blocks)
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                parsed = JSON.parse(jsonMatch[0]);
-            } else {
-                console.warn('No JSON found in confusion analysis response');
-                return null;
-            }
-        } catch (parseError) {
-            console.warn('Failed to parse confusion analysis response:', parseError.message);
+        const parsed = parseJsonResponse(response, 'confusion analysis');
+        if (!parsed) {
             return null;
         }
 
@@ -223,12 +324,18 @@ async function analyzeForConfusion(screenshotImages = []) {
             return null;
         }
 
+        // The region refers to the frame sent last
+        const analyzedFrame = [...(screenshotImages || [])].reverse().find(img => img.base64 && img.screenshotId);
+
         // Validate and return confusion signal
         const signal = {
             type: parsed.type || CONFUSION_TYPES.UNCLEAR_PURPOSE,
             confidence: Math.min(1, Math.max(0, parsed.confidence || 0.5)),
             context: parsed.context || 'Unknown trigger',
-            suggestedQuestion: parsed.question || 'What are you working on?'
+            suggestedQuestion: parsed.question || 'What are you working on?',
+            options: normalizeOptions(parsed.options),
+            screenshotId: analyzedFrame?.screenshotId || null,
+            region: analyzedFrame ? normalizeRegion(parsed.region) : null
         };
 
         return signal;
@@ -238,6 +345,65 @@ async function analyzeForConfusion(screenshotImages = []) {
     }
 }
 
+/**
+ * Parse the JSON object in a model response
+ * @param {string} response - Raw response text
+ * @param {string} label - For the warning when it doesn't parse
+ * @returns {Object|null}
+ */
+function parseJsonResponse(response, label) {
+    try {
+        // Extract JSON from response (handle markdown code blocks)
+        const jsonMatch = response.trim().match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            console.warn(`No JSON found in ${label} response`);
+            return null;
+        }
+        return JSON.parse(jsonMatch[0]);
+    } catch (parseError) {
+        console.warn(`Failed to parse ${label} response:`, parseError.message);
+        return null;
+    }
+}
+
+/**
+ * Clean up the model's suggested answers: trimmed, unique, short, without an "other" entry
+ * (the overlay always offers one)
+ * @param {*} options - As parsed from the response
+ * @returns {string[]} MIN_ANSWER_OPTIONS to MAX_ANSWER_OPTIONS options, or none
+ */
+function normalizeOptions(options) {
+    if (!Array.isArray(options)) return [];
+
+    const cleaned = [...new Set(
+        options
+            .filter(option => typeof option === 'string')
+            .map(option => option.trim())
+            .filter(option => option && option.length <= MAX_OPTION_CHARS && !/^other\b/i.test(option))
+    )].slice(0, MAX_ANSWER_OPTIONS);
+
+    return cleaned.length >= MIN_ANSWER_OPTIONS ? cleaned : [];
+}
+
+/**
+ * Clamp the model's region to the frame
+ * @param {*} region - As parsed from the response
+ * @returns {TriggerRegion|null} null if missing, malformed or too small to point at anything
+ */
+function normalizeRegion(region) {
+    if (!region || typeof region !== 'object') return null;
+
+    const values = ['x', 'y', 'width', 'height'].map(key => Number(region[key]));
+    if (values.some(value => !Number.isFinite(value))) return null;
+
+    const [x, y] = values.slice(0, 2).map(value => Math.min(1, Math.max(0, value)));
+    const width = Math.min(values[2], 1 - x);
+    const height = Math.min(values[3], 1 - y);
+    if (width < 0.01 || height < 0.01) return null;
+
+    return { x, y, width, height };
+}
+
 // ============ RATE LIMITING ============
 
 /**
@@ -255,6 +421,168 @@ function getQuestionCount(sessionId, windowMinutes) {
     ).length;
 }
 
+/**
+ * Score how the user responded to a live question: 1 for a quick answer down to
+ * 0 for a dismissal. A question left unanswered for SLOW_ANSWER_SECONDS, or until
+ * its session ended, counts as dismissed.
+ * @param {ClarificationQuestion} question
+ * @param {{sessionEnded?: boolean, now?: number}} [options]
+ * @returns {number|null} null if it wasn't asked live or is still waiting for a response
+ */
+function scoreResponse(question, { sessionEnded = false, now = Date.now() } = {}) {
+    if (question.answeredVia === QUESTIONING_MODES.DIGEST) {
+        return null;
+    }
+
+    switch (question.status) {
+        case QUESTION_STATUS.ANSWERED:
+            return scoreAnswerTime(question);
+        case QUESTION_STATUS.DEFERRED:
+            return DEFERRED_SCORE;
+        case QUESTION_STATUS.DISMISSED:
+            return 0;
+        case QUESTION_STATUS.PENDING: {
+            // Waiting on a follow-up: the first answer already tells how they responded
+            if (question.answer !== undefined) {
+                return scoreAnswerTime(question);
+            }
+            const stale = sessionEnded || now - new Date(question.timestamp).getTime() > SLOW_ANSWER_SECONDS * 1000;
+            return stale ? 0 : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * 1 for an answer within QUICK_ANSWER_SECONDS, down to SLOW_ANSWER_SCORE
+ * @param {ClarificationQuestion} question
+ * @returns {number}
+ */
+function scoreAnswerTime(question) {
+    const seconds = (new Date(question.answeredAt).getTime() - new Date(question.timestamp).getTime()) / 1000;
+    if (!(seconds > QUICK_ANSWER_SECONDS)) {
+        return 1;
+    }
+    const slowness = Math.min(1, (seconds - QUICK_ANSWER_SECONDS) / (SLOW_ANSWER_SECONDS - QUICK_ANSWER_SECONDS));
+    return 1 - slowness * (1 - SLOW_ANSWER_SCORE);
+}
+
+/**
+ * Load response scores from the profile's earlier sessions, newest sessions first
+ * until there are enough
+ * @param {string|null} profileId
+ * @param {string} sessionId - Current session, left out
+ * @returns {number[]} Oldest first
+ */
+function loadPriorResponseScores(profileId, sessionId) {
+    if (!profileId) {
+        return [];
+    }
+
+    const sessions = storage.getProfileSessions(profileId)
+        .filter(session => session && session.id !== sessionId)
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    const scores = [];
+    for (const session of sessions) {
+        const sessionScores = loadSessionQuestions(session.id)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(question => scoreResponse(question, { sessionEnded: true }))
+            .filter(score => score !== null);
+        scores.unshift(...sessionScores);
+        if (scores.length >= RESPONSIVENESS_HISTORY) {
+            break;
+        }
+    }
+    return scores.slice(-RESPONSIVENESS_HISTORY);
+}
+
+/**
+ * Average of the most recent response scores, this session's included
+ * @returns {number|null} null until there are MIN_RESPONSES_TO_ADAPT
+ */
+function getResponsiveness() {
+    const now = Date.now();
+    const current = sessionQuestions.map(question => scoreResponse(question, { now })).filter(score => score !== null);
+    const scores = [...priorResponseScores, ...current].slice(-RESPONSIVENESS_HISTORY);
+    if (scores.length < MIN_RESPONSES_TO_ADAPT) {
+        return null;
+    }
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Rate multiplier for a responsiveness score; 0.5 keeps the configured rate
+ * @param {number} responsiveness - 0-1
+ * @returns {number}
+ */
+function responsivenessMultiplier(responsiveness) {
+    if (responsiveness >= 0.5) {
+        return 1 + (responsiveness - 0.5) * 2 * (MAX_RATE_MULTIPLIER - 1);
+    }
+    return MIN_RATE_MULTIPLIER + responsiveness * 2 * (1 - MIN_RATE_MULTIPLIER);
+}
+
+/**
+ * The rate limits in effect right now. With adaptiveRate on (and in live mode),
+ * the configured limits are scaled by how the user has responded to questions,
+ * and relaxed further while they're in a focus app or switching apps rapidly.
+ * @param {QuestioningConfig} [config] - Optional config override
+ * @returns {EffectiveLimits}
+ */
+function getEffectiveLimits(config = currentConfig) {
+    let multiplier = 1;
+    let responsiveness = null;
+    const reasons = [];
+
+    // Parked questions interrupt no one, so digest mode keeps the configured limits
+    if (config.adaptiveRate && config.mode !== QUESTIONING_MODES.DIGEST) {
+        responsiveness = getResponsiveness();
+        if (responsiveness !== null) {
+            multiplier *= responsivenessMultiplier(responsiveness);
+            if (responsiveness > 0.5) {
+                reasons.push('answers readily');
+            } else if (responsiveness < 0.5) {
+                reasons.push('often skips questions');
+            }
+        }
+
+        const category = context.getImmediateContext()?.currentAppCategory;
+        if (category && (config.focusAppCategories || []).includes(category)) {
+            multiplier *= FOCUS_APP_BACKOFF;
+            reasons.push(`focused in a ${category} app`);
+        }
+
+        const switches = context.getRecentAppSwitchCount();
+        if (switches >= RAPID_SWITCH_COUNT) {
+            multiplier *= RAPID_SWITCH_BACKOFF;
+            reasons.push(`${switches} app switches in the last few minutes`);
+        }
+    }
+
+    return {
+        maxQuestionsPerHour: Math.max(1, Math.round(config.maxQuestionsPerHour * multiplier)),
+        minTimeBetweenQuestions: Math.round(config.minTimeBetweenQuestions / multiplier),
+        multiplier,
+        responsiveness,
+        reasons
+    };
+}
+
+/**
+ * Log the effective limits when they change
+ * @param {EffectiveLimits} limits
+ */
+function logLimitsChange(limits) {
+    const summary = `${limits.maxQuestionsPerHour}/hour, ${limits.minTimeBetweenQuestions}s apart`;
+    if (summary === lastLimitsSummary) {
+        return;
+    }
+    lastLimitsSummary = summary;
+    console.log(`[Confusion] Question limits now ${summary}${limits.reasons.length > 0 ? ` (${limits.reasons.join('; ')})` : ''}`);
+}
+
 /**
  * Check if we can ask a question (rate limiting)
  * @param {string} sessionId - Session ID
@@ -262,16 +590,19 @@ function getQuestionCount(sessionId, windowMinutes) {
  * @returns {boolean}
  */
 function canAskQuestion(sessionId, config = currentConfig) {
+    const limits = getEffectiveLimits(config);
+    logLimitsChange(limits);
+
     // Check hourly rate limit
     const hourlyCount = getQuestionCount(sessionId, 60);
-    if (hourlyCount >= config.maxQuestionsPerHour) {
+    if (hourlyCount >= limits.maxQuestionsPerHour) {
         return false;
     }
 
     // Check minimum time between questions
     if (lastQuestionTime) {
         const timeSinceLastQuestion = (Date.now() - lastQuestionTime.getTime()) / 1000;
-        if (timeSinceLastQuestion < config.minTimeBetweenQuestions) {
+        if (timeSinceLastQuestion < limits.minTimeBetweenQuestions) {
             return false;
         }
     }
@@ -305,29 +636,111 @@ function shouldAskQuestion(signal, config = currentConfig) {
         return false;
     }
 
+    // Skipped in a digest review: the user doesn't want to be asked
+    if (retrieval.wasQuestionSkipped(signal.suggestedQuestion)) {
+        return false;
+    }
+
+    // Check if the same question is still waiting for an answer
+    const open = sessionQuestions.filter(q =>
+        q.status === QUESTION_STATUS.PENDING || q.status === QUESTION_STATUS.DEFERRED || q.status === QUESTION_STATUS.PARKED
+    );
+    if (open.some(q => retrieval.questionSimilarity(q.question, signal.suggestedQuestion) >= retrieval.DUPLICATE_QUESTION_SIMILARITY)) {
+        return false;
+    }
+
     return true;
 }
 
 // ============ QUESTION MANAGEMENT ============
 
 /**
- * Create a new clarification question
+ * Capture what was on screen when confusion was detected, so the question still
+ * makes sense when it's answered a minute or hours later
+ * @param {ConfusionSignal} [signal]
+ * @returns {QuestionTrigger}
+ */
+function captureTrigger(signal = {}) {
+    const immediate = context.getImmediateContext();
+    const screenshots = immediate?.recentScreenshots || [];
+    const latest = screenshots.length > 0 ? screenshots[screenshots.length - 1] : null;
+    const screenshotId = signal.screenshotId || latest?.id || null;
+
+    // Frames up to and including the one the question was raised on
+    const analyzedIndex = screenshots.findIndex(s => s.id === screenshotId);
+    const leadUp = analyzedIndex === -1 ? screenshots : screenshots.slice(0, analyzedIndex + 1);
+    const analyzed = analyzedIndex === -1 ? null : screenshots[analyzedIndex];
+
+    return {
+        screenshotId,
+        frames: leadUp.slice(-MAX_TRIGGER_FRAMES).filter(s => s.id).map(s => ({
+            screenshotId: s.id,
+            app: s.activeApplication || null,
+            windowTitle: s.windowTitle || null,
+            timestamp: new Date(s.timestamp).toISOString()
+        })),
+        region: signal.screenshotId ? signal.region || null : null,
+        app: analyzed?.activeApplication || immediate?.currentApp || latest?.activeApplication || null,
+        windowTitle: analyzed?.windowTitle || immediate?.currentWindowTitle || latest?.windowTitle || null,
+        url: (analyzed || latest)?.url || null,
+        taskTheory: context.getSessionContextState()?.currentTaskTheory || null,
+        recentChange: immediate?.lastSignificantChange || null
+    };
+}
+
+/**
+ * A question's trigger frames with thumbnails, for showing what was on screen
+ * @param {ClarificationQuestion} question
+ * @param {string} sessionId - Session the question was asked in
+ * @returns {TriggerFrameImage[]} Oldest first
+ */
+function getTriggerFrames(question, sessionId) {
+    const trigger = question.trigger;
+    if (!trigger?.screenshotId) return [];
+
+    // Questions from before frames were recorded only have the one
+    const frames = trigger.frames?.length > 0
+        ? trigger.frames
+        : [{ screenshotId: trigger.screenshotId, app: trigger.app, windowTitle: trigger.windowTitle, timestamp: question.timestamp }];
+
+    const screenshots = new Map(storage.getSessionScreenshots(sessionId).map(s => [s.id, s]));
+    return frames.map(frame => {
+        const screenshot = screenshots.get(frame.screenshotId);
+        return {
+            ...frame,
+            thumbnail: screenshot ? search.readImageDataUrl(screenshot.thumbnailPath) || search.readImageDataUrl(screenshot.imagePath) : null,
+            region: frame.screenshotId === trigger.screenshotId ? trigger.region || null : null
+        };
+    });
+}
+
+/**
+ * Create a new clarification question. In digest mode it is parked for the
+ * batched review instead of being shown.
  * @param {ConfusionSignal} signal - The confusion signal
  * @param {string} sessionId - Session ID
  * @returns {ClarificationQuestion}
  */
 function createQuestion(signal, sessionId) {
+    const parked = currentConfig.mode === QUESTIONING_MODES.DIGEST;
     const question = {
         id: generateId(),
         sessionId: sessionId,
         timestamp: new Date(),
         triggerContext: signal.context,
+        trigger: captureTrigger(signal),
         question: signal.suggestedQuestion,
-        status: QUESTION_STATUS.PENDING,
+        options: signal.options || [],
+        status: parked ? QUESTION_STATUS.PARKED : QUESTION_STATUS.PENDING,
         confusionType: signal.type,
         confidence: signal.confidence
     };
 
+    // A new live question replaces any thread still on screen
+    if (!parked) {
+        closeOpenFollowUps();
+    }
+
     // Add to in-memory cache
     sessionQuestions.push(question);
 
@@ -337,38 +750,184 @@ function createQuestion(signal, sessionId) {
     // Update last question time
     lastQuestionTime = question.timestamp;
 
-    // Emit event to show UI
-    confusionEvents.emit('question:created', question);
+    // Emit event to show UI (parked questions wait for the digest)
+    confusionEvents.emit(parked ? 'question:parked' : 'question:created', question);
 
     return question;
 }
 
 /**
- * Answer a question
- * @param {string} questionId - Question ID
- * @param {string} answer - User's answer
- * @returns {ClarificationQuestion|null}
+ * Whether an answer confirms one of the question's suggested answers
+ * @param {ClarificationQuestion|FollowUp} question
+ * @param {string} answer
+ * @returns {'option'|'free_text'}
  */
-function answerQuestion(questionId, answer) {
-    const questionIndex = sessionQuestions.findIndex(q => q.id === questionId);
-    if (questionIndex === -1) {
+function getAnswerType(question, answer) {
+    return (question.options || []).includes(answer) ? ANSWER_TYPES.OPTION : ANSWER_TYPES.FREE_TEXT;
+}
+
+// ============ FOLLOW-UPS ============
+
+/**
+ * The follow-up waiting for an answer, if the question has one
+ * @param {ClarificationQuestion} question
+ * @returns {FollowUp|null}
+ */
+function getOpenFollowUp(question) {
+    const last = question.followUps?.[question.followUps.length - 1];
+    return last && last.answer === undefined && !last.skipped ? last : null;
+}
+
+/**
+ * Build the prompt that judges whether the answers so far explain what was observed
+ * @param {ClarificationQuestion} question
+ * @returns {string}
+ */
+function buildFollowUpPrompt(question) {
+    const exchanges = [
+        `Q: ${question.question}\nA: ${question.answer}`,
+        ...(question.followUps || []).map(followUp => `Q: ${followUp.question}\nA: ${followUp.answer}`)
+    ];
+
+    return `You asked the user a clarifying question while documenting their workflow.
+
+WHAT YOU OBSERVED:
+${question.triggerContext}
+
+CONVERSATION SO FAR:
+${exchanges.join('\n')}
+
+Do the user's answers explain what you observed well enough to document it?
+Vague replies ("it's for the thing", "just because", "the usual") do not.
+
+If they do, respond with JSON:
+{ "resolved": true }
+
+If they don't, respond with JSON:
+{
+  "resolved": false,
+  "followUp": "one short, specific follow-up question that builds on their answer",
+  "options": ["2-4 short answers you think most likely, or empty"]
+}`;
+}
+
+/**
+ * Ask the model for a follow-up if the thread doesn't resolve the trigger yet
+ * @param {ClarificationQuestion} question - Answered so far
+ * @returns {Promise<FollowUp|null>} null when resolved, out of follow-ups, or the model is unavailable
+ */
+async function proposeFollowUp(question) {
+    if ((question.followUps?.length || 0) >= currentConfig.maxFollowUps || !question.triggerContext) {
+        return null;
+    }
+    if (llm.getConfigurationError()) {
         return null;
     }
 
-    const question = sessionQuestions[questionIndex];
+    try {
+        const response = await llm.generateText([{ text: buildFollowUpPrompt(question) }], {
+            purpose: 'confusion',
+            temperature: 0.2,
+            maxOutputTokens: 300
+        });
+
+        const parsed = parseJsonResponse(response, 'follow-up');
+        if (!parsed || parsed.resolved !== false || typeof parsed.followUp !== 'string' || !parsed.followUp.trim()) {
+            return null;
+        }
+
+        return {
+            question: parsed.followUp.trim(),
+            options: normalizeOptions(parsed.options),
+            askedAt: new Date()
+        };
+    } catch (error) {
+        console.error('Error checking answer for follow-up:', error);
+        return null;
+    }
+}
+
+/**
+ * End a thread on the answers given so far
+ * @param {ClarificationQuestion} question
+ * @param {string} [sessionId] - Session the question belongs to, when it may have ended since
+ * @param {ClarificationQuestion[]} [questions] - That session's questions
+ */
+function completeQuestion(question, sessionId = currentSessionId, questions = sessionQuestions) {
     question.status = QUESTION_STATUS.ANSWERED;
-    question.answer = answer;
-    question.answeredAt = new Date();
 
     // Update storage
-    saveSessionQuestions(currentSessionId, sessionQuestions);
+    saveSessionQuestions(sessionId, questions);
 
     // Add to session context to avoid repeat questions
     context.addQuestionAsked(question.question);
 
     // Emit event to hide UI
     confusionEvents.emit('question:answered', question);
+}
+
+/**
+ * Close threads still waiting on a follow-up, keeping the answers given so far.
+ * Used when the session ends or a newer question takes the overlay.
+ * @returns {number} Threads closed
+ */
+function closeOpenFollowUps() {
+    const open = sessionQuestions.filter(q => q.status === QUESTION_STATUS.PENDING && getOpenFollowUp(q));
+    for (const question of open) {
+        getOpenFollowUp(question).skipped = true;
+        completeQuestion(question);
+    }
+    return open.length;
+}
 
+/**
+ * Answer a question, or its open follow-up. If the answers so far don't explain
+ * the trigger, a follow-up is added and the question stays pending.
+ * @param {string} questionId - Question ID
+ * @param {string} answer - User's answer
+ * @returns {Promise<ClarificationQuestion|null>}
+ */
+async function answerQuestion(questionId, answer) {
+    const questionIndex = sessionQuestions.findIndex(q => q.id === questionId);
+    if (questionIndex === -1) {
+        return null;
+    }
+
+    // The follow-up check can take a while, and the session may stop meanwhile
+    const sessionId = currentSessionId;
+    const questions = sessionQuestions;
+
+    const question = questions[questionIndex];
+    // Answering live brings a deferred (or otherwise closed) question back into a live thread
+    question.status = QUESTION_STATUS.PENDING;
+
+    const followUp = getOpenFollowUp(question);
+    if (followUp) {
+        followUp.answer = answer;
+        followUp.answerType = getAnswerType(followUp, answer);
+        followUp.answeredAt = new Date();
+    } else {
+        question.answer = answer;
+        question.answerType = getAnswerType(question, answer);
+        question.answeredAt = new Date();
+        question.answeredVia = QUESTIONING_MODES.LIVE;
+    }
+
+    // Saved before the follow-up check so the answer survives if that never finishes
+    saveSessionQuestions(sessionId, questions);
+
+    const next = await proposeFollowUp(question);
+    if (question.status !== QUESTION_STATUS.PENDING) {
+        // Skipped, deferred or closed by a newer question while the check ran
+        return question;
+    }
+    if (next) {
+        question.followUps = [...(question.followUps || []), next];
+        saveSessionQuestions(sessionId, questions);
+        return question;
+    }
+
+    completeQuestion(question, sessionId, questions);
     return question;
 }
 
@@ -384,8 +943,18 @@ function dismissQuestion(questionId) {
     }
 
     const question = sessionQuestions[questionIndex];
+
+    // Skipping a follow-up keeps what was already answered
+    const followUp = getOpenFollowUp(question);
+    if (followUp) {
+        followUp.skipped = true;
+        completeQuestion(question);
+        return question;
+    }
+
     question.status = QUESTION_STATUS.DISMISSED;
     question.answeredAt = new Date();
+    question.answeredVia = QUESTIONING_MODES.LIVE;
 
     // Update storage (still counts toward rate limit)
     saveSessionQuestions(currentSessionId, sessionQuestions);
@@ -408,6 +977,15 @@ function deferQuestion(questionId) {
     }
 
     const question = sessionQuestions[questionIndex];
+
+    // A follow-up can't wait; the answers given so far stand
+    const followUp = getOpenFollowUp(question);
+    if (followUp) {
+        followUp.skipped = true;
+        completeQuestion(question);
+        return question;
+    }
+
     question.status = QUESTION_STATUS.DEFERRED;
 
     // Update storage
@@ -452,37 +1030,166 @@ function getSessionQuestionsState() {
     return sessionQuestions;
 }
 
-// ============ STORAGE ============
+// ============ DIGEST ============
 
 /**
- * Get the questions file path for a session
- * @param {string} sessionId - Session ID
- * @returns {string}
+ * Questions waiting for the batched review: parked ones, plus any deferred with "ask later"
+ * @param {string} [profileId] - Covers all of the profile's sessions; omit for the current session only
+ * @returns {DigestQuestion[]} Oldest first
+ */
+function getQuestionDigest(profileId) {
+    const sessionIds = new Set(profileId ? storage.getProfileSessions(profileId).map(session => session.id) : []);
+    if (currentSessionId) sessionIds.add(currentSessionId);
+
+    const waiting = [];
+    for (const sessionId of sessionIds) {
+        const questions = sessionId === currentSessionId ? sessionQuestions : loadSessionQuestions(sessionId);
+        const open = questions.filter(q => q.status === QUESTION_STATUS.PARKED || q.status === QUESTION_STATUS.DEFERRED);
+        if (open.length === 0) continue;
+
+        const screenshots = new Map(storage.getSessionScreenshots(sessionId).map(s => [s.id, s]));
+        for (const question of open) {
+            const frame = screenshots.get(question.trigger?.screenshotId);
+            waiting.push({
+                ...question,
+                sessionId,
+                thumbnail: frame ? search.readImageDataUrl(frame.thumbnailPath) || search.readImageDataUrl(frame.imagePath) : null
+            });
+        }
+    }
+
+    return waiting.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Apply a review decision to a question in any session. The current session's
+ * questions go through the in-memory cache so it doesn't overwrite the change.
+ * @returns {ClarificationQuestion|null}
+ */
+function resolveDigestQuestion(sessionId, questionId, updates) {
+    if (sessionId === currentSessionId) {
+        const question = sessionQuestions.find(q => q.id === questionId);
+        if (!question) return null;
+        Object.assign(question, updates);
+        saveSessionQuestions(sessionId, sessionQuestions);
+        return question;
+    }
+
+    if (!storage.updateSessionQuestion(sessionId, questionId, updates)) return null;
+    return loadSessionQuestions(sessionId).find(q => q.id === questionId) || null;
+}
+
+/**
+ * Answer a question from the digest review
+ * @param {string} sessionId - Session the question was asked in
+ * @param {string} questionId
+ * @param {string} answer
+ * @returns {ClarificationQuestion|null}
+ */
+function answerDigestQuestion(sessionId, questionId, answer) {
+    const questions = sessionId === currentSessionId ? sessionQuestions : loadSessionQuestions(sessionId);
+    const asked = questions.find(q => q.id === questionId);
+    if (!asked) return null;
+
+    const question = resolveDigestQuestion(sessionId, questionId, {
+        status: QUESTION_STATUS.ANSWERED,
+        answer,
+        answerType: getAnswerType(asked, answer),
+        answeredAt: new Date(),
+        answeredVia: QUESTIONING_MODES.DIGEST
+    });
+
+    if (question && sessionId === currentSessionId) {
+        context.addQuestionAsked(question.question);
+    }
+    return question;
+}
+
+/**
+ * Skip a question in the digest review
+ * @param {string} sessionId
+ * @param {string} questionId
+ * @returns {ClarificationQuestion|null}
+ */
+function dismissDigestQuestion(sessionId, questionId) {
+    return resolveDigestQuestion(sessionId, questionId, {
+        status: QUESTION_STATUS.DISMISSED,
+        answeredAt: new Date(),
+        answeredVia: QUESTIONING_MODES.DIGEST
+    });
+}
+
+/**
+ * Milliseconds until the next occurrence of a local HH:MM time
+ * @param {string} digestTime
+ * @param {Date} [now]
+ * @returns {number|null} null if the time doesn't parse
+ */
+function msUntilDigestTime(digestTime, now = new Date()) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(digestTime || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+
+    const next = new Date(now);
+    next.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    if (next <= now) next.setTime(next.getTime() + DAY_MS);
+    return next - now;
+}
+
+function scheduleDigest() {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+    if (currentConfig.mode !== QUESTIONING_MODES.DIGEST) return;
+
+    const delay = msUntilDigestTime(currentConfig.digestTime);
+    if (delay === null) return;
+
+    digestTimer = setTimeout(() => {
+        releaseDigest('scheduled');
+        scheduleDigest();
+    }, delay);
+}
+
+/**
+ * Tell the UI the digest is ready for review (at the scheduled time, or when the session ends)
+ * @param {'scheduled'|'session_end'} reason
+ * @returns {number} Questions waiting in the current session (0 = nothing emitted)
  */
-function getQuestionsPath(sessionId) {
-    const path = require('path');
-    return path.join(storage.getSessionsDir(), sessionId, 'questions.json');
+function releaseDigest(reason) {
+    if (!currentSessionId || currentConfig.mode !== QUESTIONING_MODES.DIGEST) return 0;
+
+    const count = sessionQuestions.filter(q => q.status === QUESTION_STATUS.PARKED || q.status === QUESTION_STATUS.DEFERRED).length;
+    if (count > 0) {
+        confusionEvents.emit('digest:ready', { reason, sessionId: currentSessionId, count });
+    }
+    return count;
+}
+
+/**
+ * Change the questioning mode or digest time, for the running session too
+ * @param {Partial<QuestioningConfig>} config
+ * @returns {QuestioningConfig} Saved config
+ */
+function setQuestioningConfig(config) {
+    storage.setQuestioningConfig(config);
+    const saved = storage.getQuestioningConfig();
+
+    if (currentSessionId) {
+        currentConfig = { ...currentConfig, ...saved };
+        scheduleDigest();
+    }
+    return saved;
 }
 
+// ============ STORAGE ============
+
 /**
  * Load session questions from storage
  * @param {string} sessionId - Session ID
  * @returns {ClarificationQuestion[]}
  */
 function loadSessionQuestions(sessionId) {
-    const fs = require('fs');
-    const questionsPath = getQuestionsPath(sessionId);
-
-    try {
-        if (fs.existsSync(questionsPath)) {
-            const data = fs.readFileSync(questionsPath, 'utf8');
-            return JSON.parse(data).questions || [];
-        }
-    } catch (error) {
-        console.warn('Error loading session questions:', error.message);
-    }
-
-    return [];
+    // Read through storage so encrypted sessions are handled
+    return storage.getSessionQuestions(sessionId) || [];
 }
 
 /**
@@ -492,22 +1199,7 @@ function loadSessionQuestions(sessionId) {
  * @returns {boolean}
  */
 function saveSessionQuestions(sessionId, questions) {
-    const fs = require('fs');
-    const path = require('path');
-    const questionsPath = getQuestionsPath(sessionId);
-
-    try {
-        const dir = path.dirname(questionsPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-
-        fs.writeFileSync(questionsPath, JSON.stringify({ questions }, null, 2), 'utf8');
-        return true;
-    } catch (error) {
-        console.error('Error saving session questions:', error.message);
-        return false;
-    }
+    return storage.saveSessionQuestions(sessionId, questions);
 }
 
 // ============ MAIN ANALYSIS FLOW ============
@@ -536,6 +1228,13 @@ async function runConfusionCheck(screenshotImages = []) {
         return null;
     }
 
+    // Answered before, in this session or an earlier one: reuse the answer instead of asking
+    const prior = retrieval.findAnsweredQuestion(signal.suggestedQuestion);
+    if (prior) {
+        usePriorAnswer(signal, prior);
+        return null;
+    }
+
     // Check if we should ask based on signal confidence and context
     if (!shouldAskQuestion(signal)) {
         return null;
@@ -546,15 +1245,35 @@ async function runConfusionCheck(screenshotImages = []) {
     return question;
 }
 
+/**
+ * Keep an earlier answer for the next analysis prompts, in place of asking again
+ * @param {ConfusionSignal} signal
+ * @param {import('./retrieval').AnsweredQuestion} prior
+ */
+function usePriorAnswer(signal, prior) {
+    if (!priorAnswers.some(answer => answer.id === prior.id)) {
+        priorAnswers.push(prior);
+        if (priorAnswers.length > MAX_PRIOR_ANSWERS_IN_PROMPT) {
+            priorAnswers.shift();
+        }
+    }
+    console.log(`[Confusion] Not asking "${signal.suggestedQuestion}", already answered as "${prior.question}" (similarity ${prior.similarity.toFixed(2)})`);
+}
+
 // ============ CLEANUP ============
 
 /**
  * Clear confusion detection state
  */
 function clearConfusionState() {
+    clearTimeout(digestTimer);
+    digestTimer = null;
     sessionQuestions = [];
     currentSessionId = null;
     lastQuestionTime = null;
+    priorAnswers = [];
+    priorResponseScores = [];
+    lastLimitsSummary = null;
 }
 
 /**
@@ -581,10 +1300,12 @@ module.exports = {
     // Rate Limiting
     getQuestionCount,
     canAskQuestion,
+    getEffectiveLimits,
 
     // Question Management
     createQuestion,
     answerQuestion,
+    closeOpenFollowUps,
     dismissQuestion,
     deferQuestion,
     getPendingQuestions,
@@ -592,6 +1313,16 @@ module.exports = {
     getCurrentQuestion,
     getSessionQuestionsState,
 
+    // Trigger Frames
+    getTriggerFrames,
+
+    // Digest
+    getQuestionDigest,
+    answerDigestQuestion,
+    dismissDigestQuestion,
+    releaseDigest,
+    setQuestioningConfig,
+
     // Storage
     loadSessionQuestions,
     saveSessionQuestions,
@@ -608,5 +1339,7 @@ module.exports = {
     // Constants
     CONFUSION_TYPES,
     QUESTION_STATUS,
+    ANSWER_TYPES,
+    QUESTIONING_MODES,
     DEFAULT_CONFIG
 };
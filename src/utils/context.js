@@ -2,7 +2,10 @@
 // Maintains the AI's "memory" across different timeframes
 
 const EventEmitter = require('events');
-const { GoogleGenAI } = require('@google/genai');
+const llm = require('./llm');
+const titleParsers = require('./titleParsers');
+const routes = require('./routes');
+const retrieval = require('./retrieval');
 const storage = require('../storage');
 
 // Event emitter for context events
@@ -10,22 +13,32 @@ const contextEvents = new EventEmitter();
 
 // ============ CONSTANTS ============
 
-// Token budgets (approximate)
+// Token budgets for the text sections, enforced by assembleContext. The recent
+// screenshots (CONFIG.maxRecentScreenshots) go to the model as images on top of these.
 const TOKEN_BUDGETS = {
-    immediate: 'N screenshots as images',
+    immediate: 500,
     session: 500,
     historical: 1000,
     baseline: 500,
     total_text: 2000
 };
 
+const CHARS_PER_TOKEN = 4; // rough average for English text
+
 // Configuration
 const CONFIG = {
     maxRecentScreenshots: 6, // FIFO buffer size
     summaryIntervalMs: 5 * 60 * 1000, // 5 minutes
-    significantChangeThreshold: 0.3 // 30% difference threshold
+    significantChangeThreshold: 0.3, // 30% difference threshold
+    appTimeLedgerMs: 30 * 60 * 1000, // how far back app time can be taken out again for away periods
+    maxScreenTextChars: 1200, // OCR text included in the immediate state
+    appSwitchWindowMs: 5 * 60 * 1000, // how far back app switches are counted for getRecentAppSwitchCount
+    logTokenBudget: true // log each assembled context's per-section token usage
 };
 
+// OCR lines that look like an error the user is looking at
+const ERROR_TEXT_PATTERN = /\b(error|failed|failure|exception|denied|invalid|not found|unable to|could not|couldn't|timed out)\b/i;
+
 // ============ DATA STRUCTURES ============
 
 /**
@@ -37,15 +50,24 @@ const CONFIG = {
  * @property {string} activeApplication - Name of the frontmost application
  * @property {string} windowTitle - Title of the active window
  * @property {string} [url] - URL if the active app is a browser
+ * @property {number} [diffScore] - Fraction of the screen that changed since the last stored frame (0-1)
+ * @property {boolean} [duplicate] - Near-identical to the previous stored frame
+ * @property {Object[]} [displays] - Captured displays with geometry and focused flag (see capture.js DisplayCapture)
+ * @property {string} [focusedDisplayId] - Display holding the active window
  */
 
 /**
  * @typedef {Object} ImmediateContext
  * @property {Screenshot[]} recentScreenshots - last 3-6, FIFO buffer
- * @property {string} currentApp - Current application name
+ * @property {string} currentApp - Current application name (canonical, from the app registry)
+ * @property {string|null} currentAppCategory - Registry category of the current app
  * @property {string} currentWindowTitle - Current window title
+ * @property {import('./titleParsers').WindowArtifact|null} currentArtifact - Document/record/channel parsed from the title
  * @property {Date|null} lastAppSwitch - When the app last changed
+ * @property {Date[]} recentAppSwitches - App changes within CONFIG.appSwitchWindowMs, oldest first
  * @property {string|null} lastSignificantChange - Brief description of last change
+ * @property {string|null} currentScreen - Which display the latest image shows (multi-monitor only)
+ * @property {string|null} currentScreenText - OCR text of the latest stored frame, masked text replaced
  */
 
 /**
@@ -87,7 +109,8 @@ const CONFIG = {
  * @property {Object} interviewSummary - Interview summary data
  * @property {string[]} knownTasks - Task names seen before
  * @property {SessionSummary[]} previousSessionSummaries - Past session summaries
- * @property {Array} relevantQA - Past Q&A answers
+ * @property {Array<{question: string, answer: string, date: string|null}>} relevantQA - Past answers picked
+ *   for the current activity by the last getRelevantHistory call
  */
 
 /**
@@ -96,6 +119,32 @@ const CONFIG = {
  * @property {string} session - Session summary (~500 tokens)
  * @property {string} historical - Relevant excerpts (~1000 tokens)
  * @property {string} baseline - Interview summary (~500 tokens)
+ * @property {BudgetReport} budget - Token usage per section
+ */
+
+/**
+ * @typedef {Object} ContextBlock
+ * @property {string} label - Name used in the budget report
+ * @property {string} text
+ * @property {number} priority - Lower is kept first
+ * @property {(maxTokens: number) => string|null} [shorten] - A version within maxTokens, or null if none is useful
+ */
+
+/**
+ * @typedef {Object} BudgetedSection
+ * @property {string} text
+ * @property {number} tokens - Estimated tokens used
+ * @property {number} budget - Tokens the section was given
+ * @property {string[]} shortened - Blocks cut down to fit
+ * @property {string[]} dropped - Blocks (or excerpts) left out
+ */
+
+/**
+ * @typedef {Object} BudgetReport
+ * @property {Object<string, {tokens: number, budget: number, shortened: string[], dropped: string[]}>} sections
+ * @property {number} totalTokens
+ * @property {number} totalBudget - TOKEN_BUDGETS.total_text
+ * @property {number} screenshots - Images sent alongside the text
  */
 
 // ============ STATE ============
@@ -103,7 +152,8 @@ const CONFIG = {
 let immediateContext = null;
 let sessionContext = null;
 let historicalContext = null;
-let aiClient = null;
+let recentAppTime = []; // { at, app, seconds } - recent app time increments, newest last
+let lastBudgetReport = null;
 
 // ============ IMMEDIATE CONTEXT ============
 
@@ -115,9 +165,14 @@ function initImmediateContext() {
     immediateContext = {
         recentScreenshots: [],
         currentApp: '',
+        currentAppCategory: null,
         currentWindowTitle: '',
+        currentArtifact: null,
         lastAppSwitch: null,
-        lastSignificantChange: null
+        recentAppSwitches: [],
+        lastSignificantChange: null,
+        currentScreen: null,
+        currentScreenText: null
     };
     return immediateContext;
 }
@@ -136,6 +191,11 @@ function updateImmediateContext(screenshot) {
         ? immediateContext.recentScreenshots[immediateContext.recentScreenshots.length - 1]
         : null;
 
+    // Duplicate frames carry no new information, so they shouldn't push real frames out of the buffer
+    if (screenshot.duplicate) {
+        return immediateContext;
+    }
+
     // Add to FIFO buffer
     immediateContext.recentScreenshots.push(screenshot);
     if (immediateContext.recentScreenshots.length > CONFIG.maxRecentScreenshots) {
@@ -145,11 +205,20 @@ function updateImmediateContext(screenshot) {
     // Update current app/window
     const prevApp = immediateContext.currentApp;
     immediateContext.currentApp = screenshot.activeApplication;
+    immediateContext.currentAppCategory = screenshot.appCategory || null;
     immediateContext.currentWindowTitle = screenshot.windowTitle;
+    immediateContext.currentArtifact = screenshot.artifact || null;
+    immediateContext.currentScreen = describeScreen(screenshot);
+    immediateContext.currentScreenText = screenshot.ocrText || null;
 
     // Track app switch
     if (prevApp && prevApp !== screenshot.activeApplication) {
         immediateContext.lastAppSwitch = new Date();
+        const cutoff = Date.now() - CONFIG.appSwitchWindowMs;
+        immediateContext.recentAppSwitches = [
+            ...immediateContext.recentAppSwitches.filter(time => time.getTime() > cutoff),
+            immediateContext.lastAppSwitch
+        ];
     }
 
     // Detect significant change
@@ -162,6 +231,32 @@ function updateImmediateContext(screenshot) {
     return immediateContext;
 }
 
+/**
+ * Describe which display the screenshot image shows, so the model knows where
+ * to look when several monitors are captured
+ * @param {Screenshot} screenshot
+ * @returns {string|null} - null for an ordinary single-display capture
+ */
+function describeScreen(screenshot) {
+    const displays = screenshot.displays || [];
+    const focused = displays.find(d => d.focused);
+
+    if (displays.length === 0) return null;
+    if (displays.length === 1) {
+        return focused ? null : 'the active window is on a display that was not captured';
+    }
+    if (!focused) {
+        return `${displays.length} displays captured, active display unknown`;
+    }
+
+    const index = displays.indexOf(focused) + 1;
+    if (focused.region) {
+        const { x, y, width, height } = focused.region;
+        return `${displays.length} displays stitched into one image; the active window is on display ${index} (${width}x${height} at ${x},${y} in the image)`;
+    }
+    return `display ${index} of ${displays.length} (${focused.bounds.width}x${focused.bounds.height}), the one with the active window`;
+}
+
 /**
  * Detect if a significant change occurred between screenshots
  * @param {Screenshot|null} prev - Previous screenshot
@@ -179,7 +274,11 @@ function detectSignificantChange(prev, curr) {
     }
 
     // Window title changed significantly (different document/page)
-    if (prev.windowTitle !== curr.windowTitle) {
+    const openedArtifact = curr.artifact && !titleParsers.isSameArtifact(prev.artifact, curr.artifact);
+    if (openedArtifact) {
+        // Parsed titles say exactly what was opened
+        changes.push(`Opened ${curr.artifact.kind}: ${titleParsers.describeArtifact(curr.artifact).substring(0, 80)}`);
+    } else if (prev.windowTitle !== curr.windowTitle) {
         // Check if it's a meaningful change, not just focus
         const prevTitle = prev.windowTitle.toLowerCase();
         const currTitle = curr.windowTitle.toLowerCase();
@@ -190,22 +289,61 @@ function detectSignificantChange(prev, curr) {
         }
     }
 
-    // URL changed (for browsers)
+    // URL changed (for browsers): compare route templates, so moving between records
+    // on the same page (/invoices/1 -> /invoices/2) isn't a change but a new page is
     if (prev.url && curr.url && prev.url !== curr.url) {
-        try {
-            const prevDomain = new URL(prev.url).hostname;
-            const currDomain = new URL(curr.url).hostname;
-            if (prevDomain !== currDomain) {
-                changes.push(`Navigated to ${currDomain}`);
+        const prevRoute = routes.templateUrl(prev.url);
+        const currRoute = routes.templateUrl(curr.url);
+        if (prevRoute && currRoute) {
+            if (prevRoute.host !== currRoute.host) {
+                changes.push(`Navigated to ${currRoute.host}`);
+            } else if (prevRoute.route !== currRoute.route && !openedArtifact) {
+                changes.push(`Opened ${currRoute.system} page ${currRoute.route.substring(0, 80)}`);
             }
-        } catch {
-            // Ignore URL parsing errors
         }
     }
 
+    // An error message appeared (from the OCR text layer)
+    const newErrors = findErrorLines(curr.ocrText).filter(line => !findErrorLines(prev.ocrText).includes(line));
+    if (newErrors.length > 0) {
+        changes.push(`Error on screen: "${newErrors[0].substring(0, 100)}"`);
+    }
+
+    // Same window but the screen itself changed a lot (new dialog, different section)
+    if (changes.length === 0 && typeof curr.diffScore === 'number' && curr.diffScore >= CONFIG.significantChangeThreshold) {
+        changes.push(`Screen content changed (${Math.round(curr.diffScore * 100)}% of screen)`);
+    }
+
     return changes.length > 0 ? changes.join('; ') : null;
 }
 
+/**
+ * Lines of OCR text that read like error messages
+ * @param {string} [text]
+ * @returns {string[]}
+ */
+function findErrorLines(text) {
+    if (!text) return [];
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length >= 6 && ERROR_TEXT_PATTERN.test(line));
+}
+
+/**
+ * Condense OCR text for a prompt: drop blank and one-character lines, cap the length
+ * @param {string} text
+ * @returns {string}
+ */
+function condenseScreenText(text) {
+    const condensed = text
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line.length > 1)
+        .join('\n');
+    return condensed.length > CONFIG.maxScreenTextChars ? condensed.substring(0, CONFIG.maxScreenTextChars) + '…' : condensed;
+}
+
 /**
  * Get current immediate context
  * @returns {ImmediateContext|null}
@@ -214,6 +352,19 @@ function getImmediateContext() {
     return immediateContext;
 }
 
+/**
+ * Count app switches within CONFIG.appSwitchWindowMs
+ * @returns {number}
+ */
+function getRecentAppSwitchCount() {
+    if (!immediateContext) {
+        return 0;
+    }
+
+    const cutoff = Date.now() - CONFIG.appSwitchWindowMs;
+    return immediateContext.recentAppSwitches.filter(time => time.getTime() > cutoff).length;
+}
+
 // ============ SESSION CONTEXT ============
 
 /**
@@ -267,6 +418,10 @@ function updateSessionContext(event) {
         if (app) {
             const interval = event.interval || 10; // Default 10 seconds
             sessionContext.appTimeToday[app] = (sessionContext.appTimeToday[app] || 0) + interval;
+
+            const now = Date.now();
+            recentAppTime.push({ at: now, app, seconds: interval });
+            recentAppTime = recentAppTime.filter(entry => now - entry.at <= CONFIG.appTimeLedgerMs);
         }
     }
 
@@ -292,6 +447,34 @@ function updateSessionContext(event) {
     return sessionContext;
 }
 
+/**
+ * Take app time counted after the user left back out. Idle is only detected once the
+ * threshold has passed, so the captures in between were already counted as work.
+ * @param {number} since - When the user went away (ms)
+ * @returns {number} Seconds removed
+ */
+function excludeAwayTime(since) {
+    if (!sessionContext) return 0;
+
+    let removed = 0;
+    for (const entry of recentAppTime) {
+        if (entry.at <= since) continue;
+
+        // Each increment covers the interval leading up to its capture
+        const overlap = Math.min(entry.seconds, Math.round((entry.at - since) / 1000));
+        const current = sessionContext.appTimeToday[entry.app] || 0;
+        sessionContext.appTimeToday[entry.app] = Math.max(0, current - overlap);
+        removed += overlap;
+    }
+    recentAppTime = recentAppTime.filter(entry => entry.at <= since);
+
+    if (removed > 0) {
+        storage.saveSessionContext(sessionContext.sessionId, sessionContext);
+        contextEvents.emit('context:session-updated', sessionContext);
+    }
+    return removed;
+}
+
 /**
  * Add a question to the asked list to avoid repeats
  * @param {string} question - Question text
@@ -326,7 +509,8 @@ function wasQuestionAsked(question) {
     return sessionContext.questionsAsked.some(q =>
         q.toLowerCase().trim() === normalizedQuestion ||
         q.toLowerCase().includes(normalizedQuestion) ||
-        normalizedQuestion.includes(q.toLowerCase())
+        normalizedQuestion.includes(q.toLowerCase()) ||
+        retrieval.questionSimilarity(q, question) >= retrieval.DUPLICATE_QUESTION_SIMILARITY
     );
 }
 
@@ -360,13 +544,9 @@ async function generateSessionSummary() {
         throw new Error('No active session context');
     }
 
-    // Initialize AI client if needed
-    if (!aiClient) {
-        const apiKey = storage.getApiKey();
-        if (!apiKey) {
-            throw new Error('No API key configured');
-        }
-        aiClient = new GoogleGenAI({ apiKey });
+    const configError = llm.getConfigurationError();
+    if (configError) {
+        throw new Error(configError);
     }
 
     // Build context for summarization
@@ -390,16 +570,13 @@ Session data:
 Output ONLY the summary paragraph, no JSON or labels.`;
 
     try {
-        const response = await aiClient.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts: [{ text: prompt }] }],
-            generationConfig: {
-                temperature: 0.3,
-                maxOutputTokens: 200
-            }
+        const response = await llm.generateText([{ text: prompt }], {
+            purpose: 'session-summary',
+            temperature: 0.3,
+            maxOutputTokens: 200
         });
 
-        const brief = response.text || 'Session in progress.';
+        const brief = response || 'Session in progress.';
 
         const summary = {
             sessionId: sessionContext.sessionId,
@@ -444,11 +621,12 @@ async function finalizeSession() {
 // ============ HISTORICAL CONTEXT ============
 
 /**
- * Load historical context for a profile
+ * Load historical context for a profile, and index its past records for retrieval
  * @param {string} profileId - Profile ID
+ * @param {string} [sessionId] - Current session, whose answers are indexed as they come in
  * @returns {HistoricalContext}
  */
-function loadHistoricalContext(profileId) {
+function loadHistoricalContext(profileId, sessionId) {
     const interviewSummary = storage.getInterviewSummary(profileId) || {};
     const previousSessionSummaries = storage.getSessionSummaries(profileId, 10);
 
@@ -467,11 +645,94 @@ function loadHistoricalContext(profileId) {
         relevantQA: []
     };
 
+    retrieval.loadHistoryIndex(profileId, sessionId);
+
     return historicalContext;
 }
 
 /**
- * Get relevant history based on current activity
+ * Describe what the user is doing now, as a retrieval query
+ * @param {string} currentActivity - Task theory or other description from the caller
+ * @returns {string}
+ */
+function buildHistoryQuery(currentActivity) {
+    const parts = [currentActivity, sessionContext?.currentTaskTheory];
+
+    if (immediateContext) {
+        parts.push(immediateContext.currentApp, immediateContext.currentWindowTitle);
+        if (immediateContext.currentArtifact) {
+            parts.push(titleParsers.describeArtifact(immediateContext.currentArtifact));
+        }
+
+        // Route words ('invoices edit'), not placeholders or the raw ids they replaced
+        const latest = immediateContext.recentScreenshots[immediateContext.recentScreenshots.length - 1];
+        const route = latest?.url ? routes.templateUrl(latest.url) : null;
+        if (route) {
+            parts.push(route.system, route.route.replace(/:\w+/g, ' '));
+        }
+    }
+
+    return [...new Set(parts.filter(Boolean))].join('\n');
+}
+
+/**
+ * Pick the past tasks, sessions and answers that best match the current app, window
+ * and task theory, and fit them into a token budget
+ * @param {string} currentActivity - Description of current activity
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
+ */
+function fitRelevantHistory(currentActivity, maxTokens) {
+    const hits = retrieval.queryHistory(buildHistoryQuery(currentActivity), { limit: 50 });
+
+    // Nothing matched (a new profile, or work not seen before): the latest sessions are the best guess
+    const docs = hits.length > 0 ? hits.map(hit => hit.doc) : retrieval.getRecentHistory(3);
+
+    // Known task names keep task naming consistent; the ones that matched go first
+    const matchedTasks = docs.filter(doc => doc.type === retrieval.DOC_TYPES.TASK).map(doc => doc.title);
+    const knownTasks = [...new Set([...matchedTasks, ...historicalContext.knownTasks])].slice(0, 10);
+    const knownTasksLine = knownTasks.length > 0 ? shortenList('Known tasks: ', knownTasks, Math.floor(maxTokens / 5)) : null;
+
+    const sections = [
+        { header: hits.length > 0 ? 'Relevant past work:' : 'Recent sessions:', lines: [] },
+        { header: 'Relevant past answers:', lines: [] }
+    ];
+    let used = knownTasksLine ? estimateTokens(`${knownTasksLine}\n\n`) : 0;
+    let skipped = 0;
+    const relevantQA = [];
+
+    for (const doc of docs) {
+        const isAnswer = doc.type === retrieval.DOC_TYPES.QA;
+        const section = sections[isAnswer ? 1 : 0];
+        const line = `- ${doc.excerpt}`;
+        const cost = estimateTokens(`${line}\n`) + (section.lines.length === 0 ? estimateTokens(`${section.header}\n\n`) : 0);
+        // Skip what doesn't fit; a shorter excerpt further down may
+        if (used + cost > maxTokens) {
+            skipped++;
+            continue;
+        }
+
+        section.lines.push(line);
+        used += cost;
+        if (isAnswer) relevantQA.push(doc.record);
+    }
+    historicalContext.relevantQA = relevantQA;
+
+    const parts = sections.filter(section => section.lines.length > 0).map(section => [section.header, ...section.lines].join('\n'));
+    if (knownTasksLine) parts.push(knownTasksLine);
+
+    const text = parts.join('\n\n');
+    return {
+        text,
+        tokens: estimateTokens(text),
+        budget: maxTokens,
+        shortened: knownTasksLine && knownTasksLine.length < `Known tasks: ${knownTasks.join(', ')}`.length ? ['known tasks'] : [],
+        dropped: skipped > 0 ? [`${skipped} lower-ranked excerpt${skipped === 1 ? '' : 's'}`] : []
+    };
+}
+
+/**
+ * Get relevant history based on current activity, within TOKEN_BUDGETS.historical
  * @param {string} currentActivity - Description of current activity
  * @returns {string} - Relevant excerpts (~1000 tokens)
  */
@@ -480,93 +741,264 @@ function getRelevantHistory(currentActivity) {
         return '';
     }
 
-    const parts = [];
+    return fitRelevantHistory(currentActivity, TOKEN_BUDGETS.historical).text;
+}
 
-    // Add recent session summaries
-    if (historicalContext.previousSessionSummaries.length > 0) {
-        const recentSummaries = historicalContext.previousSessionSummaries.slice(0, 3);
-        parts.push('Recent sessions:');
-        recentSummaries.forEach(s => {
-            const date = new Date(s.date).toLocaleDateString();
-            parts.push(`- ${date}: ${s.brief}`);
-        });
+/**
+ * Get current historical context
+ * @returns {HistoricalContext|null}
+ */
+function getHistoricalContextState() {
+    return historicalContext;
+}
+
+// ============ TOKEN BUDGETING ============
+
+/**
+ * Estimate how many tokens a piece of text takes. Every section is measured with
+ * this, so budgets and the logged breakdown are comparable across prompts.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Keep as many list items as fit, noting how many were left out
+ * @param {string} prefix - e.g. 'Known tasks: '
+ * @param {string[]} items - Most important first
+ * @param {number} maxTokens
+ * @returns {string|null} - null when not even one item fits
+ */
+function shortenList(prefix, items, maxTokens) {
+    for (let count = items.length; count > 0; count--) {
+        const more = count < items.length ? ` (+${items.length - count} more)` : '';
+        const text = `${prefix}${items.slice(0, count).join(', ')}${more}`;
+        if (estimateTokens(text) <= maxTokens) return text;
+    }
+    return null;
+}
+
+/**
+ * Cut text to fit, if enough of it is left to be useful
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string|null}
+ */
+function shortenText(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    if (text.length <= maxChars) return text;
+    return maxChars >= 80 ? `${text.substring(0, maxChars - 1)}…` : null;
+}
+
+/**
+ * Fit blocks into a token budget. Blocks that fit whole are kept first, by priority; the
+ * rest are then shortened into what's left (again by priority) or dropped. That way one
+ * long list can't push out the short lines after it. Kept blocks stay in their order.
+ * @param {ContextBlock[]} blocks
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
+ */
+function fitBlocks(blocks, maxTokens) {
+    const kept = new Map(); // block -> text
+    const shortened = [];
+    const dropped = [];
+    const overflow = [];
+    let used = 0;
+
+    for (const block of [...blocks].sort((a, b) => a.priority - b.priority)) {
+        const cost = estimateTokens(`${block.text}\n`);
+        if (used + cost <= maxTokens) {
+            kept.set(block, block.text);
+            used += cost;
+        } else {
+            overflow.push(block);
+        }
     }
 
-    // Add known tasks that might be relevant
-    if (historicalContext.knownTasks.length > 0) {
-        parts.push(`\nKnown tasks: ${historicalContext.knownTasks.slice(0, 10).join(', ')}`);
+    for (const block of overflow) {
+        const shorter = block.shorten ? block.shorten(maxTokens - used - 1) : null;
+        if (shorter) {
+            kept.set(block, shorter);
+            used += estimateTokens(`${shorter}\n`);
+            shortened.push(block.label);
+        } else {
+            dropped.push(block.label);
+        }
     }
 
-    // Limit to ~1000 tokens (roughly 4000 chars)
-    const result = parts.join('\n');
-    return result.substring(0, 4000);
+    const text = blocks
+        .filter(block => kept.has(block))
+        .map(block => kept.get(block))
+        .join('\n');
+    return { text, tokens: estimateTokens(text), budget: maxTokens, shortened, dropped };
 }
 
 /**
- * Get current historical context
- * @returns {HistoricalContext|null}
+ * A section that is only a placeholder message
+ * @param {string} message
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
  */
-function getHistoricalContextState() {
-    return historicalContext;
+function placeholderSection(message, maxTokens) {
+    return fitBlocks([{ label: 'placeholder', text: message, priority: 0 }], maxTokens);
+}
+
+/**
+ * Build every text section within its own budget and what's left of TOKEN_BUDGETS.total_text.
+ * Sections are filled by priority: what's on screen now, then this session, then the
+ * user's role, then history, which takes whatever remains.
+ * @returns {Object<string, BudgetedSection>}
+ */
+function budgetSections() {
+    const fillOrder = [
+        ['immediate', formatImmediateState],
+        ['session', formatSessionContext],
+        ['baseline', formatBaselineContext],
+        ['historical', formatHistoricalContext]
+    ];
+
+    const sections = {};
+    let remaining = TOKEN_BUDGETS.total_text;
+    for (const [name, format] of fillOrder) {
+        sections[name] = format(Math.max(0, Math.min(TOKEN_BUDGETS[name], remaining)));
+        remaining -= sections[name].tokens;
+    }
+    return sections;
+}
+
+/**
+ * Summarize section usage, remember it, and log it for prompt tuning
+ * @param {Object<string, BudgetedSection>} sections
+ * @returns {BudgetReport}
+ */
+function reportBudget(sections) {
+    const report = {
+        sections: {},
+        totalTokens: 0,
+        totalBudget: TOKEN_BUDGETS.total_text,
+        screenshots: immediateContext?.recentScreenshots.length || 0
+    };
+    for (const [name, { tokens, budget, shortened, dropped }] of Object.entries(sections)) {
+        report.sections[name] = { tokens, budget, shortened, dropped };
+        report.totalTokens += tokens;
+    }
+
+    lastBudgetReport = report;
+    contextEvents.emit('context:budget', report);
+    if (CONFIG.logTokenBudget) {
+        console.log(`[Context] ${formatBudgetReport(report)}`);
+    }
+    return report;
+}
+
+/**
+ * One-line breakdown, e.g. "immediate 180/500, session 95/500, ... = 1025/2000 tokens; dropped session: questions asked"
+ * @param {BudgetReport} report
+ * @returns {string}
+ */
+function formatBudgetReport(report) {
+    const usage = Object.entries(report.sections).map(([name, s]) => `${name} ${s.tokens}/${s.budget}`);
+    const notes = [];
+    for (const [name, s] of Object.entries(report.sections)) {
+        if (s.shortened.length > 0) notes.push(`shortened ${name}: ${s.shortened.join(', ')}`);
+        if (s.dropped.length > 0) notes.push(`dropped ${name}: ${s.dropped.join(', ')}`);
+    }
+    return `${usage.join(', ')} = ${report.totalTokens}/${report.totalBudget} tokens (+${report.screenshots} images)${notes.length > 0 ? `; ${notes.join('; ')}` : ''}`;
+}
+
+/**
+ * Token usage of the last assembled context
+ * @returns {BudgetReport|null}
+ */
+function getLastBudgetReport() {
+    return lastBudgetReport;
 }
 
 // ============ CONTEXT ASSEMBLY ============
 
 /**
- * Assemble complete context for LLM consumption
+ * Assemble complete context for LLM consumption, every text section within budget
  * @returns {AssembledContext}
  */
 function assembleContext() {
+    const sections = budgetSections();
+
     const assembled = {
         immediate: {
             screenshots: immediateContext?.recentScreenshots || [],
-            currentState: formatImmediateState()
+            currentState: sections.immediate.text
         },
-        session: formatSessionContext(),
-        historical: formatHistoricalContext(),
-        baseline: formatBaselineContext()
+        session: sections.session.text,
+        historical: sections.historical.text,
+        baseline: sections.baseline.text,
+        budget: reportBudget(sections)
     };
 
     return assembled;
 }
 
 /**
- * Format immediate context state as string
- * @returns {string}
+ * Format immediate context state
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
  */
-function formatImmediateState() {
+function formatImmediateState(maxTokens) {
     if (!immediateContext) {
-        return 'No immediate context available.';
+        return placeholderSection('No immediate context available.', maxTokens);
     }
 
-    const parts = [];
-    parts.push(`Current app: ${immediateContext.currentApp || 'Unknown'}`);
-    parts.push(`Window: ${immediateContext.currentWindowTitle || 'Unknown'}`);
+    const blocks = [];
+    const category = immediateContext.currentAppCategory;
+    const categoryLabel = category && category !== 'other' ? ` (${category})` : '';
+    blocks.push({ label: 'app', priority: 0, text: `Current app: ${immediateContext.currentApp || 'Unknown'}${categoryLabel}` });
+    const windowLine = `Window: ${immediateContext.currentWindowTitle || 'Unknown'}`;
+    blocks.push({ label: 'window', priority: 0, text: windowLine, shorten: max => shortenText(windowLine, max) });
+
+    const artifact = immediateContext.currentArtifact;
+    if (artifact) {
+        blocks.push({ label: 'artifact', priority: 1, text: `Working on (${artifact.kind}): ${titleParsers.describeArtifact(artifact)}` });
+    }
+
+    if (immediateContext.currentScreen) {
+        blocks.push({ label: 'screen', priority: 2, text: `Screen: ${immediateContext.currentScreen}` });
+    }
+
+    // Cheap text signal from on-device OCR, so not every check needs the image
+    if (immediateContext.currentScreenText) {
+        const screenText = condenseScreenText(immediateContext.currentScreenText);
+        if (screenText) {
+            const text = `Visible text (OCR):\n${screenText}`;
+            blocks.push({ label: 'screen text', priority: 4, text, shorten: max => shortenText(text, max) });
+        }
+    }
 
     if (immediateContext.lastSignificantChange) {
-        parts.push(`Recent change: ${immediateContext.lastSignificantChange}`);
+        blocks.push({ label: 'recent change', priority: 3, text: `Recent change: ${immediateContext.lastSignificantChange}` });
     }
 
     if (immediateContext.lastAppSwitch) {
         const ago = Math.floor((Date.now() - new Date(immediateContext.lastAppSwitch).getTime()) / 1000);
-        parts.push(`Last app switch: ${ago}s ago`);
+        blocks.push({ label: 'last app switch', priority: 5, text: `Last app switch: ${ago}s ago` });
     }
 
-    return parts.join('\n');
+    return fitBlocks(blocks, maxTokens);
 }
 
 /**
- * Format session context as string (~500 tokens)
- * @returns {string}
+ * Format session context (~500 tokens)
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
  */
-function formatSessionContext() {
+function formatSessionContext(maxTokens) {
     if (!sessionContext) {
-        return 'No session context available.';
+        return placeholderSection('No session context available.', maxTokens);
     }
 
-    const parts = [];
+    const blocks = [];
     const durationMins = Math.floor((Date.now() - new Date(sessionContext.startTime).getTime()) / 60000);
-    parts.push(`Session duration: ${durationMins} minutes`);
+    blocks.push({ label: 'duration', priority: 1, text: `Session duration: ${durationMins} minutes` });
 
     // Top apps by time
     const sortedApps = Object.entries(sessionContext.appTimeToday)
@@ -574,75 +1006,94 @@ function formatSessionContext() {
         .slice(0, 5);
     if (sortedApps.length > 0) {
         const appTimes = sortedApps.map(([app, secs]) => `${app} (${Math.floor(secs / 60)}m)`);
-        parts.push(`Top apps: ${appTimes.join(', ')}`);
+        blocks.push({
+            label: 'top apps',
+            priority: 2,
+            text: `Top apps: ${appTimes.join(', ')}`,
+            shorten: max => shortenList('Top apps: ', appTimes, max)
+        });
     }
 
-    // Tasks completed
+    // Tasks completed - grows all day, so the latest are kept when it's too long
     if (sessionContext.tasksSoFar.length > 0) {
-        parts.push(`Tasks completed: ${sessionContext.tasksSoFar.map(t => t.name).join(', ')}`);
+        const taskNames = sessionContext.tasksSoFar.map(t => t.name);
+        blocks.push({
+            label: 'tasks completed',
+            priority: 3,
+            text: `Tasks completed: ${taskNames.join(', ')}`,
+            shorten: max => shortenList('Tasks completed (latest first): ', [...taskNames].reverse(), max)
+        });
     }
 
     // Current task theory
     if (sessionContext.currentTaskTheory) {
-        parts.push(`Current task: ${sessionContext.currentTaskTheory}`);
+        blocks.push({ label: 'current task', priority: 0, text: `Current task: ${sessionContext.currentTaskTheory}` });
     }
 
     // Questions asked count
     if (sessionContext.questionsAsked.length > 0) {
-        parts.push(`Questions asked this session: ${sessionContext.questionsAsked.length}`);
+        blocks.push({ label: 'questions asked', priority: 4, text: `Questions asked this session: ${sessionContext.questionsAsked.length}` });
     }
 
-    // Limit to ~500 tokens (2000 chars)
-    const result = parts.join('\n');
-    return result.substring(0, 2000);
+    return fitBlocks(blocks, maxTokens);
 }
 
 /**
- * Format historical context as string (~1000 tokens)
- * @returns {string}
+ * Format historical context (~1000 tokens)
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
  */
-function formatHistoricalContext() {
+function formatHistoricalContext(maxTokens) {
     if (!historicalContext) {
-        return 'No historical context available.';
+        return placeholderSection('No historical context available.', maxTokens);
     }
 
-    return getRelevantHistory(sessionContext?.currentTaskTheory || '');
+    return fitRelevantHistory(sessionContext?.currentTaskTheory || '', maxTokens);
 }
 
 /**
- * Format baseline (interview) context as string (~500 tokens)
- * @returns {string}
+ * Format baseline (interview) context (~500 tokens)
+ * @param {number} maxTokens
+ * @returns {BudgetedSection}
  */
-function formatBaselineContext() {
+function formatBaselineContext(maxTokens) {
     if (!historicalContext?.interviewSummary) {
-        return 'No interview data available.';
+        return placeholderSection('No interview data available.', maxTokens);
     }
 
     const summary = historicalContext.interviewSummary;
-    const parts = [];
+    const blocks = [];
+    const listBlock = (label, priority, prefix, items) => ({
+        label,
+        priority,
+        text: `${prefix}${items.join(', ')}`,
+        shorten: max => shortenList(prefix, items, max)
+    });
 
     if (summary.role) {
-        parts.push(`Role: ${summary.role}`);
+        blocks.push({ label: 'role', priority: 0, text: `Role: ${summary.role}` });
     }
     if (summary.department) {
-        parts.push(`Department: ${summary.department}`);
+        blocks.push({ label: 'department', priority: 1, text: `Department: ${summary.department}` });
     }
     if (summary.responsibilities?.length > 0) {
-        parts.push(`Responsibilities: ${summary.responsibilities.join(', ')}`);
+        blocks.push(listBlock('responsibilities', 2, 'Responsibilities: ', summary.responsibilities));
     }
     if (summary.systemsUsed?.length > 0) {
-        parts.push(`Systems used: ${summary.systemsUsed.join(', ')}`);
+        blocks.push(listBlock('systems used', 2, 'Systems used: ', summary.systemsUsed));
     }
     if (summary.statedPainPoints?.length > 0) {
-        parts.push(`Pain points: ${summary.statedPainPoints.join(', ')}`);
+        blocks.push(listBlock('pain points', 3, 'Pain points: ', summary.statedPainPoints));
     }
     if (summary.typicalDay) {
-        parts.push(`Typical day: ${summary.typicalDay}`);
+        const text = `Typical day: ${summary.typicalDay}`;
+        blocks.push({ label: 'typical day', priority: 4, text, shorten: max => shortenText(text, max) });
     }
 
-    // Limit to ~500 tokens (2000 chars)
-    const result = parts.join('\n');
-    return result.substring(0, 2000);
+    if (blocks.length === 0) {
+        return placeholderSection('No interview data available.', maxTokens);
+    }
+    return fitBlocks(blocks, maxTokens);
 }
 
 /**
@@ -674,9 +1125,10 @@ ${ctx.immediate.currentState}`;
  */
 function startSession(sessionId, profileId) {
     // Initialize all context layers
+    recentAppTime = [];
     initImmediateContext();
     initSessionContext(sessionId, profileId);
-    loadHistoricalContext(profileId);
+    loadHistoricalContext(profileId, sessionId);
 
     return {
         immediate: immediateContext,
@@ -712,7 +1164,9 @@ function clearContext() {
     immediateContext = null;
     sessionContext = null;
     historicalContext = null;
-    aiClient = null;
+    recentAppTime = [];
+    lastBudgetReport = null;
+    retrieval.unloadHistoryIndex();
 }
 
 // ============ EXPORTS ============
@@ -722,11 +1176,14 @@ module.exports = {
     initImmediateContext,
     updateImmediateContext,
     detectSignificantChange,
+    findErrorLines,
     getImmediateContext,
+    getRecentAppSwitchCount,
 
     // Session Context
     initSessionContext,
     updateSessionContext,
+    excludeAwayTime,
     addQuestionAsked,
     updateTaskTheory,
     wasQuestionAsked,
@@ -746,6 +1203,10 @@ module.exports = {
     assembleContext,
     getContextForLLM,
 
+    // Token Budgeting
+    estimateTokens,
+    getLastBudgetReport,
+
     // Session Lifecycle
     startSession,
     endSession,
@@ -5,7 +5,11 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { GoogleGenAI } = require('@google/genai');
+const { nativeImage } = require('electron');
+const llm = require('./llm');
+const appRegistry = require('./apps');
+const titleParsers = require('./titleParsers');
+const routes = require('./routes');
 const storage = require('../storage');
 
 // Event emitter for documentation events
@@ -17,11 +21,13 @@ const documentationEvents = new EventEmitter();
 
 /**
  * @typedef {Object} AppUsageAggregate
- * @property {string} app - Application name
+ * @property {string} app - Canonical application name
+ * @property {string} category - App registry category
  * @property {number} totalTime - Total time in seconds across all sessions
  * @property {number} sessionCount - Number of sessions app was used in
  * @property {number} taskCount - Number of tasks app was used in
  * @property {number} averageSessionTime - Average time per session
+ * @property {string[]} artifacts - Most-worked-on documents/records/channels in this app
  */
 
 /**
@@ -43,6 +49,8 @@ const documentationEvents = new EventEmitter();
  * @property {Object[]} allTasks - All tasks from all sessions
  * @property {Object[]} allQuestions - All clarification questions
  * @property {AppUsageAggregate[]} appUsage - Aggregated app usage stats
+ * @property {import('./routes').WebSystemCatalog[]} pageCatalog - Web pages used, by system
+ * @property {Object[]} redactionRecords - Captures that were skipped or masked (see storage.saveRedactionRecord)
  */
 
 /**
@@ -53,12 +61,29 @@ const documentationEvents = new EventEmitter();
  * @property {string} durationEstimate - Estimated duration
  */
 
+/**
+ * @typedef {Object} TriggerImage
+ * @property {string} src - Path relative to the exported markdown
+ * @property {string} alt - App and window the frame shows
+ * @property {boolean} highlighted - The frame the question was raised on, region outlined
+ */
+
+/**
+ * @typedef {Object} DocumentationOptions
+ * @property {Map<string, TriggerImage[]>} [triggerImages] - By question ID; embedded in the Q&A log
+ */
+
 // ============================================================================
 // Constants
 // ============================================================================
 
 const EXPORTS_DIR = path.join(os.homedir(), '.workflow-shadow', 'exports');
 
+// Trigger frames written next to an export and shown in the Q&A log
+const TRIGGER_IMAGE_MAX_WIDTH = 1280;
+const TRIGGER_IMAGE_QUALITY = 80;
+const TRIGGER_STRIP_WIDTH = 120; // display width of each frame in the log
+
 // ============================================================================
 // Data Aggregation Functions
 // ============================================================================
@@ -113,6 +138,18 @@ function aggregateSessions(profileId) {
     // Calculate app usage aggregates
     const appUsage = aggregateAppUsage(sessions, allTasks);
 
+    // Catalog the web pages visited, as route templates
+    const allScreenshots = sessions.flatMap(session => storage.getSessionScreenshots(session.id));
+    const pageCatalog = routes.buildPageCatalog(allScreenshots, allTasks);
+
+    // Collect redactions so the document can say what wasn't observed
+    const redactionRecords = [];
+    for (const session of sessions) {
+        for (const record of storage.getSessionRedactions(session.id)) {
+            redactionRecords.push({ ...record, sessionId: session.id });
+        }
+    }
+
     return {
         profile,
         interviewData,
@@ -120,12 +157,15 @@ function aggregateSessions(profileId) {
         sessions,
         allTasks,
         allQuestions,
-        appUsage
+        appUsage,
+        pageCatalog,
+        redactionRecords
     };
 }
 
 /**
- * Aggregate app usage across sessions and tasks
+ * Aggregate app usage across sessions and tasks. Names are resolved through the
+ * app registry, so records from before an alias existed land in the same row.
  * @param {Object[]} sessions - All sessions
  * @param {Object[]} tasks - All tasks
  * @returns {AppUsageAggregate[]}
@@ -138,7 +178,7 @@ function aggregateAppUsage(sessions, tasks) {
         if (!task.applications) continue;
 
         for (const appSegment of task.applications) {
-            const appName = appSegment.app;
+            const appName = appRegistry.canonicalName(appSegment.app);
             if (!appName) continue;
 
             if (!appMap.has(appName)) {
@@ -146,7 +186,8 @@ function aggregateAppUsage(sessions, tasks) {
                     app: appName,
                     totalTime: 0,
                     sessionIds: new Set(),
-                    taskIds: new Set()
+                    taskIds: new Set(),
+                    artifactCounts: new Map()
                 });
             }
 
@@ -156,6 +197,11 @@ function aggregateAppUsage(sessions, tasks) {
                 appData.sessionIds.add(task.sessionId);
             }
             appData.taskIds.add(task.id);
+
+            for (const artifact of appSegment.artifacts || []) {
+                if (artifact.kind === titleParsers.ARTIFACT_KINDS.MAILBOX) continue;
+                appData.artifactCounts.set(artifact.label, (appData.artifactCounts.get(artifact.label) || 0) + 1);
+            }
         }
     }
 
@@ -163,7 +209,7 @@ function aggregateAppUsage(sessions, tasks) {
     for (const session of sessions) {
         const appRecords = storage.getAppUsageRecords(session.id);
         for (const record of appRecords) {
-            const appName = record.app || record.activeApp;
+            const appName = appRegistry.canonicalName(record.app || record.activeApp);
             if (!appName) continue;
 
             if (!appMap.has(appName)) {
@@ -171,7 +217,8 @@ function aggregateAppUsage(sessions, tasks) {
                     app: appName,
                     totalTime: 0,
                     sessionIds: new Set(),
-                    taskIds: new Set()
+                    taskIds: new Set(),
+                    artifactCounts: new Map()
                 });
             }
 
@@ -187,10 +234,15 @@ function aggregateAppUsage(sessions, tasks) {
         const sessionCount = data.sessionIds.size;
         result.push({
             app: appName,
+            category: appRegistry.getCategory(appName),
             totalTime: data.totalTime,
             sessionCount,
             taskCount: data.taskIds.size,
-            averageSessionTime: sessionCount > 0 ? Math.round(data.totalTime / sessionCount) : 0
+            averageSessionTime: sessionCount > 0 ? Math.round(data.totalTime / sessionCount) : 0,
+            artifacts: [...data.artifactCounts.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([label]) => label)
         });
     }
 
@@ -263,7 +315,7 @@ function calculateTaskStats(tasks) {
         if (task.applications) {
             for (const app of task.applications) {
                 if (app.app) {
-                    allApps.add(app.app);
+                    allApps.add(appRegistry.canonicalName(app.app));
                 }
             }
         }
@@ -501,18 +553,59 @@ function generateSystemsTable(appUsage) {
 
     let content = `## Systems & Tools Observed
 
-| System | Time Logged | Sessions | Tasks |
-|--------|-------------|----------|-------|
+| System | Category | Time Logged | Sessions | Tasks | Worked On |
+|--------|----------|-------------|----------|-------|-----------|
 `;
 
     for (const app of appUsage) {
-        content += `| ${escapeMarkdown(app.app)} | ${formatDuration(app.totalTime)} | ${app.sessionCount} | ${app.taskCount} |\n`;
+        const workedOn = (app.artifacts || []).map(escapeMarkdown).join(', ') || '-';
+        content += `| ${escapeMarkdown(app.app)} | ${app.category} | ${formatDuration(app.totalTime)} | ${app.sessionCount} | ${app.taskCount} | ${workedOn} |\n`;
     }
 
     content += '\n';
     return content;
 }
 
+/**
+ * Generate the catalog of web pages used in each web system
+ * @param {import('./routes').WebSystemCatalog[]} pageCatalog - From routes.buildPageCatalog
+ * @param {number} [maxPagesPerSystem] - Pages listed per system, most used first
+ * @returns {string} Empty when no browser pages were captured
+ */
+function generateWebPagesSection(pageCatalog, maxPagesPerSystem = 15) {
+    if (!pageCatalog || pageCatalog.length === 0) {
+        return '';
+    }
+
+    let content = `## Web Pages Used
+
+Pages are grouped by route: IDs and other record-specific parts of the URL are replaced by placeholders such as \`:id\`.
+
+`;
+
+    for (const system of pageCatalog) {
+        const hosts = system.hosts.filter(host => host !== system.system);
+        content += `### ${escapeMarkdown(system.system)}${hosts.length > 0 ? ` (${hosts.map(escapeMarkdown).join(', ')})` : ''}
+
+| Page | Example Title | Visits | Time | Workflows |
+|------|---------------|--------|------|-----------|
+`;
+        for (const page of system.pages.slice(0, maxPagesPerSystem)) {
+            const workflows = page.workflows.slice(0, 3).map(escapeMarkdown).join(', ') || '-';
+            const title = page.sampleTitle ? escapeMarkdown(page.sampleTitle.substring(0, 60)) : '-';
+            content += `| \`${page.route}\` | ${title} | ${page.visits} | ${formatDuration(page.time)} | ${workflows} |\n`;
+        }
+
+        const hidden = system.pages.length - maxPagesPerSystem;
+        if (hidden > 0) {
+            content += `\n*${hidden} less-used page${hidden === 1 ? '' : 's'} not shown.*\n`;
+        }
+        content += '\n';
+    }
+
+    return content;
+}
+
 /**
  * Generate workflow section for a task group
  * @param {string} taskName - Task name
@@ -559,7 +652,10 @@ function generateWorkflowSection(taskName, tasks, questions) {
         content += `**Your Statements About This Task**:
 `;
         for (const qa of relatedQA) {
-            content += `- *"${qa.question}"* — "${qa.answer}"\n`;
+            content += `- *"${qa.question}"* — "${qa.answer}"${formatAnswerType(qa)}\n`;
+            for (const followUp of (qa.followUps || []).filter(f => f.answer)) {
+                content += `  - *"${followUp.question}"* — "${followUp.answer}"${formatAnswerType(followUp)}\n`;
+            }
         }
         content += '\n';
     }
@@ -575,7 +671,7 @@ function generateWorkflowSection(taskName, tasks, questions) {
  */
 function extractStepsFromTasks(tasks) {
     const steps = [];
-    const seenApps = new Set();
+    const seen = new Set(); // App names and artifact steps already listed
 
     // Take the most detailed task (most app segments)
     const sortedTasks = [...tasks].sort((a, b) =>
@@ -588,10 +684,22 @@ function extractStepsFromTasks(tasks) {
     }
 
     for (const app of representativeTask.applications) {
-        if (!seenApps.has(app.app)) {
-            seenApps.add(app.app);
+        const appName = appRegistry.canonicalName(app.app);
+        const artifacts = (app.artifacts || []).filter(a => a.kind !== titleParsers.ARTIFACT_KINDS.MAILBOX);
+
+        if (artifacts.length > 0) {
+            // Name what was worked on rather than the raw window title
+            for (const artifact of artifacts) {
+                const step = `Worked on ${artifact.kind} ${titleParsers.describeArtifact(artifact)} in ${appName}`;
+                if (!seen.has(step)) {
+                    seen.add(step);
+                    steps.push(step);
+                }
+            }
+        } else if (!seen.has(appName)) {
+            seen.add(appName);
             const title = app.windowTitle ? ` (${app.windowTitle})` : '';
-            steps.push(`Worked in ${app.app}${title}`);
+            steps.push(`Worked in ${appName}${title}`);
         }
     }
 
@@ -653,12 +761,51 @@ function generateTimeLog(appUsage, tasks) {
     return content;
 }
 
+/**
+ * Mark answers where the user confirmed one of the AI's suggested answers, rather than explaining
+ * @param {Object} question - Answered question
+ * @returns {string}
+ */
+function formatAnswerType(question) {
+    return question.answerType === 'option' ? ' *(confirmed suggestion)*' : '';
+}
+
+/**
+ * Render a question's answer and any follow-ups as a conversation within one table cell
+ * @param {Object} question - Answered question
+ * @returns {string}
+ */
+function formatResponseThread(question) {
+    let cell = `${escapeMarkdown(question.answer || 'N/A')}${formatAnswerType(question)}`;
+    for (const followUp of question.followUps || []) {
+        cell += `<br>↳ *Follow-up:* ${escapeMarkdown(followUp.question)}<br>↳ `;
+        cell += followUp.answer ? `${escapeMarkdown(followUp.answer)}${formatAnswerType(followUp)}` : '*(skipped)*';
+    }
+    return cell;
+}
+
+/**
+ * Render a question's trigger frames as a strip of linked images
+ * @param {TriggerImage[]} [images]
+ * @returns {string}
+ */
+function formatTriggerStrip(images) {
+    if (!images || images.length === 0) return '';
+
+    const strip = images.map(image => {
+        const alt = escapeMarkdown(image.alt).replace(/"/g, '&quot;');
+        return `<a href="${image.src}"><img src="${image.src}" alt="${alt}" width="${TRIGGER_STRIP_WIDTH}"></a>`;
+    });
+    return `<br>${strip.join(' ')}`;
+}
+
 /**
  * Generate Q&A log section
  * @param {Object[]} questions - All answered questions
+ * @param {Map<string, TriggerImage[]>} [triggerImages] - Frames to show with each question, by question ID
  * @returns {string}
  */
-function generateQALog(questions) {
+function generateQALog(questions, triggerImages = null) {
     if (!questions || questions.length === 0) {
         return `## Clarification Q&A Log
 
@@ -678,13 +825,79 @@ function generateQALog(questions) {
     );
 
     for (const q of sorted) {
-        content += `| ${formatDate(q.timestamp)} | ${escapeMarkdown(q.triggerContext || 'N/A')} | ${escapeMarkdown(q.question)} | ${escapeMarkdown(q.answer || 'N/A')} |\n`;
+        const contextCell = `${escapeMarkdown(q.triggerContext || 'N/A')}${formatTriggerStrip(triggerImages?.get(q.id))}`;
+        content += `| ${formatDate(q.timestamp)} | ${contextCell} | ${escapeMarkdown(q.question)} | ${formatResponseThread(q)} |\n`;
     }
 
     content += '\n';
     return content;
 }
 
+/**
+ * Generate capture gaps section - what was deliberately not observed
+ * @param {Object[]} redactionRecords - Redaction records from all sessions
+ * @returns {string}
+ */
+function generateCaptureGapsSection(redactionRecords) {
+    if (!redactionRecords || redactionRecords.length === 0) {
+        return '';
+    }
+
+    let content = `## Capture Gaps
+
+Some activity was excluded or masked for privacy, so workflows above may be missing steps that happened in these places.
+
+`;
+
+    // Skipped captures, grouped by app and the rule that matched
+    const skipped = new Map();
+    const masked = {};
+    let unscanned = 0;
+
+    for (const record of redactionRecords) {
+        for (const r of record.redactions || []) {
+            if (r.type === 'skipped') {
+                const app = appRegistry.canonicalName(record.app);
+                const key = `${app}|${r.reason}|${r.rule}`;
+                const entry = skipped.get(key) || { app, reason: r.reason, rule: r.rule, captures: 0, time: 0 };
+                entry.captures++;
+                entry.time += record.duration || 0;
+                skipped.set(key, entry);
+            } else if (r.type === 'masked') {
+                masked[r.reason] = (masked[r.reason] || 0) + 1;
+            } else if (r.type === 'unscanned') {
+                unscanned++;
+            }
+        }
+    }
+
+    if (skipped.size > 0) {
+        content += `### Not Captured
+
+| Application | Reason | Rule | Captures Skipped | Approx. Time |
+|-------------|--------|------|------------------|--------------|
+`;
+        const sorted = [...skipped.values()].sort((a, b) => b.time - a.time);
+        for (const entry of sorted) {
+            const reason = entry.reason === 'blocked_app' ? 'Blocked app' : 'Blocked window/page';
+            content += `| ${escapeMarkdown(entry.app)} | ${reason} | ${escapeMarkdown(entry.rule)} | ${entry.captures} | ${formatDuration(entry.time)} |\n`;
+        }
+        content += '\n';
+    }
+
+    const maskLabels = { email: 'email addresses', card: 'card numbers', ssn: 'SSNs' };
+    const maskedParts = Object.entries(masked).map(([kind, count]) => `${count} ${maskLabels[kind] || kind}`);
+    if (maskedParts.length > 0) {
+        content += `**Masked in saved screenshots:** ${maskedParts.join(', ')}\n\n`;
+    }
+
+    if (unscanned > 0) {
+        content += `*${unscanned} screenshot(s) were saved without a sensitive-text scan because local OCR was unavailable.*\n\n`;
+    }
+
+    return content;
+}
+
 /**
  * Generate session log section
  * @param {Object[]} sessions - All sessions
@@ -730,9 +943,10 @@ function generateSessionLog(sessions, allTasks, allQuestions) {
 /**
  * Generate complete documentation markdown
  * @param {DocumentationInputs} inputs - All aggregated data
+ * @param {DocumentationOptions} [options]
  * @returns {string}
  */
-function generateDocumentation(inputs) {
+function generateDocumentation(inputs, options = {}) {
     const {
         profile,
         interviewData,
@@ -740,7 +954,9 @@ function generateDocumentation(inputs) {
         sessions,
         allTasks,
         allQuestions,
-        appUsage
+        appUsage,
+        pageCatalog,
+        redactionRecords
     } = inputs;
 
     const roleTitle = interviewSummary?.role || profile?.name || 'Workflow';
@@ -760,6 +976,9 @@ function generateDocumentation(inputs) {
     // Systems & Tools
     markdown += generateSystemsTable(appUsage);
 
+    // Web Pages (only when browser pages were captured)
+    markdown += generateWebPagesSection(pageCatalog);
+
     // Documented Workflows
     markdown += `## Documented Workflows
 
@@ -778,11 +997,14 @@ function generateDocumentation(inputs) {
     markdown += generateTimeLog(appUsage, allTasks);
 
     // Q&A Log
-    markdown += generateQALog(allQuestions);
+    markdown += generateQALog(allQuestions, options.triggerImages);
 
     // Session Log
     markdown += generateSessionLog(sessions, allTasks, allQuestions);
 
+    // Capture Gaps (only when something was redacted)
+    markdown += generateCaptureGapsSection(redactionRecords);
+
     // Raw Data References
     markdown += `## Raw Data References
 
@@ -795,6 +1017,116 @@ function generateDocumentation(inputs) {
     return markdown;
 }
 
+// ============================================================================
+// Trigger Images
+// ============================================================================
+
+/**
+ * Draw a region's outline onto an image. Magenta reads the same whether the
+ * bitmap is RGBA or BGRA.
+ * @param {Electron.NativeImage} image
+ * @param {{x: number, y: number, width: number, height: number}} region - Fractions of the image size
+ * @returns {Electron.NativeImage}
+ */
+function outlineRegion(image, region) {
+    const { width, height } = image.getSize();
+    const bitmap = Buffer.from(image.toBitmap());
+    const thickness = Math.max(2, Math.round(width / 300));
+
+    const left = Math.max(0, Math.floor(region.x * width));
+    const top = Math.max(0, Math.floor(region.y * height));
+    const right = Math.min(width - 1, Math.ceil((region.x + region.width) * width));
+    const bottom = Math.min(height - 1, Math.ceil((region.y + region.height) * height));
+
+    const paint = (x, y) => {
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        const i = (y * width + x) * 4;
+        bitmap[i] = 255;
+        bitmap[i + 1] = 0;
+        bitmap[i + 2] = 255;
+        bitmap[i + 3] = 255;
+    };
+
+    for (let t = 0; t < thickness; t++) {
+        for (let x = left; x <= right; x++) {
+            paint(x, top + t);
+            paint(x, bottom - t);
+        }
+        for (let y = top; y <= bottom; y++) {
+            paint(left + t, y);
+            paint(right - t, y);
+        }
+    }
+
+    return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+/**
+ * Write each question's trigger frames as images next to the export. The frame the
+ * question was raised on is written full size when it's still kept, with its region
+ * outlined; the others (and frames retention has deleted) from their thumbnails.
+ * @param {Object[]} questions - Answered questions, with sessionId
+ * @param {string} imagesDir - Where to write the images
+ * @param {string} relativeDir - imagesDir as linked from the markdown
+ * @returns {Map<string, TriggerImage[]>} By question ID
+ */
+function writeTriggerImages(questions, imagesDir, relativeDir) {
+    const images = new Map();
+    const sessionScreenshots = new Map();
+
+    for (const question of questions) {
+        const trigger = question.trigger;
+        if (!trigger?.screenshotId) continue;
+
+        try {
+            if (!sessionScreenshots.has(question.sessionId)) {
+                sessionScreenshots.set(question.sessionId, new Map(storage.getSessionScreenshots(question.sessionId).map(s => [s.id, s])));
+            }
+            const screenshots = sessionScreenshots.get(question.sessionId);
+
+            // Questions from before frames were recorded only have the one
+            const frames = trigger.frames?.length > 0
+                ? trigger.frames
+                : [{ screenshotId: trigger.screenshotId, app: trigger.app, windowTitle: trigger.windowTitle }];
+
+            const written = [];
+            frames.forEach((frame, i) => {
+                const screenshot = screenshots.get(frame.screenshotId);
+                const highlighted = frame.screenshotId === trigger.screenshotId;
+                const sourcePath = [highlighted ? screenshot?.imagePath : null, screenshot?.thumbnailPath, screenshot?.imagePath]
+                    .find(candidate => candidate && fs.existsSync(candidate));
+                if (!sourcePath) return;
+
+                let image = nativeImage.createFromBuffer(storage.readDataFile(sourcePath));
+                if (image.isEmpty()) return;
+                if (image.getSize().width > TRIGGER_IMAGE_MAX_WIDTH) {
+                    image = image.resize({ width: TRIGGER_IMAGE_MAX_WIDTH, quality: 'good' });
+                }
+                if (highlighted && trigger.region) {
+                    image = outlineRegion(image, trigger.region);
+                }
+
+                const filename = `${question.id}-${i + 1}.jpg`;
+                fs.mkdirSync(imagesDir, { recursive: true });
+                fs.writeFileSync(path.join(imagesDir, filename), image.toJPEG(TRIGGER_IMAGE_QUALITY));
+                written.push({
+                    src: `${encodeURI(relativeDir)}/${filename}`,
+                    alt: [frame.app, frame.windowTitle].filter(Boolean).join(' - ') || 'Screen',
+                    highlighted
+                });
+            });
+
+            if (written.length > 0) {
+                images.set(question.id, written);
+            }
+        } catch (error) {
+            console.warn(`Could not write trigger images for question ${question.id}:`, error.message);
+        }
+    }
+
+    return images;
+}
+
 // ============================================================================
 // Export Functions
 // ============================================================================
@@ -833,9 +1165,6 @@ async function exportDocumentation(profileId, outputPath = null) {
         // Aggregate all data
         const inputs = aggregateSessions(profileId);
 
-        // Generate documentation
-        const markdown = generateDocumentation(inputs);
-
         // Determine output path
         const exportsDir = ensureExportsDir();
         const filename = generateExportFilename(profileId);
@@ -847,6 +1176,13 @@ async function exportDocumentation(profileId, outputPath = null) {
             fs.mkdirSync(dir, { recursive: true });
         }
 
+        // Trigger frames go in a folder beside the markdown, which links to them
+        const imagesDirName = `${path.basename(filePath, path.extname(filePath))}-images`;
+        const triggerImages = writeTriggerImages(inputs.allQuestions, path.join(dir, imagesDirName), imagesDirName);
+
+        // Generate documentation
+        const markdown = generateDocumentation(inputs, { triggerImages });
+
         // Write file
         fs.writeFileSync(filePath, markdown, 'utf8');
 
@@ -944,9 +1280,9 @@ async function getDocumentationPreview(profileId) {
  * @returns {Promise<WorkflowStep[]>}
  */
 async function inferWorkflowSteps(task, screenshots) {
-    const apiKey = storage.getApiKey();
-    if (!apiKey) {
-        console.warn('No API key for step inference');
+    const configError = llm.getConfigurationError();
+    if (configError) {
+        console.warn(`Step inference unavailable: ${configError}`);
         return [];
     }
 
@@ -954,9 +1290,7 @@ async function inferWorkflowSteps(task, screenshots) {
         return [];
     }
 
-    const client = new GoogleGenAI({ apiKey });
-
-    const apps = task.applications?.map(a => a.app).join(', ') || 'Unknown';
+    const apps = [...new Set(task.applications?.map(a => appRegistry.canonicalName(a.app)))].join(', ') || 'Unknown';
     const durationMinutes = Math.round((task.duration || 0) / 60);
 
     const prompt = `Based on these screenshots from a single task, describe the high-level
@@ -1002,17 +1336,12 @@ minute details.`;
             return [];
         }
 
-        const response = await client.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts }],
-            generationConfig: {
-                temperature: 0.3,
-                maxOutputTokens: 1000
-            }
+        const responseText = await llm.generateText(parts, {
+            purpose: 'workflow-steps',
+            temperature: 0.3,
+            maxOutputTokens: 1000
         });
 
-        const responseText = response.text || '';
-
         // Parse JSON from response
         const jsonMatch = responseText.match(/\[[\s\S]*\]/);
         if (jsonMatch) {
@@ -1047,15 +1376,18 @@ module.exports = {
     generateRoleOverview,
     generateInterviewSection,
     generateSystemsTable,
+    generateWebPagesSection,
     generateWorkflowSection,
     generateTimeLog,
     generateQALog,
     generateSessionLog,
+    generateCaptureGapsSection,
 
     // Document Assembly
     generateDocumentation,
 
     // Export
+    writeTriggerImages,
     exportDocumentation,
     generateDocumentationForProfile,
     getDocumentationPreview,
@@ -0,0 +1,227 @@
+// encryption.js - At-Rest Encryption Service
+// AES-256-GCM file envelopes for data under the config dir. The data key is wrapped
+// either by the OS keychain (Electron safeStorage) or by a key derived from a passphrase.
+
+const crypto = require('crypto');
+
+// ============ CONSTANTS ============
+
+// Every encrypted file starts with this, so plaintext and ciphertext can live side by side during migration
+const MAGIC = Buffer.from('WFDENC1\n', 'utf8');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+// Line prefix for encrypted entries in append-only .jsonl files
+const LINE_PREFIX = 'ENC:';
+
+const KEY_SOURCES = {
+    KEYCHAIN: 'keychain',
+    PASSPHRASE: 'passphrase'
+};
+
+// scrypt cost - roughly 100ms on a laptop, paid once per unlock
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} WrappedKey
+ * @property {'keychain'|'passphrase'} keySource
+ * @property {string} wrappedKey - Base64 wrapped data key
+ * @property {string} [salt] - Base64 scrypt salt (passphrase only)
+ */
+
+// ============ ENVELOPES ============
+
+/**
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isEncrypted(buffer) {
+    return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Encrypt a buffer into MAGIC | iv | tag | ciphertext
+ * @param {Buffer} plaintext
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function encryptBuffer(plaintext, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt a buffer produced by encryptBuffer
+ * @param {Buffer} envelope
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function decryptBuffer(envelope, key) {
+    if (!isEncrypted(envelope)) {
+        throw new Error('Not an encrypted file');
+    }
+
+    const ivStart = MAGIC.length;
+    const tagStart = ivStart + IV_LENGTH;
+    const dataStart = tagStart + TAG_LENGTH;
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, envelope.subarray(ivStart, tagStart));
+    decipher.setAuthTag(envelope.subarray(tagStart, dataStart));
+    return Buffer.concat([decipher.update(envelope.subarray(dataStart)), decipher.final()]);
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isEncryptedLine(line) {
+    return line.startsWith(LINE_PREFIX);
+}
+
+/**
+ * Encrypt one line of an append-only log
+ * @param {string} line - Without the trailing newline
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function encryptLine(line, key) {
+    return LINE_PREFIX + encryptBuffer(Buffer.from(line, 'utf8'), key).toString('base64');
+}
+
+/**
+ * Decrypt a log line if it was encrypted; plaintext lines pass through
+ * @param {string} line
+ * @param {Buffer|null} key
+ * @returns {string}
+ */
+function decryptLine(line, key) {
+    if (!isEncryptedLine(line)) return line;
+    if (!key) throw new Error('Storage is locked');
+    return decryptBuffer(Buffer.from(line.substring(LINE_PREFIX.length), 'base64'), key).toString('utf8');
+}
+
+// ============ KEYS ============
+
+function generateDataKey() {
+    return crypto.randomBytes(KEY_LENGTH);
+}
+
+/**
+ * Electron's safeStorage: Keychain on macOS, DPAPI on Windows, libsecret/KWallet on Linux
+ * @returns {Electron.SafeStorage|null}
+ */
+function getSafeStorage() {
+    try {
+        return require('electron').safeStorage || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether the OS keychain can hold the data key (only valid after app ready)
+ */
+function isKeychainAvailable() {
+    const safeStorage = getSafeStorage();
+    if (!safeStorage || !safeStorage.isEncryptionAvailable()) return false;
+
+    // On Linux without a secret service, safeStorage falls back to a hardcoded key
+    if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend?.() === 'basic_text') {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Derive a key-encryption key from a passphrase
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+/**
+ * Wrap the data key for storage next to the data
+ * @param {Buffer} dataKey
+ * @param {'keychain'|'passphrase'} keySource
+ * @param {string} [passphrase]
+ * @returns {WrappedKey}
+ */
+function wrapKey(dataKey, keySource, passphrase) {
+    if (keySource === KEY_SOURCES.KEYCHAIN) {
+        if (!isKeychainAvailable()) {
+            throw new Error('OS keychain is not available on this system, use a passphrase instead');
+        }
+        const wrapped = getSafeStorage().encryptString(dataKey.toString('base64'));
+        return { keySource, wrappedKey: wrapped.toString('base64') };
+    }
+
+    if (keySource === KEY_SOURCES.PASSPHRASE) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('Passphrase must be at least 8 characters');
+        }
+        const salt = crypto.randomBytes(16);
+        const kek = deriveKey(passphrase, salt);
+        return { keySource, wrappedKey: encryptBuffer(dataKey, kek).toString('base64'), salt: salt.toString('base64') };
+    }
+
+    throw new Error(`Unknown key source: ${keySource}`);
+}
+
+/**
+ * Recover the data key
+ * @param {WrappedKey} wrapped
+ * @param {string} [passphrase]
+ * @returns {Buffer}
+ */
+function unwrapKey(wrapped, passphrase) {
+    if (wrapped.keySource === KEY_SOURCES.KEYCHAIN) {
+        const safeStorage = getSafeStorage();
+        if (!safeStorage || !safeStorage.isEncryptionAvailable()) {
+            throw new Error('OS keychain is not available');
+        }
+        return Buffer.from(safeStorage.decryptString(Buffer.from(wrapped.wrappedKey, 'base64')), 'base64');
+    }
+
+    if (wrapped.keySource === KEY_SOURCES.PASSPHRASE) {
+        if (!passphrase) {
+            throw new Error('Passphrase required');
+        }
+        const kek = deriveKey(passphrase, Buffer.from(wrapped.salt, 'base64'));
+        try {
+            return decryptBuffer(Buffer.from(wrapped.wrappedKey, 'base64'), kek);
+        } catch {
+            throw new Error('Incorrect passphrase');
+        }
+    }
+
+    throw new Error(`Unknown key source: ${wrapped.keySource}`);
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    KEY_SOURCES,
+
+    // Envelopes
+    isEncrypted,
+    encryptBuffer,
+    decryptBuffer,
+    isEncryptedLine,
+    encryptLine,
+    decryptLine,
+
+    // Keys
+    generateDataKey,
+    isKeychainAvailable,
+    wrapKey,
+    unwrapKey
+};
@@ -0,0 +1,91 @@
+// frameDiff.js - Perceptual Frame Diff
+// Block-level luminance fingerprints for captured frames, used to tell
+// "the screen actually changed" apart from near-identical frames
+
+// ============ CONSTANTS ============
+
+// Fingerprint grid - each cell is the average luminance of a block of the screen
+const GRID_WIDTH = 32;
+const GRID_HEIGHT = 18;
+
+// Minimum luminance change (0-255) for a block to count as changed.
+// High enough to ignore JPEG noise and cursor blink, low enough to catch new text.
+const BLOCK_DELTA = 10;
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} FrameFingerprint
+ * @property {number} width - Grid width
+ * @property {number} height - Grid height
+ * @property {Uint8Array} cells - Row-major average luminance per block (0-255)
+ */
+
+// ============ FINGERPRINTS ============
+
+/**
+ * Build a fingerprint from a raw 32-bit bitmap already scaled to the grid size
+ * (e.g. nativeImage.resize({ width: GRID_WIDTH, height: GRID_HEIGHT }).toBitmap())
+ * @param {Buffer} bitmap - BGRA (or RGBA) pixel data
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {FrameFingerprint}
+ */
+function fingerprintFromBitmap(bitmap, width = GRID_WIDTH, height = GRID_HEIGHT) {
+    const cells = new Uint8Array(width * height);
+    for (let i = 0; i < cells.length; i++) {
+        const p = i * 4;
+        // Channel order doesn't matter much for change detection; weights assume BGRA
+        cells[i] = Math.round(0.114 * bitmap[p] + 0.587 * bitmap[p + 1] + 0.299 * bitmap[p + 2]);
+    }
+    return { width, height, cells };
+}
+
+/**
+ * Build a fingerprint from an Electron NativeImage
+ * @param {Electron.NativeImage} image
+ * @returns {FrameFingerprint|null}
+ */
+function fingerprintFromNativeImage(image) {
+    if (!image || image.isEmpty()) return null;
+    const scaled = image.resize({ width: GRID_WIDTH, height: GRID_HEIGHT, quality: 'good' });
+    const size = scaled.getSize();
+    return fingerprintFromBitmap(scaled.toBitmap(), size.width, size.height);
+}
+
+// ============ COMPARISON ============
+
+/**
+ * Compare two fingerprints
+ * @param {FrameFingerprint|null} previous
+ * @param {FrameFingerprint|null} current
+ * @returns {number} Fraction of blocks that changed, 0 (identical) to 1 (everything changed)
+ */
+function compareFingerprints(previous, current) {
+    if (!previous || !current) return 1;
+    if (previous.width !== current.width || previous.height !== current.height) return 1;
+
+    let changed = 0;
+    for (let i = 0; i < current.cells.length; i++) {
+        if (Math.abs(current.cells[i] - previous.cells[i]) > BLOCK_DELTA) {
+            changed++;
+        }
+    }
+
+    return changed / current.cells.length;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    GRID_WIDTH,
+    GRID_HEIGHT,
+
+    // Fingerprints
+    fingerprintFromBitmap,
+    fingerprintFromNativeImage,
+
+    // Comparison
+    compareFingerprints
+};
@@ -2,6 +2,7 @@ const { GoogleGenAI, Modality } = require('@google/genai');
 const { BrowserWindow, ipcMain } = require('electron');
 const { getSystemPrompt } = require('./prompts');
 const { getApiKey } = require('../storage');
+const llm = require('./llm');
 
 // Conversation tracking variables
 let currentSessionId = null;
@@ -514,31 +515,19 @@ function setupGeminiIpcHandlers(geminiSessionRef) {
 }
 
 /**
- * Generate content using Gemini API (supports text and images)
+ * Generate content through the configured LLM provider (supports text and images)
  * Used by taskDetection and other services for AI analysis
  * @param {Array} parts - Array of content parts (text or inlineData)
- * @param {Object} config - Generation config (temperature, maxOutputTokens)
+ * @param {Object} config - Generation config (temperature, maxOutputTokens, purpose)
  * @returns {Promise<string>} - The generated text response
  */
 async function generateContent(parts, config = {}) {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-        throw new Error('No API key configured');
-    }
-
-    const ai = new GoogleGenAI({ apiKey });
-
     try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts }],
-            generationConfig: {
-                temperature: config.temperature ?? 0.3,
-                maxOutputTokens: config.maxOutputTokens ?? 500
-            }
+        return await llm.generateText(parts, {
+            purpose: config.purpose || 'general',
+            temperature: config.temperature ?? 0.3,
+            maxOutputTokens: config.maxOutputTokens ?? 500
         });
-
-        return response.text || '';
     } catch (error) {
         console.error('Error in generateContent:', error);
         throw error;
@@ -564,7 +553,7 @@ async function analyzeImage({ image, prompt, mimeType = 'image/png' }) {
         }
     ];
 
-    return generateContent(parts, { temperature: 0.3, maxOutputTokens: 1000 });
+    return generateContent(parts, { purpose: 'image-analysis', temperature: 0.3, maxOutputTokens: 1000 });
 }
 
 module.exports = {
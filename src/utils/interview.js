@@ -1,7 +1,6 @@
 // interview.js - Interview Mode Service
-const { GoogleGenAI } = require('@google/genai');
 const EventEmitter = require('events');
-const { getApiKey } = require('../storage');
+const llm = require('./llm');
 const { INTERVIEW_CONDUCTOR_PROMPT } = require('./prompts');
 
 // Event emitter for interview events
@@ -66,7 +65,6 @@ const COMPLETION_PHRASE = "I think I have a good picture of your role. Ready to
 // ============ STATE ============
 
 let currentSession = null;
-let aiClient = null;
 
 // ============ HELPER FUNCTIONS ============
 
@@ -103,14 +101,11 @@ function buildConversationContext(messages) {
  * @returns {InterviewSession}
  */
 async function startInterview(profileId) {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-        throw new Error('No API key configured');
+    const configError = llm.getConfigurationError();
+    if (configError) {
+        throw new Error(configError);
     }
 
-    // Initialize AI client
-    aiClient = new GoogleGenAI({ apiKey });
-
     // Create new session
     currentSession = {
         profileId,
@@ -148,12 +143,9 @@ async function sendMessage(userMessage) {
         throw new Error('No active interview session');
     }
 
-    if (!aiClient) {
-        const apiKey = getApiKey();
-        if (!apiKey) {
-            throw new Error('No API key configured');
-        }
-        aiClient = new GoogleGenAI({ apiKey });
+    const configError = llm.getConfigurationError();
+    if (configError) {
+        throw new Error(configError);
     }
 
     // Add user message
@@ -191,7 +183,7 @@ async function sendMessage(userMessage) {
 }
 
 /**
- * Generate AI response using Gemini
+ * Generate AI response using the configured LLM provider
  * @param {InterviewMessage[]} messages - Conversation history
  * @returns {Promise<string>}
  */
@@ -231,16 +223,14 @@ After 10-15 exchanges say: "I think I have a good picture. Ready to start observ
         console.log('CONVERSATION HISTORY:', JSON.stringify(modifiedHistory, null, 2));
         console.log('================================\n');
 
-        const response = await aiClient.models.generateContent({
-            model: 'gemini-2.5-flash',
+        const response = await llm.generate({
+            purpose: 'interview',
             contents: modifiedHistory,
-            generationConfig: {
-                temperature: 0.5,
-                maxOutputTokens: 500
-            }
+            temperature: 0.5,
+            maxOutputTokens: 500
         });
 
-        const responseText = response.text || 'Got it. What do you do day-to-day?';
+        const responseText = response || 'Got it. What do you do day-to-day?';
 
         // DEBUG LOGGING
         console.log('\n========== AI RESPONSE ==========');
@@ -280,12 +270,9 @@ async function generateSummary() {
         throw new Error('No interview session to summarize');
     }
 
-    if (!aiClient) {
-        const apiKey = getApiKey();
-        if (!apiKey) {
-            throw new Error('No API key configured');
-        }
-        aiClient = new GoogleGenAI({ apiKey });
+    const configError = llm.getConfigurationError();
+    if (configError) {
+        throw new Error(configError);
     }
 
     // Build transcript from messages
@@ -294,19 +281,14 @@ async function generateSummary() {
         .join('\n\n');
 
     try {
-        const response = await aiClient.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts: [{ text: transcript }] }],
-            systemInstruction: {
-                parts: [{ text: SUMMARY_GENERATION_PROMPT }]
-            },
-            generationConfig: {
-                temperature: 0.3,
-                maxOutputTokens: 1000
-            }
+        const response = await llm.generateText([{ text: transcript }], {
+            purpose: 'interview-summary',
+            systemInstruction: SUMMARY_GENERATION_PROMPT,
+            temperature: 0.3,
+            maxOutputTokens: 1000
         });
 
-        const responseText = response.text || '{}';
+        const responseText = response || '{}';
 
         // Parse JSON response
         let summaryData;
@@ -423,13 +405,6 @@ async function skipQuestion() {
  */
 function resumeInterview(session) {
     currentSession = session;
-
-    // Reinitialize AI client
-    const apiKey = getApiKey();
-    if (apiKey) {
-        aiClient = new GoogleGenAI({ apiKey });
-    }
-
     return currentSession;
 }
 
@@ -438,7 +413,6 @@ function resumeInterview(session) {
  */
 function clearSession() {
     currentSession = null;
-    aiClient = null;
 }
 
 // ============ EXPORTS ============
@@ -0,0 +1,618 @@
+// linuxWindow.js - Linux Active Window Detection
+// Detector chain covering Wayland compositors (Hyprland, sway, GNOME Shell, KWin)
+// and X11 (xprop, xdotool), plus browser URL lookup for Linux browsers
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const execFileAsync = promisify(execFile);
+
+// ============ CONSTANTS ============
+
+const EXEC_OPTIONS = { timeout: 2000, maxBuffer: 8 * 1024 * 1024 };
+
+const DETECTORS = {
+    HYPRLAND: 'hyprland',
+    SWAY: 'sway',
+    GNOME: 'gnome',
+    KWIN: 'kwin',
+    XPROP: 'xprop',
+    XDOTOOL: 'xdotool'
+};
+
+// Detectors cheap enough to poll every few seconds. KWin loads a script and reads the journal.
+const PROBE_DETECTORS = [DETECTORS.HYPRLAND, DETECTORS.SWAY, DETECTORS.GNOME, DETECTORS.XPROP, DETECTORS.XDOTOOL];
+
+// Marker printed by the KWin script so its line can be found in the journal
+const KWIN_MARKER = 'WFD_ACTIVE_WINDOW';
+const KWIN_PLUGIN_NAME = 'workflow-daddy-active-window';
+
+// Chromium DevTools endpoint, only reachable if the browser runs with --remote-debugging-port
+const CHROMIUM_DEBUG_PORT = 9222;
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} LinuxWindowInfo
+ * @property {string} app - Process name (falls back to window class)
+ * @property {string} title - Window title
+ * @property {string} [windowClass] - WM_CLASS / Wayland app_id
+ * @property {number} [pid] - Owning process ID
+ * @property {{x: number, y: number, width: number, height: number}} [bounds] - Window frame in desktop coordinates
+ */
+
+// ============ STATE ============
+
+let preferredDetector = null; // Detector that last succeeded
+let kwinScriptPath = null;
+let firefoxSessionCache = { path: null, mtimeMs: 0, session: null };
+
+// ============ HELPERS ============
+
+async function run(command, args) {
+    const { stdout } = await execFileAsync(command, args, EXEC_OPTIONS);
+    return stdout;
+}
+
+/**
+ * Resolve a PID to its process name
+ * @param {number} pid
+ * @returns {Promise<string|null>}
+ */
+async function getProcessName(pid) {
+    if (!pid || pid <= 0) return null;
+    try {
+        return fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim() || null;
+    } catch {
+        try {
+            return (await run('ps', ['-p', String(pid), '-o', 'comm='])).trim() || null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Build a bounds object, or undefined if any value is missing
+ */
+function toBounds(x, y, width, height) {
+    const values = [x, y, width, height].map(Number);
+    if (values.some(v => !Number.isFinite(v)) || values[2] <= 0 || values[3] <= 0) return undefined;
+    return { x: values[0], y: values[1], width: values[2], height: values[3] };
+}
+
+/**
+ * Normalize raw detector output into LinuxWindowInfo
+ * Process names are preferred so results match what xdotool recorded historically
+ */
+async function toWindowInfo({ windowClass, title, pid, bounds }) {
+    const processName = await getProcessName(pid);
+    const app = processName || windowClass;
+    if (!app && !title) return null;
+
+    return {
+        app: app || 'Unknown',
+        title: title || 'Unknown',
+        windowClass: windowClass || undefined,
+        pid: pid || undefined,
+        bounds: bounds || undefined
+    };
+}
+
+/**
+ * Parse a gdbus reply of the form ('payload',) or (true, 'payload')
+ * @param {string} output
+ * @returns {string|null}
+ */
+function parseGdbusString(output) {
+    const match = output.match(/'((?:[^'\\]|\\.)*)'/s);
+    if (!match) return null;
+    return match[1].replace(/\\(.)/g, '$1');
+}
+
+// ============ WAYLAND COMPOSITORS ============
+
+/**
+ * Hyprland IPC: hyprctl activewindow -j
+ */
+async function detectHyprland() {
+    const data = JSON.parse(await run('hyprctl', ['activewindow', '-j']));
+    if (!data || (!data.class && !data.title)) return null;
+    return toWindowInfo({
+        windowClass: data.class || data.initialClass,
+        title: data.title,
+        pid: data.pid,
+        bounds: toBounds(data.at?.[0], data.at?.[1], data.size?.[0], data.size?.[1])
+    });
+}
+
+/**
+ * Find the focused node in a sway tree
+ */
+function findFocusedSwayNode(node) {
+    if (!node) return null;
+    if (node.focused && (node.type === 'con' || node.type === 'floating_con')) {
+        return node;
+    }
+    for (const child of [...(node.nodes || []), ...(node.floating_nodes || [])]) {
+        const found = findFocusedSwayNode(child);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * sway IPC: swaymsg -t get_tree
+ */
+async function detectSway() {
+    const tree = JSON.parse(await run('swaymsg', ['-t', 'get_tree']));
+    const node = findFocusedSwayNode(tree);
+    if (!node) return null;
+    return toWindowInfo({
+        windowClass: node.app_id || node.window_properties?.class,
+        title: node.name,
+        pid: node.pid,
+        bounds: toBounds(node.rect?.x, node.rect?.y, node.rect?.width, node.rect?.height)
+    });
+}
+
+/**
+ * GNOME Shell over D-Bus. Eval is locked down since GNOME 41, so the
+ * "Window Calls" extension interface is tried first and Eval second.
+ */
+async function detectGnome() {
+    try {
+        const output = await run('gdbus', [
+            'call', '--session',
+            '--dest', 'org.gnome.Shell',
+            '--object-path', '/org/gnome/Shell/Extensions/Windows',
+            '--method', 'org.gnome.Shell.Extensions.Windows.List'
+        ]);
+        const windows = JSON.parse(parseGdbusString(output) || '[]');
+        const focused = windows.find(w => w.focus);
+        if (focused) {
+            let title = focused.title;
+            if (title === undefined && focused.id !== undefined) {
+                // Newer versions of the extension only expose titles through GetTitle
+                const titleOutput = await run('gdbus', [
+                    'call', '--session',
+                    '--dest', 'org.gnome.Shell',
+                    '--object-path', '/org/gnome/Shell/Extensions/Windows',
+                    '--method', 'org.gnome.Shell.Extensions.Windows.GetTitle',
+                    String(focused.id)
+                ]);
+                title = parseGdbusString(titleOutput);
+            }
+            return toWindowInfo({
+                windowClass: focused.wm_class,
+                title,
+                pid: focused.pid,
+                // Only some versions of the extension include geometry in List
+                bounds: toBounds(focused.x, focused.y, focused.width, focused.height)
+            });
+        }
+    } catch {
+        // Extension not installed - fall through to Eval
+    }
+
+    const script =
+        'const w = global.display.focus_window; ' +
+        'const r = w && w.get_frame_rect(); ' +
+        'w ? JSON.stringify({ wm_class: w.get_wm_class(), title: w.get_title(), pid: w.get_pid(), x: r.x, y: r.y, width: r.width, height: r.height }) : "null"';
+    const output = await run('gdbus', [
+        'call', '--session',
+        '--dest', 'org.gnome.Shell',
+        '--object-path', '/org/gnome/Shell',
+        '--method', 'org.gnome.Shell.Eval',
+        script
+    ]);
+
+    if (!output.startsWith('(true')) return null;
+    const data = JSON.parse(JSON.parse(parseGdbusString(output) || '"null"'));
+    if (!data) return null;
+    return toWindowInfo({
+        windowClass: data.wm_class,
+        title: data.title,
+        pid: data.pid,
+        bounds: toBounds(data.x, data.y, data.width, data.height)
+    });
+}
+
+/**
+ * KWin scripting: load a one-shot script that prints the active window,
+ * then read its output back from the journal
+ */
+async function detectKWin() {
+    const nonce = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+    if (!kwinScriptPath) {
+        kwinScriptPath = path.join(os.tmpdir(), `${KWIN_PLUGIN_NAME}-${process.pid}.js`);
+    }
+    fs.writeFileSync(
+        kwinScriptPath,
+        `const w = workspace.activeWindow || workspace.activeClient;
+const g = w ? w.frameGeometry || w.geometry : null;
+print("${KWIN_MARKER} ${nonce} " + JSON.stringify(w ? { resourceClass: String(w.resourceClass), caption: String(w.caption), pid: w.pid, x: g && g.x, y: g && g.y, width: g && g.width, height: g && g.height } : null));`
+    );
+
+    const kwinCall = (objectPath, method, ...args) =>
+        run('gdbus', ['call', '--session', '--dest', 'org.kde.KWin', '--object-path', objectPath, '--method', method, ...args]);
+
+    const since = Math.floor(Date.now() / 1000) - 1;
+
+    await kwinCall('/Scripting', 'org.kde.kwin.Scripting.unloadScript', KWIN_PLUGIN_NAME).catch(() => {});
+    const loadOutput = await kwinCall('/Scripting', 'org.kde.kwin.Scripting.loadScript', kwinScriptPath, KWIN_PLUGIN_NAME);
+    // Reply looks like (int32 5,)
+    const scriptId = loadOutput.match(/int32 (-?\d+)/)?.[1];
+    if (scriptId === undefined || Number(scriptId) < 0) return null;
+
+    try {
+        // Plasma 6 exposes /Scripting/ScriptN, Plasma 5 exposes /N
+        await kwinCall(`/Scripting/Script${scriptId}`, 'org.kde.kwin.Script.run').catch(() => kwinCall(`/${scriptId}`, 'org.kde.kwin.Script.run'));
+    } finally {
+        await kwinCall('/Scripting', 'org.kde.kwin.Scripting.unloadScript', KWIN_PLUGIN_NAME).catch(() => {});
+    }
+
+    const journal = await run('journalctl', ['--user', '--since', `@${since}`, '--output', 'cat', '--no-pager']).catch(() =>
+        run('journalctl', ['--since', `@${since}`, '--output', 'cat', '--no-pager'])
+    );
+    const line = journal
+        .split('\n')
+        .reverse()
+        .find(l => l.includes(`${KWIN_MARKER} ${nonce}`));
+    if (!line) return null;
+
+    const data = JSON.parse(line.substring(line.indexOf(nonce) + nonce.length).trim());
+    if (!data) return null;
+    return toWindowInfo({
+        windowClass: data.resourceClass,
+        title: data.caption,
+        pid: data.pid,
+        bounds: toBounds(data.x, data.y, data.width, data.height)
+    });
+}
+
+// ============ X11 ============
+
+/**
+ * Window frame of an X11 window via xdotool, if it's installed
+ * @param {string} windowId - Decimal or hex window ID
+ */
+async function getX11WindowBounds(windowId) {
+    try {
+        // Prints X=, Y=, WIDTH=, HEIGHT= lines
+        const output = await run('xdotool', ['getwindowgeometry', '--shell', String(parseInt(windowId))]);
+        const value = key => output.match(new RegExp(`^${key}=(-?\\d+)`, 'm'))?.[1];
+        return toBounds(value('X'), value('Y'), value('WIDTH'), value('HEIGHT'));
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * X11 via xprop (_NET_ACTIVE_WINDOW, WM_CLASS, _NET_WM_NAME, _NET_WM_PID)
+ * @param {{withBounds?: boolean}} [options] - Skip the xdotool geometry call when false
+ */
+async function detectXprop({ withBounds = true } = {}) {
+    const root = await run('xprop', ['-root', '_NET_ACTIVE_WINDOW']);
+    const windowId = root.match(/window id # (0x[0-9a-f]+)/i)?.[1];
+    // 0x0 means no X client has focus (e.g. a native Wayland window under XWayland)
+    if (!windowId || parseInt(windowId, 16) === 0) return null;
+
+    const props = await run('xprop', ['-id', windowId, 'WM_CLASS', '_NET_WM_NAME', 'WM_NAME', '_NET_WM_PID']);
+
+    const classMatch = props.match(/WM_CLASS\([^)]*\) = "([^"]*)"(?:, "([^"]*)")?/);
+    const titleMatch = props.match(/_NET_WM_NAME\([^)]*\) = "((?:[^"\\]|\\.)*)"/) || props.match(/WM_NAME\([^)]*\) = "((?:[^"\\]|\\.)*)"/);
+    const pidMatch = props.match(/_NET_WM_PID\([^)]*\) = (\d+)/);
+
+    return toWindowInfo({
+        windowClass: classMatch ? classMatch[2] || classMatch[1] : undefined,
+        title: titleMatch ? titleMatch[1].replace(/\\"/g, '"') : undefined,
+        pid: pidMatch ? Number(pidMatch[1]) : undefined,
+        bounds: withBounds ? await getX11WindowBounds(windowId) : undefined
+    });
+}
+
+/**
+ * X11 via xdotool
+ * @param {{withBounds?: boolean}} [options] - Skip the geometry call when false
+ */
+async function detectXdotool({ withBounds = true } = {}) {
+    const wid = (await run('xdotool', ['getactivewindow'])).trim();
+    const title = (await run('xdotool', ['getwindowname', wid])).trim();
+    const pid = Number((await run('xdotool', ['getwindowpid', wid])).trim());
+    return toWindowInfo({ title, pid, bounds: withBounds ? await getX11WindowBounds(wid) : undefined });
+}
+
+const DETECTOR_FUNCTIONS = {
+    [DETECTORS.HYPRLAND]: detectHyprland,
+    [DETECTORS.SWAY]: detectSway,
+    [DETECTORS.GNOME]: detectGnome,
+    [DETECTORS.KWIN]: detectKWin,
+    [DETECTORS.XPROP]: detectXprop,
+    [DETECTORS.XDOTOOL]: detectXdotool
+};
+
+// ============ DETECTOR CHAIN ============
+
+/**
+ * Order detectors by what the current session looks like, most specific first.
+ * X11 detectors go last on Wayland since XWayland only sees X clients.
+ * @returns {string[]}
+ */
+function getDetectorOrder() {
+    const env = process.env;
+    const desktop = (env.XDG_CURRENT_DESKTOP || env.DESKTOP_SESSION || '').toLowerCase();
+    const isWayland = env.XDG_SESSION_TYPE === 'wayland' || !!env.WAYLAND_DISPLAY;
+
+    const order = [];
+    if (env.HYPRLAND_INSTANCE_SIGNATURE) order.push(DETECTORS.HYPRLAND);
+    if (env.SWAYSOCK) order.push(DETECTORS.SWAY);
+    if (desktop.includes('gnome') || desktop.includes('ubuntu') || desktop.includes('unity')) order.push(DETECTORS.GNOME);
+    if (desktop.includes('kde') || desktop.includes('plasma')) order.push(DETECTORS.KWIN);
+
+    const x11 = [DETECTORS.XPROP, DETECTORS.XDOTOOL];
+    if (!isWayland) order.push(...x11);
+
+    for (const name of Object.values(DETECTORS)) {
+        if (!order.includes(name) && !x11.includes(name)) order.push(name);
+    }
+    if (isWayland) order.push(...x11);
+
+    return order;
+}
+
+/**
+ * Get the active window, trying the last working detector first and
+ * walking the rest of the chain if it fails
+ * @returns {Promise<LinuxWindowInfo|null>}
+ */
+async function getActiveWindowLinux() {
+    const order = getDetectorOrder();
+    if (preferredDetector) {
+        order.splice(order.indexOf(preferredDetector), 1);
+        order.unshift(preferredDetector);
+    }
+
+    for (const name of order) {
+        try {
+            const info = await DETECTOR_FUNCTIONS[name]();
+            if (info) {
+                if (preferredDetector !== name) {
+                    console.log(`[LinuxWindow] Using ${name} for active window detection`);
+                }
+                preferredDetector = name;
+                return info;
+            }
+        } catch {
+            // Tool missing or compositor doesn't match - try the next one
+        }
+    }
+
+    preferredDetector = null;
+    return null;
+}
+
+/**
+ * Cheap app/title check for polling between captures. Only asks the detector the
+ * last full lookup settled on, and skips window geometry.
+ * @returns {Promise<{app: string, title: string}|null>} null when there's no cheap detector
+ *   (none settled on yet, or KWin) or it failed
+ */
+async function probeActiveWindowLinux() {
+    if (!PROBE_DETECTORS.includes(preferredDetector)) return null;
+
+    try {
+        const info = await DETECTOR_FUNCTIONS[preferredDetector]({ withBounds: false });
+        return info ? { app: info.app, title: info.title } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the detector currently in use (for diagnostics)
+ * @returns {string|null}
+ */
+function getActiveDetector() {
+    return preferredDetector;
+}
+
+// ============ BROWSER URLS ============
+
+/**
+ * Decompress a raw LZ4 block (used by Firefox's mozlz4 session files)
+ * @param {Buffer} input
+ * @param {number} outputSize
+ * @returns {Buffer}
+ */
+function decompressLz4Block(input, outputSize) {
+    const output = Buffer.alloc(outputSize);
+    let i = 0;
+    let o = 0;
+
+    while (i < input.length) {
+        const token = input[i++];
+
+        let literalLength = token >> 4;
+        if (literalLength === 15) {
+            let b;
+            do {
+                b = input[i++];
+                literalLength += b;
+            } while (b === 255);
+        }
+        input.copy(output, o, i, i + literalLength);
+        i += literalLength;
+        o += literalLength;
+
+        if (i >= input.length) break;
+
+        const offset = input[i] | (input[i + 1] << 8);
+        i += 2;
+
+        let matchLength = token & 15;
+        if (matchLength === 15) {
+            let b;
+            do {
+                b = input[i++];
+                matchLength += b;
+            } while (b === 255);
+        }
+        matchLength += 4;
+
+        let m = o - offset;
+        for (let k = 0; k < matchLength; k++) {
+            output[o++] = output[m++];
+        }
+    }
+
+    return output.subarray(0, o);
+}
+
+/**
+ * Find Firefox profile directories (native, snap and flatpak installs)
+ * @returns {string[]}
+ */
+function getFirefoxProfileDirs() {
+    const roots = [
+        path.join(os.homedir(), '.mozilla', 'firefox'),
+        path.join(os.homedir(), 'snap', 'firefox', 'common', '.mozilla', 'firefox'),
+        path.join(os.homedir(), '.var', 'app', 'org.mozilla.firefox', '.mozilla', 'firefox')
+    ];
+
+    const dirs = [];
+    for (const root of roots) {
+        try {
+            for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+                if (entry.isDirectory()) dirs.push(path.join(root, entry.name));
+            }
+        } catch {
+            // Not installed this way
+        }
+    }
+    return dirs;
+}
+
+/**
+ * Load the most recently written Firefox session (recovery.jsonlz4)
+ * @returns {Object|null}
+ */
+function loadFirefoxSession() {
+    let newest = null;
+    for (const dir of getFirefoxProfileDirs()) {
+        const file = path.join(dir, 'sessionstore-backups', 'recovery.jsonlz4');
+        try {
+            const { mtimeMs } = fs.statSync(file);
+            if (!newest || mtimeMs > newest.mtimeMs) newest = { file, mtimeMs };
+        } catch {
+            // No session file in this profile
+        }
+    }
+    if (!newest) return null;
+
+    if (firefoxSessionCache.path === newest.file && firefoxSessionCache.mtimeMs === newest.mtimeMs) {
+        return firefoxSessionCache.session;
+    }
+
+    const raw = fs.readFileSync(newest.file);
+    if (raw.subarray(0, 8).toString('binary') !== 'mozLz40\0') return null;
+
+    const session = JSON.parse(decompressLz4Block(raw.subarray(12), raw.readUInt32LE(8)).toString('utf8'));
+    firefoxSessionCache = { path: newest.file, mtimeMs: newest.mtimeMs, session };
+    return session;
+}
+
+/**
+ * Strip the browser suffix Linux window managers show after the page title
+ */
+function getPageTitle(windowTitle) {
+    return windowTitle.replace(/\s[-—–]\s(Mozilla Firefox|Google Chrome|Chromium|Brave|Microsoft Edge|Vivaldi|Opera)\s*$/i, '').trim();
+}
+
+/**
+ * Look up the URL of the selected Firefox tab whose title matches the window
+ * @param {string} windowTitle
+ * @returns {string|undefined}
+ */
+function getFirefoxURL(windowTitle) {
+    const session = loadFirefoxSession();
+    if (!session?.windows) return undefined;
+
+    const pageTitle = getPageTitle(windowTitle);
+    const selectedEntries = session.windows.map(win => {
+        const tab = win.tabs?.[(win.selected || 1) - 1];
+        return tab?.entries?.[(tab.index || 1) - 1];
+    });
+
+    const match = selectedEntries.find(entry => entry && entry.title === pageTitle) || selectedEntries[(session.selectedWindow || 1) - 1];
+    return match?.url;
+}
+
+/**
+ * Look up a Chromium tab URL via the DevTools endpoint (only if remote debugging is enabled)
+ * @param {string} windowTitle
+ * @returns {Promise<string|undefined>}
+ */
+async function getChromiumURL(windowTitle) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 500);
+    try {
+        const response = await fetch(`http://127.0.0.1:${CHROMIUM_DEBUG_PORT}/json/list`, { signal: controller.signal });
+        const targets = await response.json();
+        const pageTitle = getPageTitle(windowTitle);
+        const page = targets.find(t => t.type === 'page' && t.title === pageTitle);
+        return page?.url;
+    } catch {
+        return undefined;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Get the URL shown in a Linux browser window
+ * @param {string} appName - Process name / window class
+ * @param {string} windowTitle
+ * @returns {Promise<string|undefined>}
+ */
+async function getBrowserURLLinux(appName, windowTitle) {
+    const app = appName.toLowerCase();
+    let url;
+
+    try {
+        if (app.includes('firefox') || app.includes('librewolf')) {
+            url = getFirefoxURL(windowTitle);
+        } else {
+            url = await getChromiumURL(windowTitle);
+        }
+    } catch (error) {
+        console.warn('[LinuxWindow] Browser URL lookup failed:', error.message);
+    }
+
+    if (!url) {
+        // Some setups (e.g. "URL in title" extensions) put the address in the title
+        url = windowTitle.match(/https?:\/\/[^\s]+/)?.[0];
+    }
+
+    return url || undefined;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Active window
+    getActiveWindowLinux,
+    probeActiveWindowLinux,
+    getActiveDetector,
+    getDetectorOrder,
+
+    // Browser URLs
+    getBrowserURLLinux,
+
+    // Constants
+    DETECTORS
+};
@@ -0,0 +1,510 @@
+// llm.js - LLM Provider Service
+// Single entry point for every model call so the backing provider can be swapped
+// (hosted Gemini, a local OpenAI-compatible server, or a scripted mock for CI)
+
+const fs = require('fs');
+const { GoogleGenAI } = require('@google/genai');
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+const PROVIDERS = {
+    GEMINI: 'gemini',
+    OPENAI_COMPATIBLE: 'openai-compatible',
+    MOCK: 'mock'
+};
+
+const DEFAULT_MODELS = {
+    [PROVIDERS.GEMINI]: 'gemini-2.5-flash',
+    [PROVIDERS.OPENAI_COMPATIBLE]: 'llama3.2-vision',
+    [PROVIDERS.MOCK]: 'mock'
+};
+
+// Environment overrides so CI and air-gapped runs don't depend on stored settings
+const ENV_OVERRIDES = {
+    provider: 'WORKFLOW_DADDY_LLM_PROVIDER',
+    model: 'WORKFLOW_DADDY_LLM_MODEL',
+    baseUrl: 'WORKFLOW_DADDY_LLM_BASE_URL',
+    mockScriptPath: 'WORKFLOW_DADDY_MOCK_SCRIPT'
+};
+
+// Canned mock responses per call purpose, used when the script has no matching rule
+const MOCK_DEFAULT_RESPONSES = {
+    confusion: '{"confused": false, "understanding": "User is working through a routine task."}',
+    'session-summary': 'Mock session summary: the user worked through routine tasks.',
+    interview: 'Got it. What tools do you use daily?',
+    'interview-summary':
+        '{"role": "", "department": "", "reportsTo": "", "responsibilities": [], "typicalDay": "", "systemsUsed": [], "statedPainPoints": [], "interactions": []}',
+    'workflow-steps': '[]',
+    'task-context-change': '{"sameTask": true, "confidence": 0.5, "reasoning": "Mock provider"}',
+    'task-name': 'Mock task',
+    'image-analysis': 'Mock image analysis.'
+};
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} ContentPart
+ * @property {string} [text] - Text content
+ * @property {{mimeType: string, data: string}} [inlineData] - Base64 encoded image
+ */
+
+/**
+ * @typedef {Object} Content
+ * @property {'user'|'model'} role - Who produced the turn
+ * @property {ContentPart[]} parts
+ */
+
+/**
+ * @typedef {Object} GenerateRequest
+ * @property {Content[]} contents - Conversation turns (Gemini-style shape)
+ * @property {string} [systemInstruction] - Optional system prompt
+ * @property {number} [temperature] - default 0.3
+ * @property {number} [maxOutputTokens] - default 500
+ * @property {string} [purpose] - Call site tag ('confusion', 'task-name', ...), used by the mock and logs
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name
+ * @property {function(Object): string|null} getConfigurationError - Why the provider can't be used, or null
+ * @property {function(GenerateRequest, Object): Promise<string>} generate - Returns the response text
+ */
+
+/**
+ * @typedef {Object} MockRule
+ * @property {string} [purpose] - Only match requests with this purpose
+ * @property {string} [match] - Regex tested against the request's text parts
+ * @property {Array<string|Object>} responses - Returned in order, one per matching call
+ */
+
+// ============ STATE ============
+
+let geminiClient = null;
+let geminiClientKey = null;
+let mockScript = null;
+let mockScriptSource = null;
+let mockCursors = new Map(); // rule index -> next response index
+let mockCalls = [];
+
+// ============ CONFIG ============
+
+/**
+ * Get the effective provider config (stored config with env overrides applied)
+ * @returns {Object}
+ */
+function getConfig() {
+    const config = { ...storage.getLlmConfig() };
+
+    for (const [key, envVar] of Object.entries(ENV_OVERRIDES)) {
+        if (process.env[envVar]) {
+            config[key] = process.env[envVar];
+        }
+    }
+
+    if (!config.model) {
+        config.model = DEFAULT_MODELS[config.provider] || '';
+    }
+
+    return config;
+}
+
+/**
+ * Update the stored provider config and drop cached clients
+ * @param {Object} config - Partial config
+ */
+function setConfig(config) {
+    storage.setLlmConfig(config);
+    resetProviders();
+    return getConfig();
+}
+
+/**
+ * Drop cached clients and mock state so the next call picks up fresh config
+ */
+function resetProviders() {
+    geminiClient = null;
+    geminiClientKey = null;
+    mockScript = null;
+    mockScriptSource = null;
+    mockCursors = new Map();
+}
+
+// ============ HELPERS ============
+
+/**
+ * Wrap a list of parts as a single user turn
+ * @param {ContentPart[]} parts
+ * @returns {Content[]}
+ */
+function toUserContents(parts) {
+    return [{ role: 'user', parts }];
+}
+
+/**
+ * Concatenate all text parts of a request (used for mock matching)
+ * @param {GenerateRequest} request
+ * @returns {string}
+ */
+function getRequestText(request) {
+    const texts = [];
+    if (request.systemInstruction) {
+        texts.push(request.systemInstruction);
+    }
+    for (const content of request.contents || []) {
+        for (const part of content.parts || []) {
+            if (part.text) texts.push(part.text);
+        }
+    }
+    return texts.join('\n');
+}
+
+// ============ GEMINI PROVIDER ============
+
+const geminiProvider = {
+    name: PROVIDERS.GEMINI,
+
+    getConfigurationError() {
+        return storage.getApiKey() ? null : 'No API key configured';
+    },
+
+    async generate(request, config) {
+        const apiKey = storage.getApiKey();
+        if (!apiKey) {
+            throw new Error('No API key configured');
+        }
+
+        if (!geminiClient || geminiClientKey !== apiKey) {
+            geminiClient = new GoogleGenAI({ apiKey });
+            geminiClientKey = apiKey;
+        }
+
+        // Generation settings go under `config`; the SDK ignores unknown top-level fields
+        const params = {
+            model: config.model,
+            contents: request.contents,
+            config: {
+                temperature: request.temperature,
+                maxOutputTokens: request.maxOutputTokens
+            }
+        };
+
+        if (request.systemInstruction) {
+            params.config.systemInstruction = request.systemInstruction;
+        }
+
+        const response = await geminiClient.models.generateContent(params);
+        return response.text || '';
+    }
+};
+
+// ============ OPENAI-COMPATIBLE PROVIDER ============
+
+/**
+ * Convert Gemini-style contents into OpenAI chat messages
+ * @param {GenerateRequest} request
+ * @returns {Object[]}
+ */
+function toChatMessages(request) {
+    const messages = [];
+
+    if (request.systemInstruction) {
+        messages.push({ role: 'system', content: request.systemInstruction });
+    }
+
+    for (const content of request.contents || []) {
+        const role = content.role === 'model' ? 'assistant' : 'user';
+        const parts = content.parts || [];
+        const hasImages = parts.some(p => p.inlineData);
+
+        if (!hasImages) {
+            // Plain string content is the most widely supported shape (llama.cpp, older Ollama)
+            messages.push({ role, content: parts.map(p => p.text || '').join('\n') });
+            continue;
+        }
+
+        messages.push({
+            role,
+            content: parts.map(part =>
+                part.inlineData
+                    ? { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+                    : { type: 'text', text: part.text || '' }
+            )
+        });
+    }
+
+    return messages;
+}
+
+const openAICompatibleProvider = {
+    name: PROVIDERS.OPENAI_COMPATIBLE,
+
+    getConfigurationError(config) {
+        if (!config.baseUrl) return 'No base URL configured for OpenAI-compatible provider';
+        if (!config.model) return 'No model configured for OpenAI-compatible provider';
+        return null;
+    },
+
+    async generate(request, config) {
+        const url = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), config.requestTimeoutMs || 60000);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: config.model,
+                    messages: toChatMessages(request),
+                    temperature: request.temperature,
+                    max_tokens: request.maxOutputTokens,
+                    stream: false
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.text().catch(() => '');
+                throw new Error(`LLM server responded ${response.status}: ${body.substring(0, 200)}`);
+            }
+
+            const data = await response.json();
+            return data.choices?.[0]?.message?.content || '';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`LLM request timed out after ${config.requestTimeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+};
+
+// ============ MOCK PROVIDER ============
+
+/**
+ * Load the mock script from config (cached until the path changes)
+ * @param {Object} config
+ * @returns {{rules: MockRule[], defaults: Object}}
+ */
+function loadMockScript(config) {
+    if (mockScript && mockScriptSource === (config.mockScriptPath || null)) {
+        return mockScript;
+    }
+
+    let script = { rules: [], defaults: {} };
+    if (config.mockScriptPath) {
+        try {
+            script = JSON.parse(fs.readFileSync(config.mockScriptPath, 'utf8'));
+        } catch (error) {
+            console.error(`[LLM] Failed to load mock script ${config.mockScriptPath}:`, error.message);
+        }
+    }
+
+    setMockScript(script);
+    mockScriptSource = config.mockScriptPath || null;
+    return mockScript;
+}
+
+/**
+ * Replace the mock script directly (e.g. from a test harness)
+ * @param {{rules?: MockRule[], defaults?: Object}} script
+ */
+function setMockScript(script) {
+    mockScript = {
+        rules: Array.isArray(script?.rules) ? script.rules : [],
+        defaults: script?.defaults || {}
+    };
+    mockScriptSource = null;
+    mockCursors = new Map();
+    mockCalls = [];
+}
+
+/**
+ * Pick the scripted response for a request. Rules are checked in order and each
+ * rule hands out its responses one at a time, so a script replays identically.
+ * @param {GenerateRequest} request
+ * @param {{rules: MockRule[], defaults: Object}} script
+ * @returns {string}
+ */
+function resolveMockResponse(request, script) {
+    const text = getRequestText(request);
+
+    for (let i = 0; i < script.rules.length; i++) {
+        const rule = script.rules[i];
+        if (rule.purpose && rule.purpose !== request.purpose) continue;
+        if (rule.match && !new RegExp(rule.match, 'i').test(text)) continue;
+
+        const responses = rule.responses || [];
+        const cursor = mockCursors.get(i) || 0;
+        if (cursor >= responses.length) continue;
+
+        mockCursors.set(i, cursor + 1);
+        return responses[cursor];
+    }
+
+    if (request.purpose && script.defaults[request.purpose] !== undefined) {
+        return script.defaults[request.purpose];
+    }
+
+    return MOCK_DEFAULT_RESPONSES[request.purpose] ?? 'OK';
+}
+
+const mockProvider = {
+    name: PROVIDERS.MOCK,
+
+    getConfigurationError() {
+        return null;
+    },
+
+    async generate(request, config) {
+        const script = loadMockScript(config);
+        const response = resolveMockResponse(request, script);
+        const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+        mockCalls.push({
+            purpose: request.purpose || null,
+            prompt: getRequestText(request),
+            imageCount: (request.contents || []).reduce((n, c) => n + (c.parts || []).filter(p => p.inlineData).length, 0),
+            response: text
+        });
+
+        return text;
+    }
+};
+
+/**
+ * Get the calls the mock provider has answered since the script was loaded
+ * @returns {Object[]}
+ */
+function getMockCalls() {
+    return [...mockCalls];
+}
+
+// ============ PUBLIC API ============
+
+const PROVIDER_REGISTRY = {
+    [PROVIDERS.GEMINI]: geminiProvider,
+    [PROVIDERS.OPENAI_COMPATIBLE]: openAICompatibleProvider,
+    [PROVIDERS.MOCK]: mockProvider
+};
+
+/**
+ * Get the provider adapter for the current config
+ * @param {Object} [config]
+ * @returns {LLMProvider}
+ */
+function getProvider(config = getConfig()) {
+    const provider = PROVIDER_REGISTRY[config.provider];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+    return provider;
+}
+
+/**
+ * Why the current provider can't be used, or null if it is ready
+ * @returns {string|null}
+ */
+function getConfigurationError() {
+    const config = getConfig();
+    const provider = PROVIDER_REGISTRY[config.provider];
+    if (!provider) {
+        return `Unknown LLM provider: ${config.provider}`;
+    }
+    return provider.getConfigurationError(config);
+}
+
+/**
+ * Whether the current provider is ready to take requests
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return getConfigurationError() === null;
+}
+
+/**
+ * Get a summary of the active provider for the UI
+ * @returns {{provider: string, model: string, configured: boolean, error: string|null}}
+ */
+function getStatus() {
+    const config = getConfig();
+    const error = getConfigurationError();
+    return {
+        provider: config.provider,
+        model: config.model,
+        configured: error === null,
+        error
+    };
+}
+
+/**
+ * Generate a text response from the configured provider
+ * @param {GenerateRequest} request
+ * @returns {Promise<string>}
+ */
+async function generate(request) {
+    const config = getConfig();
+    const provider = getProvider(config);
+
+    const configError = provider.getConfigurationError(config);
+    if (configError) {
+        throw new Error(configError);
+    }
+
+    return provider.generate(
+        {
+            ...request,
+            temperature: request.temperature ?? 0.3,
+            maxOutputTokens: request.maxOutputTokens ?? 500
+        },
+        config
+    );
+}
+
+/**
+ * Convenience wrapper for a single user turn
+ * @param {ContentPart[]} parts - Text and image parts
+ * @param {Object} [options] - temperature, maxOutputTokens, systemInstruction, purpose
+ * @returns {Promise<string>}
+ */
+async function generateText(parts, options = {}) {
+    return generate({ ...options, contents: toUserContents(parts) });
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    PROVIDERS,
+    DEFAULT_MODELS,
+
+    // Config
+    getConfig,
+    setConfig,
+    resetProviders,
+
+    // Generation
+    generate,
+    generateText,
+
+    // Status
+    getProvider,
+    getConfigurationError,
+    isConfigured,
+    getStatus,
+
+    // Mock provider
+    setMockScript,
+    getMockCalls,
+
+    // Helpers (exported for adapters/testing)
+    toChatMessages
+};
@@ -0,0 +1,195 @@
+// ocr.js - Local OCR Service
+// Text recognition for captured frames in a tesseract.js worker, entirely on-device
+
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+const OCR_LANGUAGE = 'eng';
+
+// Folder of the bundled @tesseract.js-data package matching the default LSTM-only engine.
+// The files in it are gzipped.
+const LANGUAGE_DATA_VARIANT = '4.0.0_best_int';
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} OcrBox
+ * @property {number} x0 - Left edge in image pixels
+ * @property {number} y0 - Top edge in image pixels
+ * @property {number} x1 - Right edge in image pixels
+ * @property {number} y1 - Bottom edge in image pixels
+ */
+
+/**
+ * @typedef {Object} OcrWord
+ * @property {string} text
+ * @property {number} confidence - 0-100
+ * @property {OcrBox} bbox
+ */
+
+/**
+ * @typedef {Object} OcrLine
+ * @property {string} text
+ * @property {OcrBox} bbox
+ * @property {OcrWord[]} words
+ */
+
+/**
+ * @typedef {Object} OcrResult
+ * @property {string} text - Full recognized text
+ * @property {number} confidence - Mean confidence, 0-100
+ * @property {OcrLine[]} lines
+ */
+
+// ============ STATE ============
+
+let workerPromise = null;
+let unavailableReason = null; // Set once loading fails so every frame doesn't retry
+
+// Event emitter for OCR status changes
+const ocrEvents = new EventEmitter();
+
+// ============ WORKER ============
+
+/**
+ * Directory holding the bundled language data. Without it tesseract.js downloads
+ * the data from a CDN, which fails offline.
+ * @returns {string}
+ */
+function getLanguageDataPath() {
+    const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${OCR_LANGUAGE}/package.json`));
+    // Packaged builds keep the data out of the asar archive (see forge.config.js)
+    return path.join(packageDir.replace(/app\.asar(?=[\\/])/, 'app.asar.unpacked'), LANGUAGE_DATA_VARIANT);
+}
+
+/**
+ * Mark OCR unavailable and tell listeners, since frames are no longer checked for sensitive text
+ * @param {string} reason
+ */
+function setUnavailable(reason) {
+    unavailableReason = reason;
+    console.error(`[OCR] Text recognition unavailable: ${reason}`);
+    ocrEvents.emit('ocr:unavailable', { reason });
+}
+
+/**
+ * Load the tesseract.js worker on first use
+ * @returns {Promise<Object|null>} Worker, or null if OCR isn't available
+ */
+async function getWorker() {
+    if (unavailableReason) return null;
+    if (workerPromise) return workerPromise;
+
+    let tesseract;
+    let langPath;
+    try {
+        tesseract = require('tesseract.js');
+    } catch {
+        setUnavailable('tesseract.js is not installed');
+        return null;
+    }
+    try {
+        langPath = getLanguageDataPath();
+    } catch {
+        setUnavailable(`language data for '${OCR_LANGUAGE}' is not installed`);
+        return null;
+    }
+
+    const cachePath = path.join(storage.getConfigDir(), 'ocr');
+    fs.mkdirSync(cachePath, { recursive: true });
+
+    workerPromise = tesseract
+        .createWorker(OCR_LANGUAGE, tesseract.OEM.LSTM_ONLY, { langPath, cachePath, gzip: true })
+        .catch(error => {
+            workerPromise = null;
+            setUnavailable(`could not start worker: ${error.message || error}`);
+            return null;
+        });
+
+    return workerPromise;
+}
+
+/**
+ * Stop the worker (on quit)
+ */
+async function terminateOcr() {
+    const pending = workerPromise;
+    workerPromise = null;
+    if (!pending) return;
+
+    const worker = await pending;
+    if (worker) {
+        await worker.terminate().catch(() => {});
+    }
+}
+
+// ============ RECOGNITION ============
+
+/**
+ * Flatten tesseract's page data into lines of words.
+ * Newer versions only return the block tree; older ones also had data.lines.
+ * @param {Object} data
+ * @returns {OcrLine[]}
+ */
+function collectLines(data) {
+    const rawLines = data.lines?.length
+        ? data.lines
+        : (data.blocks || []).flatMap(block => (block.paragraphs || []).flatMap(paragraph => paragraph.lines || []));
+
+    return rawLines
+        .map(line => ({
+            text: (line.text || '').trim(),
+            bbox: line.bbox,
+            words: (line.words || [])
+                .filter(word => word.text && word.text.trim())
+                .map(word => ({ text: word.text.trim(), confidence: word.confidence, bbox: word.bbox }))
+        }))
+        .filter(line => line.words.length > 0);
+}
+
+/**
+ * Recognize text in an image
+ * @param {Buffer} imageBuffer - PNG or JPEG
+ * @returns {Promise<OcrResult|null>} null if OCR is unavailable or failed
+ */
+async function recognize(imageBuffer) {
+    const worker = await getWorker();
+    if (!worker) return null;
+
+    try {
+        const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+        return {
+            text: (data.text || '').trim(),
+            confidence: data.confidence || 0,
+            lines: collectLines(data)
+        };
+    } catch (error) {
+        console.error('[OCR] Recognition failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * @returns {{available: boolean, reason: string|null}}
+ */
+function getOcrStatus() {
+    return { available: !unavailableReason, reason: unavailableReason };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Events
+    ocrEvents,
+
+    // Recognition
+    recognize,
+    getOcrStatus,
+
+    // Lifecycle
+    terminateOcr
+};
@@ -0,0 +1,198 @@
+// presence.js - User Presence Service
+// Tells "at the computer" apart from idle, screen-locked and asleep using Electron's
+// powerMonitor, so sessions pause and away time isn't counted as work
+
+const EventEmitter = require('events');
+
+// Event emitter for presence events
+const presenceEvents = new EventEmitter();
+
+// ============ CONSTANTS ============
+
+const AWAY_REASONS = {
+    IDLE: 'idle', // No keyboard/mouse input for idleThreshold seconds
+    LOCKED: 'locked', // Screen locked
+    SLEEP: 'sleep' // System suspended
+};
+
+const DEFAULT_PRESENCE_CONFIG = {
+    idleThreshold: 300, // seconds without input before the user counts as away
+    pollInterval: 10000 // ms between system idle checks
+};
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} AwayPeriod
+ * @property {'idle'|'locked'|'sleep'} reason
+ * @property {number} since - When the user actually left (ms). Backdated for idle,
+ *   so the idleThreshold wait before detection is excluded too.
+ * @property {number} [until] - When they came back (ms)
+ * @property {number} [awaySeconds]
+ */
+
+// ============ STATE ============
+
+let presenceConfig = { ...DEFAULT_PRESENCE_CONFIG };
+let pollId = null;
+let powerMonitor = null;
+let away = null; // AwayPeriod while away
+let screenLocked = false; // From lock-screen/unlock-screen (macOS, Windows)
+let asleep = false;
+
+// ============ TRANSITIONS ============
+
+function goAway(reason, since) {
+    if (away) return;
+    away = { reason, since };
+    console.log(`[Presence] Away (${reason}) since ${new Date(since).toISOString()}`);
+    presenceEvents.emit('presence:away', { ...away });
+}
+
+function comeBack() {
+    if (!away) return;
+    const until = Date.now();
+    const period = { ...away, until, awaySeconds: Math.round((until - away.since) / 1000) };
+    away = null;
+    console.log(`[Presence] Back after ${period.awaySeconds}s (${period.reason})`);
+    presenceEvents.emit('presence:back', period);
+}
+
+/**
+ * Poll system idle time. Also catches locks on platforms without lock-screen events
+ * (getSystemIdleState reports 'locked' wherever the OS exposes it).
+ */
+function checkPresence() {
+    if (!powerMonitor || asleep) return;
+
+    try {
+        const idleState = powerMonitor.getSystemIdleState(presenceConfig.idleThreshold);
+        if (idleState === 'locked') {
+            goAway(AWAY_REASONS.LOCKED, Date.now());
+            return;
+        }
+        if (screenLocked) return;
+
+        const idleSeconds = powerMonitor.getSystemIdleTime();
+        if (idleSeconds >= presenceConfig.idleThreshold) {
+            goAway(AWAY_REASONS.IDLE, Date.now() - idleSeconds * 1000);
+        } else {
+            comeBack();
+        }
+    } catch (error) {
+        console.error('[Presence] Idle check failed:', error.message);
+    }
+}
+
+function onLockScreen() {
+    screenLocked = true;
+    goAway(AWAY_REASONS.LOCKED, Date.now());
+}
+
+function onUnlockScreen() {
+    screenLocked = false;
+    comeBack();
+}
+
+function onSuspend() {
+    asleep = true;
+    goAway(AWAY_REASONS.SLEEP, Date.now());
+}
+
+function onResume() {
+    asleep = false;
+    // Waking usually lands on the lock screen - stay away until it's unlocked
+    if (!screenLocked) {
+        checkPresence();
+    }
+}
+
+/**
+ * Input seen by the app itself (e.g. answering a question) ends an idle period
+ * without waiting for the next poll. Locks and sleep end only via their own events.
+ */
+function reportActivity() {
+    if (away?.reason === AWAY_REASONS.IDLE) {
+        comeBack();
+    }
+}
+
+// ============ LIFECYCLE ============
+
+/**
+ * Start watching presence. Call after app ready - powerMonitor isn't usable before.
+ * @param {Partial<typeof DEFAULT_PRESENCE_CONFIG>} [config]
+ */
+function startPresenceMonitor(config = {}) {
+    presenceConfig = { ...presenceConfig, ...config };
+    if (pollId) return;
+
+    powerMonitor = require('electron').powerMonitor;
+    powerMonitor.on('lock-screen', onLockScreen);
+    powerMonitor.on('unlock-screen', onUnlockScreen);
+    powerMonitor.on('suspend', onSuspend);
+    powerMonitor.on('resume', onResume);
+
+    pollId = setInterval(checkPresence, presenceConfig.pollInterval);
+}
+
+function stopPresenceMonitor() {
+    if (pollId) {
+        clearInterval(pollId);
+        pollId = null;
+    }
+    if (powerMonitor) {
+        powerMonitor.removeListener('lock-screen', onLockScreen);
+        powerMonitor.removeListener('unlock-screen', onUnlockScreen);
+        powerMonitor.removeListener('suspend', onSuspend);
+        powerMonitor.removeListener('resume', onResume);
+        powerMonitor = null;
+    }
+    away = null;
+    screenLocked = false;
+    asleep = false;
+}
+
+/**
+ * @param {Partial<typeof DEFAULT_PRESENCE_CONFIG>} updates
+ */
+function updatePresenceConfig(updates) {
+    presenceConfig = { ...presenceConfig, ...updates };
+    if (pollId && updates.pollInterval) {
+        clearInterval(pollId);
+        pollId = setInterval(checkPresence, presenceConfig.pollInterval);
+    }
+}
+
+// ============ QUERIES ============
+
+/**
+ * @returns {AwayPeriod|null} The current away period, or null while the user is present
+ */
+function getAwayState() {
+    return away ? { ...away } : null;
+}
+
+function isAway() {
+    return away !== null;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Events
+    presenceEvents,
+
+    // Constants
+    AWAY_REASONS,
+
+    // Lifecycle
+    startPresenceMonitor,
+    stopPresenceMonitor,
+    updatePresenceConfig,
+    reportActivity,
+
+    // Queries
+    getAwayState,
+    isAway
+};
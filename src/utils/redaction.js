@@ -0,0 +1,324 @@
+// redaction.js - Sensitive Content Redaction Service
+// Keeps blocklisted apps and pages out of capture entirely and masks sensitive
+// text (emails, card numbers, SSNs) in frames before they're saved or sent to a model
+
+const { nativeImage } = require('electron');
+const storage = require('../storage');
+const ocr = require('./ocr');
+
+// ============ CONSTANTS ============
+
+const REDACTED_TITLE = '[Redacted]';
+const REDACTED_TEXT = '[redacted]'; // Replaces masked words in OCR text
+
+const REDACTION_TYPES = {
+    SKIPPED: 'skipped', // Frame not captured at all
+    MASKED: 'masked', // Region blacked out in the saved frame
+    UNSCANNED: 'unscanned' // Frame saved without a sensitive-text scan
+};
+
+// Matched against each OCR line with words joined by single spaces
+const SENSITIVE_PATTERNS = {
+    email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    // 13-19 digits with optional space/dash grouping; Luhn-checked below
+    card: /\b\d(?:[ -]?\d){12,18}\b/g,
+    // Separators required - bare 9-digit numbers are too often something else
+    ssn: /\b(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}\b/g
+};
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} RedactionConfig
+ * @property {boolean} enabled - Master switch
+ * @property {string[]} blockedApps - Apps never captured (substring, or '/regex/flags')
+ * @property {string[]} blockedTitlePatterns - Window/page titles or URLs never captured
+ * @property {boolean} maskSensitiveText - Mask OCR-matched text in saved frames
+ * @property {Array<'email'|'card'|'ssn'>} maskTypes - Which kinds of text to mask
+ * @property {number} maskPadding - Pixels added around each masked region
+ */
+
+/**
+ * @typedef {Object} Redaction
+ * @property {'skipped'|'masked'|'unscanned'} type
+ * @property {string} reason - 'blocked_app' | 'blocked_title' | 'email' | 'card' | 'ssn' | 'ocr_unavailable'
+ * @property {string} [rule] - Blocklist entry that matched
+ * @property {{x: number, y: number, width: number, height: number}} [rect] - Masked region in image pixels
+ * @property {string} [displayId] - Display the region is on (per-display captures)
+ */
+
+// ============ STATE ============
+
+let cachedConfig = null;
+
+// ============ CONFIG ============
+
+/**
+ * @returns {RedactionConfig}
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = storage.getRedactionConfig();
+    }
+    return { ...cachedConfig };
+}
+
+/**
+ * @param {Partial<RedactionConfig>} updates
+ * @returns {RedactionConfig}
+ */
+function setConfig(updates) {
+    storage.setRedactionConfig(updates);
+    cachedConfig = storage.getRedactionConfig();
+    return getConfig();
+}
+
+// ============ BLOCKLISTS ============
+
+/**
+ * Match a value against a blocklist rule: '/regex/flags' or a case-insensitive substring
+ * @param {string} value
+ * @param {string} rule
+ * @returns {boolean}
+ */
+function matchesRule(value, rule) {
+    if (!value || !rule) return false;
+
+    const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2].includes('i') ? regexMatch[2] : regexMatch[2] + 'i').test(value);
+        } catch {
+            return false;
+        }
+    }
+    return value.toLowerCase().includes(rule.toLowerCase());
+}
+
+/**
+ * Check the active window against the app and title blocklists.
+ * App rules match either the canonical name or the one the platform reported.
+ * @param {{app: string, rawApp?: string, title: string, url?: string, pageTitle?: string}} windowInfo
+ * @returns {{reason: 'blocked_app'|'blocked_title', rule: string}|null}
+ */
+function checkBlocklist(windowInfo) {
+    const config = getConfig();
+    if (!config.enabled || !windowInfo) return null;
+
+    const appNames = [windowInfo.app, windowInfo.rawApp];
+    const appRule = config.blockedApps.find(rule => appNames.some(name => matchesRule(name, rule)));
+    if (appRule) {
+        return { reason: 'blocked_app', rule: appRule };
+    }
+
+    const fields = [windowInfo.title, windowInfo.pageTitle, windowInfo.url];
+    const titleRule = config.blockedTitlePatterns.find(rule => fields.some(field => matchesRule(field, rule)));
+    if (titleRule) {
+        return { reason: 'blocked_title', rule: titleRule };
+    }
+
+    return null;
+}
+
+/**
+ * Apply the blocklists to window info. Blocked windows keep their app name
+ * (so time is still accounted for) but lose the title, page title and URL.
+ * @param {{app: string, title: string, url?: string, pageTitle?: string}} windowInfo
+ * @returns {{app: string, title: string, url?: string, pageTitle?: string, blocked?: {reason: string, rule: string}}}
+ */
+function applyBlocklist(windowInfo) {
+    const blocked = checkBlocklist(windowInfo);
+    if (!blocked) return windowInfo;
+
+    const { url, pageTitle, ...rest } = windowInfo;
+    return { ...rest, title: REDACTED_TITLE, blocked };
+}
+
+/**
+ * Whether a capture was skipped by the blocklists
+ * @param {Object} screenshot - Screenshot metadata
+ */
+function isSkipped(screenshot) {
+    return (screenshot.redactions || []).some(r => r.type === REDACTION_TYPES.SKIPPED);
+}
+
+// ============ SENSITIVE TEXT ============
+
+/**
+ * Luhn checksum, to keep order numbers and phone numbers from being masked as cards
+ * @param {string} digits
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Find sensitive matches in one OCR line
+ * @param {import('./ocr').OcrLine} line
+ * @param {string[]} types - Keys of SENSITIVE_PATTERNS to look for
+ * @returns {Array<{kind: string, wordIndexes: number[]}>}
+ */
+function findLineMatches(line, types) {
+    // Rebuild the line from its words so match offsets map back to words
+    let text = '';
+    const spans = line.words.map(word => {
+        const start = text.length;
+        text += word.text + ' ';
+        return { start, end: start + word.text.length };
+    });
+
+    const matches = [];
+    for (const kind of types) {
+        const pattern = SENSITIVE_PATTERNS[kind];
+        if (!pattern) continue;
+
+        for (const match of text.matchAll(pattern)) {
+            if (kind === 'card' && !passesLuhn(match[0].replace(/\D/g, ''))) continue;
+
+            const matchEnd = match.index + match[0].length;
+            const wordIndexes = spans.map((span, i) => (span.start < matchEnd && span.end > match.index ? i : -1)).filter(i => i >= 0);
+            if (wordIndexes.length > 0) {
+                matches.push({ kind, wordIndexes });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Find sensitive text in OCR output
+ * @param {import('./ocr').OcrResult} ocrResult
+ * @param {string[]} types - Keys of SENSITIVE_PATTERNS to look for
+ * @param {number} [padding]
+ * @returns {Array<{kind: string, rect: {x: number, y: number, width: number, height: number}}>}
+ */
+function findSensitiveRegions(ocrResult, types, padding = 0) {
+    const regions = [];
+    if (!ocrResult) return regions;
+
+    for (const line of ocrResult.lines) {
+        for (const { kind, wordIndexes } of findLineMatches(line, types)) {
+            const boxes = wordIndexes.map(i => line.words[i].bbox);
+            const x0 = Math.max(0, Math.min(...boxes.map(b => b.x0)) - padding);
+            const y0 = Math.max(0, Math.min(...boxes.map(b => b.y0)) - padding);
+            const x1 = Math.max(...boxes.map(b => b.x1)) + padding;
+            const y1 = Math.max(...boxes.map(b => b.y1)) + padding;
+            regions.push({ kind, rect: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } });
+        }
+    }
+
+    return regions;
+}
+
+/**
+ * Replace sensitive words in OCR output, so the stored text layer never holds
+ * what was masked out of the image
+ * @param {import('./ocr').OcrResult} ocrResult
+ * @param {string[]} types
+ * @returns {import('./ocr').OcrResult}
+ */
+function scrubOcrResult(ocrResult, types) {
+    const lines = ocrResult.lines.map(line => {
+        const masked = new Set(findLineMatches(line, types).flatMap(m => m.wordIndexes));
+        if (masked.size === 0) return line;
+
+        const words = line.words.map((word, i) => (masked.has(i) ? { ...word, text: REDACTED_TEXT } : word));
+        return { ...line, text: words.map(w => w.text).join(' '), words };
+    });
+
+    return { ...ocrResult, text: lines.map(line => line.text).join('\n'), lines };
+}
+
+/**
+ * Black out rectangles in an image
+ * @param {Electron.NativeImage} image
+ * @param {Array<{x: number, y: number, width: number, height: number}>} rects - In image pixels
+ * @returns {Electron.NativeImage}
+ */
+function maskRegions(image, rects) {
+    if (rects.length === 0) return image;
+
+    const { width, height } = image.getSize();
+    const bitmap = Buffer.from(image.toBitmap());
+
+    for (const rect of rects) {
+        const left = Math.max(0, Math.floor(rect.x));
+        const top = Math.max(0, Math.floor(rect.y));
+        const right = Math.min(width, Math.ceil(rect.x + rect.width));
+        const bottom = Math.min(height, Math.ceil(rect.y + rect.height));
+
+        for (let y = top; y < bottom; y++) {
+            const rowStart = (y * width + left) * 4;
+            const rowEnd = (y * width + right) * 4;
+            bitmap.fill(0, rowStart, rowEnd);
+            // Keep alpha opaque
+            for (let p = rowStart + 3; p < rowEnd; p += 4) {
+                bitmap[p] = 255;
+            }
+        }
+    }
+
+    return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+/**
+ * Mask sensitive text in a frame
+ * @param {Electron.NativeImage} image
+ * @param {import('./ocr').OcrResult|null} [ocrResult] - Already recognized text, to avoid a second OCR pass
+ * @returns {Promise<{image: Electron.NativeImage, redactions: Redaction[], ocr: import('./ocr').OcrResult|null}>}
+ *   ocr is the text with masked words replaced
+ */
+async function redactImage(image, ocrResult) {
+    const config = getConfig();
+    if (!config.enabled || !config.maskSensitiveText || config.maskTypes.length === 0) {
+        return { image, redactions: [], ocr: ocrResult || null };
+    }
+
+    if (ocrResult === undefined) {
+        ocrResult = await ocr.recognize(image.toPNG());
+    }
+    if (!ocrResult) {
+        // Still saved, but flagged so documentation can say the frame wasn't checked
+        return { image, redactions: [{ type: REDACTION_TYPES.UNSCANNED, reason: 'ocr_unavailable' }], ocr: null };
+    }
+
+    const regions = findSensitiveRegions(ocrResult, config.maskTypes, config.maskPadding);
+    return {
+        image: maskRegions(image, regions.map(r => r.rect)),
+        redactions: regions.map(r => ({ type: REDACTION_TYPES.MASKED, reason: r.kind, rect: r.rect })),
+        ocr: regions.length > 0 ? scrubOcrResult(ocrResult, config.maskTypes) : ocrResult
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    REDACTED_TITLE,
+    REDACTION_TYPES,
+
+    // Config
+    getConfig,
+    setConfig,
+
+    // Blocklists
+    checkBlocklist,
+    applyBlocklist,
+    matchesRule,
+    isSkipped,
+
+    // Sensitive text
+    findSensitiveRegions,
+    scrubOcrResult,
+    maskRegions,
+    redactImage
+};
@@ -88,6 +88,28 @@ const storage = {
         return ipcRenderer.invoke('storage:clear-all');
     },
 
+    // Encryption at rest
+    async getEncryptionStatus() {
+        const result = await ipcRenderer.invoke('storage:get-encryption-status');
+        return result.success ? result.data : { enabled: false, locked: false };
+    },
+    async getSchemaStatus() {
+        const result = await ipcRenderer.invoke('storage:get-schema-status');
+        return result.success ? result.data : null;
+    },
+    async enableEncryption(options) {
+        return ipcRenderer.invoke('storage:enable-encryption', options);
+    },
+    async disableEncryption(passphrase) {
+        return ipcRenderer.invoke('storage:disable-encryption', passphrase);
+    },
+    async unlock(passphrase) {
+        return ipcRenderer.invoke('storage:unlock', passphrase);
+    },
+    async lock() {
+        return ipcRenderer.invoke('storage:lock');
+    },
+
     // Limits
     async getTodayLimits() {
         const result = await ipcRenderer.invoke('storage:get-today-limits');
@@ -128,6 +150,12 @@ const captureApi = {
         return result.success ? result.data : { app: 'Unknown', title: 'Unknown' };
     },
 
+    // Browser Companion
+    async getBrowserBridgeStatus() {
+        const result = await ipcRenderer.invoke('capture:get-browser-bridge-status');
+        return result.success ? result.data : { running: false, port: null, connections: [] };
+    },
+
     // Screenshot Metadata
     async saveScreenshotMetadata(sessionId, metadata) {
         return ipcRenderer.invoke('capture:save-screenshot-metadata', sessionId, metadata);
@@ -158,6 +186,12 @@ const captureApi = {
     },
     onCaptureStopped(callback) {
         ipcRenderer.on('capture:stopped', (event, data) => callback(data));
+    },
+    onCaptureAway(callback) {
+        ipcRenderer.on('capture:away', (event, data) => callback(data));
+    },
+    onCaptureBack(callback) {
+        ipcRenderer.on('capture:back', (event, data) => callback(data));
     }
 };
 
@@ -300,6 +334,36 @@ const confusionApi = {
         return result.success ? result.data : [];
     },
 
+    // Question Digest
+    async getDigest(profileId) {
+        const result = await ipcRenderer.invoke('confusion:get-digest', profileId);
+        return result.success ? result.data : [];
+    },
+    async answerDigestQuestion(sessionId, questionId, answer) {
+        const result = await ipcRenderer.invoke('confusion:answer-digest-question', sessionId, questionId, answer);
+        return result.success ? result.data : null;
+    },
+    async dismissDigestQuestion(sessionId, questionId) {
+        const result = await ipcRenderer.invoke('confusion:dismiss-digest-question', sessionId, questionId);
+        return result.success ? result.data : null;
+    },
+    async getQuestioningConfig() {
+        const result = await ipcRenderer.invoke('confusion:get-questioning-config');
+        return result.success ? result.data : null;
+    },
+    async setQuestioningConfig(config) {
+        const result = await ipcRenderer.invoke('confusion:set-questioning-config', config);
+        return result.success ? result.data : null;
+    },
+    async getTriggerFrames(sessionId, questionId) {
+        const result = await ipcRenderer.invoke('confusion:get-trigger-frames', sessionId, questionId);
+        return result.success ? result.data : [];
+    },
+    async getEffectiveLimits() {
+        const result = await ipcRenderer.invoke('confusion:get-effective-limits');
+        return result.success ? result.data : null;
+    },
+
     // Event listeners
     onQuestionCreated(callback) {
         ipcRenderer.on('confusion:question-created', (event, question) => callback(question));
@@ -312,6 +376,9 @@ const confusionApi = {
     },
     onQuestionDeferred(callback) {
         ipcRenderer.on('confusion:question-deferred', (event, question) => callback(question));
+    },
+    onDigestReady(callback) {
+        ipcRenderer.on('confusion:digest-ready', (event, digest) => callback(digest));
     }
 };
 
@@ -394,6 +461,10 @@ const contextApi = {
         const result = await ipcRenderer.invoke('context:get-for-llm');
         return result.success ? result.data : '';
     },
+    async getBudgetReport() {
+        const result = await ipcRenderer.invoke('context:get-budget-report');
+        return result.success ? result.data : null;
+    },
 
     // Session Summaries
     async getSessionSummaries(profileId, limit = 10) {
@@ -948,6 +1019,146 @@ const documentationApi = {
     }
 };
 
+// ============ LLM PROVIDER API ============
+// Wrapper for LLM provider configuration IPC calls
+const llmApi = {
+    async getConfig() {
+        const result = await ipcRenderer.invoke('llm:get-config');
+        return result.success ? result.data : {};
+    },
+    async setConfig(config) {
+        return ipcRenderer.invoke('llm:set-config', config);
+    },
+    async getStatus() {
+        const result = await ipcRenderer.invoke('llm:get-status');
+        return result.success ? result.data : { configured: false };
+    }
+};
+
+// ============ REDACTION API ============
+// Wrapper for redaction (blocklists and sensitive-text masking) IPC calls
+const redactionApi = {
+    async getConfig() {
+        const result = await ipcRenderer.invoke('redaction:get-config');
+        return result.success ? result.data : {};
+    },
+    async setConfig(config) {
+        return ipcRenderer.invoke('redaction:set-config', config);
+    },
+    async getStatus() {
+        const result = await ipcRenderer.invoke('redaction:get-status');
+        return result.success ? result.data : { available: false, enabled: false };
+    }
+};
+
+// ============ SEARCH API ============
+// Wrapper for full-text search IPC calls
+const searchApi = {
+    async query(query, options = {}) {
+        const result = await ipcRenderer.invoke('search:query', query, options);
+        return result.success ? result.data : [];
+    },
+    async open(target) {
+        const result = await ipcRenderer.invoke('search:open', target);
+        return result.success ? result.data : null;
+    },
+    async getStatus() {
+        const result = await ipcRenderer.invoke('search:get-status');
+        return result.success ? result.data : { ready: false, rebuilding: false, docCount: 0 };
+    },
+    async rebuild() {
+        return ipcRenderer.invoke('search:rebuild');
+    }
+};
+
+// ============ RETENTION API ============
+// Wrapper for screenshot retention and storage usage IPC calls
+const retentionApi = {
+    async getConfig() {
+        const result = await ipcRenderer.invoke('retention:get-config');
+        return result.success ? result.data : {};
+    },
+    async setConfig(config) {
+        return ipcRenderer.invoke('retention:set-config', config);
+    },
+    async getStorageReport() {
+        const result = await ipcRenderer.invoke('retention:get-storage-report');
+        return result.success ? result.data : null;
+    },
+    async pruneNow() {
+        return ipcRenderer.invoke('retention:prune-now');
+    }
+};
+
+// ============ APP REGISTRY API ============
+// Wrapper for application registry (canonical names, categories, aliases) IPC calls
+const appsApi = {
+    async getConfig() {
+        const result = await ipcRenderer.invoke('apps:get-config');
+        return result.success ? result.data : { aliases: {}, categories: {} };
+    },
+    async setConfig(config) {
+        return ipcRenderer.invoke('apps:set-config', config);
+    },
+    async getKnownApps() {
+        const result = await ipcRenderer.invoke('apps:get-known-apps');
+        return result.success ? result.data : { apps: [], categories: [] };
+    },
+    async resolve(appName) {
+        const result = await ipcRenderer.invoke('apps:resolve', appName);
+        return result.success ? result.data : null;
+    }
+};
+
+// ============ REPLAY API ============
+// Wrapper for session record & replay IPC calls
+const replayApi = {
+    // Recording
+    async startRecording(options = {}) {
+        return ipcRenderer.invoke('replay:start-recording', options);
+    },
+    async stopRecording() {
+        const result = await ipcRenderer.invoke('replay:stop-recording');
+        return result.success ? result.data : null;
+    },
+    async getRecordingState() {
+        const result = await ipcRenderer.invoke('replay:get-recording-state');
+        return result.success ? result.data : { isRecording: false, recording: null };
+    },
+    async listRecordings() {
+        const result = await ipcRenderer.invoke('replay:list-recordings');
+        return result.success ? result.data : [];
+    },
+    async deleteRecording(recordingId) {
+        return ipcRenderer.invoke('replay:delete-recording', recordingId);
+    },
+
+    // Replay
+    async run(recordingId, options = {}) {
+        return ipcRenderer.invoke('replay:run', recordingId, options);
+    },
+    async stop() {
+        return ipcRenderer.invoke('replay:stop');
+    },
+
+    // Event listeners
+    onRecordingStarted(callback) {
+        ipcRenderer.on('replay:recording-started', (event, data) => callback(data));
+    },
+    onRecordingStopped(callback) {
+        ipcRenderer.on('replay:recording-stopped', (event, data) => callback(data));
+    },
+    onReplayStarted(callback) {
+        ipcRenderer.on('replay:started', (event, data) => callback(data));
+    },
+    onReplayProgress(callback) {
+        ipcRenderer.on('replay:progress', (event, data) => callback(data));
+    },
+    onReplayCompleted(callback) {
+        ipcRenderer.on('replay:completed', (event, data) => callback(data));
+    }
+};
+
 // ============ THEME SYSTEM ============
 const theme = {
     themes: {
@@ -1200,6 +1411,24 @@ const workflowDaddy = {
     // Documentation Generation API
     documentation: documentationApi,
 
+    // LLM Provider API
+    llm: llmApi,
+
+    // Redaction API
+    redaction: redactionApi,
+
+    // Session Replay API
+    replay: replayApi,
+
+    // Full-Text Search API
+    search: searchApi,
+
+    // Screenshot Retention API
+    retention: retentionApi,
+
+    // App Registry API
+    apps: appsApi,
+
     // Theme API
     theme,
 
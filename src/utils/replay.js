@@ -0,0 +1,456 @@
+// replay.js - Session Record & Replay Service
+// Records the capture event stream of a live session and replays it through the
+// observation pipeline at accelerated speed for regression testing
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const storage = require('../storage');
+const { captureEvents } = require('./capture');
+const session = require('./session');
+const context = require('./context');
+const taskDetection = require('./taskDetection');
+
+// Event emitter for recording/replay events
+const replayEvents = new EventEmitter();
+
+// ============ CONSTANTS ============
+
+const EVENT_TYPES = {
+    SCREENSHOT: 'screenshot',
+    APP_SWITCH: 'app_switch'
+};
+
+const DEFAULT_REPLAY_OPTIONS = {
+    speed: 60, // 60x real time - an hour of work replays in a minute
+    maxDelayMs: 2000, // Cap on any single gap so idle stretches don't stall the replay
+    includeImages: true,
+    endSessionWhenDone: true
+};
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} RecordingManifest
+ * @property {string} id - Recording ID
+ * @property {string|null} sessionId - Session that was recorded
+ * @property {string|null} profileId - Profile the session belonged to
+ * @property {string} startedAt - ISO timestamp
+ * @property {string|null} stoppedAt - ISO timestamp (null while recording)
+ * @property {number} screenshotCount
+ * @property {number} appSwitchCount
+ * @property {number} imageCount - Screenshots whose image was copied into the recording
+ */
+
+/**
+ * @typedef {Object} RecordedEvent
+ * @property {'screenshot'|'app_switch'} type
+ * @property {number} offsetMs - Milliseconds since the recording started
+ * @property {Object} data - Event payload as emitted by captureEvents
+ * @property {string} [imageFile] - Image filename inside the recording (screenshots only)
+ */
+
+/**
+ * @typedef {Object} ReplayResult
+ * @property {string} recordingId
+ * @property {string} sessionId - Session created for the replay
+ * @property {number} screenshotsReplayed
+ * @property {number} appSwitchesReplayed
+ * @property {number} elapsedMs - Wall-clock time the replay took
+ * @property {boolean} aborted
+ * @property {Object[]} tasks - Tasks detected during the replay
+ * @property {Object[]} questions - Questions raised during the replay
+ */
+
+// ============ STATE ============
+
+let activeRecording = null; // { manifest, startTime, pendingImages: Map<imageFile, sourcePath> }
+let activeReplay = null; // { recordingId, aborted }
+
+// ============ RECORDING ============
+
+/**
+ * Generate unique recording ID
+ */
+function generateRecordingId() {
+    return `rec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Copy a screenshot image into the recording if it exists yet
+ * @param {string} recordingId
+ * @param {string} imageFile - Destination filename
+ * @param {string} sourcePath - Original image path
+ * @returns {boolean} Whether the image was copied
+ */
+function copyRecordingImage(recordingId, imageFile, sourcePath) {
+    try {
+        if (!sourcePath || !fs.existsSync(sourcePath)) {
+            return false;
+        }
+        fs.copyFileSync(sourcePath, path.join(storage.getRecordingImagesDir(recordingId), imageFile));
+        return true;
+    } catch (error) {
+        console.error('[Replay] Error copying screenshot image:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Retry copying images that hadn't been written when their event fired
+ */
+function flushPendingImages() {
+    if (!activeRecording) return;
+
+    for (const [imageFile, sourcePath] of activeRecording.pendingImages) {
+        if (copyRecordingImage(activeRecording.manifest.id, imageFile, sourcePath)) {
+            activeRecording.pendingImages.delete(imageFile);
+            activeRecording.manifest.imageCount++;
+        }
+    }
+}
+
+/**
+ * Append an event to the active recording
+ * @param {RecordedEvent} event
+ */
+function recordEvent(event) {
+    if (!activeRecording) return;
+    storage.appendRecordingEvent(activeRecording.manifest.id, event);
+}
+
+function onRecordedScreenshot(metadata) {
+    if (!activeRecording) return;
+
+    // Images are usually written just after the event fires, so pick up earlier ones first
+    flushPendingImages();
+
+    const { manifest } = activeRecording;
+    const imageFile = metadata.imagePath ? `${metadata.id}${path.extname(metadata.imagePath) || '.jpg'}` : null;
+
+    if (imageFile) {
+        if (copyRecordingImage(manifest.id, imageFile, metadata.imagePath)) {
+            manifest.imageCount++;
+        } else {
+            activeRecording.pendingImages.set(imageFile, metadata.imagePath);
+        }
+    }
+
+    recordEvent({
+        type: EVENT_TYPES.SCREENSHOT,
+        offsetMs: Date.now() - activeRecording.startTime,
+        data: metadata,
+        imageFile
+    });
+
+    manifest.screenshotCount++;
+    if (!manifest.sessionId && metadata.sessionId) {
+        manifest.sessionId = metadata.sessionId;
+    }
+}
+
+function onRecordedAppSwitch(data) {
+    if (!activeRecording) return;
+
+    recordEvent({
+        type: EVENT_TYPES.APP_SWITCH,
+        offsetMs: Date.now() - activeRecording.startTime,
+        data
+    });
+
+    activeRecording.manifest.appSwitchCount++;
+}
+
+/**
+ * Start recording capture events
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session being recorded (defaults to the current session)
+ * @param {string} [options.profileId] - Profile being recorded (defaults to the current session's profile)
+ * @returns {RecordingManifest}
+ */
+function startRecording(options = {}) {
+    if (activeRecording) {
+        throw new Error('A recording is already in progress');
+    }
+
+    const currentSession = session.getCurrentSession();
+    const manifest = {
+        id: generateRecordingId(),
+        sessionId: options.sessionId || currentSession?.id || null,
+        profileId: options.profileId || currentSession?.profileId || null,
+        startedAt: new Date().toISOString(),
+        stoppedAt: null,
+        screenshotCount: 0,
+        appSwitchCount: 0,
+        imageCount: 0
+    };
+
+    storage.ensureRecordingDir(manifest.id);
+    storage.saveRecordingManifest(manifest.id, manifest);
+
+    activeRecording = {
+        manifest,
+        startTime: Date.now(),
+        pendingImages: new Map()
+    };
+
+    captureEvents.on('screenshot:captured', onRecordedScreenshot);
+    captureEvents.on('app:switched', onRecordedAppSwitch);
+
+    console.log(`[Replay] Recording started: ${manifest.id}`);
+    replayEvents.emit('recording:started', manifest);
+
+    return manifest;
+}
+
+/**
+ * Stop the active recording and finalize its manifest
+ * @returns {RecordingManifest|null}
+ */
+function stopRecording() {
+    if (!activeRecording) {
+        return null;
+    }
+
+    captureEvents.removeListener('screenshot:captured', onRecordedScreenshot);
+    captureEvents.removeListener('app:switched', onRecordedAppSwitch);
+
+    flushPendingImages();
+
+    const { manifest, pendingImages } = activeRecording;
+    manifest.stoppedAt = new Date().toISOString();
+    storage.saveRecordingManifest(manifest.id, manifest);
+
+    if (pendingImages.size > 0) {
+        console.warn(`[Replay] ${pendingImages.size} screenshot image(s) were never written and are missing from ${manifest.id}`);
+    }
+
+    activeRecording = null;
+
+    console.log(`[Replay] Recording stopped: ${manifest.id} (${manifest.screenshotCount} screenshots)`);
+    replayEvents.emit('recording:stopped', manifest);
+
+    return manifest;
+}
+
+/**
+ * Get the state of the active recording
+ * @returns {{isRecording: boolean, recording: RecordingManifest|null}}
+ */
+function getRecordingState() {
+    return {
+        isRecording: activeRecording !== null,
+        recording: activeRecording ? { ...activeRecording.manifest } : null
+    };
+}
+
+/**
+ * List saved recordings, newest first
+ * @returns {RecordingManifest[]}
+ */
+function listRecordings() {
+    return storage.getAllRecordings();
+}
+
+/**
+ * Delete a saved recording
+ * @param {string} recordingId
+ * @returns {boolean}
+ */
+function deleteRecording(recordingId) {
+    if (activeRecording?.manifest.id === recordingId) {
+        throw new Error('Cannot delete a recording that is in progress');
+    }
+    return storage.deleteRecording(recordingId);
+}
+
+// ============ REPLAY ============
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Rebuild screenshot metadata for the replay session
+ * @param {RecordedEvent} event
+ * @param {string} recordingId
+ * @param {string} sessionId - Replay session ID
+ * @param {boolean} includeImages
+ * @returns {Object}
+ */
+function buildReplayScreenshot(event, recordingId, sessionId, includeImages) {
+    let imagePath = null;
+    if (includeImages && event.imageFile) {
+        const candidate = path.join(storage.getRecordingImagesDir(recordingId), event.imageFile);
+        if (fs.existsSync(candidate)) {
+            imagePath = candidate;
+        }
+    }
+
+    // Original timestamps are kept so task durations match the recorded workday
+    return {
+        ...event.data,
+        sessionId,
+        imagePath
+    };
+}
+
+/**
+ * Feed a recorded app switch into the same consumers the live capture wiring uses
+ * @param {Object} data - { previous, current }
+ */
+function replayAppSwitch(data) {
+    if (context.getSessionContextState()) {
+        context.updateSessionContext({
+            type: 'app_switch',
+            app: data.current?.app,
+            previousApp: data.previous?.app,
+            duration: data.previous?.duration
+        });
+    }
+
+    taskDetection.handleAppSwitch(data, context.assembleContext());
+}
+
+/**
+ * Replay a recording through the observation pipeline.
+ * Starts a fresh session on the profile, feeds each screenshot through
+ * session.onScreenshotCaptured (awaiting its analysis) and ends the session.
+ * @param {string} recordingId
+ * @param {Object} [options]
+ * @param {string} [options.profileId] - Profile to replay into (defaults to the recorded profile)
+ * @param {number} [options.speed] - Playback multiplier; 0 or Infinity replays without delays
+ * @param {number} [options.maxDelayMs] - Longest wait between two events
+ * @param {boolean} [options.includeImages] - Pass recorded images to analysis
+ * @param {boolean} [options.endSessionWhenDone] - End the replay session afterwards
+ * @returns {Promise<ReplayResult>}
+ */
+async function replayRecording(recordingId, options = {}) {
+    if (activeReplay) {
+        throw new Error('A replay is already in progress');
+    }
+
+    const opts = { ...DEFAULT_REPLAY_OPTIONS, ...options };
+    const manifest = storage.getRecordingManifest(recordingId);
+    if (!manifest) {
+        throw new Error(`Recording not found: ${recordingId}`);
+    }
+
+    const profileId = opts.profileId || manifest.profileId;
+    if (!profileId) {
+        throw new Error('No profile to replay into');
+    }
+    if (!storage.hasCompletedInterview(profileId)) {
+        throw new Error('Replay requires a profile with a completed interview');
+    }
+    if (session.getCurrentSession()) {
+        throw new Error('End the current session before replaying');
+    }
+
+    const events = storage.getRecordingEvents(recordingId).sort((a, b) => a.offsetMs - b.offsetMs);
+    const replaySession = session.startSession(profileId);
+    const startTime = Date.now();
+
+    activeReplay = { recordingId, aborted: false };
+    const result = {
+        recordingId,
+        sessionId: replaySession.id,
+        screenshotsReplayed: 0,
+        appSwitchesReplayed: 0,
+        elapsedMs: 0,
+        aborted: false,
+        tasks: [],
+        questions: []
+    };
+
+    console.log(`[Replay] Replaying ${recordingId} (${events.length} events) into session ${replaySession.id}`);
+    replayEvents.emit('replay:started', { recordingId, sessionId: replaySession.id, eventCount: events.length });
+
+    try {
+        let previousOffset = events.length > 0 ? events[0].offsetMs : 0;
+
+        for (let i = 0; i < events.length; i++) {
+            if (activeReplay.aborted) {
+                result.aborted = true;
+                break;
+            }
+
+            const event = events[i];
+            if (opts.speed > 0 && Number.isFinite(opts.speed)) {
+                const delay = Math.min((event.offsetMs - previousOffset) / opts.speed, opts.maxDelayMs);
+                if (delay > 0) {
+                    await wait(delay);
+                }
+            }
+            previousOffset = event.offsetMs;
+
+            if (event.type === EVENT_TYPES.SCREENSHOT) {
+                const screenshot = buildReplayScreenshot(event, recordingId, replaySession.id, opts.includeImages);
+                await session.onScreenshotCaptured(screenshot);
+                result.screenshotsReplayed++;
+            } else if (event.type === EVENT_TYPES.APP_SWITCH) {
+                replayAppSwitch(event.data);
+                result.appSwitchesReplayed++;
+            }
+
+            replayEvents.emit('replay:progress', { recordingId, processed: i + 1, total: events.length });
+        }
+    } finally {
+        if (opts.endSessionWhenDone && session.getCurrentSession()?.id === replaySession.id) {
+            session.endSession();
+        }
+
+        result.elapsedMs = Date.now() - startTime;
+        result.tasks = storage.getSessionTasks(replaySession.id);
+        result.questions = storage.getSessionQuestions(replaySession.id);
+        activeReplay = null;
+    }
+
+    console.log(`[Replay] Replay finished: ${result.screenshotsReplayed} screenshots, ${result.tasks.length} tasks, ${result.questions.length} questions`);
+    replayEvents.emit('replay:completed', result);
+
+    return result;
+}
+
+/**
+ * Abort the running replay after the current event
+ * @returns {boolean} Whether a replay was running
+ */
+function stopReplay() {
+    if (!activeReplay) return false;
+    activeReplay.aborted = true;
+    return true;
+}
+
+/**
+ * Get the state of the running replay
+ */
+function getReplayState() {
+    return {
+        isReplaying: activeReplay !== null,
+        recordingId: activeReplay?.recordingId || null
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Events
+    replayEvents,
+
+    // Constants
+    EVENT_TYPES,
+    DEFAULT_REPLAY_OPTIONS,
+
+    // Recording
+    startRecording,
+    stopRecording,
+    getRecordingState,
+    listRecordings,
+    deleteRecording,
+
+    // Replay
+    replayRecording,
+    stopReplay,
+    getReplayState
+};
@@ -0,0 +1,406 @@
+// retention.js - Screenshot Retention Service
+// Keeps multi-week observations from filling the disk: downsamples old frames, deletes old
+// frames no task or question refers to, enforces a per-profile cap, and writes list thumbnails
+
+const fs = require('fs');
+const { nativeImage } = require('electron');
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+const IMAGE_STATES = {
+    FULL: 'full', // As captured (also what a missing imageState means)
+    DOWNSAMPLED: 'downsampled', // Re-encoded smaller after fullResolutionDays
+    DELETED: 'deleted' // Image removed; metadata, OCR text and thumbnail remain
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THUMBNAIL_QUALITY = 70;
+const FIRST_PRUNE_DELAY_MS = 60 * 1000; // Let startup settle before the first pass
+const MIN_CAP_DELETE_AGE_MS = DAY_MS; // The cap never takes frames recent analysis may still read
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} RetentionConfig
+ * @property {boolean} enabled - Run the background pruner
+ * @property {number} fullResolutionDays - Downsample frames older than this (0 = never)
+ * @property {number} downsampleMaxWidth - Width downsampled frames are scaled to
+ * @property {number} downsampleQuality - JPEG quality (0-100) of downsampled frames
+ * @property {number} keepUnreferencedDays - Delete frames no task or question refers to after this (0 = keep)
+ * @property {number} maxProfileStorageMB - Per-profile cap (0 = no cap)
+ * @property {number} thumbnailWidth - Width of list thumbnails
+ * @property {number} pruneIntervalHours - Time between pruner passes
+ */
+
+/**
+ * @typedef {Object} PruneResult
+ * @property {string} at - When the pass finished
+ * @property {number} downsampled - Frames downsampled
+ * @property {number} deleted - Frames deleted
+ * @property {number} thumbnails - Missing thumbnails generated
+ * @property {number} freedBytes
+ * @property {string} [skipped] - Why nothing ran
+ */
+
+// ============ STATE ============
+
+let cachedConfig = null;
+let pruneIntervalId = null;
+let firstPruneTimeout = null;
+let prunePromise = null;
+let lastPrune = null; // PruneResult
+
+// ============ CONFIG ============
+
+/**
+ * @returns {RetentionConfig}
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = storage.getRetentionConfig();
+    }
+    return { ...cachedConfig };
+}
+
+/**
+ * @param {Partial<RetentionConfig>} updates
+ * @returns {RetentionConfig}
+ */
+function setConfig(updates) {
+    storage.setRetentionConfig(updates);
+    cachedConfig = storage.getRetentionConfig();
+
+    if (pruneIntervalId && ('enabled' in updates || 'pruneIntervalHours' in updates)) {
+        stopRetention();
+        startRetention();
+    }
+    return getConfig();
+}
+
+// ============ THUMBNAILS ============
+
+/**
+ * Write a list thumbnail for a stored frame. Pass the image as saved
+ * (after masking), so thumbnails never show what redaction removed.
+ * @param {import('./capture').Screenshot} metadata - Gets thumbnailPath set
+ * @param {Electron.NativeImage} image
+ */
+function saveThumbnail(metadata, image) {
+    if (!metadata.imagePath || image.isEmpty()) return;
+
+    const { thumbnailWidth } = getConfig();
+    const thumbnail = image.getSize().width > thumbnailWidth ? image.resize({ width: thumbnailWidth, quality: 'good' }) : image;
+    metadata.thumbnailPath = storage.getScreenshotThumbnailPath(metadata.imagePath);
+    storage.writeDataFile(metadata.thumbnailPath, thumbnail.toJPEG(THUMBNAIL_QUALITY));
+}
+
+/**
+ * Backfill a thumbnail for frames captured before thumbnails existed
+ * @returns {boolean} Whether one was written
+ */
+function ensureThumbnail(screenshot) {
+    const thumbnailPath = storage.getScreenshotThumbnailPath(screenshot.imagePath);
+    if (fs.existsSync(thumbnailPath)) {
+        screenshot.thumbnailPath = thumbnailPath;
+        return false;
+    }
+    if (!fs.existsSync(screenshot.imagePath)) return false;
+
+    saveThumbnail(screenshot, nativeImage.createFromBuffer(storage.readDataFile(screenshot.imagePath)));
+    return !!screenshot.thumbnailPath;
+}
+
+// ============ FRAME FILES ============
+
+// The frame's own image plus any other displays captured with it
+function getFrameImagePaths(screenshot) {
+    const paths = [screenshot.imagePath, ...(screenshot.displays || []).map(display => display.imagePath)];
+    return [...new Set(paths.filter(Boolean))].filter(imagePath => fs.existsSync(imagePath));
+}
+
+function getFrameSize(screenshot) {
+    return getFrameImagePaths(screenshot).reduce((sum, imagePath) => sum + fs.statSync(imagePath).size, 0);
+}
+
+/**
+ * Re-encode a frame's images smaller
+ * @returns {number} Bytes freed
+ */
+function downsampleFrame(screenshot, config) {
+    let freed = 0;
+    for (const imagePath of getFrameImagePaths(screenshot)) {
+        const before = fs.statSync(imagePath).size;
+        let image = nativeImage.createFromBuffer(storage.readDataFile(imagePath));
+        if (image.isEmpty()) continue;
+
+        if (image.getSize().width > config.downsampleMaxWidth) {
+            image = image.resize({ width: config.downsampleMaxWidth, quality: 'good' });
+        }
+        storage.writeDataFile(imagePath, image.toJPEG(config.downsampleQuality));
+        freed += before - fs.statSync(imagePath).size;
+    }
+
+    screenshot.imageState = IMAGE_STATES.DOWNSAMPLED;
+    screenshot.downsampledAt = new Date().toISOString();
+    return freed;
+}
+
+/**
+ * Remove a frame's images, keeping metadata, OCR text and thumbnail
+ * @returns {number} Bytes freed
+ */
+function deleteFrame(screenshot) {
+    let freed = 0;
+    for (const imagePath of getFrameImagePaths(screenshot)) {
+        freed += fs.statSync(imagePath).size;
+        fs.unlinkSync(imagePath);
+    }
+
+    screenshot.imageState = IMAGE_STATES.DELETED;
+    screenshot.imageDeletedAt = new Date().toISOString();
+    return freed;
+}
+
+// ============ REFERENCES ============
+
+/**
+ * Frames worth keeping past keepUnreferencedDays: those tasks list, and the
+ * frames leading up to each question
+ * @param {string} sessionId
+ * @param {Object[]} screenshots - Session screenshot metadata
+ * @returns {Set<string>} Screenshot IDs
+ */
+function getReferencedScreenshotIds(sessionId, screenshots) {
+    const referenced = new Set(storage.getSessionTasks(sessionId).flatMap(task => task.screenshots || []));
+
+    const stored = screenshots
+        .filter(s => s.imagePath)
+        .map(s => ({ id: s.id, time: new Date(s.timestamp).getTime() }))
+        .sort((a, b) => a.time - b.time);
+
+    for (const question of storage.getSessionQuestions(sessionId)) {
+        // Questions record their trigger frames; older ones are matched by time
+        if (question.trigger?.screenshotId) {
+            referenced.add(question.trigger.screenshotId);
+            for (const frame of question.trigger.frames || []) {
+                referenced.add(frame.screenshotId);
+            }
+            continue;
+        }
+        const askedAt = new Date(question.timestamp).getTime();
+        const before = stored.filter(frame => frame.time <= askedAt);
+        if (before.length > 0) {
+            referenced.add(before[before.length - 1].id);
+        }
+    }
+
+    return referenced;
+}
+
+// ============ PRUNING ============
+
+/**
+ * Apply the age rules to one session. Synchronous from read to write,
+ * so frames appended by an ongoing capture aren't lost.
+ */
+function pruneSessionByAge(sessionId, config, now, result) {
+    const screenshots = storage.getSessionScreenshots(sessionId);
+    const referenced = getReferencedScreenshotIds(sessionId, screenshots);
+    let changed = false;
+
+    for (const screenshot of screenshots) {
+        if (!screenshot.imagePath || screenshot.imageState === IMAGE_STATES.DELETED) continue;
+        const age = now - new Date(screenshot.timestamp).getTime();
+
+        try {
+            if (!screenshot.thumbnailPath && ensureThumbnail(screenshot)) {
+                result.thumbnails++;
+                changed = true;
+            }
+
+            if (config.keepUnreferencedDays > 0 && age > config.keepUnreferencedDays * DAY_MS && !referenced.has(screenshot.id)) {
+                result.freedBytes += deleteFrame(screenshot);
+                result.deleted++;
+                changed = true;
+            } else if (config.fullResolutionDays > 0 && age > config.fullResolutionDays * DAY_MS && screenshot.imageState !== IMAGE_STATES.DOWNSAMPLED) {
+                result.freedBytes += downsampleFrame(screenshot, config);
+                result.downsampled++;
+                changed = true;
+            }
+        } catch (error) {
+            console.error(`[Retention] Could not prune ${screenshot.id}:`, error.message);
+        }
+    }
+
+    if (changed) {
+        storage.saveSessionScreenshots(sessionId, screenshots);
+    }
+}
+
+/**
+ * Delete the oldest frames of a profile until it fits the cap: unreferenced
+ * frames first, then referenced ones, oldest session first
+ */
+function enforceProfileCap(profileId, sessionIds, config, now, result) {
+    const capBytes = config.maxProfileStorageMB * 1024 * 1024;
+    let usedBytes = storage.getProfileStorageSize(profileId);
+    if (usedBytes <= capBytes) return;
+
+    for (const pass of ['unreferenced', 'referenced']) {
+        for (const sessionId of sessionIds) {
+            if (usedBytes <= capBytes) return;
+
+            const screenshots = storage.getSessionScreenshots(sessionId);
+            const referenced = getReferencedScreenshotIds(sessionId, screenshots);
+            const candidates = screenshots
+                .filter(s => s.imagePath && s.imageState !== IMAGE_STATES.DELETED)
+                .filter(s => now - new Date(s.timestamp).getTime() > MIN_CAP_DELETE_AGE_MS)
+                .filter(s => referenced.has(s.id) === (pass === 'referenced'))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            let changed = false;
+            for (const screenshot of candidates) {
+                if (usedBytes <= capBytes) break;
+                try {
+                    const freed = deleteFrame(screenshot);
+                    usedBytes -= freed;
+                    result.freedBytes += freed;
+                    result.deleted++;
+                    changed = true;
+                } catch (error) {
+                    console.error(`[Retention] Could not delete ${screenshot.id}:`, error.message);
+                }
+            }
+
+            if (changed) {
+                storage.saveSessionScreenshots(sessionId, screenshots);
+            }
+        }
+    }
+
+    if (usedBytes > capBytes) {
+        console.warn(`[Retention] Profile ${profileId} is still over its ${config.maxProfileStorageMB} MB cap after pruning`);
+    }
+}
+
+/**
+ * One pruner pass over every profile. Concurrent calls share the running pass.
+ * @returns {Promise<PruneResult>}
+ */
+function pruneNow() {
+    if (prunePromise) return prunePromise;
+
+    prunePromise = (async () => {
+        const result = { at: null, downsampled: 0, deleted: 0, thumbnails: 0, freedBytes: 0 };
+
+        // Images can't be read or rewritten while encrypted storage is locked
+        if (storage.getEncryptionStatus().locked) {
+            return { ...result, at: new Date().toISOString(), skipped: 'locked' };
+        }
+
+        const config = getConfig();
+        const now = Date.now();
+
+        for (const { profileId } of storage.getAllProfiles()) {
+            const sessionIds = storage
+                .getProfileSessions(profileId)
+                .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+                .map(session => session.id);
+
+            for (const sessionId of sessionIds) {
+                pruneSessionByAge(sessionId, config, now, result);
+                // Yield between sessions - downsampling is CPU-bound
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            if (config.maxProfileStorageMB > 0) {
+                enforceProfileCap(profileId, sessionIds, config, now, result);
+            }
+        }
+
+        result.at = new Date().toISOString();
+        console.log(
+            `[Retention] Downsampled ${result.downsampled}, deleted ${result.deleted}, ` +
+                `freed ${Math.round(result.freedBytes / 1024 / 1024)} MB, ${result.thumbnails} thumbnails backfilled`
+        );
+        return result;
+    })()
+        .then(result => {
+            lastPrune = result;
+            return result;
+        })
+        .finally(() => {
+            prunePromise = null;
+        });
+
+    return prunePromise;
+}
+
+// ============ LIFECYCLE ============
+
+function runScheduledPrune() {
+    pruneNow().catch(error => {
+        console.error('[Retention] Prune failed:', error);
+    });
+}
+
+/**
+ * Start the background pruner
+ */
+function startRetention() {
+    const config = getConfig();
+    if (pruneIntervalId || !config.enabled) return;
+
+    firstPruneTimeout = setTimeout(runScheduledPrune, FIRST_PRUNE_DELAY_MS);
+    pruneIntervalId = setInterval(runScheduledPrune, config.pruneIntervalHours * 60 * 60 * 1000);
+}
+
+function stopRetention() {
+    clearTimeout(firstPruneTimeout);
+    clearInterval(pruneIntervalId);
+    firstPruneTimeout = null;
+    pruneIntervalId = null;
+}
+
+// ============ USAGE ============
+
+/**
+ * Disk usage by category and by profile, for the settings view
+ * @returns {{totalBytes: number, categories: Object<string, number>, profiles: Array<{profileId: string, name: string, bytes: number}>, lastPrune: PruneResult|null}}
+ */
+function getStorageReport() {
+    const usage = storage.getStorageUsage();
+    const profiles = storage
+        .getAllProfiles()
+        .map(({ profileId }) => ({
+            profileId,
+            name: storage.getProfile(profileId)?.name || profileId,
+            bytes: storage.getProfileStorageSize(profileId)
+        }))
+        .sort((a, b) => b.bytes - a.bytes);
+
+    return { ...usage, profiles, lastPrune };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    IMAGE_STATES,
+
+    // Config
+    getConfig,
+    setConfig,
+
+    // Thumbnails
+    saveThumbnail,
+
+    // Pruning
+    pruneNow,
+    startRetention,
+    stopRetention,
+
+    // Usage
+    getStorageReport
+};
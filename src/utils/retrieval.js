@@ -0,0 +1,458 @@
+// retrieval.js - Historical Retrieval Service
+// BM25 index over a profile's session summaries, answered questions and task records,
+// so the model gets the history relevant to what the user is doing now
+
+const search = require('./search');
+const titleParsers = require('./titleParsers');
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+const DOC_TYPES = {
+    SUMMARY: 'summary',
+    QA: 'qa',
+    TASK: 'task'
+};
+
+// Most recent sessions whose tasks are indexed. Answered questions are indexed from every
+// session of the profile, since an old answer is still the answer.
+const MAX_TASK_SESSIONS = 30;
+const MAX_EXCERPT_CHARS = 400;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Questions at least this similar (Dice overlap of their content words) are treated as the same question
+const DUPLICATE_QUESTION_SIMILARITY = 0.6;
+
+// Words that make a sentence a question rather than say what it is about
+const QUESTION_WORDS = new Set([
+    'why', 'what', 'which', 'when', 'where', 'who', 'how', 'do', 'does', 'did', 'doing', 'can', 'could', 'would',
+    'should', 'will', 'were', 'these', 'those', 'there', 'here', 'they', 'them', 'some', 'any', 'about', 'into',
+    'usually', 'typically', 'always', 'just', 'me', 'my', 'we', 'our', 're', 've'
+]);
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} HistoryDoc
+ * @property {string} id - '<type>:<session id>:<record id>'
+ * @property {'summary'|'qa'|'task'} type
+ * @property {string} sessionId
+ * @property {string|null} date - ISO time of the record
+ * @property {string} title - Task name, question, or 'Session summary'
+ * @property {string} excerpt - One line for the prompt, at most MAX_EXCERPT_CHARS
+ * @property {Object} record - Fields the caller may want: {question, answer} for Q&A, {name, apps} for tasks
+ * @property {Set<string>} [questionTerms] - Q&A only: content words of the question, for duplicate checks
+ * @property {Map<string, number>} termFreqs
+ * @property {number} length - Term count
+ */
+
+/**
+ * @typedef {Object} AnsweredQuestion
+ * @property {string} id - Question ID
+ * @property {string} sessionId
+ * @property {string} question
+ * @property {string} answer
+ * @property {string|null} date - When it was answered
+ * @property {number} similarity - 0-1, to the question looked up
+ */
+
+/**
+ * @typedef {Object} HistoryHit
+ * @property {HistoryDoc} doc
+ * @property {number} score
+ * @property {string[]} matchedTerms
+ */
+
+// ============ STATE ============
+
+let profileId = null;
+let sessionIds = new Set(); // Profile sessions, whose answers belong in the index
+let taskSessionIds = new Set(); // Recent sessions, whose tasks belong in the index
+let docs = new Map(); // doc ID -> HistoryDoc
+let skippedQuestions = new Map(); // session ID -> content words of each question skipped in a digest review
+let postings = new Map(); // term -> Set of doc IDs
+let totalLength = 0;
+let listening = false;
+
+// ============ DOCUMENTS ============
+
+function toIsoTime(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function formatDay(iso) {
+    return iso ? new Date(iso).toLocaleDateString() : 'earlier';
+}
+
+function truncate(text, maxChars) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > maxChars ? `${flat.substring(0, maxChars - 1)}…` : flat;
+}
+
+function summaryDoc(summary) {
+    const date = toIsoTime(summary.date);
+    const tasks = summary.tasksCompleted || [];
+    return {
+        id: `${DOC_TYPES.SUMMARY}:${summary.sessionId}:summary`,
+        type: DOC_TYPES.SUMMARY,
+        sessionId: summary.sessionId,
+        date,
+        title: 'Session summary',
+        text: [summary.brief, ...tasks, ...(summary.appsUsed || []), ...(summary.newObservations || [])].join('\n'),
+        excerpt: truncate(`Session ${formatDay(date)}: ${summary.brief || tasks.join(', ')}`, MAX_EXCERPT_CHARS),
+        record: { brief: summary.brief, tasksCompleted: tasks }
+    };
+}
+
+// ============ QUESTION SIMILARITY ============
+
+// Crude suffix stripping, so 'exporting', 'exports' and 'exported' match 'export'
+function stem(term) {
+    if (term.length > 5 && term.endsWith('ing')) return term.slice(0, -3);
+    if (term.length > 4 && term.endsWith('ed')) return term.slice(0, -2);
+    if (term.length > 4 && term.endsWith('es')) return term.slice(0, -2);
+    if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+    return term;
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>} Stemmed content words
+ */
+function questionTerms(text) {
+    return new Set(search.tokenize(text).filter(term => !QUESTION_WORDS.has(term)).map(stem));
+}
+
+function termOverlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) {
+        if (b.has(term)) shared++;
+    }
+    return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * How alike two questions are, by the content words they share
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+function questionSimilarity(a, b) {
+    return termOverlap(questionTerms(a), questionTerms(b));
+}
+
+/**
+ * The answer plus whatever follow-ups added, as one line
+ * @param {Object} question - Answered question
+ * @returns {string}
+ */
+function threadAnswer(question) {
+    const followUps = (question.followUps || []).filter(followUp => followUp.answer);
+    return [question.answer, ...followUps.map(followUp => `(${followUp.question}) ${followUp.answer}`)].join(' ');
+}
+
+function questionDoc(sessionId, question) {
+    const date = toIsoTime(question.answeredAt || question.timestamp);
+    const answer = threadAnswer(question);
+    return {
+        id: `${DOC_TYPES.QA}:${sessionId}:${question.id}`,
+        type: DOC_TYPES.QA,
+        sessionId,
+        date,
+        title: question.question,
+        // The trigger says what was on screen when it was asked, which is what later activity will resemble
+        text: [question.question, answer, question.triggerContext].join('\n'),
+        excerpt: truncate(`Q (${formatDay(date)}): ${question.question} A: ${answer}`, MAX_EXCERPT_CHARS),
+        record: { id: question.id, question: question.question, answer, date },
+        questionTerms: questionTerms(question.question)
+    };
+}
+
+function taskDoc(sessionId, task) {
+    const segments = task.applications || [];
+    const apps = [...new Set(segments.map(segment => segment.app).filter(Boolean))];
+    const artifacts = titleParsers.uniqueArtifacts(segments.flatMap(segment => segment.artifacts || [])).map(titleParsers.describeArtifact);
+    const windows = [...new Set(segments.map(segment => segment.windowTitle).filter(Boolean))];
+    const date = toIsoTime(task.startTime);
+
+    const details = [apps.join(', '), artifacts.slice(0, 3).join('; '), task.userExplanation].filter(Boolean).join(' - ');
+    return {
+        id: `${DOC_TYPES.TASK}:${sessionId}:${task.id}`,
+        type: DOC_TYPES.TASK,
+        sessionId,
+        date,
+        title: task.name,
+        text: [task.name, task.userExplanation, ...apps, ...artifacts, ...windows].filter(Boolean).join('\n'),
+        excerpt: truncate(`Task (${formatDay(date)}): ${task.name}${details ? ` - ${details}` : ''}`, MAX_EXCERPT_CHARS),
+        record: { name: task.name, apps }
+    };
+}
+
+// ============ INDEX MAINTENANCE ============
+
+function removeDoc(docId) {
+    const doc = docs.get(docId);
+    if (!doc) return;
+
+    for (const term of doc.termFreqs.keys()) {
+        const posting = postings.get(term);
+        posting.delete(docId);
+        if (posting.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(docId);
+}
+
+function putDoc(doc) {
+    removeDoc(doc.id);
+
+    const terms = search.tokenize(doc.text);
+    const termFreqs = new Map();
+    for (const term of terms) {
+        termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+    }
+    for (const term of termFreqs.keys()) {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(doc.id);
+    }
+
+    docs.set(doc.id, { ...doc, termFreqs, length: terms.length });
+    totalLength += terms.length;
+}
+
+/**
+ * Replace one type of a session's documents (tasks and questions are saved as whole lists)
+ */
+function replaceSessionDocs(type, sessionId, newDocs) {
+    const prefix = `${type}:${sessionId}:`;
+    for (const docId of [...docs.keys()]) {
+        if (docId.startsWith(prefix)) removeDoc(docId);
+    }
+    newDocs.forEach(putDoc);
+}
+
+function indexTasks(sessionId, tasks) {
+    replaceSessionDocs(
+        DOC_TYPES.TASK,
+        sessionId,
+        (tasks || []).filter(task => task.name).map(task => taskDoc(sessionId, task))
+    );
+}
+
+function indexQuestions(sessionId, questions) {
+    replaceSessionDocs(
+        DOC_TYPES.QA,
+        sessionId,
+        (questions || []).filter(question => question.status === 'answered' && question.answer).map(question => questionDoc(sessionId, question))
+    );
+
+    // Not searchable history, only kept so the same question isn't asked again
+    const skipped = (questions || []).filter(question => question.status === 'dismissed' && question.answeredVia === 'digest');
+    if (skipped.length > 0) {
+        skippedQuestions.set(sessionId, skipped.map(question => questionTerms(question.question)));
+    } else {
+        skippedQuestions.delete(sessionId);
+    }
+}
+
+// ============ INCREMENTAL UPDATES ============
+
+function handleRecordSaved({ kind, profileId: savedProfileId, sessionId, record, records }) {
+    if (!profileId) return;
+
+    try {
+        if (kind === 'summary' && savedProfileId === profileId) {
+            sessionIds.add(sessionId);
+            taskSessionIds.add(sessionId);
+            putDoc(summaryDoc(record));
+        } else if (kind === 'tasks' && taskSessionIds.has(sessionId)) {
+            indexTasks(sessionId, records);
+        } else if (kind === 'questions' && sessionIds.has(sessionId)) {
+            indexQuestions(sessionId, records);
+        }
+    } catch (error) {
+        console.error(`[Retrieval] Failed to index ${kind} record:`, error.message);
+    }
+}
+
+function startListening() {
+    if (listening) return;
+    listening = true;
+    storage.storageEvents.on('storage:record-saved', handleRecordSaved);
+    storage.storageEvents.on('storage:profile-deleted', ({ profileId: deletedId }) => {
+        if (deletedId === profileId) unloadHistoryIndex();
+    });
+    storage.storageEvents.on('storage:cleared', unloadHistoryIndex);
+}
+
+// ============ LIFECYCLE ============
+
+/**
+ * Build the index for a profile: every session's answers and summary, and the tasks
+ * of its MAX_TASK_SESSIONS most recent sessions. Records saved afterwards
+ * (this session's answers and tasks, new summaries) are added as they are written.
+ * @param {string} forProfileId
+ * @param {string} [currentSessionId] - Indexed as it fills, though it has no files yet
+ * @returns {{docCount: number}}
+ */
+function loadHistoryIndex(forProfileId, currentSessionId) {
+    unloadHistoryIndex();
+    startListening();
+    profileId = forProfileId;
+
+    const sessions = storage
+        .getProfileSessions(forProfileId)
+        .sort((a, b) => new Date(b.startTime || 0) - new Date(a.startTime || 0));
+
+    sessions.forEach((session, i) => {
+        sessionIds.add(session.id);
+        indexQuestions(session.id, storage.getSessionQuestions(session.id));
+        if (i < MAX_TASK_SESSIONS) {
+            taskSessionIds.add(session.id);
+            indexTasks(session.id, storage.getSessionTasks(session.id));
+        }
+    });
+    if (currentSessionId) {
+        sessionIds.add(currentSessionId);
+        taskSessionIds.add(currentSessionId);
+    }
+
+    for (const summary of storage.getAllSessionSummariesForProfile(forProfileId)) {
+        if (summary.sessionId) putDoc(summaryDoc(summary));
+    }
+
+    return { docCount: docs.size };
+}
+
+function unloadHistoryIndex() {
+    profileId = null;
+    sessionIds = new Set();
+    taskSessionIds = new Set();
+    docs = new Map();
+    skippedQuestions = new Map();
+    postings = new Map();
+    totalLength = 0;
+}
+
+// ============ QUERIES ============
+
+/**
+ * Rank indexed records against a free-text description of the current activity.
+ * Any query term may match (unlike search, which needs all of them).
+ * @param {string} query
+ * @param {{types?: string[], limit?: number}} [options]
+ * @returns {HistoryHit[]} Best first; ties go to the more recent record
+ */
+function queryHistory(query, options = {}) {
+    const terms = [...new Set(search.tokenize(query))].filter(term => postings.has(term));
+    if (terms.length === 0 || docs.size === 0) return [];
+
+    const avgLength = totalLength / docs.size || 1;
+    const hits = new Map(); // doc ID -> HistoryHit
+
+    for (const term of terms) {
+        const posting = postings.get(term);
+        const idf = Math.log(1 + (docs.size - posting.size + 0.5) / (posting.size + 0.5));
+
+        for (const docId of posting) {
+            const doc = docs.get(docId);
+            if (options.types?.length && !options.types.includes(doc.type)) continue;
+
+            const tf = doc.termFreqs.get(term);
+            const score = (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * doc.length) / avgLength));
+
+            const hit = hits.get(docId) || { doc, score: 0, matchedTerms: [] };
+            hit.score += score;
+            hit.matchedTerms.push(term);
+            hits.set(docId, hit);
+        }
+    }
+
+    return [...hits.values()]
+        .sort((a, b) => b.score - a.score || String(b.doc.date).localeCompare(String(a.doc.date)))
+        .slice(0, options.limit || 20);
+}
+
+/**
+ * Find an earlier answer to (nearly) the same question, in this profile's indexed sessions
+ * @param {string} question
+ * @param {number} [minSimilarity]
+ * @returns {AnsweredQuestion|null} The most similar, the most recent on ties
+ */
+function findAnsweredQuestion(question, minSimilarity = DUPLICATE_QUESTION_SIMILARITY) {
+    const terms = questionTerms(question);
+    let best = null;
+
+    for (const doc of docs.values()) {
+        if (doc.type !== DOC_TYPES.QA) continue;
+
+        const similarity = termOverlap(terms, doc.questionTerms);
+        if (similarity < minSimilarity) continue;
+        if (!best || similarity > best.similarity || (similarity === best.similarity && String(doc.date) > String(best.date))) {
+            best = { id: doc.record.id, sessionId: doc.sessionId, question: doc.record.question, answer: doc.record.answer, date: doc.date, similarity };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Whether the user skipped (nearly) the same question in a digest review, in this profile's indexed sessions
+ * @param {string} question
+ * @param {number} [minSimilarity]
+ * @returns {boolean}
+ */
+function wasQuestionSkipped(question, minSimilarity = DUPLICATE_QUESTION_SIMILARITY) {
+    const terms = questionTerms(question);
+    for (const sessionSkipped of skippedQuestions.values()) {
+        if (sessionSkipped.some(skippedTerms => termOverlap(terms, skippedTerms) >= minSimilarity)) return true;
+    }
+    return false;
+}
+
+/**
+ * Latest session summaries, for when nothing matches the current activity
+ * @param {number} limit
+ * @returns {HistoryDoc[]} Newest first
+ */
+function getRecentHistory(limit) {
+    return [...docs.values()]
+        .filter(doc => doc.type === DOC_TYPES.SUMMARY)
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+        .slice(0, limit);
+}
+
+/**
+ * @returns {{profileId: string|null, docCount: number, termCount: number}}
+ */
+function getHistoryIndexStatus() {
+    return { profileId, docCount: docs.size, termCount: postings.size };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    DOC_TYPES,
+    DUPLICATE_QUESTION_SIMILARITY,
+
+    // Lifecycle
+    loadHistoryIndex,
+    unloadHistoryIndex,
+
+    // Queries
+    queryHistory,
+    getRecentHistory,
+    getHistoryIndexStatus,
+
+    // Question Similarity
+    questionSimilarity,
+    findAnsweredQuestion,
+    wasQuestionSkipped
+};
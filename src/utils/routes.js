@@ -0,0 +1,295 @@
+// routes.js - URL Route Templating Service
+// Normalizes URLs into route templates (/invoices/8812/edit -> /invoices/:id/edit) and
+// builds a catalog of which pages of each web system were used, how often and in which tasks
+
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+// Path segment shapes replaced by a placeholder, checked in order
+const SEGMENT_PATTERNS = [
+    { placeholder: ':uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+    { placeholder: ':date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    { placeholder: ':id', pattern: /^\d+$/ },
+    { placeholder: ':key', pattern: /^[A-Z][A-Z0-9_]{1,9}-\d+$/ }, // Jira-style issue keys
+    { placeholder: ':email', pattern: /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i },
+    { placeholder: ':hash', pattern: /^[0-9a-f]{16,}$/i },
+    // Opaque ids: long, and mixing letters with digits (Google doc ids, Salesforce ids)
+    { placeholder: ':token', pattern: /^(?=.*\d)(?=.*[a-z])[\w-]{15,}$/i },
+    // Long mixed-case tokens without digits (Gmail message ids); slugs are lowercase
+    { placeholder: ':token', pattern: /^(?=.*[a-z])(?=.*[A-Z])[\w-]{20,}$/ },
+    // Prefixed ids like inv_8812 or ORD-2024-0042
+    { placeholder: ':id', pattern: /^[a-z]{1,6}[-_]?\d[\d-]{2,}$/i },
+    // Anything else long with digits in it (base64 message ids and the like)
+    { placeholder: ':token', pattern: /^(?=.*\d)\S{24,}$/ }
+];
+
+// Query parameters that pick a view rather than a record, kept (with their values) by default
+const DEFAULT_KEPT_PARAMS = ['view', 'tab', 'mode', 'action', 'type', 'section'];
+
+// Built-in rules for common web systems; user rules in route-config.json take precedence
+const BUILTIN_DOMAIN_RULES = [
+    { host: 'mail.google.com', name: 'Gmail', hashRouting: true, keepParams: [] },
+    { host: 'docs.google.com', name: 'Google Docs' },
+    { host: '*.atlassian.net', name: 'Jira', keepParams: ['selectedIssue'], templates: ['/jira/software/projects/:project/boards/:id'] },
+    { host: '*.lightning.force.com', name: 'Salesforce' },
+    { host: '*.zendesk.com', name: 'Zendesk' },
+    { host: '*.service-now.com', name: 'ServiceNow', keepParams: ['sysparm_view'] },
+    { host: '*.netsuite.com', name: 'NetSuite', keepParams: [] },
+    { host: 'outlook.office.com', name: 'Outlook' },
+    { host: 'github.com', name: 'GitHub', templates: ['/:owner/:repo/pull/:id/*', '/:owner/:repo/pull/:id', '/:owner/:repo/issues/:id', '/:owner/:repo/blob/:branch/*', '/:owner/:repo'] }
+];
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} DomainRule
+ * @property {string} host - Hostname, or '*.example.com' for any subdomain
+ * @property {string} [name] - System name for the catalog (defaults to the host)
+ * @property {boolean} [hashRouting] - Template the #fragment too (single-page apps routing on the hash)
+ * @property {string[]} [keepParams] - Query parameters kept in the route (replaces the defaults)
+ * @property {string[]} [templates] - Explicit routes, e.g. '/customers/:slug'. ':name' matches one
+ *   segment, a trailing '*' the rest of the path. Tried before the heuristics.
+ */
+
+/**
+ * @typedef {Object} RouteInfo
+ * @property {string} host
+ * @property {string} system - Rule name or host
+ * @property {string} route - Templated path, plus kept query and hash route
+ */
+
+/**
+ * @typedef {Object} PageCatalogEntry
+ * @property {string} route
+ * @property {number} visits - Times the user opened the page (another record on it counts again)
+ * @property {number} time - Approximate seconds spent on it
+ * @property {string[]} workflows - Tasks the page was used in, most frequent first
+ * @property {string} [sampleTitle] - A page title seen on it
+ */
+
+/**
+ * @typedef {Object} WebSystemCatalog
+ * @property {string} system
+ * @property {string[]} hosts
+ * @property {number} visits
+ * @property {number} time
+ * @property {PageCatalogEntry[]} pages - Most used first
+ */
+
+// ============ RULES ============
+
+/**
+ * @returns {DomainRule[]} User rules first, then the built-ins
+ */
+function getDomainRules() {
+    const { domainRules } = storage.getRouteConfig();
+    return [...(domainRules || []), ...BUILTIN_DOMAIN_RULES];
+}
+
+function hostMatches(ruleHost, host) {
+    if (ruleHost.startsWith('*.')) {
+        const base = ruleHost.slice(2);
+        return host === base || host.endsWith(`.${base}`);
+    }
+    return host === ruleHost;
+}
+
+/**
+ * @param {string} host
+ * @param {DomainRule[]} [rules]
+ * @returns {DomainRule|null}
+ */
+function findDomainRule(host, rules = getDomainRules()) {
+    return rules.find(rule => hostMatches(rule.host.toLowerCase(), host)) || null;
+}
+
+// ============ TEMPLATING ============
+
+function templateSegment(segment) {
+    let decoded = segment;
+    try {
+        decoded = decodeURIComponent(segment);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+    const match = SEGMENT_PATTERNS.find(({ pattern }) => pattern.test(decoded));
+    return match ? match.placeholder : decoded.toLowerCase();
+}
+
+/**
+ * Match a path against an explicit template
+ * @param {string[]} segments
+ * @param {string} template
+ * @returns {boolean}
+ */
+function matchesTemplate(segments, template) {
+    const parts = template.split('/').filter(Boolean);
+    const wildcard = parts[parts.length - 1] === '*';
+    const fixed = wildcard ? parts.slice(0, -1) : parts;
+
+    if (wildcard ? segments.length < fixed.length : segments.length !== fixed.length) return false;
+    return fixed.every((part, i) => part.startsWith(':') || part.toLowerCase() === segments[i].toLowerCase());
+}
+
+/**
+ * @param {string} pathname
+ * @param {string[]} [templates]
+ * @returns {string}
+ */
+function templatePath(pathname, templates = []) {
+    const segments = pathname.split('/').filter(Boolean);
+
+    const template = templates.find(t => matchesTemplate(segments, t));
+    if (template) return template;
+
+    // Empty segments are dropped, so '/orders' and '/orders/' are one page
+    return '/' + segments.map(templateSegment).join('/');
+}
+
+function templateQuery(searchParams, keepParams) {
+    const kept = [...new Set(keepParams)]
+        .filter(name => searchParams.has(name))
+        .sort()
+        .map(name => `${name}=${templateSegment(searchParams.get(name))}`);
+    return kept.length > 0 ? `?${kept.join('&')}` : '';
+}
+
+// Hash routes: '#/orders/12', '#!/orders/12', or (with hashRouting) Gmail's '#inbox/FMfcg...'
+function templateHash(hash, hashRouting) {
+    const fragment = hash.replace(/^#!?/, '');
+    if (!fragment) return '';
+    if (!fragment.startsWith('/') && !hashRouting) return '';
+
+    const route = templatePath(fragment.split('?')[0]);
+    return '#' + (fragment.startsWith('/') ? route : route.slice(1));
+}
+
+/**
+ * Turn a URL into its route template
+ * @param {string} url
+ * @param {DomainRule[]} [rules] - Pass when templating many URLs, to read the config once
+ * @returns {RouteInfo|null} null for URLs that aren't http(s), or don't parse
+ */
+function templateUrl(url, rules) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const rule = findDomainRule(host, rules);
+
+    const route =
+        templatePath(parsed.pathname, rule?.templates) +
+        templateQuery(parsed.searchParams, rule?.keepParams || DEFAULT_KEPT_PARAMS) +
+        templateHash(parsed.hash, rule?.hashRouting);
+
+    return { host, system: rule?.name || host, route };
+}
+
+// ============ PAGE CATALOG ============
+
+/**
+ * Build the catalog of web pages used, from screenshots and the tasks they belong to
+ * @param {Object[]} screenshots - Screenshot metadata in capture order (url, pageTitle, elapsedSinceLast, elapsedUrl)
+ * @param {Object[]} tasks - Tasks with screenshot IDs and names
+ * @returns {WebSystemCatalog[]} Most used system first
+ */
+function buildPageCatalog(screenshots, tasks = []) {
+    const rules = getDomainRules();
+    const taskNameByScreenshot = new Map();
+    for (const task of tasks) {
+        for (const screenshotId of task.screenshots || []) {
+            taskNameByScreenshot.set(screenshotId, task.name || 'Unnamed task');
+        }
+    }
+
+    const systems = new Map();
+    const getPage = info => {
+        if (!systems.has(info.system)) {
+            systems.set(info.system, { system: info.system, hosts: new Set(), visits: 0, time: 0, pages: new Map() });
+        }
+        const system = systems.get(info.system);
+        system.hosts.add(info.host);
+
+        if (!system.pages.has(info.route)) {
+            system.pages.set(info.route, { route: info.route, visits: 0, time: 0, workflowCounts: new Map(), sampleTitle: null });
+        }
+        return { system, page: system.pages.get(info.route) };
+    };
+    let previousUrl = null;
+
+    for (const screenshot of screenshots) {
+        // The time since the previous capture belongs to the page on screen until this one.
+        // Records from before elapsedApp was kept only have their own URL.
+        const elapsedUrl = screenshot.elapsedApp !== undefined ? screenshot.elapsedUrl : screenshot.url;
+        const elapsedInfo = elapsedUrl ? templateUrl(elapsedUrl, rules) : null;
+        if (elapsedInfo) {
+            const seconds = screenshot.elapsedSinceLast || 0;
+            const { system, page } = getPage(elapsedInfo);
+            page.time += seconds;
+            system.time += seconds;
+        }
+
+        const info = screenshot.url ? templateUrl(screenshot.url, rules) : null;
+        if (!info) {
+            previousUrl = null;
+            continue;
+        }
+        const { system, page } = getPage(info);
+
+        // Consecutive captures of the same URL are one visit
+        if (screenshot.url !== previousUrl) {
+            page.visits++;
+            system.visits++;
+        }
+        previousUrl = screenshot.url;
+
+        page.sampleTitle = page.sampleTitle || screenshot.pageTitle || screenshot.windowTitle || null;
+
+        const taskName = taskNameByScreenshot.get(screenshot.id);
+        if (taskName) {
+            page.workflowCounts.set(taskName, (page.workflowCounts.get(taskName) || 0) + 1);
+        }
+    }
+
+    return [...systems.values()]
+        .map(system => ({
+            system: system.system,
+            hosts: [...system.hosts],
+            visits: system.visits,
+            time: system.time,
+            pages: [...system.pages.values()]
+                .map(page => ({
+                    route: page.route,
+                    visits: page.visits,
+                    time: page.time,
+                    workflows: [...page.workflowCounts.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name),
+                    sampleTitle: page.sampleTitle || undefined
+                }))
+                .sort((a, b) => b.time - a.time || b.visits - a.visits)
+        }))
+        .sort((a, b) => b.time - a.time || b.visits - a.visits);
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    BUILTIN_DOMAIN_RULES,
+
+    // Rules
+    getDomainRules,
+    findDomainRule,
+
+    // Templating
+    templateUrl,
+    templatePath,
+
+    // Page catalog
+    buildPageCatalog
+};
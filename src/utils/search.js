@@ -0,0 +1,698 @@
+// search.js - Full-Text Search Service
+// Local inverted index over window titles, URLs, OCR text, tasks, Q&A answers, interviews
+// and session summaries for every profile, updated as storage writes new records
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const titleParsers = require('./titleParsers');
+const storage = require('../storage');
+
+// ============ CONSTANTS ============
+
+const INDEX_VERSION = 1;
+
+const DOC_TYPES = {
+    SCREENSHOT: 'screenshot', // Window, URL and OCR text of a stored frame
+    WINDOW: 'window', // Distinct app/window title/URL seen in a session
+    TASK: 'task',
+    QUESTION: 'question', // Answered clarification question
+    SUMMARY: 'summary', // Session summary
+    INTERVIEW: 'interview' // One interview message
+};
+
+// What a result opens in the search view
+const TARGET_TYPES = {
+    SESSION: 'session',
+    TASK: 'task',
+    SCREENSHOT: 'screenshot',
+    PROFILE: 'profile'
+};
+
+const TARGET_BY_DOC_TYPE = {
+    [DOC_TYPES.SCREENSHOT]: TARGET_TYPES.SCREENSHOT,
+    [DOC_TYPES.WINDOW]: TARGET_TYPES.SESSION,
+    [DOC_TYPES.TASK]: TARGET_TYPES.TASK,
+    [DOC_TYPES.QUESTION]: TARGET_TYPES.SESSION,
+    [DOC_TYPES.SUMMARY]: TARGET_TYPES.SESSION,
+    [DOC_TYPES.INTERVIEW]: TARGET_TYPES.PROFILE
+};
+
+const MAX_DOC_TEXT_CHARS = 4000; // Longer OCR pages are cut here, for indexing and snippets alike
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+const MAX_PREFIX_EXPANSIONS = 50; // Terms the last (still being typed) query word may expand to
+const TITLE_BOOST = 2;
+const SNIPPET_RADIUS = 80;
+const DEFAULT_RESULT_LIMIT = 50;
+const SAVE_DELAY_MS = 5000; // Screenshots land every few seconds - batch index writes
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'you', 'your', 'not', 'but', 'have', 'has', 'of', 'to', 'in', 'on', 'at', 'is', 'it', 'an', 'as', 'be', 'by', 'or']);
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} SearchDoc
+ * @property {string} id - '<type>:<owner id>:<record id>'
+ * @property {'screenshot'|'window'|'task'|'question'|'summary'|'interview'} type
+ * @property {string|null} profileId - Null until the session's profile is known
+ * @property {string|null} sessionId - Null for interview messages
+ * @property {string|null} refId - Screenshot, task, question or message ID
+ * @property {string} title
+ * @property {string} text - Body, cut to MAX_DOC_TEXT_CHARS
+ * @property {string|null} timestamp - ISO time of the record
+ * @property {string} [thumbnailPath] - Screenshots only
+ * @property {string[]} terms - Distinct indexed terms (for removal)
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {number} version
+ * @property {string|null} updatedAt
+ * @property {Object<string, SearchDoc>} docs
+ * @property {Object<string, Object<string, number>>} postings - term -> doc ID -> term frequency
+ * @property {Object<string, string>} sessionProfiles - Session ID -> profile ID (session data dirs don't know their profile)
+ */
+
+/**
+ * @typedef {Object} SearchTarget
+ * @property {'session'|'task'|'screenshot'|'profile'} type
+ * @property {string|null} profileId
+ * @property {string|null} sessionId
+ * @property {string} [taskId]
+ * @property {string} [screenshotId]
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} id - Doc ID
+ * @property {string} type - Doc type
+ * @property {SearchTarget} target
+ * @property {string} title
+ * @property {string} snippet - Body text around the first match
+ * @property {string[]} matchedTerms - Index terms that matched, for highlighting
+ * @property {string|null} profileName
+ * @property {string|null} [thumbnail] - Data URL, screenshots only
+ * @property {string|null} timestamp
+ * @property {number} score
+ */
+
+// ============ STATE ============
+
+let index = null; // SearchIndex while storage is readable
+let dirty = false;
+let saveTimer = null;
+let rebuildPromise = null;
+let listening = false;
+
+// ============ TOKENIZING ============
+
+/**
+ * Split text into lowercase index terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH && !STOP_WORDS.has(term));
+}
+
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+}
+
+function toIsoTime(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ============ INDEX MAINTENANCE ============
+
+/**
+ * @returns {SearchIndex}
+ */
+function createEmptyIndex() {
+    return { version: INDEX_VERSION, updatedAt: null, docs: {}, postings: {}, sessionProfiles: {} };
+}
+
+function removeDoc(docId) {
+    const doc = index.docs[docId];
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+        const posting = index.postings[term];
+        if (!posting) continue;
+        delete posting[docId];
+        if (Object.keys(posting).length === 0) {
+            delete index.postings[term];
+        }
+    }
+    delete index.docs[docId];
+    dirty = true;
+}
+
+/**
+ * Add or replace a document. Unchanged documents are left alone, so
+ * re-saving a whole task list only reindexes the tasks that changed.
+ * @param {Omit<SearchDoc, 'terms'>} doc
+ */
+function putDoc(doc) {
+    const text = (doc.text || '').substring(0, MAX_DOC_TEXT_CHARS);
+    const existing = index.docs[doc.id];
+    if (existing && existing.title === doc.title && existing.text === text) {
+        return;
+    }
+
+    removeDoc(doc.id);
+
+    const counts = {};
+    for (const term of tokenize(`${doc.title}\n${text}`)) {
+        counts[term] = (counts[term] || 0) + 1;
+    }
+    const terms = Object.keys(counts);
+    if (terms.length === 0) return;
+
+    for (const term of terms) {
+        if (!index.postings[term]) {
+            index.postings[term] = {};
+        }
+        index.postings[term][doc.id] = counts[term];
+    }
+    index.docs[doc.id] = { ...doc, text, terms };
+    dirty = true;
+}
+
+/**
+ * Replace every document under an ID prefix (a session's tasks, a profile's interview)
+ * @param {string} prefix
+ * @param {Array<Omit<SearchDoc, 'terms'>>} docs
+ */
+function replaceDocs(prefix, docs) {
+    const keep = new Set(docs.map(doc => doc.id));
+    for (const docId of Object.keys(index.docs)) {
+        if (docId.startsWith(prefix) && !keep.has(docId)) {
+            removeDoc(docId);
+        }
+    }
+    docs.forEach(putDoc);
+}
+
+function setSessionProfile(sessionId, profileId) {
+    if (!sessionId || !profileId || index.sessionProfiles[sessionId] === profileId) return;
+    index.sessionProfiles[sessionId] = profileId;
+    dirty = true;
+}
+
+// ============ DOCUMENTS ============
+
+function screenshotDoc(sessionId, screenshot) {
+    return {
+        id: `${DOC_TYPES.SCREENSHOT}:${sessionId}:${screenshot.id}`,
+        type: DOC_TYPES.SCREENSHOT,
+        profileId: null,
+        sessionId,
+        refId: screenshot.id,
+        title: [screenshot.activeApplication, screenshot.windowTitle].filter(Boolean).join(' - '),
+        text: [screenshot.pageTitle, screenshot.url, screenshot.ocrText].filter(Boolean).join('\n'),
+        timestamp: toIsoTime(screenshot.timestamp),
+        thumbnailPath: screenshot.imagePath ? storage.getScreenshotThumbnailPath(screenshot.imagePath) : null
+    };
+}
+
+// One document per distinct window, however often the user came back to it
+function windowDoc(sessionId, record) {
+    const key = [record.app, record.windowTitle, record.url].join('|');
+    return {
+        id: `${DOC_TYPES.WINDOW}:${sessionId}:${shortHash(key)}`,
+        type: DOC_TYPES.WINDOW,
+        profileId: null,
+        sessionId,
+        refId: null,
+        title: [record.app, record.windowTitle].filter(Boolean).join(' - '),
+        text: record.url || '',
+        timestamp: toIsoTime(record.startTime)
+    };
+}
+
+function taskDoc(sessionId, task) {
+    const windows = (task.applications || []).map(segment => [segment.app, segment.windowTitle].filter(Boolean).join(' - '));
+    // Parsed artifacts add fields window titles don't show, like a Jira summary or a Slack workspace
+    const artifacts = (task.applications || []).flatMap(segment => (segment.artifacts || []).map(titleParsers.describeArtifact));
+    return {
+        id: `${DOC_TYPES.TASK}:${sessionId}:${task.id}`,
+        type: DOC_TYPES.TASK,
+        profileId: null,
+        sessionId,
+        refId: task.id,
+        title: task.name || 'Untitled task',
+        text: [task.userExplanation, ...new Set([...windows, ...artifacts])].filter(Boolean).join('\n'),
+        timestamp: toIsoTime(task.startTime)
+    };
+}
+
+function questionDoc(sessionId, question) {
+    return {
+        id: `${DOC_TYPES.QUESTION}:${sessionId}:${question.id}`,
+        type: DOC_TYPES.QUESTION,
+        profileId: null,
+        sessionId,
+        refId: question.id,
+        title: question.question,
+        text: [question.answer, ...(question.followUps || []).filter(f => f.answer).map(f => `${f.question}\n${f.answer}`)].join('\n'),
+        timestamp: toIsoTime(question.answeredAt || question.timestamp)
+    };
+}
+
+function summaryDoc(profileId, summary) {
+    return {
+        id: `${DOC_TYPES.SUMMARY}:${summary.sessionId}`,
+        type: DOC_TYPES.SUMMARY,
+        profileId,
+        sessionId: summary.sessionId,
+        refId: null,
+        title: 'Session summary',
+        text: [summary.brief, ...(summary.tasksCompleted || []), ...(summary.appsUsed || []), ...(summary.newObservations || [])]
+            .filter(Boolean)
+            .join('\n'),
+        timestamp: toIsoTime(summary.date)
+    };
+}
+
+function interviewDocs(profileId, interview) {
+    return (interview.messages || [])
+        .filter(message => message.content)
+        .map((message, i) => ({
+            id: `${DOC_TYPES.INTERVIEW}:${profileId}:${message.id || i}`,
+            type: DOC_TYPES.INTERVIEW,
+            profileId,
+            sessionId: null,
+            refId: message.id || null,
+            title: message.role === 'ai' ? 'Interview question' : 'Interview answer',
+            text: message.content,
+            timestamp: toIsoTime(message.timestamp)
+        }));
+}
+
+function indexTasks(sessionId, tasks) {
+    replaceDocs(`${DOC_TYPES.TASK}:${sessionId}:`, tasks.map(task => taskDoc(sessionId, task)));
+}
+
+function indexQuestions(sessionId, questions) {
+    const answered = questions.filter(question => question.status === 'answered' && question.answer);
+    replaceDocs(`${DOC_TYPES.QUESTION}:${sessionId}:`, answered.map(question => questionDoc(sessionId, question)));
+}
+
+function indexInterview(profileId, interview) {
+    replaceDocs(`${DOC_TYPES.INTERVIEW}:${profileId}:`, interview ? interviewDocs(profileId, interview) : []);
+}
+
+function indexScreenshot(sessionId, screenshot) {
+    // Duplicates point at a frame that's already indexed
+    if (!screenshot.duplicate) {
+        putDoc(screenshotDoc(sessionId, screenshot));
+    }
+}
+
+// ============ INCREMENTAL UPDATES ============
+
+function handleRecordSaved({ kind, profileId, sessionId, record, records }) {
+    if (!index) return;
+
+    try {
+        switch (kind) {
+            case 'screenshot':
+                indexScreenshot(sessionId, record);
+                break;
+            case 'app_usage':
+                putDoc(windowDoc(sessionId, record));
+                break;
+            case 'tasks':
+                indexTasks(sessionId, records);
+                break;
+            case 'questions':
+                indexQuestions(sessionId, records);
+                break;
+            case 'summary':
+                setSessionProfile(sessionId, profileId);
+                putDoc(summaryDoc(profileId, record));
+                break;
+            case 'observation_session':
+                setSessionProfile(sessionId, profileId);
+                break;
+            case 'interview':
+                indexInterview(profileId, record);
+                break;
+        }
+    } catch (error) {
+        console.error(`[Search] Failed to index ${kind} record:`, error.message);
+    }
+
+    scheduleSave();
+}
+
+function handleProfileDeleted({ profileId }) {
+    if (!index) return;
+
+    for (const [docId, doc] of Object.entries(index.docs)) {
+        if (getDocProfileId(doc) === profileId) {
+            removeDoc(docId);
+        }
+    }
+    for (const [sessionId, owner] of Object.entries(index.sessionProfiles)) {
+        if (owner === profileId) {
+            delete index.sessionProfiles[sessionId];
+        }
+    }
+    dirty = true;
+    scheduleSave();
+}
+
+function handleStorageCleared() {
+    if (!index) return;
+    index = createEmptyIndex();
+    dirty = true;
+    scheduleSave();
+}
+
+function startListening() {
+    if (listening) return;
+    listening = true;
+    storage.storageEvents.on('storage:record-saved', handleRecordSaved);
+    storage.storageEvents.on('storage:profile-deleted', handleProfileDeleted);
+    storage.storageEvents.on('storage:cleared', handleStorageCleared);
+}
+
+// ============ PERSISTENCE ============
+
+function scheduleSave() {
+    if (!dirty || saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        flushSearchIndex();
+    }, SAVE_DELAY_MS);
+}
+
+/**
+ * Write pending index changes now (on quit and before locking storage)
+ */
+function flushSearchIndex() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    if (!index || !dirty) return;
+
+    index.updatedAt = new Date().toISOString();
+    if (storage.saveSearchIndex(index)) {
+        dirty = false;
+    }
+}
+
+// ============ LIFECYCLE ============
+
+/**
+ * Load the index, rebuilding it in the background if it's missing or outdated.
+ * Call once storage is readable (after startup, or after unlock).
+ */
+function initSearchIndex() {
+    startListening();
+    if (index) return;
+
+    const saved = storage.getSearchIndex();
+    if (saved && saved.version === INDEX_VERSION) {
+        index = saved;
+        return;
+    }
+
+    rebuildSearchIndex().catch(error => {
+        console.error('[Search] Index rebuild failed:', error);
+    });
+}
+
+/**
+ * Drop the in-memory index - it holds decrypted text, so it goes when storage locks
+ */
+function unloadSearchIndex() {
+    flushSearchIndex();
+    index = null;
+}
+
+/**
+ * Reindex everything on disk. Runs in place, yielding between sessions; records
+ * saved meanwhile are indexed as usual and the rebuild's own writes are no-ops for them.
+ * @returns {Promise<{docCount: number}>}
+ */
+function rebuildSearchIndex() {
+    if (rebuildPromise) return rebuildPromise;
+
+    rebuildPromise = (async () => {
+        const startedAt = Date.now();
+        index = createEmptyIndex();
+        dirty = true;
+
+        for (const { profileId } of storage.getAllProfiles()) {
+            indexInterview(profileId, storage.getInterviewSession(profileId));
+            for (const summary of storage.getAllSessionSummariesForProfile(profileId)) {
+                setSessionProfile(summary.sessionId, profileId);
+                putDoc(summaryDoc(profileId, summary));
+            }
+
+            for (const session of storage.getProfileSessions(profileId)) {
+                setSessionProfile(session.id, profileId);
+                storage.getSessionScreenshots(session.id).forEach(screenshot => indexScreenshot(session.id, screenshot));
+                storage.getAppUsageRecords(session.id).forEach(record => putDoc(windowDoc(session.id, record)));
+                indexTasks(session.id, storage.getSessionTasks(session.id));
+                indexQuestions(session.id, storage.getSessionQuestions(session.id));
+
+                await new Promise(resolve => setImmediate(resolve));
+                if (!index) return { docCount: 0 }; // Storage was locked meanwhile
+            }
+        }
+
+        flushSearchIndex();
+        const docCount = index ? Object.keys(index.docs).length : 0;
+        console.log(`[Search] Indexed ${docCount} records in ${Date.now() - startedAt}ms`);
+        return { docCount };
+    })().finally(() => {
+        rebuildPromise = null;
+    });
+
+    return rebuildPromise;
+}
+
+// ============ QUERIES ============
+
+/**
+ * Read an image under the config dir as a data URL
+ * @param {string|null} imagePath
+ * @returns {string|null} null if the file is gone or unreadable
+ */
+function readImageDataUrl(imagePath) {
+    if (!imagePath || !fs.existsSync(imagePath)) return null;
+    try {
+        const mime = path.extname(imagePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
+        return `data:${mime};base64,${storage.readDataFile(imagePath).toString('base64')}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getDocProfileId(doc) {
+    return doc.profileId || index.sessionProfiles[doc.sessionId] || null;
+}
+
+/**
+ * Postings for one query word; the last word also matches as a prefix so results update while typing
+ * @returns {Array<[string, Object<string, number>]>} [term, posting] pairs
+ */
+function getPostings(word, allowPrefix) {
+    const matches = [];
+    if (index.postings[word]) {
+        matches.push([word, index.postings[word]]);
+    }
+    if (allowPrefix) {
+        for (const term of Object.keys(index.postings)) {
+            if (matches.length > MAX_PREFIX_EXPANSIONS) break;
+            if (term !== word && term.startsWith(word)) {
+                matches.push([term, index.postings[term]]);
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Body text around the first matched term
+ * @param {string} text
+ * @param {string[]} terms
+ */
+function buildSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const snippet = text.substring(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * @param {SearchDoc} doc
+ * @returns {SearchTarget}
+ */
+function getTarget(doc) {
+    const type = TARGET_BY_DOC_TYPE[doc.type];
+    const target = { type, profileId: getDocProfileId(doc), sessionId: doc.sessionId };
+    if (type === TARGET_TYPES.TASK) target.taskId = doc.refId;
+    if (type === TARGET_TYPES.SCREENSHOT) target.screenshotId = doc.refId;
+    return target;
+}
+
+/**
+ * Search every indexed record. All words must match; the last may be a prefix.
+ * @param {string} query
+ * @param {{types?: string[], profileId?: string, limit?: number}} [options]
+ * @returns {SearchResult[]}
+ */
+function search(query, options = {}) {
+    if (!index) return [];
+
+    const words = [...new Set(tokenize(query))];
+    if (words.length === 0) return [];
+
+    const docCount = Object.keys(index.docs).length;
+    let candidates = null; // doc ID -> { score, terms }
+
+    words.forEach((word, i) => {
+        const scores = new Map();
+        for (const [term, posting] of getPostings(word, i === words.length - 1)) {
+            const idf = Math.log(1 + docCount / Object.keys(posting).length);
+            for (const [docId, tf] of Object.entries(posting)) {
+                if (candidates && !candidates.has(docId)) continue;
+                const entry = scores.get(docId) || { score: 0, terms: [] };
+                // Saturating tf, so a long OCR page doesn't outrank a task name on repetition alone
+                entry.score += (idf * tf * 2.2) / (tf + 1.2);
+                entry.terms.push(term);
+                scores.set(docId, entry);
+            }
+        }
+
+        const merged = new Map();
+        for (const [docId, entry] of scores) {
+            const previous = candidates?.get(docId) || { score: 0, terms: [] };
+            const titleMatch = entry.terms.some(term => index.docs[docId].title.toLowerCase().includes(term));
+            merged.set(docId, {
+                score: previous.score + entry.score * (titleMatch ? TITLE_BOOST : 1),
+                terms: [...previous.terms, ...entry.terms]
+            });
+        }
+        candidates = merged;
+    });
+
+    const profileNames = {};
+    const getProfileName = profileId => {
+        if (!profileId) return null;
+        if (!(profileId in profileNames)) {
+            profileNames[profileId] = storage.getProfile(profileId)?.name || null;
+        }
+        return profileNames[profileId];
+    };
+
+    return [...candidates.entries()]
+        .map(([docId, { score, terms }]) => ({ doc: index.docs[docId], score, terms }))
+        .filter(({ doc }) => !options.types?.length || options.types.includes(doc.type))
+        .filter(({ doc }) => !options.profileId || getDocProfileId(doc) === options.profileId)
+        .sort((a, b) => b.score - a.score || String(b.doc.timestamp).localeCompare(String(a.doc.timestamp)))
+        .slice(0, options.limit || DEFAULT_RESULT_LIMIT)
+        .map(({ doc, score, terms }) => {
+            const target = getTarget(doc);
+            return {
+                id: doc.id,
+                type: doc.type,
+                target,
+                title: doc.title,
+                snippet: buildSnippet(doc.text, terms),
+                matchedTerms: terms,
+                profileName: getProfileName(target.profileId),
+                thumbnail: doc.type === DOC_TYPES.SCREENSHOT ? readImageDataUrl(doc.thumbnailPath) : null,
+                timestamp: doc.timestamp,
+                score: Math.round(score * 100) / 100
+            };
+        });
+}
+
+/**
+ * Load what a result points at, for the search view's detail pane
+ * @param {SearchTarget} target
+ * @returns {Object|null}
+ */
+function openTarget(target) {
+    const profile = target.profileId ? storage.getProfile(target.profileId) : null;
+
+    if (target.type === TARGET_TYPES.PROFILE) {
+        return { target, profile, interviewSummary: storage.getInterviewSummary(target.profileId) };
+    }
+
+    const session = target.profileId ? storage.getObservationSession(target.profileId, target.sessionId) : null;
+    const summary = target.profileId
+        ? storage.getAllSessionSummariesForProfile(target.profileId).find(s => s.sessionId === target.sessionId) || null
+        : null;
+    const detail = {
+        target,
+        profile,
+        session,
+        summary,
+        tasks: storage.getSessionTasks(target.sessionId),
+        questions: storage.getSessionQuestions(target.sessionId).filter(q => q.status === 'answered')
+    };
+
+    if (target.type === TARGET_TYPES.SCREENSHOT) {
+        const screenshot = storage.getSessionScreenshots(target.sessionId).find(s => s.id === target.screenshotId);
+        if (!screenshot) return detail;
+
+        detail.screenshot = screenshot;
+        // Frames removed by retention still have their thumbnail
+        detail.imageDataUrl = readImageDataUrl(screenshot.imagePath) || readImageDataUrl(screenshot.thumbnailPath);
+    }
+
+    return detail;
+}
+
+/**
+ * @returns {{ready: boolean, rebuilding: boolean, docCount: number, termCount: number, updatedAt: string|null}}
+ */
+function getSearchStatus() {
+    return {
+        ready: index !== null,
+        rebuilding: rebuildPromise !== null,
+        docCount: index ? Object.keys(index.docs).length : 0,
+        termCount: index ? Object.keys(index.postings).length : 0,
+        updatedAt: index?.updatedAt || null
+    };
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    DOC_TYPES,
+    TARGET_TYPES,
+
+    // Lifecycle
+    initSearchIndex,
+    unloadSearchIndex,
+    rebuildSearchIndex,
+    flushSearchIndex,
+
+    // Queries
+    search,
+    openTarget,
+    getSearchStatus,
+    tokenize,
+    readImageDataUrl
+};
@@ -9,6 +9,8 @@ const { captureEvents } = require('./capture');
 const context = require('./context');
 const confusion = require('./confusion');
 const taskDetection = require('./taskDetection');
+const redaction = require('./redaction');
+const presence = require('./presence');
 
 // Event emitter for session events
 const sessionEvents = new EventEmitter();
@@ -26,13 +28,19 @@ let currentConfig = { ...DEFAULT_SESSION_CONFIG };
 let currentSession = null;
 let currentProfile = null;
 let heartbeatInterval = null;
-let idleCheckInterval = null;
-let lastActivityTime = Date.now();
+let idleDetectionActive = false;
 
 // Screenshot analysis state
 let screenshotsSinceLastAnalysis = 0;
 const ANALYSIS_INTERVAL = 3; // Analyze every 3rd screenshot to reduce API costs
 
+// Text-only analysis: a readable OCR layer on an unchanged window stands in for the image
+const OCR_MIN_CONFIDENCE = 70;
+const OCR_MIN_CHARS = 200;
+const MAX_TEXT_ONLY_ANALYSES = 2; // still send an image at least every third analysis
+let lastImageAnalysis = null; // { app, title } of the last analysis that sent an image
+let textOnlyAnalyses = 0;
+
 // ============ ID GENERATION ============
 
 function generateId(prefix = 'sess') {
@@ -179,12 +187,16 @@ function startSession(profileId) {
     return session;
 }
 
+// Pauses that end on their own when the user is back
+const AWAY_PAUSE_REASONS = Object.values(presence.AWAY_REASONS);
+
 /**
  * Pause the current session
- * @param {string} reason - Pause reason ('user' | 'idle' | 'app_closed' | 'system_sleep')
+ * @param {string} reason - Pause reason ('user' | 'idle' | 'locked' | 'sleep' | 'app_closed')
+ * @param {number} [pausedAt] - When the pause began (ms), for pauses detected after the fact
  * @returns {Object} Updated session
  */
-function pauseSession(reason = 'user') {
+function pauseSession(reason = 'user', pausedAt = Date.now()) {
     if (!currentSession) {
         throw new Error('No active session to pause');
     }
@@ -193,13 +205,16 @@ function pauseSession(reason = 'user') {
         throw new Error(`Session is not active (current status: ${currentSession.status})`);
     }
 
+    // Never backdate past the point the session became active
+    pausedAt = Math.max(pausedAt, getLastActiveStart(currentSession));
+
     // Calculate active time since last pause/start
-    const activeTimeSinceStart = calculateActiveTimeSince(currentSession);
+    const activeTimeSinceStart = calculateActiveTimeSince(currentSession, pausedAt);
     currentSession.totalActiveTime += activeTimeSinceStart;
 
     // Add pause record
     const pauseRecord = {
-        pausedAt: new Date().toISOString(),
+        pausedAt: new Date(pausedAt).toISOString(),
         resumedAt: null,
         reason
     };
@@ -215,9 +230,11 @@ function pauseSession(reason = 'user') {
         lastHeartbeat: new Date().toISOString()
     });
 
-    // Stop heartbeat and idle detection
+    // Stop heartbeat; idle detection keeps running through away pauses so the session resumes when the user is back
     stopHeartbeat();
-    stopIdleDetection();
+    if (!AWAY_PAUSE_REASONS.includes(reason)) {
+        stopIdleDetection();
+    }
 
     // Stop listening for screenshot events during pause
     captureEvents.removeListener('screenshot:captured', onScreenshotCaptured);
@@ -286,9 +303,6 @@ function resumeSession(sessionId = null) {
         captureEvents.on('screenshot:captured', onScreenshotCaptured);
     }
 
-    // Reset activity time
-    lastActivityTime = Date.now();
-
     sessionEvents.emit('session:resumed', session);
 
     return session;
@@ -356,53 +370,54 @@ function getCurrentSession() {
 // ============ AUTO-PAUSE (IDLE DETECTION) ============
 
 /**
- * Record activity (resets idle timer)
+ * Record activity from within the app (ends an idle pause early)
  */
 function recordActivity() {
-    lastActivityTime = Date.now();
+    presence.reportActivity();
 }
 
 /**
- * Check if user is idle
- * @returns {boolean} True if idle
+ * Check if user is away (idle, screen locked or asleep)
+ * @returns {boolean} True if away
  */
 function detectIdle() {
-    const idleTime = (Date.now() - lastActivityTime) / 1000;
-    return idleTime >= currentConfig.idleThreshold;
+    return presence.isAway();
 }
 
 /**
- * Start idle detection
+ * Start idle detection - follows OS-level presence rather than screenshots,
+ * which keep arriving while the user is away
  */
 function startIdleDetection() {
-    if (idleCheckInterval) {
-        clearInterval(idleCheckInterval);
-    }
+    if (idleDetectionActive) return;
+    idleDetectionActive = true;
 
-    // Check every 10 seconds
-    idleCheckInterval = setInterval(() => {
-        if (currentSession && currentSession.status === 'active' && detectIdle()) {
-            handleIdle();
-        }
-    }, 10000);
+    presence.updatePresenceConfig({ idleThreshold: currentConfig.idleThreshold });
+    presence.presenceEvents.on('presence:away', handleIdle);
+    presence.presenceEvents.on('presence:back', handleActivityResume);
 }
 
 /**
  * Stop idle detection
  */
 function stopIdleDetection() {
-    if (idleCheckInterval) {
-        clearInterval(idleCheckInterval);
-        idleCheckInterval = null;
-    }
+    if (!idleDetectionActive) return;
+    idleDetectionActive = false;
+
+    presence.presenceEvents.removeListener('presence:away', handleIdle);
+    presence.presenceEvents.removeListener('presence:back', handleActivityResume);
 }
 
 /**
- * Handle idle state
+ * Handle the user going away: pause from the moment they left and
+ * take the time already counted since then back out of app and task time
+ * @param {{reason: 'idle'|'locked'|'sleep', since: number}} away
  */
-function handleIdle() {
+function handleIdle({ reason, since } = { reason: 'idle', since: Date.now() }) {
     if (currentSession && currentSession.status === 'active') {
-        pauseSession('idle');
+        context.excludeAwayTime(since);
+        taskDetection.handleAway(since);
+        pauseSession(reason, since);
         sessionEvents.emit('session:idle-paused', currentSession);
     }
 }
@@ -413,7 +428,7 @@ function handleIdle() {
 function handleActivityResume() {
     if (currentSession && currentSession.status === 'paused' && currentConfig.autoResumeOnActivity) {
         const lastPause = currentSession.pauseHistory[currentSession.pauseHistory.length - 1];
-        if (lastPause && lastPause.reason === 'idle') {
+        if (lastPause && AWAY_PAUSE_REASONS.includes(lastPause.reason)) {
             resumeSession();
             sessionEvents.emit('session:auto-resumed', currentSession);
         }
@@ -676,19 +691,21 @@ async function onScreenshotCaptured(screenshot) {
     // Increment screenshot count
     incrementScreenshotCount();
 
-    // Record activity for idle detection
-    recordActivity();
-
     // Update immediate context with screenshot metadata
     context.updateImmediateContext(screenshot);
 
     // Update session context with app time
     context.updateSessionContext({
         type: 'screenshot',
-        app: screenshot.activeApplication,
-        interval: 10 // Default capture interval
+        app: screenshot.elapsedApp || screenshot.activeApplication, // Whatever was on screen until this capture
+        interval: screenshot.elapsedSinceLast ?? 10 // Seconds since the previous capture
     });
 
+    // Near-identical and blocklisted frames still count toward app time but aren't analyzed
+    if (screenshot.duplicate || redaction.isSkipped(screenshot)) {
+        return;
+    }
+
     // Track screenshots for rate-limited analysis
     screenshotsSinceLastAnalysis++;
 
@@ -704,14 +721,22 @@ async function onScreenshotCaptured(screenshot) {
 
     // Prepare screenshot images for analysis
     let screenshotImages = [];
+    const sendImage = needsImageForAnalysis(screenshot);
+    if (sendImage) {
+        lastImageAnalysis = { app: screenshot.activeApplication, title: screenshot.windowTitle };
+        textOnlyAnalyses = 0;
+    } else {
+        textOnlyAnalyses++;
+    }
     try {
         // Read the screenshot image if it exists
-        if (screenshot.imagePath && fs.existsSync(screenshot.imagePath)) {
-            const imageBuffer = fs.readFileSync(screenshot.imagePath);
+        if (sendImage && screenshot.imagePath && fs.existsSync(screenshot.imagePath)) {
+            const imageBuffer = storage.readDataFile(screenshot.imagePath);
             const base64 = imageBuffer.toString('base64');
             screenshotImages = [{
                 base64,
-                mimeType: 'image/jpeg'
+                mimeType: 'image/jpeg',
+                screenshotId: screenshot.id
             }];
         }
     } catch (error) {
@@ -719,14 +744,39 @@ async function onScreenshotCaptured(screenshot) {
     }
 
     // Run confusion detection (non-blocking)
-    runConfusionAnalysis(screenshotImages).catch(error => {
+    const confusionRun = runConfusionAnalysis(screenshotImages).catch(error => {
         console.error('[Session] Confusion analysis error:', error.message);
     });
 
     // Run task detection
-    runTaskDetection(screenshot, assembledContext).catch(error => {
+    const taskRun = runTaskDetection(screenshot, assembledContext).catch(error => {
         console.error('[Session] Task detection error:', error.message);
     });
+
+    // Live capture ignores this; replay awaits it so each frame is fully analyzed before the next
+    return Promise.all([confusionRun, taskRun]);
+}
+
+/**
+ * Whether analysis needs the image, or the OCR text in the immediate context is enough
+ * @param {Object} screenshot - Screenshot metadata
+ * @returns {boolean}
+ */
+function needsImageForAnalysis(screenshot) {
+    const text = screenshot.ocrText || '';
+    if (text.length < OCR_MIN_CHARS || (screenshot.ocrConfidence ?? 0) < OCR_MIN_CONFIDENCE) {
+        return true;
+    }
+
+    // New window or a big visual change - text alone may miss what's different
+    if (!lastImageAnalysis || lastImageAnalysis.app !== screenshot.activeApplication || lastImageAnalysis.title !== screenshot.windowTitle) {
+        return true;
+    }
+    if ((screenshot.diffScore ?? 1) >= context.CONFIG.significantChangeThreshold) {
+        return true;
+    }
+
+    return textOnlyAnalyses >= MAX_TEXT_ONLY_ANALYSES;
 }
 
 /**
@@ -792,6 +842,8 @@ async function runTaskDetection(screenshot, assembledContext) {
 function initializeScreenshotAnalysis(sessionId, profileId) {
     // Reset counter
     screenshotsSinceLastAnalysis = 0;
+    lastImageAnalysis = null;
+    textOnlyAnalyses = 0;
 
     // Initialize context service
     context.startSession(sessionId, profileId);
@@ -810,8 +862,14 @@ function initializeScreenshotAnalysis(sessionId, profileId) {
  */
 function cleanupScreenshotAnalysis() {
     screenshotsSinceLastAnalysis = 0;
+    lastImageAnalysis = null;
+    textOnlyAnalyses = 0;
+
+    // Threads left on a follow-up count as answered with what the user gave
+    confusion.closeOpenFollowUps();
 
-    // Clear confusion state
+    // Offer parked questions for review before the state is cleared
+    confusion.releaseDigest('session_end');
     confusion.clearConfusionState();
 
     // End task detection session
@@ -823,28 +881,35 @@ function cleanupScreenshotAnalysis() {
 // ============ HELPERS ============
 
 /**
- * Calculate active time since last pause/start
+ * When the session last became active (start or last resume)
  * @param {Object} session - Session
- * @returns {number} Active time in seconds
+ * @returns {number|null} Timestamp in ms, or null if currently paused
  */
-function calculateActiveTimeSince(session) {
-    let lastActiveStart;
-
+function getLastActiveStart(session) {
     if (session.pauseHistory.length > 0) {
         // Get the last resume time
         const lastPause = session.pauseHistory[session.pauseHistory.length - 1];
-        if (lastPause.resumedAt) {
-            lastActiveStart = new Date(lastPause.resumedAt).getTime();
-        } else {
-            // Session is currently paused
-            return 0;
-        }
-    } else {
-        // No pauses, use session start time
-        lastActiveStart = new Date(session.startTime).getTime();
+        // Null while the session is currently paused
+        return lastPause.resumedAt ? new Date(lastPause.resumedAt).getTime() : null;
     }
 
-    return (Date.now() - lastActiveStart) / 1000;
+    // No pauses, use session start time
+    return new Date(session.startTime).getTime();
+}
+
+/**
+ * Calculate active time since last pause/start
+ * @param {Object} session - Session
+ * @param {number} [until] - End of the active stretch (ms), defaults to now
+ * @returns {number} Active time in seconds
+ */
+function calculateActiveTimeSince(session, until = Date.now()) {
+    const lastActiveStart = getLastActiveStart(session);
+    if (lastActiveStart === null) {
+        return 0;
+    }
+
+    return Math.max(0, (until - lastActiveStart) / 1000);
 }
 
 /**
@@ -893,6 +958,9 @@ function getConfig() {
  */
 function updateConfig(updates) {
     currentConfig = { ...currentConfig, ...updates };
+    if (updates.idleThreshold) {
+        presence.updatePresenceConfig({ idleThreshold: currentConfig.idleThreshold });
+    }
 }
 
 // ============ APP STARTUP FLOW ============
@@ -953,7 +1021,6 @@ function clearSessionState() {
     cleanupScreenshotAnalysis();
     currentSession = null;
     currentProfile = null;
-    lastActivityTime = Date.now();
 }
 
 module.exports = {
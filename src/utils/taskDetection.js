@@ -7,6 +7,8 @@
 
 const EventEmitter = require('events');
 const { generateContent } = require('./gemini');
+const appRegistry = require('./apps');
+const titleParsers = require('./titleParsers');
 
 // Event emitter for task detection events
 const taskDetectionEvents = new EventEmitter();
@@ -19,6 +21,7 @@ const taskDetectionEvents = new EventEmitter();
  * @typedef {Object} AppSegment
  * @property {string} app - Application name
  * @property {string} windowTitle - Window title
+ * @property {import('./titleParsers').WindowArtifact[]} [artifacts] - Distinct documents/records/channels seen in the segment
  * @property {Date} startTime - When app segment started
  * @property {Date|null} endTime - When app segment ended
  * @property {number} duration - Duration in seconds
@@ -31,7 +34,8 @@ const taskDetectionEvents = new EventEmitter();
  * @property {string} name - AI-inferred or user-provided task name
  * @property {Date} startTime - When task started
  * @property {Date|null} endTime - When task ended
- * @property {number} duration - Duration in seconds
+ * @property {number} duration - Duration in seconds, excluding time the user was away
+ * @property {number} [pausedSeconds] - Time away while the task was interrupted and later resumed
  * @property {'active'|'completed'|'interrupted'} status - Task status
  * @property {AppSegment[]} applications - App segments during this task
  * @property {string[]} screenshots - Screenshot IDs associated with task
@@ -71,7 +75,11 @@ const DEFAULT_CONFIG = {
     appSwitchDebounce: 30,    // 30 seconds
 };
 
-// App switches that likely don't indicate a new task
+// Artifacts kept per app segment - enough to name a task, without growing on long segments
+const MAX_SEGMENT_ARTIFACTS = 10;
+
+// App switches that likely don't indicate a new task.
+// Canonical names from the app registry, so 'chrome.exe' and 'google-chrome' match 'Google Chrome'
 const SAME_TASK_PAIRS = [
     // Browser research while in main app
     ['*', 'Google Chrome'],
@@ -96,7 +104,7 @@ const SAME_TASK_PAIRS = [
 // These switches likely indicate a new task
 const NEW_TASK_APPS = [
     'Mail',
-    'Outlook',
+    'Microsoft Outlook',
     'Calendar',
     'Zoom',
     'Google Meet',
@@ -152,6 +160,55 @@ function calculateDuration(start, end) {
     return Math.floor((end.getTime() - start.getTime()) / 1000);
 }
 
+/**
+ * Task duration up to `end`, minus time the user was away mid-task
+ * @param {Task} task
+ * @param {Date} end
+ * @returns {number}
+ */
+function calculateTaskDuration(task, end) {
+    return Math.max(0, calculateDuration(task.startTime, end) - (task.pausedSeconds || 0));
+}
+
+/**
+ * Record an artifact on an app segment, once per distinct artifact
+ * @param {AppSegment} segment
+ * @param {import('./titleParsers').WindowArtifact} [artifact]
+ */
+function addSegmentArtifact(segment, artifact) {
+    if (!segment || !artifact) return;
+
+    segment.artifacts = segment.artifacts || [];
+    if (segment.artifacts.some(a => titleParsers.isSameArtifact(a, artifact))) return;
+    if (segment.artifacts.length < MAX_SEGMENT_ARTIFACTS) {
+        segment.artifacts.push(artifact);
+    }
+}
+
+/**
+ * Distinct artifacts across a task's app segments, in the order first seen
+ * @param {Task} task
+ * @returns {import('./titleParsers').WindowArtifact[]}
+ */
+function getTaskArtifacts(task) {
+    return titleParsers.uniqueArtifacts((task.applications || []).flatMap(segment => segment.artifacts || []));
+}
+
+/**
+ * Whether the user came back to what an interrupted task was doing: the app they left
+ * it in, and one of the documents or records they had open there when both are known
+ * @param {Task} task - Interrupted task
+ * @param {Object} screenshot - First screenshot after the break
+ * @returns {boolean}
+ */
+function isReturningToTask(task, screenshot) {
+    const lastSegment = task.applications[task.applications.length - 1];
+    if (!lastSegment || !appRegistry.isSameApp(lastSegment.app, screenshot.activeApplication)) return false;
+
+    if (!screenshot.artifact || !lastSegment.artifacts?.length) return true;
+    return lastSegment.artifacts.some(artifact => titleParsers.isSameArtifact(artifact, screenshot.artifact));
+}
+
 /**
  * Check if an app is in the "new task" list
  * @param {string} appName
@@ -159,9 +216,7 @@ function calculateDuration(start, end) {
  */
 function isNewTaskApp(appName) {
     if (!appName) return false;
-    return NEW_TASK_APPS.some(app =>
-        appName.toLowerCase().includes(app.toLowerCase())
-    );
+    return NEW_TASK_APPS.some(app => appRegistry.isSameApp(appName, app));
 }
 
 /**
@@ -175,15 +230,14 @@ function isSameTaskSwitch(fromApp, toApp) {
 
     for (const [app1, app2] of SAME_TASK_PAIRS) {
         // Check wildcard matches
-        if (app1 === '*' && toApp.toLowerCase().includes(app2.toLowerCase())) {
+        if (app1 === '*' && appRegistry.isSameApp(toApp, app2)) {
             return true;
         }
-        if (app2 === '*' && fromApp.toLowerCase().includes(app1.toLowerCase())) {
+        if (app2 === '*' && appRegistry.isSameApp(fromApp, app1)) {
             return true;
         }
         // Check exact matches
-        if (fromApp.toLowerCase().includes(app1.toLowerCase()) &&
-            toApp.toLowerCase().includes(app2.toLowerCase())) {
+        if (appRegistry.isSameApp(fromApp, app1) && appRegistry.isSameApp(toApp, app2)) {
             return true;
         }
     }
@@ -267,7 +321,7 @@ function endTask(task, trigger) {
     }
 
     task.endTime = now;
-    task.duration = calculateDuration(task.startTime, now);
+    task.duration = calculateTaskDuration(task, now);
     task.status = 'completed';
 
     /** @type {TaskBoundaryEvent} */
@@ -322,21 +376,21 @@ function switchTask(currentTaskToEnd, trigger, newTaskData = {}) {
 /**
  * Mark current task as interrupted (idle)
  * @param {Task} task
+ * @param {Date} [at] - When the interruption began (defaults to now)
  * @returns {Task}
  */
-function interruptTask(task) {
-    const now = new Date();
-
+function interruptTask(task, at = new Date()) {
     // Finalize current app segment
     if (currentAppSegment) {
-        currentAppSegment.endTime = now;
-        currentAppSegment.duration = calculateDuration(currentAppSegment.startTime, now);
+        const segmentEnd = at < currentAppSegment.startTime ? currentAppSegment.startTime : at;
+        currentAppSegment.endTime = segmentEnd;
+        currentAppSegment.duration = calculateDuration(currentAppSegment.startTime, segmentEnd);
         task.applications.push({ ...currentAppSegment });
         currentAppSegment = null;
     }
 
-    task.endTime = now;
-    task.duration = calculateDuration(task.startTime, now);
+    task.endTime = at < task.startTime ? task.startTime : at;
+    task.duration = calculateTaskDuration(task, task.endTime);
     task.status = 'interrupted';
 
     taskDetectionEvents.emit('task:interrupted', task);
@@ -359,8 +413,8 @@ function interruptTask(task) {
 function isSignificantAppSwitch(prevScreenshot, currScreenshot) {
     if (!prevScreenshot || !currScreenshot) return false;
 
-    const prevApp = prevScreenshot.activeApp;
-    const currApp = currScreenshot.activeApp;
+    const prevApp = prevScreenshot.activeApplication;
+    const currApp = currScreenshot.activeApplication;
 
     // Same app, not a switch
     if (prevApp === currApp) return false;
@@ -428,14 +482,16 @@ async function detectContextChange(screenshots, context) {
     if (!screenshots || screenshots.length < 2) return null;
 
     const currentTaskTheory = context?.session?.currentTaskTheory || 'Unknown task';
-    const recentApps = screenshots.map(s => s.activeApp).filter(Boolean);
+    const recentApps = screenshots.map(s => s.activeApplication).filter(Boolean);
     const recentTitles = screenshots.map(s => s.windowTitle).filter(Boolean);
+    const recentArtifacts = [...new Set(screenshots.map(s => titleParsers.describeArtifact(s.artifact)).filter(Boolean))];
 
     const prompt = `Looking at these recent screenshots, has the user switched to a different task or are they continuing the same work?
 
 Current task theory: ${currentTaskTheory}
 Recent applications: ${[...new Set(recentApps)].join(', ')}
 Recent window titles: ${recentTitles.slice(-3).join(' | ')}
+Documents/records on screen: ${recentArtifacts.slice(-3).join(' | ') || 'Unknown'}
 
 Respond with JSON only:
 {
@@ -467,6 +523,7 @@ Be conservative - minor context switches within the same goal (e.g., checking em
             ...imageData,
             { text: prompt }
         ], {
+            purpose: 'task-context-change',
             temperature: 0.3,
             maxOutputTokens: 256,
         });
@@ -524,10 +581,10 @@ async function detectBoundary(screenshots, context) {
         );
 
         if (switchTime >= config.appSwitchDebounce) {
-            console.log(`[TaskDetection] Significant app switch: ${prev.activeApp} -> ${curr.activeApp}`);
+            console.log(`[TaskDetection] Significant app switch: ${prev.activeApplication} -> ${curr.activeApplication}`);
 
             const { ended, started } = switchTask(currentTask, 'app_switch', {
-                app: curr.activeApp,
+                app: curr.activeApplication,
                 windowTitle: curr.windowTitle,
             });
 
@@ -543,7 +600,7 @@ async function detectBoundary(screenshots, context) {
 
     // Check for context change (less frequent, more expensive)
     // Only do this if we have multiple screenshots showing same app
-    const sameAppScreenshots = screenshots.filter(s => s.activeApp === curr.activeApp);
+    const sameAppScreenshots = screenshots.filter(s => s.activeApplication === curr.activeApplication);
     if (sameAppScreenshots.length >= 3) {
         const contextAnalysis = await detectContextChange(sameAppScreenshots, context);
 
@@ -551,7 +608,7 @@ async function detectBoundary(screenshots, context) {
             console.log(`[TaskDetection] Context change detected: ${contextAnalysis.reasoning}`);
 
             const { ended, started } = switchTask(currentTask, 'context_change', {
-                app: curr.activeApp,
+                app: curr.activeApplication,
                 windowTitle: curr.windowTitle,
             });
 
@@ -581,6 +638,7 @@ async function detectBoundary(screenshots, context) {
 async function inferTaskName(task, context) {
     const apps = [...new Set(task.applications.map(a => a.app))];
     const titles = [...new Set(task.applications.map(a => a.windowTitle).filter(Boolean))];
+    const artifacts = getTaskArtifacts(task);
     const durationMinutes = Math.round(task.duration / 60);
     const roleSummary = context?.historical?.interviewSummary?.roleSummary || 'Unknown role';
 
@@ -588,6 +646,7 @@ async function inferTaskName(task, context) {
 
 Applications used: ${apps.join(', ')}
 Window titles seen: ${titles.slice(0, 5).join(' | ')}
+Documents/records worked on: ${artifacts.slice(0, 5).map(titleParsers.describeArtifact).join(' | ') || 'None identified'}
 Duration: ${durationMinutes} minutes
 User's role: ${roleSummary}
 
@@ -595,10 +654,14 @@ Respond with just the task name (2-5 words), e.g.:
 - "Process purchase orders"
 - "Update inventory spreadsheet"
 - "Email customer about delivery"
-- "Review sales report"`;
+- "Review sales report"
+- "Triage ticket PROJ-123"
+
+Mention a specific document or record when the task centers on one.`;
 
     try {
         const response = await generateContent([{ text: prompt }], {
+            purpose: 'task-name',
             temperature: 0.5,
             maxOutputTokens: 50,
         });
@@ -608,7 +671,11 @@ Respond with just the task name (2-5 words), e.g.:
     } catch (error) {
         console.error('[TaskDetection] Error inferring task name:', error);
 
-        // Fallback: use primary app name
+        // Fallback: name the main artifact, else the primary app
+        const mainArtifact = artifacts.find(a => a.kind !== titleParsers.ARTIFACT_KINDS.MAILBOX);
+        if (mainArtifact) {
+            return `Work on ${mainArtifact.label}`;
+        }
         if (apps.length > 0) {
             return `Work in ${apps[0]}`;
         }
@@ -646,6 +713,12 @@ function shouldMergeTasks(task1, task2) {
         return true;
     }
 
+    // Same ticket or document on both sides of a short break
+    const task2Artifacts = getTaskArtifacts(task2).filter(a => a.kind !== titleParsers.ARTIFACT_KINDS.MAILBOX);
+    if (getTaskArtifacts(task1).some(a => task2Artifacts.some(b => titleParsers.isSameArtifact(a, b)))) {
+        return true;
+    }
+
     return false;
 }
 
@@ -725,15 +798,16 @@ async function processScreenshot(screenshot, context) {
         // Check if resuming from idle
         const lastTask = sessionTasks[sessionTasks.length - 1];
         if (lastTask && lastTask.status === 'interrupted') {
-            // Check if context is similar (could merge)
-            if (lastTask.applications.some(a => a.app === screenshot.activeApp)) {
-                // Resume - merge with interrupted task
+            // Only merge when they're back on the same work; anything else is a new task
+            if (isReturningToTask(lastTask, screenshot)) {
+                // Resume - merge with interrupted task, leaving the gap out of its duration
+                lastTask.pausedSeconds = (lastTask.pausedSeconds || 0) + calculateDuration(new Date(lastTask.endTime), now);
                 lastTask.status = 'active';
                 lastTask.endTime = null;
                 currentTask = lastTask;
 
                 currentAppSegment = {
-                    app: screenshot.activeApp,
+                    app: screenshot.activeApplication,
                     windowTitle: screenshot.windowTitle || '',
                     startTime: now,
                     endTime: null,
@@ -745,14 +819,14 @@ async function processScreenshot(screenshot, context) {
             } else {
                 // Different context, start new task
                 startTask(currentSessionId, 'time_gap', {
-                    app: screenshot.activeApp,
+                    app: screenshot.activeApplication,
                     windowTitle: screenshot.windowTitle,
                 });
             }
         } else {
             // First task of session
             startTask(currentSessionId, 'time_pattern', {
-                app: screenshot.activeApp,
+                app: screenshot.activeApplication,
                 windowTitle: screenshot.windowTitle,
             });
         }
@@ -764,7 +838,7 @@ async function processScreenshot(screenshot, context) {
     }
 
     // Track app segment changes
-    if (currentAppSegment && currentAppSegment.app !== screenshot.activeApp) {
+    if (currentAppSegment && currentAppSegment.app !== screenshot.activeApplication) {
         // End current segment
         currentAppSegment.endTime = now;
         currentAppSegment.duration = calculateDuration(currentAppSegment.startTime, now);
@@ -772,7 +846,7 @@ async function processScreenshot(screenshot, context) {
 
         // Start new segment
         currentAppSegment = {
-            app: screenshot.activeApp,
+            app: screenshot.activeApplication,
             windowTitle: screenshot.windowTitle || '',
             startTime: now,
             endTime: null,
@@ -783,6 +857,8 @@ async function processScreenshot(screenshot, context) {
         currentAppSegment.windowTitle = screenshot.windowTitle || currentAppSegment.windowTitle;
     }
 
+    addSegmentArtifact(currentAppSegment, screenshot.artifact);
+
     // Build recent screenshots for boundary detection
     const recentScreenshots = lastScreenshot
         ? [lastScreenshot, screenshot]
@@ -827,6 +903,25 @@ function handleAppSwitch(event, context) {
     return null;
 }
 
+/**
+ * Interrupt the current task when the user goes away (idle, locked, asleep).
+ * If they come back to the same app the task resumes without the away time.
+ * @param {number} since - When the user left (ms)
+ * @returns {Task|null} The interrupted task
+ */
+function handleAway(since) {
+    if (!currentTask || !currentSessionId) return null;
+
+    const task = interruptTask(currentTask, new Date(since));
+    currentTask = null;
+
+    // The pre-away screenshot would otherwise read as an idle gap on return
+    lastScreenshot = null;
+    lastActivityTime = null;
+
+    return task;
+}
+
 /**
  * Handle user indication of task change (from Q&A)
  * @param {string} taskDescription - User's description of new task
@@ -938,6 +1033,7 @@ function getTasksForDocumentation() {
         applications: task.applications.map(a => ({
             app: a.app,
             duration: a.duration,
+            artifacts: a.artifacts || [],
         })),
         screenshotCount: task.screenshots.length,
         userExplanation: task.userExplanation,
@@ -977,6 +1073,7 @@ module.exports = {
     processScreenshot,
     handleAppSwitch,
     handleUserTaskIndication,
+    handleAway,
 
     // Task lifecycle
     startTask,
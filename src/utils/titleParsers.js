@@ -0,0 +1,355 @@
+// titleParsers.js - Window Title Parser Service
+// Turns window titles and URLs into typed fields (the document, record, channel or
+// project on screen), so tasks and documentation can name concrete artifacts
+
+const appRegistry = require('./apps');
+
+// ============ CONSTANTS ============
+
+const ARTIFACT_KINDS = {
+    DOCUMENT: 'document', // Spreadsheet, doc, deck, PDF
+    FILE: 'file', // Source file in an editor
+    RECORD: 'record', // Ticket, issue, case - anything with an id
+    CHANNEL: 'channel', // Chat channel or DM
+    EMAIL: 'email', // A message being read or written
+    MAILBOX: 'mailbox' // Inbox or another folder
+};
+
+// Trailing browser name on window titles, e.g. " - Google Chrome", " — Mozilla Firefox",
+// " - Personal - Microsoft​ Edge" (Edge puts a zero-width space in its own name)
+const BROWSER_SUFFIX = /\s[-–—]\s(?:[^-–—]+\s[-–—]\s)?(?:Google Chrome|Chromium|Mozilla Firefox|Firefox|Microsoft​?\s?Edge|Brave|Vivaldi|Opera|Safari|Arc)$/;
+
+// Separators apps put between title parts
+const TITLE_SEPARATOR = /\s+[-–—|]\s+/;
+
+// ============ DATA STRUCTURES ============
+
+/**
+ * @typedef {Object} WindowArtifact
+ * @property {string} parser - ID of the parser that produced it
+ * @property {'document'|'file'|'record'|'channel'|'email'|'mailbox'} kind
+ * @property {string} label - Short display form ('PROJ-123', 'Q3 Forecast.xlsx', '#support')
+ * @property {string} [document] - Document or file name
+ * @property {string} [recordId] - Issue key, ticket number, document id
+ * @property {string} [project] - Project, Jira project key, editor workspace
+ * @property {string} [channel] - Chat channel or DM partner
+ * @property {string} [workspace] - Chat workspace or mail account
+ * @property {string} [subject] - Issue summary or email subject
+ */
+
+/**
+ * @typedef {Object} TitleParser
+ * @property {string} id
+ * @property {string[]} [apps] - Canonical app names (see apps.js) it applies to
+ * @property {RegExp} [hosts] - URL hostnames it applies to, for web apps in a browser
+ * @property {(input: ParseInput) => Omit<WindowArtifact, 'parser'>|null} parse
+ */
+
+/**
+ * @typedef {Object} ParseInput
+ * @property {string} app - Canonical app name
+ * @property {string} title - Window title, or the page title for browsers, without the browser's own suffix
+ * @property {URL|null} url
+ */
+
+// ============ HELPERS ============
+
+function splitTitle(title) {
+    return title.split(TITLE_SEPARATOR).map(part => part.trim()).filter(Boolean);
+}
+
+// Drop the trailing app name part ("Budget.xlsx - Excel" -> ["Budget.xlsx"])
+function withoutAppSuffix(parts, pattern) {
+    return parts.length > 1 && pattern.test(parts[parts.length - 1]) ? parts.slice(0, -1) : parts;
+}
+
+// Unsaved/unread markers apps put in front of titles
+function stripMarkers(text) {
+    return text.replace(/^[●•*!]\s*/, '').trim();
+}
+
+// ============ BUILT-IN PARSERS ============
+
+const JIRA_KEY = /\b([A-Z][A-Z0-9_]{1,9}-\d+)\b/;
+
+/** @type {TitleParser} */
+const jiraParser = {
+    id: 'jira',
+    apps: ['Jira'],
+    hosts: /(^|\.)atlassian\.net$|(^|\.)jira\./,
+    parse({ title, url }) {
+        const fromUrl = url && (url.pathname.match(/\/browse\/([A-Z][A-Z0-9_]+-\d+)/) || [])[1];
+        const recordId = fromUrl || url?.searchParams.get('selectedIssue') || (title.match(JIRA_KEY) || [])[1];
+        if (!recordId) return null;
+
+        // "[PROJ-123] Fix login redirect - Jira". Boards with an issue open don't name it in the title.
+        const parts = withoutAppSuffix(splitTitle(title), /jira/i);
+        const subject = title.includes(recordId) ? (parts[0] || '').replace(/^\[[^\]]+\]\s*/, '').replace(`${recordId}:`, '').trim() : '';
+
+        return {
+            kind: ARTIFACT_KINDS.RECORD,
+            label: recordId,
+            recordId,
+            project: recordId.split('-')[0],
+            subject: subject && subject !== recordId ? subject : undefined
+        };
+    }
+};
+
+/** @type {TitleParser} */
+const gmailParser = {
+    id: 'gmail',
+    hosts: /^mail\.google\.com$/,
+    parse({ title }) {
+        // "Quarterly numbers - jane@acme.com - Gmail", "Inbox (12) - jane@acme.com - Gmail"
+        const parts = withoutAppSuffix(splitTitle(title), /^gmail$/i);
+        const accountIndex = parts.findIndex(part => /^[^\s@]+@[^\s@]+$/.test(part));
+        const workspace = accountIndex >= 0 ? parts[accountIndex] : undefined;
+        const subject = (accountIndex > 0 ? parts.slice(0, accountIndex) : parts.slice(0, 1)).join(' - ');
+        if (!subject) return null;
+
+        const mailbox = subject.match(/^(Inbox|Starred|Snoozed|Sent|Drafts|Spam|Trash|All Mail|Search results)(\s*\(\d+\))?$/i);
+        if (mailbox) {
+            return { kind: ARTIFACT_KINDS.MAILBOX, label: mailbox[1], workspace };
+        }
+        return { kind: ARTIFACT_KINDS.EMAIL, label: subject, subject, workspace };
+    }
+};
+
+/** @type {TitleParser} */
+const outlookParser = {
+    id: 'outlook',
+    apps: ['Microsoft Outlook'],
+    hosts: /^outlook\.(office|office365|live)\.com$/,
+    parse({ title }) {
+        const parts = withoutAppSuffix(splitTitle(title), /outlook/i);
+        if (parts.length === 0) return null;
+
+        // Open message windows: "Re: Invoice 4411 - Message (HTML)"
+        if (parts.length > 1 && /^Message \(/.test(parts[parts.length - 1])) {
+            const subject = parts.slice(0, -1).join(' - ');
+            return { kind: ARTIFACT_KINDS.EMAIL, label: subject, subject };
+        }
+
+        // Main window: "Inbox - jane@acme.com"
+        const workspace = parts.find(part => part.includes('@'));
+        return { kind: ARTIFACT_KINDS.MAILBOX, label: parts[0], workspace };
+    }
+};
+
+const OFFICE_SUFFIX = /^(Microsoft )?(Excel|Word|PowerPoint)$|^LibreOffice|^Adobe Acrobat|^Numbers$|^Pages$|^Preview$/i;
+
+/** @type {TitleParser} */
+const officeParser = {
+    id: 'office',
+    apps: ['Microsoft Excel', 'Microsoft Word', 'Microsoft PowerPoint', 'Numbers', 'Pages', 'LibreOffice Calc', 'LibreOffice Writer', 'Adobe Acrobat', 'Preview'],
+    parse({ title }) {
+        const parts = withoutAppSuffix(splitTitle(title), OFFICE_SUFFIX);
+        const document = (parts[0] || '')
+            .replace(/\s*\[(Compatibility Mode|Read-Only|Protected View|Group)\]/gi, '')
+            .replace(/\s*[-–]\s*(Saved|AutoSaved|Saving…?)(\s+to .+)?$/i, '')
+            .trim();
+        if (!document || OFFICE_SUFFIX.test(document)) return null;
+
+        return { kind: ARTIFACT_KINDS.DOCUMENT, label: document, document };
+    }
+};
+
+/** @type {TitleParser} */
+const googleDocsParser = {
+    id: 'google-docs',
+    hosts: /^docs\.google\.com$/,
+    parse({ title, url }) {
+        // "Q3 Forecast - Google Sheets"
+        const parts = withoutAppSuffix(splitTitle(title), /^Google (Docs|Sheets|Slides|Forms)$/);
+        const document = parts.join(' - ');
+        if (!document) return null;
+
+        const recordId = url && (url.pathname.match(/\/d\/([\w-]+)/) || [])[1];
+        return { kind: ARTIFACT_KINDS.DOCUMENT, label: document, document, recordId };
+    }
+};
+
+/** @type {TitleParser} */
+const vscodeParser = {
+    id: 'vscode',
+    apps: ['Visual Studio Code'],
+    parse({ title }) {
+        // "● index.js - my-app (Workspace) - Visual Studio Code", "index.js - my-app [SSH: box]"
+        const parts = withoutAppSuffix(splitTitle(title), /Visual Studio Code|VSCodium|Code - OSS/);
+        if (parts.length === 0) return null;
+
+        const document = stripMarkers(parts[0]);
+        const project = parts[1] ? parts[1].replace(/\s*\((Workspace)\)$/, '').replace(/\s*\[[^\]]+\]$/, '') : undefined;
+        if (parts.length === 1 && !/\.\w+$/.test(document)) {
+            // Only a folder open, no file
+            return { kind: ARTIFACT_KINDS.FILE, label: document, project: document };
+        }
+        return { kind: ARTIFACT_KINDS.FILE, label: document, document, project };
+    }
+};
+
+/** @type {TitleParser} */
+const slackParser = {
+    id: 'slack',
+    apps: ['Slack'],
+    hosts: /^app\.slack\.com$/,
+    parse({ title }) {
+        const cleaned = stripMarkers(title);
+
+        // Current desktop/web: "support (Channel) - Acme - Slack", "Jane Doe (DM) - Acme - 2 new items - Slack"
+        const current = cleaned.match(/^(.+?) \((Channel|Private channel|DM|Group DM)\) - (.+?)(?: - \d+ new items?)? - Slack$/);
+        if (current) {
+            const [, channel, type, workspace] = current;
+            const isDm = type.endsWith('DM');
+            return { kind: ARTIFACT_KINDS.CHANNEL, label: isDm ? `DM: ${channel}` : `#${channel}`, channel, workspace };
+        }
+
+        // Older builds: "Slack | support | Acme" - DMs show the person's name, which has spaces
+        const legacy = cleaned.match(/^Slack \| (.+?) \| (.+)$/);
+        if (legacy) {
+            const channel = legacy[1].replace(/^#/, '');
+            return { kind: ARTIFACT_KINDS.CHANNEL, label: channel.includes(' ') ? channel : `#${channel}`, channel, workspace: legacy[2] };
+        }
+
+        return null;
+    }
+};
+
+// ============ STATE ============
+
+/** @type {TitleParser[]} */
+const parsers = [jiraParser, gmailParser, outlookParser, googleDocsParser, officeParser, vscodeParser, slackParser];
+
+// ============ REGISTRY ============
+
+/**
+ * Add a parser. Parsers run in order and the first to return fields wins;
+ * added parsers go first so they can override the built-ins.
+ * @param {TitleParser} parser
+ */
+function registerTitleParser(parser) {
+    if (!parser?.id || typeof parser.parse !== 'function') {
+        throw new Error('A title parser needs an id and a parse function');
+    }
+    if (!parser.apps && !parser.hosts) {
+        throw new Error(`Title parser ${parser.id} must list apps or hosts`);
+    }
+
+    const existing = parsers.findIndex(p => p.id === parser.id);
+    if (existing >= 0) {
+        parsers.splice(existing, 1);
+    }
+    parsers.unshift(parser);
+}
+
+/**
+ * @returns {string[]} Registered parser IDs, in the order they run
+ */
+function getTitleParsers() {
+    return parsers.map(parser => parser.id);
+}
+
+// ============ PARSING ============
+
+function parseUrl(url) {
+    if (!url) return null;
+    try {
+        return new URL(url);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extract typed fields from a window
+ * @param {{app: string, title?: string, url?: string, pageTitle?: string}} windowInfo - app is the canonical name
+ * @returns {WindowArtifact|null}
+ */
+function parseWindow(windowInfo) {
+    if (!windowInfo?.app) return null;
+
+    const isBrowser = appRegistry.getCategory(windowInfo.app) === appRegistry.APP_CATEGORIES.BROWSER;
+    const rawTitle = (isBrowser && windowInfo.pageTitle) || windowInfo.title || '';
+    const input = {
+        app: windowInfo.app,
+        title: isBrowser ? rawTitle.replace(BROWSER_SUFFIX, '') : rawTitle,
+        url: parseUrl(windowInfo.url)
+    };
+    if (!input.title && !input.url) return null;
+
+    for (const parser of parsers) {
+        const appliesToApp = parser.apps?.includes(input.app);
+        const appliesToHost = isBrowser && input.url && parser.hosts?.test(input.url.hostname);
+        if (!appliesToApp && !appliesToHost) continue;
+
+        try {
+            const fields = parser.parse(input);
+            if (fields?.label) {
+                // Leave unset fields out, so stored metadata stays small
+                const artifact = { parser: parser.id };
+                for (const [key, value] of Object.entries(fields)) {
+                    if (value) artifact[key] = value;
+                }
+                return artifact;
+            }
+        } catch (error) {
+            console.error(`[TitleParsers] ${parser.id} failed:`, error.message);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * One-line description for prompts and documentation, e.g. "PROJ-123 (Fix login redirect)"
+ * @param {WindowArtifact} artifact
+ * @returns {string}
+ */
+function describeArtifact(artifact) {
+    if (!artifact) return '';
+    const detail = artifact.subject && artifact.subject !== artifact.label ? artifact.subject : artifact.project;
+    return detail && detail !== artifact.label ? `${artifact.label} (${detail})` : artifact.label;
+}
+
+/**
+ * Same artifact, ignoring fields that vary between captures (e.g. a subject edited mid-task)
+ * @param {WindowArtifact} a
+ * @param {WindowArtifact} b
+ */
+function isSameArtifact(a, b) {
+    if (!a || !b) return false;
+    return a.kind === b.kind && (a.recordId && b.recordId ? a.recordId === b.recordId : a.label === b.label);
+}
+
+/**
+ * Drop repeats, keeping the first occurrence of each artifact
+ * @param {WindowArtifact[]} artifacts
+ * @returns {WindowArtifact[]}
+ */
+function uniqueArtifacts(artifacts) {
+    const unique = [];
+    for (const artifact of artifacts) {
+        if (artifact && !unique.some(a => isSameArtifact(a, artifact))) {
+            unique.push(artifact);
+        }
+    }
+    return unique;
+}
+
+// ============ EXPORTS ============
+
+module.exports = {
+    // Constants
+    ARTIFACT_KINDS,
+
+    // Registry
+    registerTitleParser,
+    getTitleParsers,
+
+    // Parsing
+    parseWindow,
+    describeArtifact,
+    isSameArtifact,
+    uniqueArtifacts
+};
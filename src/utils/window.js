@@ -15,7 +15,7 @@ const WINDOW_MODES = {
     hub: { width: 900, height: 600, position: 'center' },
     interview: { width: 600, height: 500, position: 'center' },
     observation: { width: 400, height: 150, position: 'top-right' },
-    question: { width: 500, height: 250, position: 'top-right' },
+    question: { width: 500, height: 420, position: 'top-right' }, // tall enough for the trigger frames
 };
 
 function createWindow(sendToRenderer, geminiSessionRef) {
@@ -482,6 +482,7 @@ function setupWindowIpcHandlers(mainWindow, sendToRenderer, geminiSessionRef) {
                     targetHeight = layoutMode === 'compact' ? 650 : 750;
                     break;
                 case 'history':
+                case 'search':
                     targetWidth = baseWidth;
                     targetHeight = layoutMode === 'compact' ? 650 : 750;
                     break;